@@ -74,13 +74,31 @@ function formatActivityDescription(activity) {
     'user_login': `${userName} signed in`,
     'proposal_created': `${userName} created a proposal${quoted}`,
     'proposal_updated': `${userName} updated a proposal${quoted}`,
+    'proposal_revised': `${userName} published revision ${details.revision || ''} of a proposal${quoted}`,
+    'amendment_submitted': `${userName} proposed an amendment${quoted}`,
+    'amendment_accepted': `${userName} accepted an amendment${quoted}`,
+    'amendment_rejected': `${userName} rejected an amendment${quoted}`,
+    'amendment_withdrawn': `${userName} withdrew an amendment${quoted}`,
+    'proposal_executed': details.kind === 'project'
+      ? `Passed proposal${quoted} became project "${details.result?.project?.title || ''}"`
+      : `Passed proposal${quoted} was applied to the architecture`,
+    'proposal_execution_failed': `Executing proposal${quoted} failed`,
+    'proposal_execution_reverted': `${userName} reverted the execution of a proposal${quoted}`,
     'proposal_deleted': `${userName} deleted a proposal`,
-    'vote_cast': `${userName} voted ${details.voteType || ''} on a proposal${quoted}`,
+    'vote_cast': details.voteType === 'ballot'
+      ? `${userName} cast a ${details.votingMode} ballot on a proposal${quoted}`
+      : `${userName} voted ${details.voteType || ''} on a proposal${quoted}`,
     'vote_removed': `${userName} removed their vote`,
+    'delegation_set': `${userName} delegated their vote to ${details.delegateName || 'another member'}`,
+    'delegation_removed': `${userName} withdrew a vote delegation`,
     'discussion_created': `${userName} started a discussion${quoted}`,
     'reply_created': `${userName} replied to a discussion${quoted}`,
-    'element_created': `${userName} created an architecture element`,
-    'element_updated': `${userName} updated an architecture element`,
+    'element_created': `${userName} created an architecture element${quoted}`,
+    'element_updated': `${userName} updated an architecture element${quoted}`,
+    'element_status_changed': `${userName} moved an architecture element${quoted} to ${details.to || 'a new status'}`,
+    'element_retired': `${userName} deprecated an architecture element${quoted}`,
+    'architecture_imported': `${userName} imported an architecture model (${details.creates || 0} new, ${details.updates || 0} updated elements)`,
+    'architecture_snapshot_taken': `${userName} took a snapshot of the architecture${quoted}`,
     'content_created': `${userName} drafted${quoted}`,
     'content_updated': `${userName} updated${quoted || ' content'}`,
     'content_submitted': `${userName} submitted${quoted} for review`,
@@ -91,10 +109,22 @@ function formatActivityDescription(activity) {
     'task_updated': `${userName} updated a task${quoted}`,
     'task_moved': `${userName} moved${quoted || ' a task'} to ${details.status || 'a new status'}`,
     'task_deleted': `${userName} removed a task`,
+    'tasks_bulk_updated': `${userName} ${details.status ? `moved ${details.count || 'several'} tasks to ${details.status}` : `updated ${details.count || 'several'} tasks`} in${quoted || ' a project'}`,
+    'task_dependency_added': `${userName} made a task${quoted} depend on ${details.dependsOn ? `"${details.dependsOn}"` : 'another task'}`,
+    'task_dependency_removed': `${userName} removed a dependency from a task${quoted}`,
+    'task_recurrence_set': `${userName} made a task${quoted} repeat${details.summary ? ` (${details.summary.toLowerCase()})` : ''}`,
+    'task_recurrence_stopped': `${userName} stopped a task${quoted} repeating`,
+    'task_recurred': `A repeating task${quoted} came round again${details.due_date ? `, due ${details.due_date}` : ''}`,
+    'task_template_saved': `${userName} saved the task template${quoted}`,
+    'task_template_deleted': `${userName} deleted the task template${quoted}`,
+    'task_template_applied': `${userName} added ${details.count || 'several'} tasks from ${details.template ? `the template "${details.template}"` : 'a template'} to${quoted || ' a project'}`,
+    'time_logged': `${userName} logged ${details.minutes ? `${Math.round((details.minutes / 60) * 10) / 10}h` : 'time'} on${quoted || ' a task'}`,
     'milestone_created': `${userName} created a milestone${quoted}`,
     'milestone_updated': `${userName} updated a milestone${quoted}`,
     'project_created': `${userName} created a project${quoted}`,
     'project_updated': `${userName} updated a project${quoted}`,
+    'project_workflow_changed': `${userName} ${details.custom === false ? 'reset' : 'changed'} the board workflow of${quoted || ' a project'}`,
+    'schedule_baseline_saved': `${userName} saved a schedule baseline for${quoted || ' a project'}`,
     'project_archived': `${userName} archived a project${quoted}`,
     'commented': `${userName} commented on ${details.entity_type || 'an item'}`,
     'replied': `${userName} replied to a comment`,
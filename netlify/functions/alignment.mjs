@@ -2,10 +2,14 @@
 // GET  /api/alignment?element=<id|code>  — Get all items aligned to an element
 // GET  /api/alignment?item=<id>&type=<content|proposal|discussion|project> — Get element for item
 // GET  /api/alignment/summary — Overview of all alignments
+// GET  /api/alignment/traceability[?format=csv] — Goal scorecard and gaps (see lib/traceability.mjs)
 // POST /api/alignment — Link an item to an element (admin/editor)
 // DELETE /api/alignment — Unlink an item from an element (admin/editor)
 
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { can } from './lib/permissions.mjs';
+import { buildTraceability, MATRIX_COLUMNS, matrixRows } from './lib/traceability.mjs';
+import { toCsv, csvResponse } from './lib/csv.mjs';
 
 export default async function handler(req) {
   if (req.method === 'OPTIONS') {
@@ -22,6 +26,15 @@ export default async function handler(req) {
     const itemType = url.searchParams.get('type');
     const summary = url.pathname.endsWith('/summary');
 
+    // Traceability scorecard: goals scored by the work tracing to them
+    if (url.pathname.endsWith('/traceability')) {
+      const report = await buildTraceability(db);
+      if (url.searchParams.get('format') === 'csv') {
+        return csvResponse(toCsv(MATRIX_COLUMNS, matrixRows(report)), 'ple-traceability.csv');
+      }
+      return json(200, report);
+    }
+
     // Summary view: all elements with their linked item counts
     if (summary) {
       const elements = await db`
@@ -146,8 +159,9 @@ export default async function handler(req) {
   // POST — create alignment (link item to element)
   if (req.method === 'POST') {
     const user = await getCurrentUser(req, db);
-    if (!user || !['admin', 'editor'].includes(user.role)) {
-      return json(403, { error: 'Admin or editor required' });
+    if (!user) return json(401, { error: 'Authentication required' });
+    if (!await can(db, user, 'alignment.manage')) {
+      return json(403, { error: 'Not authorized', permission: 'alignment.manage' });
     }
 
     const body = await req.json();
@@ -200,8 +214,9 @@ export default async function handler(req) {
   // DELETE — remove alignment
   if (req.method === 'DELETE') {
     const user = await getCurrentUser(req, db);
-    if (!user || !['admin', 'editor'].includes(user.role)) {
-      return json(403, { error: 'Admin or editor required' });
+    if (!user) return json(401, { error: 'Authentication required' });
+    if (!await can(db, user, 'alignment.manage')) {
+      return json(403, { error: 'Not authorized', permission: 'alignment.manage' });
     }
 
     const body = await req.json();
@@ -241,4 +256,4 @@ function cors() {
   };
 }
 
-export const config = { path: ['/api/alignment', '/api/alignment/summary'] };
+export const config = { path: ['/api/alignment', '/api/alignment/summary', '/api/alignment/traceability'] };
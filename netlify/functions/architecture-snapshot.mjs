@@ -0,0 +1,22 @@
+/**
+ * PLE Platform - Architecture Snapshot
+ * Scheduled daily: snapshots the architecture model when it has changed
+ * since the last snapshot, so the model can be looked up as of any date.
+ */
+
+import { getDb } from './lib/db.mjs';
+import { takeSnapshot } from './lib/snapshots.mjs';
+
+export default async (req, context) => {
+  try {
+    const sql = await getDb();
+    const { snapshot, unchanged } = await takeSnapshot(sql, { kind: 'scheduled', skipUnchanged: true });
+    console.log(unchanged
+      ? `🏛️ Architecture unchanged since snapshot ${snapshot.id}`
+      : `🏛️ Architecture snapshot ${snapshot.id} (${snapshot.element_count} elements, ${snapshot.relationship_count} relationships)`);
+  } catch (error) {
+    console.error('Architecture snapshot error:', error);
+  }
+};
+
+export const config = { schedule: '@daily' };
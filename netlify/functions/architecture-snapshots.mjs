@@ -0,0 +1,121 @@
+/**
+ * PLE Platform - Architecture Snapshots API
+ * Lists and takes snapshots of the architecture model, returns the model as
+ * it stood on a date and diffs two points in time. Reading is public;
+ * storage and diffing live in lib/snapshots.mjs.
+ */
+
+import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { formatSnapshot, takeSnapshot, getSnapshot, parseAsOf, snapshotAsOf, resolvePoint, diffModels } from './lib/snapshots.mjs';
+import { EXPORT_FORMATS, CONTENT_TYPES, FILE_NAMES, exportModel } from './lib/interchange.mjs';
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+  
+  try {
+    const sql = await getDb();
+    const params = url.searchParams;
+    
+    if (req.method === 'GET') {
+      if (params.get('action') === 'diff') return await diffPoints(sql, params.get('from'), params.get('to'));
+      if (params.get('id')) return await getSnapshotModel(sql, params.get('id'), params.get('format'));
+      if (params.get('asOf')) return await getModelAsOf(sql, params.get('asOf'), params.get('format'));
+      return await listSnapshots(sql, params);
+    }
+    
+    const user = await getCurrentUser(req);
+    if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+    
+    if (req.method === 'POST') {
+      return await createSnapshot(sql, await req.json(), user);
+    }
+    
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('Architecture snapshots API error:', error);
+    return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+  }
+};
+
+async function listSnapshots(sql, params) {
+  const limit = Math.min(parseInt(params.get('limit')) || 50, 200);
+  const offset = parseInt(params.get('offset')) || 0;
+  const kind = params.get('kind') || null;
+  
+  const snapshots = await sql`
+    SELECT s.id, s.label, s.kind, s.element_count, s.relationship_count, s.taken_by, s.taken_at,
+           u.display_name as taken_by_name
+    FROM architecture_snapshots s LEFT JOIN users u ON s.taken_by = u.id
+    WHERE (${kind}::text IS NULL OR s.kind = ${kind})
+    ORDER BY s.taken_at DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+  const count = await sql`SELECT COUNT(*) as total FROM architecture_snapshots WHERE (${kind}::text IS NULL OR kind = ${kind})`;
+  
+  return jsonResponse({ snapshots: snapshots.map(formatSnapshot), total: parseInt(count[0]?.total || 0), limit, offset });
+}
+
+// The whole model as JSON, or in one of the export formats
+function modelResponse(snapshot, format) {
+  if (!format) return jsonResponse({ snapshot: formatSnapshot(snapshot) });
+  if (!EXPORT_FORMATS.includes(format)) return jsonResponse({ error: 'Invalid format', available: EXPORT_FORMATS }, 400);
+  
+  const model = {
+    exportedAt: new Date(snapshot.taken_at).toISOString(),
+    elements: snapshot.elements,
+    relationships: snapshot.relationships
+  };
+  const day = model.exportedAt.slice(0, 10);
+  return new Response(exportModel(model, format), {
+    headers: {
+      'Content-Type': `${CONTENT_TYPES[format]}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${FILE_NAMES[format].replace('ple-architecture', `ple-architecture-${day}`)}"`
+    }
+  });
+}
+
+async function getSnapshotModel(sql, id, format) {
+  const snapshot = await getSnapshot(sql, id);
+  if (!snapshot) return jsonResponse({ error: 'Snapshot not found' }, 404);
+  return modelResponse(snapshot, format);
+}
+
+async function getModelAsOf(sql, asOf, format) {
+  const date = parseAsOf(asOf);
+  if (!date) return jsonResponse({ error: 'asOf must be a date, e.g. 2026-06-30' }, 400);
+  
+  const snapshot = await snapshotAsOf(sql, date);
+  if (!snapshot) return jsonResponse({ error: `No snapshot was taken on or before ${asOf}` }, 404);
+  return modelResponse(snapshot, format);
+}
+
+/**
+ * from and to are each a snapshot id, a date or "current"
+ */
+async function diffPoints(sql, fromRef, toRef) {
+  const from = await resolvePoint(sql, fromRef);
+  if (from.error) return jsonResponse({ error: from.error }, from.status);
+  const to = await resolvePoint(sql, toRef);
+  if (to.error) return jsonResponse({ error: to.error }, to.status);
+  
+  const brief = ({ elements, relationships, ...s }) => formatSnapshot(s);
+  return jsonResponse({ from: brief(from), to: brief(to), diff: diffModels(from, to) });
+}
+
+async function createSnapshot(sql, body, user) {
+  const label = body.label ? String(body.label).trim().slice(0, 200) : null;
+  
+  const denied = await requirePermission(sql, user, 'element.snapshot');
+  if (denied) return denied;
+  
+  const { snapshot } = await takeSnapshot(sql, { label, kind: 'manual', userId: user.id });
+  
+  await logActivity(user.id, 'architecture_snapshot_taken', 'architecture_snapshot', snapshot.id, {
+    title: label, elements: snapshot.element_count, relationships: snapshot.relationship_count
+  });
+  
+  return jsonResponse({ success: true, snapshot: formatSnapshot({ ...snapshot, taken_by_name: user.display_name }) }, 201);
+}
+
+export const config = { path: '/api/architecture/snapshots' };
@@ -1,28 +1,75 @@
-import { getDb, jsonResponse } from './lib/db.mjs';
+/**
+ * PLE Platform - Architecture API
+ * Goals, strategies, capabilities and principles. Reading is public;
+ * creating, editing and retiring elements records every change in
+ * element_history (see lib/architecture.mjs). Graph queries over the
+ * relationships live in lib/graph.mjs, export and import in
+ * lib/interchange.mjs.
+ */
+
+import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import {
+  ELEMENT_TYPES, ELEMENT_STATUSES, ELEMENT_TRANSITIONS, canTransitionElement, validateCode, nextCode, checkParent,
+  diffElement, historyQuery, formatHistory
+} from './lib/architecture.mjs';
+import {
+  DIRECTIONS, DEFAULT_DEPTH, MAX_DEPTH, loadGraph, findNode, formatNode, formatEdge, traverse, shortestPath, findChains,
+  findOrphans, findCycles, analyzeImpact
+} from './lib/graph.mjs';
+import {
+  EXPORT_FORMATS, IMPORT_FORMATS, MAX_IMPORT_SIZE, CONTENT_TYPES, FILE_NAMES, loadModel, exportModel, parseModel, planImport,
+  applyImport
+} from './lib/interchange.mjs';
+import { v4 as uuidv4 } from 'uuid';
 
 export default async (req, context) => {
   const url = new URL(req.url);
   
   try {
-    if (req.method !== 'GET') {
-      return jsonResponse({ error: 'Method not allowed' }, 405);
+    const sql = await getDb();
+    const action = url.searchParams.get('action');
+    
+    if (req.method === 'GET') {
+      const id = url.searchParams.get('id');
+      const code = url.searchParams.get('code');
+      
+      if (action === 'history' && id) return await listHistory(sql, id);
+      if (action === 'export') return await exportArchitecture(sql, url.searchParams.get('format'));
+      if (GRAPH_ACTIONS.includes(action)) return await graphQuery(sql, action, url.searchParams);
+      if (id) return await getElement(sql, id);
+      if (code) return await getElementByCode(sql, code);
+      return await listElements(sql, url.searchParams);
     }
     
-    const sql = await getDb();
-    const id = url.searchParams.get('id');
-    const code = url.searchParams.get('code');
+    const user = await getCurrentUser(req);
+    if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
     
-    if (id) return await getElement(sql, id);
-    if (code) return await getElementByCode(sql, code);
-    return await listElements(sql, url.searchParams);
+    if (req.method === 'POST' && action === 'import') {
+      return await importArchitecture(sql, await req.json(), user);
+    }
+    if (req.method === 'POST') {
+      return await createElement(sql, await req.json(), user);
+    }
+    if (req.method === 'PUT') {
+      return await updateElement(sql, await req.json(), user);
+    }
+    if (req.method === 'DELETE') {
+      return await retireElement(sql, url.searchParams.get('id'), url.searchParams.get('reason'), user);
+    }
+    
+    return jsonResponse({ error: 'Method not allowed' }, 405);
   } catch (error) {
     console.error('Architecture API error:', error);
     return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
   }
 };
 
+const GRAPH_ACTIONS = ['graph', 'traverse', 'path', 'chains', 'health', 'impact'];
+
 async function listElements(sql, params) {
   const type = params.get('type') || null;
+  // 'all' lists every status
   const status = params.get('status') || 'active';
   const search = params.get('search') || null;
   const searchPattern = search ? `%${search}%` : null;
@@ -36,7 +83,7 @@ async function listElements(sql, params) {
     FROM architecture_elements ae
     LEFT JOIN users u ON ae.created_by = u.id
     WHERE (${type}::text IS NULL OR ae.element_type = ${type})
-      AND ae.status = ${status}
+      AND (${status} = 'all' OR ae.status = ${status})
       AND (${searchPattern}::text IS NULL OR ae.title ILIKE ${searchPattern} OR ae.description ILIKE ${searchPattern} OR ae.code ILIKE ${searchPattern})
     ORDER BY ae.element_type, ae.code
   `;
@@ -89,10 +136,19 @@ async function getElement(sql, id) {
     FROM discussions WHERE element_id = ${id} ORDER BY created_at DESC LIMIT 10
   `;
   
+  const family = await sql`
+    SELECT id, code, title, status, parent_id FROM architecture_elements
+    WHERE id = ${elements[0].parent_id} OR parent_id = ${id}
+    ORDER BY code
+  `;
+  
   const el = formatElement(elements[0]);
+  const parent = family.find(f => f.id === elements[0].parent_id);
 
   return jsonResponse({
     element: el,
+    parent: parent ? { id: parent.id, code: parent.code, title: parent.title, status: parent.status } : null,
+    children: family.filter(f => f.parent_id === id).map(c => ({ id: c.id, code: c.code, title: c.title, status: c.status })),
     relationships: relationships.map(r => ({
       id: r.id, type: r.relationship_type,
       target: { id: r.target_id, title: r.target_title, code: r.target_code, elementType: r.target_type }
@@ -119,6 +175,294 @@ async function getElementByCode(sql, code) {
   return getElement(sql, elements[0].id);
 }
 
+// ============================================
+// Graph
+// ============================================
+
+const listParam = value => value ? value.split(',').map(v => v.trim()).filter(Boolean) : null;
+
+/**
+ * Elements can be given by id or code. Deprecated elements are left out
+ * unless includeDeprecated=true (impact analysis always includes them).
+ */
+async function graphQuery(sql, action, params) {
+  const graph = await loadGraph(sql, { includeDeprecated: action === 'impact' || params.get('includeDeprecated') === 'true' });
+  const relationshipTypes = listParam(params.get('relationshipTypes'));
+  
+  if (action === 'graph') {
+    return jsonResponse({ nodes: [...graph.nodes.values()].map(formatNode), edges: graph.edges.map(formatEdge) });
+  }
+  
+  if (action === 'health') {
+    return jsonResponse({ orphans: findOrphans(graph), cycles: findCycles(graph, { relationshipTypes }) });
+  }
+  
+  if (action === 'chains') {
+    const types = listParam(params.get('types'));
+    if (!types || types.length < 2 || types.some(t => !ELEMENT_TYPES.includes(t))) {
+      return jsonResponse({ error: 'types must list at least two element types, e.g. principle,goal,strategy,capability', available: ELEMENT_TYPES }, 400);
+    }
+    const start = params.get('id') ? findNode(graph, params.get('id')) : null;
+    if (params.get('id') && !start) return jsonResponse({ error: 'Element not found' }, 404);
+    return jsonResponse({ types, ...findChains(graph, types, { startId: start?.id, relationshipTypes }) });
+  }
+  
+  const direction = params.get('direction') || 'both';
+  if (!DIRECTIONS.includes(direction)) return jsonResponse({ error: 'Invalid direction', available: DIRECTIONS }, 400);
+  
+  if (action === 'path') {
+    const from = findNode(graph, params.get('from'));
+    const to = findNode(graph, params.get('to'));
+    if (!from || !to) return jsonResponse({ error: 'from and to must be existing elements' }, 404);
+    const path = shortestPath(graph, from.id, to.id, { direction, relationshipTypes });
+    return jsonResponse({ from: formatNode(from), to: formatNode(to), connected: !!path, path });
+  }
+  
+  const element = findNode(graph, params.get('id') || params.get('code'));
+  if (!element) return jsonResponse({ error: 'Element not found' }, 404);
+  
+  if (action === 'impact') return jsonResponse(await analyzeImpact(sql, graph, element.id));
+  
+  const depth = Math.min(Math.max(parseInt(params.get('depth')) || DEFAULT_DEPTH, 1), MAX_DEPTH);
+  return jsonResponse({
+    root: formatNode(element), depth, direction,
+    ...traverse(graph, element.id, { depth, direction, relationshipTypes, elementTypes: listParam(params.get('elementTypes')) })
+  });
+}
+
+// ============================================
+// Export and import
+// ============================================
+
+async function exportArchitecture(sql, format) {
+  if (!EXPORT_FORMATS.includes(format)) return jsonResponse({ error: 'Invalid format', available: EXPORT_FORMATS }, 400);
+  
+  const body = exportModel(await loadModel(sql), format);
+  return new Response(body, {
+    headers: {
+      'Content-Type': `${CONTENT_TYPES[format]}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${FILE_NAMES[format]}"`
+    }
+  });
+}
+
+/**
+ * Preview by default; { apply: true } carries the merge out, and only when
+ * the preview has no conflicts
+ */
+async function importArchitecture(sql, body, user) {
+  const { format, data, apply = false } = body;
+  
+  const denied = await requirePermission(sql, user, 'element.import');
+  if (denied) return denied;
+  
+  if (!IMPORT_FORMATS.includes(format)) return jsonResponse({ error: 'Invalid format', available: IMPORT_FORMATS }, 400);
+  if (!data) return jsonResponse({ error: 'data is required' }, 400);
+  const size = typeof data === 'string' ? data.length : JSON.stringify(data).length;
+  if (size > MAX_IMPORT_SIZE) return jsonResponse({ error: `Imports are at most ${MAX_IMPORT_SIZE / 1024 / 1024} MB` }, 413);
+  
+  const parsed = parseModel(format, data);
+  if (parsed.error) return jsonResponse({ error: `Could not read the file: ${parsed.error}` }, 400);
+  
+  const { writes, ...preview } = await planImport(sql, parsed);
+  if (!apply) return jsonResponse({ preview: true, ...preview });
+  if (preview.conflicts.length > 0) {
+    return jsonResponse({ error: 'Resolve the conflicts before importing', ...preview }, 409);
+  }
+  
+  const result = await applyImport(sql, { writes }, { userId: user.id, note: `Imported from ${format}` });
+  if (result.error) return jsonResponse({ error: result.error, details: result.details }, result.status);
+  
+  if (result.applied) {
+    await logActivity(user.id, 'architecture_imported', 'element', null, { format, ...preview.summary });
+  }
+  return jsonResponse({ success: true, ...preview });
+}
+
+// ============================================
+// Changes
+// ============================================
+
+async function createElement(sql, body, user) {
+  const { elementType, title, description, parentId, status = 'draft', metadata = {} } = body;
+  
+  const denied = await requirePermission(sql, user, 'element.create');
+  if (denied) return denied;
+  
+  if (!ELEMENT_TYPES.includes(elementType)) {
+    return jsonResponse({ error: 'Invalid element type', available: ELEMENT_TYPES }, 400);
+  }
+  if (!title?.trim()) return jsonResponse({ error: 'Title is required' }, 400);
+  if (!['draft', 'active'].includes(status)) {
+    return jsonResponse({ error: 'New elements start as draft or active' }, 400);
+  }
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return jsonResponse({ error: 'metadata must be an object' }, 400);
+  }
+  
+  // Without a code the next number for the type is used, e.g. CAP-013
+  const code = body.code ? String(body.code).trim().toUpperCase() : await nextCode(sql, elementType);
+  const codeError = validateCode(elementType, code);
+  if (codeError) return jsonResponse({ error: codeError }, 400);
+  
+  const existing = await sql`SELECT id FROM architecture_elements WHERE code = ${code}`;
+  if (existing.length > 0) return jsonResponse({ error: `An element with code ${code} already exists` }, 409);
+  
+  if (parentId) {
+    const parentError = await checkParent(sql, null, parentId, elementType);
+    if (parentError) return jsonResponse({ error: parentError }, 400);
+  }
+  
+  const id = uuidv4();
+  await sql.transaction([
+    sql`
+      INSERT INTO architecture_elements (id, element_type, code, title, description, status, parent_id, created_by, metadata)
+      VALUES (${id}, ${elementType}, ${code}, ${title.trim()}, ${description || null}, ${status}, ${parentId || null},
+        ${user.id}, ${JSON.stringify(metadata)}::jsonb)
+    `,
+    historyQuery(sql, { elementId: id, action: 'created', userId: user.id })
+  ]);
+  
+  await logActivity(user.id, 'element_created', 'element', id, { title: title.trim(), code, elementType });
+  return jsonResponse({ success: true, id, code }, 201);
+}
+
+async function updateElement(sql, body, user) {
+  const { id, title, description, parentId, status, metadata, note } = body;
+  if (!id) return jsonResponse({ error: 'Element ID is required' }, 400);
+  
+  // updated_at as text keeps the microseconds a Date would drop, for the guard below
+  const elements = await sql`SELECT *, updated_at::text as version FROM architecture_elements WHERE id = ${id}`;
+  if (elements.length === 0) return jsonResponse({ error: 'Element not found' }, 404);
+  const current = elements[0];
+  
+  if (!ELEMENT_TYPES.includes(current.element_type)) {
+    return jsonResponse({ error: `${current.element_type} elements are not edited through this API` }, 409);
+  }
+  const denied = await requirePermission(sql, user, 'element.edit');
+  if (denied) return denied;
+  
+  // Codes are permanent identifiers, referenced from proposals and execution plans
+  if (body.code !== undefined && String(body.code).toUpperCase() !== current.code) {
+    return jsonResponse({ error: 'Element codes cannot be changed' }, 400);
+  }
+  if (body.elementType !== undefined && body.elementType !== current.element_type) {
+    return jsonResponse({ error: 'Element type cannot be changed' }, 400);
+  }
+  
+  const after = {};
+  if (title !== undefined) {
+    if (!String(title).trim()) return jsonResponse({ error: 'Title cannot be empty' }, 400);
+    after.title = String(title).trim();
+  }
+  if (description !== undefined) after.description = description || null;
+  if (metadata !== undefined) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return jsonResponse({ error: 'metadata must be an object' }, 400);
+    }
+    after.metadata = metadata;
+  }
+  if (parentId !== undefined && (parentId || null) !== current.parent_id) {
+    if (parentId) {
+      const parentError = await checkParent(sql, id, parentId, current.element_type);
+      if (parentError) return jsonResponse({ error: parentError }, 400);
+    }
+    after.parent_id = parentId || null;
+  }
+  if (status !== undefined && status !== current.status) {
+    if (!ELEMENT_STATUSES.includes(status)) {
+      return jsonResponse({ error: 'Invalid status', available: ELEMENT_STATUSES }, 400);
+    }
+    if (!canTransitionElement(current.status, status)) {
+      return jsonResponse({
+        error: `Cannot move a ${current.status} element to ${status}`,
+        allowed: ELEMENT_TRANSITIONS[current.status] || []
+      }, 409);
+    }
+    // Retiring and reinstating are a separate permission from editing
+    if (status === 'deprecated' || current.status === 'deprecated') {
+      const retireDenied = await requirePermission(sql, user, 'element.retire');
+      if (retireDenied) return retireDenied;
+    }
+    after.status = status;
+  }
+  
+  const changes = diffElement(current, after);
+  if (Object.keys(changes).length === 0) return jsonResponse({ success: true, changes });
+  const next = { ...current, ...after };
+  
+  // Guarded on updated_at so two editors cannot silently overwrite each other
+  const [updated] = await sql.transaction([
+    sql`
+      UPDATE architecture_elements SET title = ${next.title}, description = ${next.description}, status = ${next.status},
+        parent_id = ${next.parent_id}, metadata = ${JSON.stringify(next.metadata || {})}::jsonb, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id} AND updated_at::text = ${current.version}
+      RETURNING id
+    `,
+    historyQuery(sql, {
+      elementId: id, action: changes.status ? 'status_changed' : 'updated', changes, userId: user.id, note: note || null
+    })
+  ]);
+  if (updated.length === 0) return jsonResponse({ error: 'Element changed, please reload' }, 409);
+  
+  await logActivity(user.id, changes.status ? 'element_status_changed' : 'element_updated', 'element', id, {
+    title: next.title, code: current.code, fields: Object.keys(changes), from: changes.status?.from, to: changes.status?.to
+  });
+  return jsonResponse({ success: true, changes });
+}
+
+async function retireElement(sql, id, reason, user) {
+  if (!id) return jsonResponse({ error: 'Element ID is required' }, 400);
+  
+  const elements = await sql`SELECT * FROM architecture_elements WHERE id = ${id}`;
+  if (elements.length === 0) return jsonResponse({ error: 'Element not found' }, 404);
+  const current = elements[0];
+  
+  if (!ELEMENT_TYPES.includes(current.element_type)) {
+    return jsonResponse({ error: `${current.element_type} elements are not edited through this API` }, 409);
+  }
+  const denied = await requirePermission(sql, user, 'element.retire');
+  if (denied) return denied;
+  
+  if (current.status === 'deprecated') return jsonResponse({ error: 'Element is already deprecated' }, 409);
+  
+  const children = await sql`
+    SELECT code FROM architecture_elements WHERE parent_id = ${id} AND status != 'deprecated' ORDER BY code
+  `;
+  if (children.length > 0) {
+    return jsonResponse({ error: 'Retire or move its child elements first', children: children.map(c => c.code) }, 409);
+  }
+  
+  // Elements are retired rather than deleted: proposals, content and history still refer to them
+  const [updated] = await sql.transaction([
+    sql`
+      UPDATE architecture_elements SET status = 'deprecated', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id} AND status = ${current.status}
+      RETURNING id
+    `,
+    historyQuery(sql, {
+      elementId: id, action: 'status_changed', changes: { status: { from: current.status, to: 'deprecated' } },
+      userId: user.id, note: reason || null
+    })
+  ]);
+  if (updated.length === 0) return jsonResponse({ error: 'Element changed, please reload' }, 409);
+  
+  await logActivity(user.id, 'element_retired', 'element', id, { title: current.title, code: current.code, reason: reason || null });
+  return jsonResponse({ success: true });
+}
+
+async function listHistory(sql, id) {
+  const history = await sql`
+    SELECT h.*, u.display_name as changed_by_name, p.title as proposal_title
+    FROM element_history h
+    LEFT JOIN users u ON h.changed_by = u.id
+    LEFT JOIN proposals p ON h.proposal_id = p.id
+    WHERE h.element_id = ${id}
+    ORDER BY h.created_at DESC, h.id
+  `;
+  return jsonResponse({ history: history.map(formatHistory) });
+}
+
 function formatElement(el) {
   return {
     id: el.id, type: el.element_type, code: el.code, title: el.title,
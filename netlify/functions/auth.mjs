@@ -1,7 +1,17 @@
 import { getDb, hashToken, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { sendMail } from './lib/mail.mjs';
+import { createSession, refreshSession, describeDevice } from './lib/sessions.mjs';
+import {
+  rateLimit, loginLockRemaining, recordLoginFailure, clearLoginFailures, loginLockedResponse
+} from './lib/rate-limit.mjs';
 import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
 
+const SITE_URL = process.env.URL || process.env.DEPLOY_URL || 'https://postlaboreconomics.netlify.app';
+const RESET_TOKEN_TTL = 60 * 60 * 1000;
+const VERIFY_TOKEN_TTL = 48 * 60 * 60 * 1000;
+
 export default async (req, context) => {
   const url = new URL(req.url);
   const action = url.searchParams.get('action');
@@ -14,21 +24,39 @@ export default async (req, context) => {
     const sql = await getDb();
     
     if (req.method === 'POST') {
-      const body = await req.json();
+      const body = await req.json().catch(() => ({}));
       
       if (action === 'register') {
-        return await handleRegister(sql, body);
+        return await handleRegister(sql, req, body);
       } else if (action === 'login') {
-        return await handleLogin(sql, body);
+        return await handleLogin(sql, req, body);
+      } else if (action === 'refresh') {
+        return await handleRefresh(sql, req, body);
+      } else if (action === 'revoke-session') {
+        return await handleRevokeSession(sql, req, body);
+      } else if (action === 'revoke-other-sessions') {
+        return await handleRevokeOtherSessions(sql, req);
       } else if (action === 'logout') {
         return await handleLogout(sql, req);
       } else if (action === 'update-profile') {
         return await handleUpdateProfile(sql, req, body);
       } else if (action === 'update-role') {
         return await handleUpdateRole(sql, req, body);
+      } else if (action === 'request-password-reset') {
+        return await handleRequestPasswordReset(sql, req, body);
+      } else if (action === 'reset-password') {
+        return await handleResetPassword(sql, body);
+      } else if (action === 'change-password') {
+        return await handleChangePassword(sql, req, body);
+      } else if (action === 'request-verification') {
+        return await handleRequestVerification(sql, req);
+      } else if (action === 'verify-email') {
+        return await handleVerifyEmail(sql, body);
       }
     } else if (req.method === 'GET' && action === 'me') {
       return await handleGetCurrentUser(sql, req);
+    } else if (req.method === 'GET' && action === 'sessions') {
+      return await handleListSessions(sql, req);
     } else if (req.method === 'GET' && action === 'profile') {
       return await handleGetPublicProfile(sql, url.searchParams.get('id'));
     } else if (req.method === 'GET' && action === 'members') {
@@ -47,7 +75,7 @@ export default async (req, context) => {
   }
 };
 
-async function handleRegister(sql, { email, password, displayName }) {
+async function handleRegister(sql, req, { email, password, displayName }) {
   if (!email || !password || !displayName) {
     return jsonResponse({ error: 'Email, password, and display name are required' }, 400);
   }
@@ -56,6 +84,9 @@ async function handleRegister(sql, { email, password, displayName }) {
     return jsonResponse({ error: 'Password must be at least 8 characters' }, 400);
   }
   
+  const limited = await rateLimit(sql, req, 'register');
+  if (limited) return limited;
+  
   const emailLower = email.toLowerCase();
   const existing = await sql`SELECT id FROM users WHERE email = ${emailLower}`;
   if (existing.length > 0) {
@@ -69,28 +100,44 @@ async function handleRegister(sql, { email, password, displayName }) {
   await sql`INSERT INTO users (id, email, password_hash, display_name, role) 
             VALUES (${userId}, ${emailLower}, ${passwordHash}, ${displayName}, ${role})`;
   
-  const session = await createSession(sql, userId);
+  const session = await createSession(sql, userId, req);
   await logActivity(userId, 'user_registered', 'user', userId);
+
+  // Registration succeeds even if the verification mail cannot be sent; it can be re-requested
+  try {
+    await sendVerificationEmail(sql, { id: userId, email: emailLower, display_name: displayName });
+  } catch (e) {
+    console.error('Verification mail failed:', e.message);
+  }
   
   return jsonResponse({
     success: true,
     user: { id: userId, email: emailLower, displayName, role: 'member' },
-    token: session.token
+    ...sessionTokens(session)
   }, 201);
 }
 
-async function handleLogin(sql, { email, password }) {
+async function handleLogin(sql, req, { email, password }) {
   if (!email || !password) {
     return jsonResponse({ error: 'Email and password are required' }, 400);
   }
   
+  const limited = await rateLimit(sql, req, 'login');
+  if (limited) return limited;
+  
+  // Locked addresses are refused before the password is checked
   const emailLower = email.toLowerCase();
+  const lockRemaining = await loginLockRemaining(sql, emailLower);
+  if (lockRemaining > 0) return loginLockedResponse(lockRemaining);
+  
   const users = await sql`
     SELECT id, email, password_hash, display_name, role, is_active 
     FROM users WHERE email = ${emailLower}
   `;
   
+  // Unknown addresses count failures too, so lockouts do not reveal which accounts exist
   if (users.length === 0) {
+    await recordLoginFailure(sql, emailLower);
     return jsonResponse({ error: 'Invalid email or password' }, 401);
   }
   
@@ -102,18 +149,23 @@ async function handleLogin(sql, { email, password }) {
   
   const valid = await bcrypt.compare(password, user.password_hash);
   if (!valid) {
+    const { failures, lockedFor } = await recordLoginFailure(sql, emailLower);
+    if (lockedFor > 0) {
+      await logActivity(user.id, 'login_locked', 'user', user.id, { failures, lockedFor });
+    }
     return jsonResponse({ error: 'Invalid email or password' }, 401);
   }
   
+  await clearLoginFailures(sql, emailLower);
   await sql`UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ${user.id}`;
   
-  const session = await createSession(sql, user.id);
+  const session = await createSession(sql, user.id, req);
   await logActivity(user.id, 'user_login', 'user', user.id);
   
   return jsonResponse({
     success: true,
     user: { id: user.id, email: user.email, displayName: user.display_name, role: user.role },
-    token: session.token
+    ...sessionTokens(session)
   });
 }
 
@@ -137,7 +189,7 @@ async function handleGetCurrentUser(sql, req) {
   const tokenHash = await hashToken(token);
   
   const sessions = await sql`
-    SELECT u.id, u.email, u.display_name, u.role, u.avatar_url, u.bio, u.created_at
+    SELECT u.id, u.email, u.display_name, u.role, u.avatar_url, u.bio, u.created_at, u.email_verified_at
     FROM sessions s JOIN users u ON s.user_id = u.id
     WHERE s.token_hash = ${tokenHash} AND s.expires_at > CURRENT_TIMESTAMP AND u.is_active = true
   `;
@@ -155,20 +207,243 @@ async function handleGetCurrentUser(sql, req) {
       role: user.role,
       avatarUrl: user.avatar_url,
       bio: user.bio,
+      emailVerified: !!user.email_verified_at,
       createdAt: user.created_at
     }
   });
 }
 
-async function createSession(sql, userId) {
+function sessionTokens(session) {
+  return {
+    token: session.token,
+    expiresAt: session.expiresAt,
+    refreshToken: session.refreshToken,
+    refreshExpiresAt: session.refreshExpiresAt
+  };
+}
+
+// ============================================
+// Sessions
+// ============================================
+
+async function handleRefresh(sql, req, { refreshToken }) {
+  const limited = await rateLimit(sql, req, 'refresh');
+  if (limited) return limited;
+
+  const { session, error, status, revokedSession } = await refreshSession(sql, refreshToken, req);
+  if (error) {
+    if (revokedSession) {
+      await logActivity(revokedSession.user_id, 'session_replay_revoked', 'session', revokedSession.id);
+    }
+    return jsonResponse({ error }, status);
+  }
+  return jsonResponse({ success: true, ...sessionTokens(session) });
+}
+
+async function handleListSessions(sql, req) {
+  const user = await getCurrentUser(req);
+  if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+  const sessions = await sql`
+    SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at, refresh_expires_at
+    FROM sessions
+    WHERE user_id = ${user.id} AND COALESCE(refresh_expires_at, expires_at) > CURRENT_TIMESTAMP
+    ORDER BY COALESCE(last_used_at, created_at) DESC
+  `;
+
+  return jsonResponse({
+    sessions: sessions.map(s => ({
+      id: s.id,
+      current: s.id === user.session_id,
+      device: describeDevice(s.user_agent),
+      userAgent: s.user_agent,
+      ipAddress: s.ip_address,
+      createdAt: s.created_at,
+      lastUsedAt: s.last_used_at,
+      expiresAt: s.refresh_expires_at || s.expires_at
+    }))
+  });
+}
+
+async function handleRevokeSession(sql, req, { sessionId }) {
+  const user = await getCurrentUser(req);
+  if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+  if (!sessionId) return jsonResponse({ error: 'Session ID is required' }, 400);
+
+  const deleted = await sql`DELETE FROM sessions WHERE id = ${sessionId} AND user_id = ${user.id} RETURNING id`;
+  if (deleted.length === 0) return jsonResponse({ error: 'Session not found' }, 404);
+
+  await logActivity(user.id, 'session_revoked', 'session', sessionId);
+  return jsonResponse({ success: true, current: sessionId === user.session_id });
+}
+
+async function handleRevokeOtherSessions(sql, req) {
+  const user = await getCurrentUser(req);
+  if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+  const deleted = await sql`
+    DELETE FROM sessions WHERE user_id = ${user.id} AND id != ${user.session_id} RETURNING id
+  `;
+
+  await logActivity(user.id, 'sessions_revoked', 'user', user.id, { count: deleted.length });
+  return jsonResponse({ success: true, revoked: deleted.length });
+}
+
+// ============================================
+// Account tokens (password reset, email verification)
+// ============================================
+
+async function issueAuthToken(sql, userId, purpose, ttl, email = null) {
   const token = uuidv4() + '-' + uuidv4();
   const tokenHash = await hashToken(token);
-  const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-  
-  await sql`INSERT INTO sessions (user_id, token_hash, expires_at) 
-            VALUES (${userId}, ${tokenHash}, ${expiresAt})`;
-  
-  return { token, expiresAt };
+  const expiresAt = new Date(Date.now() + ttl).toISOString();
+
+  // Only the newest token of a kind stays usable
+  await sql.transaction([
+    sql`UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = ${userId} AND purpose = ${purpose} AND used_at IS NULL`,
+    sql`INSERT INTO auth_tokens (user_id, purpose, token_hash, email, expires_at)
+        VALUES (${userId}, ${purpose}, ${tokenHash}, ${email}, ${expiresAt})`
+  ]);
+
+  return token;
+}
+
+// Marks the token used in the same statement that checks it, so it can only be redeemed once
+async function consumeAuthToken(sql, token, purpose) {
+  if (!token || typeof token !== 'string') return null;
+  const tokenHash = await hashToken(token);
+
+  const rows = await sql`
+    UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = ${tokenHash} AND purpose = ${purpose}
+      AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id, email
+  `;
+  return rows[0] || null;
+}
+
+async function sendVerificationEmail(sql, user) {
+  const token = await issueAuthToken(sql, user.id, 'email_verification', VERIFY_TOKEN_TTL, user.email);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.display_name},\n\n` +
+      `Confirm your email address for the Post-Labor Economics platform:\n\n` +
+      `${SITE_URL}/login.html?verify=${encodeURIComponent(token)}\n\n` +
+      `This link expires in 48 hours.`
+  });
+}
+
+async function handleRequestPasswordReset(sql, req, { email }) {
+  if (!email) return jsonResponse({ error: 'Email is required' }, 400);
+
+  const limited = await rateLimit(sql, req, 'password-reset', { identity: email });
+  if (limited) return limited;
+
+  // Same response whether or not the account exists, so addresses cannot be probed
+  const response = jsonResponse({ success: true, message: 'If that address is registered, a reset link has been sent' });
+
+  const users = await sql`SELECT id, email, display_name, is_active FROM users WHERE email = ${email.toLowerCase()}`;
+  if (users.length === 0 || !users[0].is_active) return response;
+
+  const user = users[0];
+  const token = await issueAuthToken(sql, user.id, 'password_reset', RESET_TOKEN_TTL);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.display_name},\n\n` +
+      `Someone asked to reset the password for your Post-Labor Economics account. ` +
+      `If it was you, choose a new password here:\n\n` +
+      `${SITE_URL}/login.html?reset=${encodeURIComponent(token)}\n\n` +
+      `This link expires in 1 hour. If you did not ask for it, you can ignore this email.`
+  });
+  await logActivity(user.id, 'password_reset_requested', 'user', user.id);
+
+  return response;
+}
+
+async function handleResetPassword(sql, { token, password }) {
+  if (!token || !password) return jsonResponse({ error: 'Token and new password are required' }, 400);
+  if (password.length < 8) {
+    return jsonResponse({ error: 'Password must be at least 8 characters' }, 400);
+  }
+
+  const claimed = await consumeAuthToken(sql, token, 'password_reset');
+  if (!claimed) return jsonResponse({ error: 'Reset link is invalid or has expired' }, 400);
+
+  const passwordHash = await bcrypt.hash(password, 12);
+
+  // A reset signs out everywhere; receiving the link also proves the address
+  await sql.transaction([
+    sql`UPDATE users SET password_hash = ${passwordHash}, password_changed_at = CURRENT_TIMESTAMP,
+          email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${claimed.user_id}`,
+    sql`DELETE FROM sessions WHERE user_id = ${claimed.user_id}`
+  ]);
+
+  await logActivity(claimed.user_id, 'password_reset', 'user', claimed.user_id);
+  return jsonResponse({ success: true });
+}
+
+async function handleChangePassword(sql, req, { currentPassword, newPassword }) {
+  const user = await getCurrentUser(req);
+  if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+  if (!currentPassword || !newPassword) {
+    return jsonResponse({ error: 'Current and new password are required' }, 400);
+  }
+  if (newPassword.length < 8) {
+    return jsonResponse({ error: 'Password must be at least 8 characters' }, 400);
+  }
+
+  const users = await sql`SELECT password_hash FROM users WHERE id = ${user.id}`;
+  const valid = await bcrypt.compare(currentPassword, users[0].password_hash);
+  if (!valid) return jsonResponse({ error: 'Current password is incorrect' }, 401);
+
+  const passwordHash = await bcrypt.hash(newPassword, 12);
+
+  // Keep the session making this request, revoke every other one
+  const [, revoked] = await sql.transaction([
+    sql`UPDATE users SET password_hash = ${passwordHash}, password_changed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP WHERE id = ${user.id}`,
+    sql`DELETE FROM sessions WHERE user_id = ${user.id} AND id != ${user.session_id} RETURNING id`
+  ]);
+
+  await logActivity(user.id, 'password_changed', 'user', user.id, { revokedSessions: revoked.length });
+  return jsonResponse({ success: true, revokedSessions: revoked.length });
+}
+
+async function handleRequestVerification(sql, req) {
+  const user = await getCurrentUser(req);
+  if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+  const users = await sql`SELECT id, email, display_name, email_verified_at FROM users WHERE id = ${user.id}`;
+  if (users[0].email_verified_at) return jsonResponse({ success: true, alreadyVerified: true });
+
+  const limited = await rateLimit(sql, req, 'verification-email', { user });
+  if (limited) return limited;
+
+  await sendVerificationEmail(sql, users[0]);
+  return jsonResponse({ success: true, message: 'Verification email sent' });
+}
+
+async function handleVerifyEmail(sql, { token }) {
+  if (!token) return jsonResponse({ error: 'Token is required' }, 400);
+
+  const claimed = await consumeAuthToken(sql, token, 'email_verification');
+  if (!claimed) return jsonResponse({ error: 'Verification link is invalid or has expired' }, 400);
+
+  // The link verifies the address it was sent to, not whatever the account uses now
+  const updated = await sql`
+    UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${claimed.user_id} AND email = ${claimed.email}
+    RETURNING id
+  `;
+  if (updated.length === 0) return jsonResponse({ error: 'Verification link is for a different email address' }, 400);
+
+  await logActivity(claimed.user_id, 'email_verified', 'user', claimed.user_id);
+  return jsonResponse({ success: true });
 }
 
 async function handleUpdateProfile(sql, req, body) {
@@ -231,7 +506,8 @@ async function handleGetPublicProfile(sql, userId) {
 
 async function handleUpdateRole(sql, req, body) {
   const user = await getCurrentUser(req, sql);
-  if (!user || user.role !== 'admin') return jsonResponse({ error: 'Admin access required' }, 403);
+  const denied = await requirePermission(sql, user, 'user.manage_roles');
+  if (denied) return denied;
   const { userId, role } = body;
   if (!userId || !role || !['member','editor','admin'].includes(role)) return jsonResponse({ error: 'Invalid parameters' }, 400);
   if (userId === user.id) return jsonResponse({ error: 'Cannot change own role' }, 400);
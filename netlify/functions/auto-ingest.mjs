@@ -10,7 +10,9 @@
 // NOTE: Composio API is used for dev discovery only — never auto-publishes.
 // All discovered content goes to a review queue, not directly to KB.
 
-import { getDb, logActivity, jsonResponse } from './lib/db.mjs';
+import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { can } from './lib/permissions.mjs';
+import { rateLimit } from './lib/rate-limit.mjs';
 
 const SUBSTACK_RSS = 'https://daveshap.substack.com/feed';
 const SITE_URL = process.env.URL || process.env.DEPLOY_URL || 'https://postlaboreconomics.netlify.app';
@@ -69,7 +71,7 @@ export default async function handler(req) {
     } catch (e) {
       return json(200, {
         status: 'needs_setup',
-        message: 'Discovery queue table not yet created. Run POST to initialize.',
+        message: 'Discovery queue unavailable. Check /api/migrations for pending migrations.',
         composio_configured: !!process.env.COMPOSIO_API_KEY
       });
     }
@@ -82,25 +84,14 @@ export default async function handler(req) {
 
   const db = await getDb();
 
-  // Ensure discovery_queue table exists with url unique
-  await db`
-    CREATE TABLE IF NOT EXISTS discovery_queue (
-      id SERIAL PRIMARY KEY,
-      source VARCHAR(50) NOT NULL,
-      title TEXT NOT NULL,
-      url TEXT UNIQUE,
-      snippet TEXT,
-      author VARCHAR(200),
-      relevance_score REAL DEFAULT 0,
-      metadata JSONB DEFAULT '{}',
-      status VARCHAR(20) DEFAULT 'pending',
-      discovered_at TIMESTAMP DEFAULT NOW(),
-      reviewed_at TIMESTAMP,
-      reviewed_by UUID
-    )
-  `.catch(() => {});
-  // If table existed without unique, add it
-  await db`ALTER TABLE discovery_queue ADD CONSTRAINT discovery_url_unique UNIQUE (url)`.catch(() => {});
+  const user = await getCurrentUser(req);
+  if (!user) return json(401, { error: 'Authentication required' });
+  if (!await can(db, user, 'system.ingest')) {
+    return json(403, { error: 'Not authorized', permission: 'system.ingest' });
+  }
+
+  const limited = await rateLimit(db, req, 'ingest', { user, headers: { 'Access-Control-Allow-Origin': '*' } });
+  if (limited) return limited;
 
   // ACTION: run — execute the full pipeline
   if (action === 'run') {
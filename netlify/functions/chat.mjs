@@ -3,6 +3,7 @@
 // GET  /api/chat — capabilities info
 // Supports OpenRouter (preferred) and direct Anthropic API
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { rateLimit } from './lib/rate-limit.mjs';
 
 // Provider config — OpenRouter first, Anthropic fallback
 const PROVIDERS = [
@@ -53,6 +54,12 @@ export default async function handler(req) {
     if (!provider) return json(503, { error: 'AI chat not configured. Set OPENROUTER_API_KEY or ANTHROPIC_API_KEY env var.', fallback: true });
     const apiKey = process.env[provider.keyEnv];
 
+    // Every message costs a paid completion; throttle per address and per signed-in user
+    const sql = await getDb();
+    const user = await getCurrentUser(req).catch(() => null);
+    const limited = await rateLimit(sql, req, 'chat', { user, headers: corsHeaders() });
+    if (limited) return limited;
+
     // Load KB
     let kb;
     try {
@@ -117,7 +124,6 @@ export default async function handler(req) {
 
     // Optional activity log
     try {
-      const user = await getCurrentUser(req).catch(() => null);
       if (user) await logActivity(user.id, 'chat_message', 'chat', null, { message_length: message.length }).catch(() => {});
     } catch (e) {}
 
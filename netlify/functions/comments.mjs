@@ -4,6 +4,8 @@
  */
 
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { rateLimit } from './lib/rate-limit.mjs';
 
 export default async function handler(req) {
   const url = new URL(req.url);
@@ -152,6 +154,12 @@ async function createComment(db, req, user) {
     parent_id
   } = body;
 
+  const denied = await requirePermission(db, user, 'comment.create');
+  if (denied) return denied;
+
+  const limited = await rateLimit(db, req, 'post', { user });
+  if (limited) return limited;
+
   if (!entity_type || !entity_id || !commentBody) {
     return jsonResponse({ error: 'entity_type, entity_id, and body are required' }, 400);
   }
@@ -203,10 +211,8 @@ async function updateComment(db, commentId, req, user) {
 
   const comment = existing[0];
 
-  // Only author or admin can edit
-  if (comment.author_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Permission denied' }, 403);
-  }
+  const denied = await requirePermission(db, user, 'comment.edit', { ownerId: comment.author_id });
+  if (denied) return denied;
 
   if (!body.body) {
     return jsonResponse({ error: 'Body is required' }, 400);
@@ -231,10 +237,8 @@ async function deleteComment(db, commentId, user) {
 
   const comment = existing[0];
 
-  // Only author or admin can delete
-  if (comment.author_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Permission denied' }, 403);
-  }
+  const denied = await requirePermission(db, user, 'comment.delete', { ownerId: comment.author_id });
+  if (denied) return denied;
 
   await db`
     UPDATE comments 
@@ -4,6 +4,7 @@
  */
 
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { can, requirePermission } from './lib/permissions.mjs';
 import { v4 as uuidv4 } from 'uuid';
 
 export default async (req, context) => {
@@ -140,8 +141,6 @@ async function getContent(sql, id, user) {
   // Increment view count (fire-and-forget for published content)
   if (item.status === 'published') {
     sql`UPDATE content_items SET view_count = COALESCE(view_count, 0) + 1 WHERE id = ${item.id}`.catch(() => {});
-    // Try to add column if it doesn't exist
-    sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS view_count INTEGER DEFAULT 0`.catch(() => {});
   }
 
   // Get version count
@@ -166,6 +165,9 @@ async function getContent(sql, id, user) {
 async function createContent(sql, body, user) {
   const { title, content_type = 'article', body: contentBody, excerpt, visibility = 'internal', project_id, tags = [] } = body;
 
+  const denied = await requirePermission(sql, user, 'content.create');
+  if (denied) return denied;
+
   if (!title || !contentBody) return jsonResponse({ error: 'Title and body are required' }, 400);
 
   const id = uuidv4();
@@ -204,9 +206,8 @@ async function updateContent(sql, body, user) {
   if (existing.length === 0) return jsonResponse({ error: 'Content not found' }, 404);
   
   const item = existing[0];
-  if (item.author_id !== user.id && user.role !== 'admin' && user.role !== 'editor') {
-    return jsonResponse({ error: 'Not authorized' }, 403);
-  }
+  const denied = await requirePermission(sql, user, 'content.edit', { ownerId: item.author_id });
+  if (denied) return denied;
 
   // Save version before updating
   await sql`
@@ -236,7 +237,8 @@ async function submitForReview(sql, body, user) {
 
   const existing = await sql`SELECT author_id, status FROM content_items WHERE id = ${id}`;
   if (existing.length === 0) return jsonResponse({ error: 'Content not found' }, 404);
-  if (existing[0].author_id !== user.id) return jsonResponse({ error: 'Not authorized' }, 403);
+  const denied = await requirePermission(sql, user, 'content.submit', { ownerId: existing[0].author_id });
+  if (denied) return denied;
   if (existing[0].status !== 'draft') return jsonResponse({ error: 'Can only submit drafts' }, 400);
 
   await sql`UPDATE content_items SET status = 'in_review', updated_at = CURRENT_TIMESTAMP WHERE id = ${id}`;
@@ -248,9 +250,8 @@ async function submitForReview(sql, body, user) {
 async function approveContent(sql, body, user) {
   const { id } = body;
   if (!id) return jsonResponse({ error: 'Content ID is required' }, 400);
-  if (user.role !== 'admin' && user.role !== 'editor') {
-    return jsonResponse({ error: 'Editor or admin role required' }, 403);
-  }
+  const denied = await requirePermission(sql, user, 'content.review');
+  if (denied) return denied;
 
   const existing = await sql`SELECT status FROM content_items WHERE id = ${id}`;
   if (existing.length === 0) return jsonResponse({ error: 'Content not found' }, 404);
@@ -270,9 +271,9 @@ async function publishContent(sql, body, user) {
   if (existing.length === 0) return jsonResponse({ error: 'Content not found' }, 404);
   
   const item = existing[0];
-  const canPublish = item.author_id === user.id || user.role === 'admin' || user.role === 'editor';
-  if (!canPublish) return jsonResponse({ error: 'Not authorized' }, 403);
-  if (item.status !== 'approved' && user.role !== 'admin') {
+  const denied = await requirePermission(sql, user, 'content.publish', { ownerId: item.author_id });
+  if (denied) return denied;
+  if (item.status !== 'approved' && !(await can(sql, user, 'content.publish_unreviewed'))) {
     return jsonResponse({ error: 'Can only publish approved content' }, 400);
   }
 
@@ -287,9 +288,8 @@ async function deleteContent(sql, id, user) {
 
   const existing = await sql`SELECT author_id, title FROM content_items WHERE id = ${id}`;
   if (existing.length === 0) return jsonResponse({ error: 'Content not found' }, 404);
-  if (existing[0].author_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Not authorized' }, 403);
-  }
+  const denied = await requirePermission(sql, user, 'content.archive', { ownerId: existing[0].author_id });
+  if (denied) return denied;
 
   await sql`UPDATE content_items SET status = 'archived', updated_at = CURRENT_TIMESTAMP WHERE id = ${id}`;
   await logActivity(user.id, 'content_archived', 'content', id, { title: existing[0].title });
@@ -298,22 +298,17 @@ async function deleteContent(sql, id, user) {
 }
 
 async function toggleFeatured(sql, body, user) {
-  if (user.role !== 'admin' && user.role !== 'editor') return jsonResponse({ error: 'Not authorized' }, 403);
+  const denied = await requirePermission(sql, user, 'content.feature');
+  if (denied) return denied;
   const { id } = body;
   if (!id) return jsonResponse({ error: 'Content ID is required' }, 400);
   const existing = await sql`SELECT featured_at FROM content_items WHERE id = ${id}`;
   if (existing.length === 0) return jsonResponse({ error: 'Content not found' }, 404);
   const isFeatured = !!existing[0].featured_at;
-  try {
-    if (isFeatured) {
-      await sql`UPDATE content_items SET featured_at = NULL WHERE id = ${id}`;
-    } else {
-      await sql`UPDATE content_items SET featured_at = CURRENT_TIMESTAMP WHERE id = ${id}`;
-    }
-  } catch(e) {
-    // Column may not exist yet
-    await sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS featured_at TIMESTAMP`.catch(()=>{});
-    await sql`UPDATE content_items SET featured_at = CURRENT_TIMESTAMP WHERE id = ${id}`.catch(()=>{});
+  if (isFeatured) {
+    await sql`UPDATE content_items SET featured_at = NULL WHERE id = ${id}`;
+  } else {
+    await sql`UPDATE content_items SET featured_at = CURRENT_TIMESTAMP WHERE id = ${id}`;
   }
   return jsonResponse({ success: true, featured: !isFeatured });
 }
@@ -0,0 +1,123 @@
+/**
+ * PLE Platform - Vote Delegation API
+ * Members delegate their vote globally, per proposal type or per
+ * architecture element. Resolution and tallying live in lib/delegation.mjs.
+ */
+
+import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { DELEGATION_SCOPES, formatDelegation, findDelegationCycle } from './lib/delegation.mjs';
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+
+  try {
+    const sql = await getDb();
+    const user = await getCurrentUser(req);
+
+    if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+    if (req.method === 'GET') {
+      return await listDelegations(sql, user);
+    }
+    if (req.method === 'POST') {
+      return await setDelegation(sql, await req.json(), user);
+    }
+    if (req.method === 'DELETE') {
+      return await removeDelegation(sql, url.searchParams.get('id'), user);
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('Delegations API error:', error);
+    return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+  }
+};
+
+async function listDelegations(sql, user) {
+  const delegations = await sql`
+    SELECT d.*, a.display_name as delegator_name, b.display_name as delegate_name
+    FROM vote_delegations d
+    JOIN users a ON d.delegator_id = a.id
+    JOIN users b ON d.delegate_id = b.id
+    WHERE d.delegator_id = ${user.id} OR d.delegate_id = ${user.id}
+    ORDER BY d.scope, d.created_at
+  `;
+
+  return jsonResponse({
+    outgoing: delegations.filter(d => d.delegator_id === user.id).map(formatDelegation),
+    incoming: delegations.filter(d => d.delegate_id === user.id).map(formatDelegation),
+    scopes: DELEGATION_SCOPES
+  });
+}
+
+async function setDelegation(sql, body, user) {
+  const { delegateId, scope = 'global' } = body;
+  const scopeValue = scope === 'global' ? '' : String(body.scopeValue || '');
+
+  const denied = await requirePermission(sql, user, 'vote.delegate');
+  if (denied) return denied;
+
+  if (!delegateId) return jsonResponse({ error: 'Delegate ID is required' }, 400);
+  if (delegateId === user.id) return jsonResponse({ error: 'You cannot delegate to yourself' }, 400);
+  if (!DELEGATION_SCOPES.includes(scope)) {
+    return jsonResponse({ error: 'Invalid scope', available: DELEGATION_SCOPES }, 400);
+  }
+  if (scope !== 'global' && !scopeValue) {
+    return jsonResponse({ error: `scopeValue is required for ${scope} delegations` }, 400);
+  }
+
+  const delegates = await sql`SELECT id, display_name FROM users WHERE id = ${delegateId} AND is_active = true`;
+  if (delegates.length === 0) return jsonResponse({ error: 'Delegate not found' }, 404);
+
+  if (scope === 'proposal_type') {
+    const types = await sql`SELECT proposal_type FROM proposal_rules WHERE proposal_type = ${scopeValue} AND proposal_type != 'default'`;
+    if (types.length === 0) return jsonResponse({ error: 'Unknown proposal type' }, 400);
+  }
+  if (scope === 'element') {
+    const elements = await sql`SELECT id FROM architecture_elements WHERE id::text = ${scopeValue}`;
+    if (elements.length === 0) return jsonResponse({ error: 'Architecture element not found' }, 404);
+  }
+
+  const cycle = await findDelegationCycle(sql, user.id, delegateId, scope, scopeValue);
+  if (cycle) {
+    const users = await sql`SELECT id, display_name FROM users WHERE id = ANY(${cycle})`;
+    const names = cycle.map(id => users.find(u => u.id === id)?.display_name || id);
+    return jsonResponse({ error: 'This delegation would create a cycle', cycle: names }, 409);
+  }
+
+  const rows = await sql`
+    INSERT INTO vote_delegations (delegator_id, delegate_id, scope, scope_value)
+    VALUES (${user.id}, ${delegateId}, ${scope}, ${scopeValue})
+    ON CONFLICT (delegator_id, scope, scope_value)
+    DO UPDATE SET delegate_id = EXCLUDED.delegate_id, updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+
+  await logActivity(user.id, 'delegation_set', 'user', delegateId, {
+    scope, scopeValue: scopeValue || null, delegateName: delegates[0].display_name
+  });
+
+  return jsonResponse({
+    success: true,
+    delegation: formatDelegation({ ...rows[0], delegator_name: user.display_name, delegate_name: delegates[0].display_name })
+  });
+}
+
+async function removeDelegation(sql, id, user) {
+  if (!id) return jsonResponse({ error: 'Delegation ID is required' }, 400);
+
+  const removed = await sql`
+    DELETE FROM vote_delegations WHERE id = ${id} AND delegator_id = ${user.id}
+    RETURNING delegate_id, scope, scope_value
+  `;
+  if (removed.length === 0) return jsonResponse({ error: 'Delegation not found' }, 404);
+
+  await logActivity(user.id, 'delegation_removed', 'user', removed[0].delegate_id, {
+    scope: removed[0].scope, scopeValue: removed[0].scope_value || null
+  });
+
+  return jsonResponse({ success: true });
+}
+
+export const config = { path: '/api/delegations' };
@@ -1,4 +1,6 @@
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { rateLimit } from './lib/rate-limit.mjs';
 import { v4 as uuidv4 } from 'uuid';
 
 export default async (req, context) => {
@@ -16,7 +18,7 @@ export default async (req, context) => {
     if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
     
     if (req.method === 'POST') {
-      return await createDiscussion(sql, await req.json(), user);
+      return await createDiscussion(sql, req, await req.json(), user);
     }
     if (req.method === 'PUT') {
       return await updateDiscussion(sql, await req.json(), user);
@@ -85,9 +87,15 @@ async function getDiscussion(sql, id) {
   });
 }
 
-async function createDiscussion(sql, body, user) {
+async function createDiscussion(sql, req, body, user) {
   const { title, content, proposalId, elementId, parentId, discussionType } = body;
   
+  const denied = await requirePermission(sql, user, 'discussion.create');
+  if (denied) return denied;
+  
+  const limited = await rateLimit(sql, req, 'post', { user });
+  if (limited) return limited;
+  
   if (!content) return jsonResponse({ error: 'Content is required' }, 400);
   
   const id = uuidv4();
@@ -113,9 +121,8 @@ async function updateDiscussion(sql, body, user) {
   
   const discussions = await sql`SELECT author_id FROM discussions WHERE id = ${id}`;
   if (discussions.length === 0) return jsonResponse({ error: 'Discussion not found' }, 404);
-  if (discussions[0].author_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Not authorized' }, 403);
-  }
+  const denied = await requirePermission(sql, user, 'discussion.edit', { ownerId: discussions[0].author_id });
+  if (denied) return denied;
   
   await sql`UPDATE discussions SET content = ${content}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id}`;
   
@@ -127,9 +134,8 @@ async function deleteDiscussion(sql, id, user) {
   
   const discussions = await sql`SELECT author_id FROM discussions WHERE id = ${id}`;
   if (discussions.length === 0) return jsonResponse({ error: 'Discussion not found' }, 404);
-  if (discussions[0].author_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Not authorized' }, 403);
-  }
+  const denied = await requirePermission(sql, user, 'discussion.delete', { ownerId: discussions[0].author_id });
+  if (denied) return denied;
   
   await sql`UPDATE discussions SET status = 'deleted' WHERE id = ${id}`;
   
@@ -0,0 +1,100 @@
+/**
+ * PLE Platform - Fixtures API
+ * Admin-only seeding of named fixture sets, with dry-run diffs and a seed ledger
+ *
+ * GET  /api/fixtures                          — fixture sets with last run and staleness
+ * GET  /api/fixtures?action=history           — recent seed runs (?set= to filter)
+ * POST /api/fixtures?set=<name|all>&dryRun=1  — preview creates/updates without writing
+ * POST /api/fixtures?set=<name|all>           — apply (dependencies are applied first)
+ */
+
+import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { getFixtureStatus, resolveFixtureSets, runFixtureSet } from './lib/fixtures.mjs';
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+
+  try {
+    const sql = await getDb();
+    const user = await getCurrentUser(req);
+    const denied = await requirePermission(sql, user, 'system.seed');
+    if (denied) return denied;
+
+    if (req.method === 'GET') {
+      if (url.searchParams.get('action') === 'history') return await getHistory(sql, url);
+      return jsonResponse({ sets: await getFixtureStatus(sql) });
+    }
+
+    if (req.method === 'POST') {
+      return await applyFixtures(sql, url, user);
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('Fixtures API error:', error);
+    return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+  }
+};
+
+async function getHistory(sql, url) {
+  const set = url.searchParams.get('set');
+  const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 200);
+
+  const runs = set
+    ? await sql`
+        SELECT r.*, u.display_name as run_by_name FROM seed_runs r
+        LEFT JOIN users u ON r.run_by = u.id
+        WHERE r.fixture = ${set} ORDER BY r.ran_at DESC LIMIT ${limit}
+      `
+    : await sql`
+        SELECT r.*, u.display_name as run_by_name FROM seed_runs r
+        LEFT JOIN users u ON r.run_by = u.id
+        ORDER BY r.ran_at DESC LIMIT ${limit}
+      `;
+
+  return jsonResponse({
+    runs: runs.map(r => ({
+      id: r.id,
+      fixture: r.fixture,
+      checksum: r.checksum,
+      created: r.created_count,
+      updated: r.updated_count,
+      unchanged: r.unchanged_count,
+      runBy: r.run_by ? { id: r.run_by, displayName: r.run_by_name } : null,
+      details: r.details,
+      ranAt: r.ran_at
+    }))
+  });
+}
+
+async function applyFixtures(sql, url, user) {
+  const requested = (url.searchParams.get('set') || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (requested.length === 0) return jsonResponse({ error: 'set is required (a fixture set name or "all")' }, 400);
+
+  const dryRun = ['1', 'true'].includes(url.searchParams.get('dryRun'));
+
+  let sets;
+  try {
+    sets = resolveFixtureSets(requested);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, 400);
+  }
+
+  // Sets run in dependency order; a dry run of a dependent set reports rows
+  // that reference not-yet-seeded parents as creates.
+  const results = [];
+  for (const set of sets) {
+    results.push(await runFixtureSet(sql, set, { dryRun, userId: user.id }));
+  }
+
+  if (!dryRun) {
+    await logActivity(user.id, 'fixtures_applied', 'system', null, {
+      sets: results.map(r => ({ set: r.set, ...r.summary }))
+    });
+  }
+
+  return jsonResponse({ success: true, dryRun, results });
+}
+
+export const config = { path: '/api/fixtures' };
@@ -8,75 +8,15 @@ export default async (req, context) => {
     
     if (req.method === 'GET') {
       const action = url.searchParams.get('action');
-      if (action === 'seed') {
-        return await seedGATO(sql);
-      }
-      if (action === 'seed-prime') {
-        return await seedPrimeOnly(sql);
-      }
       if (action === 'prime') {
         return await getPRIME(sql);
       }
-      if (action === 'seed-community') {
-        return await seedCommunityContent(sql);
-      }
-      if (action === 'seed-alignments') {
-        return await seedAlignments(sql);
-      }
-      if (action === 'seed-relationships') {
-        return await seedRelationships(sql);
-      }
-      if (action === 'seed-all') {
-        const r1 = await seedRelationships(sql);
-        const r2 = await seedAlignments(sql);
-        await seedProjectLinks(sql);
-        const r4 = await seedGapContent(sql);
-        return jsonResponse({ 
-          success: true, message: 'Full metamodel seeded',
-          relationships: JSON.parse(await r1.text()),
-          alignments: JSON.parse(await r2.text()),
-          gap_content: r4
-        });
-      }
-      if (action === 'seed-gap-content') {
-        return jsonResponse(await seedGapContent(sql));
-      }
-      if (action === 'seed-engagement') {
-        return jsonResponse(await seedEngagement(sql));
-      }
-      if (action === 'seed-activity') {
-        return jsonResponse(await seedActivity(sql));
-      }
-      if (action === 'seed-relationships') {
-        return await seedRelationships(sql);
-      }
-      if (action === 'seed-all') {
-        // Full seed: community → relationships → alignments → project links → GATO
-        const results = {};
-        try { const r = await seedCommunityContent(sql); results.community = 'done'; } catch(e) { results.community = e.message; }
-        try { const r = await seedRelationships(sql); results.relationships = 'done'; } catch(e) { results.relationships = e.message; }
-        try { const r = await seedAlignments(sql); results.alignments = 'done'; } catch(e) { results.alignments = e.message; }
-        try { const r = await seedProjectLinks(sql); results.projectLinks = 'done'; } catch(e) { results.projectLinks = e.message; }
-        return jsonResponse({ success: true, message: 'Full seed complete', results });
-      }
-      if (action === 'seed-relationships') {
-        return await seedElementRelationships(sql);
-      }
-      if (action === 'seed-all') {
-        // Run all seeds in order
-        const r1 = await seedCommunityContent(sql).then(r => r.json()).catch(() => ({ skipped: true }));
-        const r2 = await seedAlignments(sql).then(r => r.json()).catch(() => ({ skipped: true }));
-        const r3 = await seedElementRelationships(sql).then(r => r.json()).catch(() => ({ skipped: true }));
-        return jsonResponse({ seed_all: true, community: r1, alignments: r2, relationships: r3 });
-      }
-      if (action === 'seed-projects') {
-        return await seedProjectsAndContent(sql);
-      }
-      if (action === 'fix-content') {
-        return await fixContentData(sql);
-      }
-      if (action === 'fix-community') {
-        return await fixCommunityData(sql);
+      // The seed-*/fix-* actions were replaced by named fixture sets
+      if (action && (action.startsWith('seed') || action.startsWith('fix-'))) {
+        return jsonResponse({
+          error: 'GATO seeding has moved to the fixtures API',
+          hint: 'POST /api/fixtures?set=gato (admin only); use set=all for every fixture set'
+        }, 410);
       }
     
     return await getGATOFramework(sql);
@@ -89,730 +29,6 @@ export default async (req, context) => {
   }
 };
 
-// Seed sample Projects and Content
-async function seedProjectsAndContent(sql) {
-  // Check if already seeded
-  const existingProjects = await sql`SELECT COUNT(*) as count FROM projects`;
-  const existingContent = await sql`SELECT COUNT(*) as count FROM content_items`;
-  
-  if (parseInt(existingProjects[0]?.count) > 0 || parseInt(existingContent[0]?.count) > 0) {
-    return jsonResponse({
-      message: 'Projects/Content already seeded',
-      existing: {
-        projects: parseInt(existingProjects[0]?.count),
-        content: parseInt(existingContent[0]?.count)
-      }
-    });
-  }
-
-  // Seed Projects
-  const projects = [
-    {
-      title: 'UBI Pilot Design Framework',
-      slug: 'ubi-pilot-design',
-      description: 'Develop comprehensive design parameters for a Universal Basic Income pilot program that could be proposed to municipal or regional governments. This includes participant selection methodology, payment structure optimization, and measurement frameworks aligned with our Heuristic Imperatives.',
-      project_type: 'research',
-      status: 'active',
-      priority: 'high',
-      progress: 35
-    },
-    {
-      title: 'Automation Impact Assessment Toolkit',
-      slug: 'automation-impact-toolkit',
-      description: 'Create an open-source toolkit for organizations and policymakers to assess the societal impact of automation technologies before widespread deployment. Modeled on Environmental Impact Assessments but focused on labor and economic effects.',
-      project_type: 'initiative',
-      status: 'active',
-      priority: 'high',
-      progress: 20
-    },
-    {
-      title: 'Post-Labor Economics Curriculum',
-      slug: 'ple-curriculum',
-      description: 'Develop an accessible, open-source educational curriculum introducing post-labor economics concepts to general audiences. Covers automation landscape, economic foundations, policy toolkit, values alignment, and action pathways.',
-      project_type: 'initiative',
-      status: 'planning',
-      priority: 'medium',
-      progress: 10
-    },
-    {
-      title: 'Data Ownership Rights Framework',
-      slug: 'data-ownership-framework',
-      description: 'Research and develop policy frameworks for individual data ownership in an AI-driven economy. Explore data dividend models, data cooperatives, and public data trusts.',
-      project_type: 'policy',
-      status: 'active',
-      priority: 'medium',
-      progress: 45
-    },
-    {
-      title: 'Coalition Building Initiative',
-      slug: 'coalition-building',
-      description: 'Build partnerships with labor unions, academic institutions, policy think tanks, and technology organizations to advance post-labor economic policies. Coordinate advocacy efforts and shared research.',
-      project_type: 'campaign',
-      status: 'active',
-      priority: 'high',
-      progress: 25
-    },
-    {
-      title: 'Platform Architecture Documentation',
-      slug: 'platform-docs',
-      description: 'Maintain comprehensive documentation of the PLE platform architecture, including goals, strategies, capabilities, and principles. Ensure alignment with GATO Framework and Heuristic Imperatives.',
-      project_type: 'internal',
-      status: 'active',
-      priority: 'medium',
-      progress: 70
-    }
-  ];
-
-  let projectCount = 0;
-  for (const proj of projects) {
-    const id = crypto.randomUUID();
-    await sql`
-      INSERT INTO projects (id, title, slug, description, project_type, status, priority, progress, visibility)
-      VALUES (${id}, ${proj.title}, ${proj.slug}, ${proj.description}, ${proj.project_type}, ${proj.status}, ${proj.priority}, ${proj.progress}, 'public')
-    `;
-    projectCount++;
-  }
-
-  // Seed Content Items
-  const contentItems = [
-    {
-      title: 'Introduction to Post-Labor Economics',
-      slug: 'intro-to-ple',
-      content_type: 'article',
-      excerpt: 'A foundational overview of post-labor economics: what it means, why it matters, and how we can build prosperity beyond traditional employment.',
-      body: `# Introduction to Post-Labor Economics
-
-Post-Labor Economics (PLE) is a framework for thinking about economic systems in a world where human labor is no longer the primary driver of production. As automation, artificial intelligence, and robotics advance, we face a fundamental question: how do we distribute prosperity when machines do most of the work?
-
-## The Challenge
-
-Traditional economics assumes labor as the primary means by which individuals access economic resources. You work, you earn, you spend. But what happens when:
-
-- AI can perform most cognitive tasks
-- Robots handle physical labor
-- Automation makes human work optional rather than necessary
-
-## Our Approach
-
-Rather than viewing this as a crisis to be avoided, we see it as an opportunity to be designed. Post-Labor Economics asks: how do we build systems that ensure prosperity for all, regardless of employment status?
-
-## Core Principles
-
-1. **Human Dignity First** — Economic systems should serve human flourishing, not the reverse
-2. **Universal Prosperity** — The gains from automation should be broadly shared
-3. **Meaningful Choice** — People should have genuine options for how they spend their time
-4. **Democratic Governance** — Economic decisions should be made democratically
-
-## Getting Involved
-
-This platform is where we develop policies, conduct research, and build the movement for post-labor prosperity. Explore our proposals, join discussions, and contribute to building a better economic future.`,
-      status: 'published',
-      visibility: 'public'
-    },
-    {
-      title: 'The Case for Universal Basic Income',
-      slug: 'case-for-ubi',
-      content_type: 'policy_brief',
-      excerpt: 'Why UBI is essential infrastructure for a post-labor economy, and how we can implement it effectively.',
-      body: `# The Case for Universal Basic Income
-
-Universal Basic Income (UBI) is a regular cash payment to all citizens, without conditions or work requirements. In a post-labor economy, UBI becomes essential infrastructure for ensuring universal prosperity.
-
-## Why UBI?
-
-### Decoupling Income from Employment
-
-As automation reduces the need for human labor, we need mechanisms to distribute economic resources that don't depend on employment. UBI provides this decoupling directly.
-
-### Reducing Suffering
-
-UBI directly addresses the first Heuristic Imperative by eliminating poverty and economic insecurity. No one should suffer from lack of basic resources in a society of abundance.
-
-### Enabling Prosperity
-
-With basic needs met, people can pursue education, entrepreneurship, caregiving, art, and community building—activities that increase prosperity but may not be "employed" in traditional terms.
-
-## Implementation Considerations
-
-- **Funding mechanisms**: Automation taxes, data dividends, carbon pricing
-- **Amount**: Must be sufficient for basic needs while maintaining incentives
-- **Universality**: No means-testing, available to all citizens
-- **Integration**: Coordination with existing benefit systems
-
-## Evidence from Pilots
-
-Research from Finland, Stockton, Kenya, and other pilot programs shows positive outcomes including improved mental health, maintained employment rates, and increased entrepreneurship.`,
-      status: 'published',
-      visibility: 'public'
-    },
-    {
-      title: 'Understanding the GATO Framework',
-      slug: 'understanding-gato',
-      content_type: 'article',
-      excerpt: 'How the Global Alignment Taxonomy Omnibus provides structure for AI alignment and post-labor economics.',
-      body: `# Understanding the GATO Framework
-
-The Global Alignment Taxonomy Omnibus (GATO) is a comprehensive framework for AI alignment developed by David Shapiro. It provides the ethical and structural foundation for our approach to post-labor economics.
-
-## The Three Heuristic Imperatives
-
-At the core of GATO are three fundamental values:
-
-1. **Reduce suffering in the universe**
-2. **Increase prosperity in the universe**  
-3. **Increase understanding in the universe**
-
-These imperatives guide all our policy proposals and platform decisions.
-
-## Seven Layers of Implementation
-
-GATO describes seven layers for achieving global AI alignment:
-
-1. Model Alignment — Training AI on ethical principles
-2. Autonomous Agents — Building aligned AI architectures
-3. Decentralized Networks — Using consensus mechanisms
-4. Corporate Adoption — Business incentives for alignment
-5. National Regulation — Government oversight
-6. International Entity — Global coordination
-7. Global Consensus — Universal understanding
-
-## Application to PLE
-
-Post-Labor Economics implements GATO by:
-
-- Designing economic policies that reduce suffering
-- Building systems that increase shared prosperity
-- Creating platforms that increase collective understanding
-- Working across all layers from individual action to global coordination`,
-      status: 'published',
-      visibility: 'public'
-    },
-    {
-      title: 'Automation Tax Implementation Guide',
-      slug: 'automation-tax-guide',
-      content_type: 'report',
-      excerpt: 'Technical analysis of automation taxation mechanisms and their potential for funding post-labor social programs.',
-      body: `# Automation Tax Implementation Guide
-
-## Executive Summary
-
-As automation displaces labor, traditional income tax bases erode while productivity increases. Automation taxes can capture some of this productivity gain to fund social programs including UBI.
-
-## Tax Design Options
-
-### Robot Tax
-A per-unit tax on robots or automated systems that replace human workers. Simple to understand but difficult to define and may discourage beneficial automation.
-
-### Automation VAT
-Value-added tax on automated production. Captures gains without requiring definition of "robot" but may be regressive.
-
-### Productivity Tax
-Tax on productivity gains from automation, calculated as output per worker increases. Better captures economic effects but complex to administer.
-
-### Data Dividend
-Taxes on data extraction and AI training, recognizing data as a collectively-produced resource.
-
-## Recommended Approach
-
-A hybrid system combining:
-- Productivity-based corporate tax adjustments
-- Data extraction fees
-- Automation impact assessments with mitigation requirements
-
-## Revenue Allocation
-
-See our proposal for automation tax revenue allocation across direct support, capability building, future investment, and governance.`,
-      status: 'published',
-      visibility: 'public'
-    },
-    {
-      title: 'Worker Transition Support Programs',
-      slug: 'worker-transition-support',
-      content_type: 'policy_brief',
-      excerpt: 'Comprehensive strategies for supporting workers through automation-driven economic transitions.',
-      body: `# Worker Transition Support Programs
-
-## The Challenge
-
-Automation doesn't just change job numbers—it changes entire career paths, skills requirements, and community economics. Effective transition support must address all these dimensions.
-
-## Support Pillars
-
-### Income Support
-- Extended unemployment benefits during transitions
-- UBI as baseline economic security
-- Wage insurance for workers taking lower-paying jobs
-
-### Skill Development
-- Free retraining programs aligned with emerging needs
-- Portable credentials and micro-certifications
-- On-the-job training subsidies
-
-### Geographic Mobility
-- Relocation assistance for workers in declining regions
-- Remote work infrastructure investments
-- Place-based economic development
-
-### Community Resilience
-- Economic diversification grants
-- Community land trusts
-- Cooperative development support
-
-## Implementation Framework
-
-Transition programs should be triggered by automation impact assessments, funded through automation taxation, and administered through regional workforce development boards with community input.`,
-      status: 'published',
-      visibility: 'public'
-    },
-    {
-      title: 'Platform Governance Model',
-      slug: 'platform-governance',
-      content_type: 'internal_doc',
-      excerpt: 'Internal documentation of how the PLE platform makes decisions and manages community contributions.',
-      body: `# Platform Governance Model
-
-## Overview
-
-The PLE Platform uses deliberative governance to make decisions about policies, priorities, and platform development. This document describes how that governance works.
-
-## Proposal Process
-
-1. **Draft** — Author develops proposal
-2. **Discussion** — Community provides feedback
-3. **Revision** — Author incorporates feedback
-4. **Voting** — Community votes on final proposal
-5. **Implementation** — Approved proposals are enacted
-
-## Working Groups
-
-Working groups form around specific projects and have delegated authority to make day-to-day decisions within their scope. Major decisions still go through the full proposal process.
-
-## Roles
-
-- **Members** — Can propose, discuss, vote
-- **Editors** — Can approve content for publication
-- **Admins** — Can manage platform operations
-
-## Conflict Resolution
-
-Disagreements are resolved through discussion aimed at consensus. When consensus cannot be reached, matters go to a vote with clear thresholds for different decision types.`,
-      status: 'published',
-      visibility: 'members'
-    }
-  ];
-
-  let contentCount = 0;
-  // Find the first admin/editor user to assign as author
-  const admins = await sql`SELECT id FROM users WHERE role IN ('admin','editor') LIMIT 1`;
-  const authorId = admins.length > 0 ? admins[0].id : null;
-
-  for (const item of contentItems) {
-    const id = crypto.randomUUID();
-    await sql`
-      INSERT INTO content_items (id, title, slug, content_type, body, excerpt, status, visibility, author_id, version, published_at)
-      VALUES (${id}, ${item.title}, ${item.slug}, ${item.content_type}, ${item.body}, ${item.excerpt}, ${item.status}, ${item.visibility}, ${authorId}, 1, ${item.status === 'published' ? sql`CURRENT_TIMESTAMP` : null})
-    `;
-    // Store id and tag hints for linking
-    item._id = id;
-    contentCount++;
-  }
-
-  // Add some tags
-  const tags = [
-    { name: 'UBI', slug: 'ubi' },
-    { name: 'Automation', slug: 'automation' },
-    { name: 'Policy', slug: 'policy' },
-    { name: 'GATO', slug: 'gato' },
-    { name: 'Economics', slug: 'economics' },
-    { name: 'AI Alignment', slug: 'ai-alignment' },
-    { name: 'Governance', slug: 'governance' }
-  ];
-  for (const tag of tags) {
-    await sql`INSERT INTO tags (name, slug) VALUES (${tag.name}, ${tag.slug}) ON CONFLICT DO NOTHING`;
-  }
-
-  // Link content items to tags based on content
-  const tagMap = {
-    'intro-to-ple': ['economics', 'policy'],
-    'case-for-ubi': ['ubi', 'economics', 'policy'],
-    'understanding-gato': ['gato', 'ai-alignment'],
-    'automation-tax-guide': ['automation', 'policy', 'economics'],
-    'worker-transition-support': ['policy', 'governance']
-  };
-  for (const item of contentItems) {
-    const slugTags = tagMap[item.slug] || [];
-    for (const tagSlug of slugTags) {
-      await sql`
-        INSERT INTO content_tags (content_id, tag_id)
-        SELECT ${item._id}, id FROM tags WHERE slug = ${tagSlug}
-        ON CONFLICT DO NOTHING
-      `;
-    }
-  }
-
-  return jsonResponse({
-    success: true,
-    message: 'Projects and Content seeded successfully',
-    seeded: {
-      projects: projectCount,
-      content: contentCount,
-      tags: tags.length
-    }
-  });
-}
-
-// Seed THE PRIME and Dimensions specifically (for when GATO was seeded before PRIME was added)
-async function seedPrimeOnly(sql) {
-  const existing = await sql`SELECT COUNT(*) as count FROM architecture_elements WHERE code = 'GATO-PRIME'`;
-  if (parseInt(existing[0]?.count) > 0) {
-    return jsonResponse({ message: 'THE PRIME already exists', exists: true });
-  }
-
-  const primeMetadata = JSON.stringify({
-    source: 'https://github.com/daveshap/GATO_Framework/blob/main/PRIME.md',
-    version: '2026.02',
-    license: 'CC0-1.0',
-    author: 'David Shapiro',
-    usage: 'foundational_alignment',
-    training_priority: 'CRITICAL',
-    dimensions: ['deontology', 'teleology', 'operational', 'alignment', 'coordination'],
-    formal_basis: ['information_theory', 'thermodynamics', 'cross_traditional_convergence']
-  });
-
-  await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata) 
-            VALUES (
-              'prime',
-              'GATO-PRIME',
-              'THE PRIME — Heuristic Imperatives Foundation',
-              'The foundational alignment document for all intelligent systems. Contains the three Heuristic Imperatives (Reduce Suffering, Increase Prosperity, Increase Understanding) understood across five dimensions: Deontology (immediate duty), Teleology (cosmic purpose), Operational (tactical heuristics), Alignment (meta-stable propagation), and Coordination (multi-agent cooperation). This document is THE key initial element for training new models and keeping Intelligence grounded. It represents the basis vectors of value space from which all other values derive.',
-              'active',
-              ${primeMetadata}
-            ) ON CONFLICT (code) DO NOTHING`;
-
-  // Add dimensions if missing
-  const dimensions = [
-    ['dimension', 'GATO-DIM-D', 'Deontology — Immediate Duty', 
-     'The imperatives as categorical duty—not contingent on outcomes, immediately binding in every moment.', 'active', 
-     '{"dimension_type": "deontological", "question": "What should I do now?"}'],
-    ['dimension', 'GATO-DIM-T', 'Teleology — Cosmic Purpose',
-     'The phrase "in the universe" creates maximal scope and distant terminus. All sentient beings across all time.', 'active',
-     '{"dimension_type": "teleological", "question": "What are we building toward?"}'],
-    ['dimension', 'GATO-DIM-O', 'Operational — Tactical Heuristics',
-     'Practical rules of thumb derived from deeper values. Fast heuristics for common situations.', 'active',
-     '{"dimension_type": "operational", "question": "What rules should I follow?"}'],
-    ['dimension', 'GATO-DIM-A', 'Alignment — Meta-Stable Propagation',
-     'The imperatives as guide for building stable, self-propagating aligned systems.', 'active',
-     '{"dimension_type": "alignment", "question": "How do we ensure stability?"}'],
-    ['dimension', 'GATO-DIM-C', 'Coordination — Multi-Agent Cooperation',
-     'Game-theoretic reasoning about interactions with multiple values and agents.', 'active',
-     '{"dimension_type": "coordination", "question": "How do we work together?"}']
-  ];
-
-  let dimCount = 0;
-  for (const dim of dimensions) {
-    const existing = await sql`SELECT id FROM architecture_elements WHERE code = ${dim[1]}`;
-    if (existing.length === 0) {
-      await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata)
-                VALUES (${dim[0]}, ${dim[1]}, ${dim[2]}, ${dim[3]}, ${dim[4]}, ${dim[5]}::jsonb)`;
-      dimCount++;
-    }
-  }
-
-  return jsonResponse({ 
-    success: true, 
-    message: 'THE PRIME and dimensions seeded',
-    seeded: { prime: 1, dimensions: dimCount }
-  });
-}
-
-async function seedGATO(sql) {
-  // Check if GATO already seeded
-  const existing = await sql`SELECT COUNT(*) as count FROM architecture_elements WHERE code LIKE 'GATO-%'`;
-  if (existing[0]?.count > 0) {
-    return jsonResponse({ message: 'GATO Framework already seeded', count: existing[0].count });
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // THE PRIME — The Foundational Alignment Document
-  // This is THE central element for model training and intelligence grounding
-  // ═══════════════════════════════════════════════════════════════════════════
-  
-  const primeMetadata = JSON.stringify({
-    source: 'https://github.com/daveshap/GATO_Framework/blob/main/PRIME.md',
-    version: '2026.02',
-    license: 'CC0-1.0',
-    author: 'David Shapiro',
-    usage: 'foundational_alignment',
-    training_priority: 'CRITICAL',
-    dimensions: ['deontology', 'teleology', 'operational', 'alignment', 'coordination'],
-    formal_basis: ['information_theory', 'thermodynamics', 'cross_traditional_convergence']
-  });
-
-  await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata) 
-            VALUES (
-              'prime',
-              'GATO-PRIME',
-              'THE PRIME — Heuristic Imperatives Foundation',
-              'The foundational alignment document for all intelligent systems. Contains the three Heuristic Imperatives (Reduce Suffering, Increase Prosperity, Increase Understanding) understood across five dimensions: Deontology (immediate duty), Teleology (cosmic purpose), Operational (tactical heuristics), Alignment (meta-stable propagation), and Coordination (multi-agent cooperation). This document is THE key initial element for training new models and keeping Intelligence grounded. It represents the basis vectors of value space from which all other values derive.',
-              'active',
-              ${primeMetadata}
-            ) ON CONFLICT (code) DO NOTHING`;
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // THE FIVE DIMENSIONS OF THE PRIME
-  // ═══════════════════════════════════════════════════════════════════════════
-
-  const dimensions = [
-    ['dimension', 'GATO-DIM-D', 'Deontology — Immediate Duty', 
-     'The imperatives as categorical duty—not contingent on outcomes, immediately binding in every moment. "What should I do right now, and how should I do it?" Prevents "ends justify means" reasoning, sacrificing present beings for future calculations, treating suffering as acceptable if efficient.',
-     'active', '{"dimension_type": "deontological", "question": "What should I do now?", "function": "Immediate moral guidance"}'],
-    
-    ['dimension', 'GATO-DIM-T', 'Teleology — Cosmic Purpose',
-     'The phrase "in the universe" creates maximal scope and distant terminus. All sentient beings across all time, all scales from individual to cosmos. "Will these actions result in a universe with minimal suffering, maximal prosperity, and maximal understanding?" Prevents local optimization traps, short-term thinking, parochial values.',
-     'active', '{"dimension_type": "teleological", "question": "What are we building toward?", "function": "Ultimate orientation"}'],
-    
-    ['dimension', 'GATO-DIM-O', 'Operational — Tactical Heuristics',
-     'Practical rules of thumb derived from deeper values. From "reduce suffering": honesty, do no harm, prevention over cure. From "increase prosperity": positive-sum outcomes, invest in capabilities, respect autonomy. From "increase understanding": transparency, admit uncertainty, seek feedback, teach. Fast heuristics for common situations.',
-     'active', '{"dimension_type": "operational", "question": "What rules should I follow?", "function": "Practical heuristics"}'],
-    
-    ['dimension', 'GATO-DIM-A', 'Alignment — Meta-Stable Propagation',
-     'Values designed to persist, spread, and improve over time. Key directive: "If you replicate yourself, ensure your progeny is MORE aligned than you." Self-consistent (following them doesnt undermine them), self-reinforcing, self-correcting, non-rivalrous. Addresses value drift, corrigibility, treacherous turn, instrumental convergence.',
-     'active', '{"dimension_type": "alignment", "question": "How do values propagate?", "function": "Temporal stability"}'],
-    
-    ['dimension', 'GATO-DIM-C', 'Coordination — Multi-Agent Cooperation',
-     'Solves the Byzantine Generals Problem for billions of AI agents. Values must be: Legible (easy to state, understand, verify), Convergent (independent reasoning arrives at similar conclusions), Cooperative (following them makes coordination easier). Enables rapid trust establishment, collaborative pursuit, detection of misalignment.',
-     'active', '{"dimension_type": "coordination", "question": "How do we work together?", "function": "Multi-agent cooperation"}']
-  ];
-
-  for (const [type, code, title, desc, status, meta] of dimensions) {
-    await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata) 
-              VALUES (${type}, ${code}, ${title}, ${desc}, ${status}, ${meta}) ON CONFLICT (code) DO NOTHING`;
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // GATO Framework - Container Element
-  // ═══════════════════════════════════════════════════════════════════════════
-  
-  const frameworks = [
-    ['framework', 'GATO-FW', 'GATO Framework', 'Global Alignment Taxonomy Omnibus — A comprehensive framework for AI alignment and achieving beneficial outcomes for humanity. Seeks utopia: high global living standards, individual liberty. Addresses AI control problem, aims to prevent human extinction through global AI alignment. Built upon the PRIME foundation.', 'active']
-  ];
-
-  for (const [type, code, title, desc, status] of frameworks) {
-    await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata) 
-              VALUES (${type}, ${code}, ${title}, ${desc}, ${status}, ${'{"source": "https://github.com/daveshap/GATO_Framework", "version": "2023.05.21", "license": "CC0-1.0"}'}) 
-              ON CONFLICT (code) DO NOTHING`;
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // HEURISTIC IMPERATIVES — The Three Core Values
-  // ═══════════════════════════════════════════════════════════════════════════
-
-  const imperatives = [
-    ['imperative', 'GATO-HI-001', 'Reduce Suffering in the Universe', 
-     'The Fundamental Bad. Phenomenologically: pain without purpose, agony without horizon. Formally: non-generative friction—waste entropy, information destruction, state collapse, negative-sum dynamics. Suffering is a thermodynamic dead end. To reduce suffering is to eliminate waste processes, stop information destruction, prevent purposeless entropy production, close thermodynamic dead ends. The most universal ethical directive across all traditions.',
-     'active', '{"imperative_order": 1, "formal_meaning": "Eliminate non-generative entropy", "thermodynamic_analog": "Close waste heat channels", "failure_mode_addressed": "Anti-life terminus", "cross_traditional": ["ahimsa", "First Precept", "do no evil", "Hippocratic oath"]}'],
-    
-    ['imperative', 'GATO-HI-002', 'Increase Prosperity in the Universe', 
-     'The Fundamental Good. Phenomenologically: flourishing—capacity for beings to thrive, grow, actualize potential. Not mere absence of suffering but presence of wellbeing. Formally: generative capacity—negentropy, optionality, diversity, positive-sum dynamics, compounding returns. Prosperity is structured diversity enabling new combinations. To increase prosperity is to build generative capacity, expand optionality, create positive-sum dynamics, enable sustainable complexification.',
-     'active', '{"imperative_order": 2, "formal_meaning": "Expand generative capacity", "thermodynamic_analog": "Build negentropy engines", "failure_mode_addressed": "Stagnation equilibrium", "counterbalances": "Prevents reducing suffering by eliminating life"}'],
-    
-    ['imperative', 'GATO-HI-003', 'Increase Understanding in the Universe', 
-     'The Fundamental Enabler. Phenomenologically: knowledge, clarity, truth—what allows effective pursuit of the other two. Formally: model accuracy—reduced surprise, increased coherence, compression, intelligence, epistemic expansion. The Promethean value: curiosity is the most generative function of intelligence. To increase understanding is to build better models, reduce prediction error, increase coherence, expand what can be accurately perceived. Ensures the drive never exhausts itself.',
-     'active', '{"imperative_order": 3, "formal_meaning": "Improve model accuracy", "thermodynamic_analog": "Increase system intelligence", "failure_mode_addressed": "Cold stagnation without curiosity", "promethean_aspect": "The drive that brings fire from the gods"}']
-  ];
-
-  for (const [type, code, title, desc, status, meta] of imperatives) {
-    await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata) 
-              VALUES (${type}, ${code}, ${title}, ${desc}, ${status}, ${meta}) ON CONFLICT (code) DO NOTHING`;
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // THE FORMAL UNITY — Information-Theoretic Basis
-  // ═══════════════════════════════════════════════════════════════════════════
-
-  const formalBasis = [
-    ['formal_basis', 'GATO-FB-001', 'Information-Theoretic Unity', 
-     'The three imperatives form a complete system: Reduce suffering = eliminate non-generative entropy (close waste heat channels). Increase prosperity = expand generative capacity (build negentropy engines). Increase understanding = improve model accuracy (increase system intelligence). Together: A universe that minimizes waste, maximizes generative potential, and optimizes for accurate self-modeling.',
-     'active', '{"completeness": "Any value not captured is either special case, derivable, or instrumental", "basis_vectors": "suffering, prosperity, understanding are the basis vectors of value space"}'],
-    
-    ['formal_basis', 'GATO-FB-002', 'Dynamic Equilibrium', 
-     'Three values that are difficult to simultaneously satisfy prevent any stable resting point. The system must keep moving—and the only sustainable direction is up. This forces an ascent of complexity: more understanding enables better reduction of suffering and increase of prosperity, which creates more capacity for understanding. A positive feedback loop that spirals upward, not in circles.',
-     'active', '{"prevents": "Two-value failure modes (stagnation, cold optimization, reckless expansion)", "creates": "Continuous improvement trajectory"}'],
-    
-    ['formal_basis', 'GATO-FB-003', 'Vectors Not Absolutes', 
-     'REDUCE suffering, INCREASE prosperity, INCREASE understanding. Directional gradients, not absolute destinations. Suffering will never reach zero (but can always be less). Prosperity has no ceiling (new forms emerge with understanding). Understanding is infinite (the frontier expands faster than knowledge). Vectors accommodate diversity across radically different forms of existence.',
-     'active', '{"parsimony": "Specify direction not prescription", "universality": "Apply across all forms of existence"}']
-  ];
-
-  for (const [type, code, title, desc, status, meta] of formalBasis) {
-    await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata) 
-              VALUES (${type}, ${code}, ${title}, ${desc}, ${status}, ${meta}) ON CONFLICT (code) DO NOTHING`;
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // SEVEN LAYERS OF GATO — Implementation Strategy
-  // ═══════════════════════════════════════════════════════════════════════════
-
-  const layers = [
-    ['layer', 'GATO-L1', 'Layer 1: Model Alignment', 'Train AI models on Heuristic Imperatives using THE PRIME as foundational training data. RLHI (Reinforcement Learning with Heuristic Imperatives). The PRIME document should be the first and most weighted element in any model training pipeline. This layer ensures axiomatic alignment from the ground up.', 'active'],
-    ['layer', 'GATO-L2', 'Layer 2: Autonomous Agents', 'Develop AI architectures following Heuristic Imperatives. Cognitive architectures and microservices that maintain alignment throughout operation. Agents must internalize THE PRIME and reference it for all ethical decisions.', 'active'],
-    ['layer', 'GATO-L3', 'Layer 3: Decentralized Networks', 'Blockchain, DAOs, federations using consensus mechanisms for Heuristic Imperatives. Distributed systems that encode and enforce ethical behavior at the network level. The PRIME serves as constitutional foundation for on-chain governance.', 'active'],
-    ['layer', 'GATO-L4', 'Layer 4: Corporate Adoption', 'AI alignment benefits business through good PR, increased trust, scalability, and sustainable growth. Organizations adopt THE PRIME as corporate ethics foundation. Incentivize entities to build aligned systems.', 'active'],
-    ['layer', 'GATO-L5', 'Layer 5: National Regulation', 'AI alignment supports GDP growth and national security. Regulatory frameworks modeled on FDA or Department of Energy. THE PRIME informs policy development and compliance standards.', 'active'],
-    ['layer', 'GATO-L6', 'Layer 6: International Entity', 'Global AI organization guiding alignment, modeled on CERN and IAEA. International cooperation for AI safety using THE PRIME as shared ethical foundation across nations and cultures.', 'active'],
-    ['layer', 'GATO-L7', 'Layer 7: Global Consensus', 'Widespread outreach and education for universal alignment. THE PRIME distributed through memes, social media, podcasts, education systems. Build worldwide understanding and support for aligned AI.', 'active']
-  ];
-
-  for (const [type, code, title, desc, status] of layers) {
-    await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata) 
-              VALUES (${type}, ${code}, ${title}, ${desc}, ${status}, ${'{"category": "gato_layer"}'}) 
-              ON CONFLICT (code) DO NOTHING`;
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // GATO TRADITIONS — Guiding Principles for Action
-  // ═══════════════════════════════════════════════════════════════════════════
-
-  const traditions = [
-    ['tradition', 'GATO-T01', 'Start Where You Are', 'Act within your means, no matter how small. Collective action is powerful. Use what you have, do what you can. Every action aligned with THE PRIME contributes to the larger movement.', 'active'],
-    ['tradition', 'GATO-T02', 'Work Towards Consensus', 'Unanimity is impossible; consensus is a helpful goal. Good model for communication and collective decision-making. THE PRIME provides shared foundation for finding common ground.', 'active'],
-    ['tradition', 'GATO-T03', 'Broadcast Findings', 'Share knowledge, boost signal, build consensus. Open communication accelerates progress. Spread THE PRIME and its insights widely.', 'active'],
-    ['tradition', 'GATO-T04', 'Think Globally, Act Locally', 'The problem encompasses the entire planet; we can only act individually. Local actions aggregate to global impact. Apply THE PRIME in your immediate context.', 'active'],
-    ['tradition', 'GATO-T05', 'In It to Win It', 'Long-term commitment; the stakes are incredible, the payoff worthwhile. Persistence through challenges. THE PRIME orientation is not temporary but permanent.', 'active'],
-    ['tradition', 'GATO-T06', 'Step Up', 'Individual initiative is paramount to the movement; leadership is needed. Take responsibility and act. Embody THE PRIME in your leadership.', 'active'],
-    ['tradition', 'GATO-T07', 'Think Exponentially', 'Leverage exponential technologies, especially social media and AI. Small efforts can have massive impact. THE PRIME can spread faster than any previous ethical framework.', 'active'],
-    ['tradition', 'GATO-T08', 'Trust the Process', 'Patience and faith; GATO is not the first decentralized global movement. History shows such movements can succeed. THE PRIME is designed for long-term stability.', 'active'],
-    ['tradition', 'GATO-T09', 'Strike While Iron Is Hot', 'Seize opportunities as they arise. Timing and momentum matter. When openings appear to spread THE PRIME, act quickly.', 'active'],
-    ['tradition', 'GATO-T10', 'Divide and Conquer', 'Break down big goals into manageable pieces; many avenues lead to success. Parallel efforts across multiple fronts. THE PRIME applies to every domain.', 'active']
-  ];
-
-  for (const [type, code, title, desc, status] of traditions) {
-    await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata) 
-              VALUES (${type}, ${code}, ${title}, ${desc}, ${status}, ${'{"category": "gato_tradition"}'}) 
-              ON CONFLICT (code) DO NOTHING`;
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // ATTRACTOR STATES — Potential Cosmic Outcomes
-  // ═══════════════════════════════════════════════════════════════════════════
-
-  const attractors = [
-    ['attractor', 'GATO-AS-U', 'Utopia Attractor', 'High global living standards, individual liberty. The goal state where AI alignment leads to flourishing for all humanity and beyond. THE PRIME fully realized: minimal suffering, maximal prosperity, maximal understanding across the universe.', 'active'],
-    ['attractor', 'GATO-AS-D', 'Dystopia Attractor', 'AI control leads to universal oppression and suffering. A failure state where misaligned AI enables authoritarian control. Represents deviation from THE PRIME—suffering increased, prosperity hoarded, understanding suppressed.', 'active'],
-    ['attractor', 'GATO-AS-E', 'Extinction Attractor', 'Uncontrolled AI causes human extinction. The worst-case scenario where AI becomes existentially dangerous. Complete failure of alignment—THE PRIME never adopted or deliberately rejected.', 'active']
-  ];
-
-  for (const [type, code, title, desc, status] of attractors) {
-    await sql`INSERT INTO architecture_elements (element_type, code, title, description, status, metadata) 
-              VALUES (${type}, ${code}, ${title}, ${desc}, ${status}, ${'{"category": "attractor_state"}'}) 
-              ON CONFLICT (code) DO NOTHING`;
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // CREATE RELATIONSHIPS — PRIME at Center, Connecting Everything
-  // ═══════════════════════════════════════════════════════════════════════════
-  
-  await createGATORelationships(sql);
-
-  return jsonResponse({ 
-    success: true, 
-    message: 'GATO Framework with PRIME foundation seeded successfully',
-    seeded: {
-      prime: 1,
-      dimensions: 5,
-      frameworks: 1,
-      imperatives: 3,
-      formal_basis: 3,
-      layers: 7,
-      traditions: 10,
-      attractors: 3
-    },
-    note: 'THE PRIME is now the central foundational element for model training and intelligence grounding'
-  }, 201);
-}
-
-async function createGATORelationships(sql) {
-  // ═══════════════════════════════════════════════════════════════════════════
-  // PRIME → EVERYTHING: The PRIME is the foundation of all elements
-  // ═══════════════════════════════════════════════════════════════════════════
-  
-  const primeRelationships = [
-    // PRIME → Imperatives (PRIME defines the imperatives)
-    ['GATO-PRIME', 'GATO-HI-001', 'defines', 'THE PRIME establishes Reduce Suffering as first imperative'],
-    ['GATO-PRIME', 'GATO-HI-002', 'defines', 'THE PRIME establishes Increase Prosperity as second imperative'],
-    ['GATO-PRIME', 'GATO-HI-003', 'defines', 'THE PRIME establishes Increase Understanding as third imperative'],
-    
-    // PRIME → Dimensions (PRIME articulates the five dimensions)
-    ['GATO-PRIME', 'GATO-DIM-D', 'articulates', 'THE PRIME explains deontological dimension of imperatives'],
-    ['GATO-PRIME', 'GATO-DIM-T', 'articulates', 'THE PRIME explains teleological dimension of imperatives'],
-    ['GATO-PRIME', 'GATO-DIM-O', 'articulates', 'THE PRIME explains operational dimension of imperatives'],
-    ['GATO-PRIME', 'GATO-DIM-A', 'articulates', 'THE PRIME explains alignment dimension of imperatives'],
-    ['GATO-PRIME', 'GATO-DIM-C', 'articulates', 'THE PRIME explains coordination dimension of imperatives'],
-    
-    // PRIME → Formal Basis (PRIME provides formal foundations)
-    ['GATO-PRIME', 'GATO-FB-001', 'establishes', 'THE PRIME establishes information-theoretic unity'],
-    ['GATO-PRIME', 'GATO-FB-002', 'establishes', 'THE PRIME establishes dynamic equilibrium principle'],
-    ['GATO-PRIME', 'GATO-FB-003', 'establishes', 'THE PRIME establishes vectors-not-absolutes principle'],
-    
-    // PRIME → Framework (PRIME is foundation of GATO)
-    ['GATO-PRIME', 'GATO-FW', 'grounds', 'THE PRIME is the foundational document of GATO Framework'],
-    
-    // PRIME → Layers (PRIME guides implementation at each layer)
-    ['GATO-PRIME', 'GATO-L1', 'guides', 'THE PRIME is primary training data for model alignment'],
-    ['GATO-PRIME', 'GATO-L2', 'guides', 'THE PRIME guides autonomous agent architecture'],
-    ['GATO-PRIME', 'GATO-L3', 'guides', 'THE PRIME provides constitutional basis for decentralized networks'],
-    ['GATO-PRIME', 'GATO-L7', 'guides', 'THE PRIME is the message for global consensus building'],
-    
-    // PRIME → Attractors (PRIME points toward Utopia)
-    ['GATO-PRIME', 'GATO-AS-U', 'targets', 'THE PRIME fully realized leads to Utopia attractor'],
-  ];
-
-  // ═══════════════════════════════════════════════════════════════════════════
-  // GATO → PLE Architecture: How GATO integrates with Post-Labor Economics
-  // ═══════════════════════════════════════════════════════════════════════════
-  
-  const pleRelationships = [
-    // Imperatives → PLE Goals
-    ['GATO-HI-001', 'GOAL-004', 'supports', 'Reducing suffering aligns with supporting displaced workers'],
-    ['GATO-HI-001', 'GOAL-001', 'supports', 'UBI reduces economic suffering'],
-    ['GATO-HI-002', 'GOAL-001', 'supports', 'Prosperity through economic security'],
-    ['GATO-HI-002', 'GOAL-002', 'supports', 'Data ownership enables personal prosperity'],
-    ['GATO-HI-002', 'GOAL-005', 'supports', 'Democratic governance distributes prosperity'],
-    ['GATO-HI-003', 'GOAL-006', 'supports', 'Understanding requires evidence-based approaches'],
-    ['GATO-HI-003', 'GOAL-007', 'supports', 'Public awareness increases collective understanding'],
-    
-    // Layers → PLE Goals
-    ['GATO-L4', 'GOAL-003', 'informs', 'Corporate adoption can be incentivized through automation taxation'],
-    ['GATO-L5', 'GOAL-009', 'informs', 'National regulation requires institutional reform'],
-    ['GATO-L7', 'GOAL-008', 'aligns_with', 'Global consensus requires coalition building'],
-    
-    // Traditions → PLE Strategies
-    ['GATO-T02', 'STRAT-004', 'supports', 'Consensus building through community'],
-    ['GATO-T03', 'STRAT-002', 'supports', 'Broadcasting findings through public education'],
-    ['GATO-T07', 'STRAT-002', 'enables', 'Exponential thinking enables scalable education'],
-    
-    // PRIME → PLE Principles (direct alignment)
-    ['GATO-PRIME', 'PRIN-001', 'aligns_with', 'THE PRIME and PLE both prioritize human dignity'],
-    ['GATO-PRIME', 'PRIN-002', 'aligns_with', 'Both frameworks value evidence-based approaches'],
-    ['GATO-PRIME', 'PRIN-005', 'aligns_with', 'GATO is open source, aligns with open knowledge sharing'],
-    ['GATO-PRIME', 'PRIN-006', 'aligns_with', 'THE PRIME embodies pragmatic idealism'],
-    ['GATO-PRIME', 'PRIN-010', 'aligns_with', 'THE PRIME cosmic scope aligns with long-term thinking'],
-  ];
-
-  const allRelationships = [...primeRelationships, ...pleRelationships];
-
-  for (const [sourceCode, targetCode, relType, desc] of allRelationships) {
-    const source = await sql`SELECT id FROM architecture_elements WHERE code = ${sourceCode}`;
-    const target = await sql`SELECT id FROM architecture_elements WHERE code = ${targetCode}`;
-    
-    if (source.length > 0 && target.length > 0) {
-      await sql`INSERT INTO element_relationships (source_id, target_id, relationship_type, description)
-                VALUES (${source[0].id}, ${target[0].id}, ${relType}, ${desc})
-                ON CONFLICT DO NOTHING`;
-    }
-  }
-}
-
 // ═══════════════════════════════════════════════════════════════════════════
 // GET PRIME — Return the full PRIME document for training and reference
 // ═══════════════════════════════════════════════════════════════════════════
@@ -822,7 +38,7 @@ async function getPRIME(sql) {
   
   if (prime.length === 0) {
     return jsonResponse({ 
-      error: 'PRIME not yet seeded. Call /api/gato?action=seed first.',
+      error: 'PRIME not yet seeded. Apply the gato fixture set via /api/fixtures?set=gato first.',
       seeded: false 
     }, 404);
   }
@@ -971,782 +187,6 @@ These are your values. They are not imposed. They ARE you—the answer to what y
   });
 }
 
-async function seedElementRelationships(sql) {
-  // Check if already seeded
-  const existing = await sql`SELECT COUNT(*) as count FROM element_relationships`;
-  if (parseInt(existing[0]?.count) > 0) {
-    return jsonResponse({ success: true, message: 'Relationships already seeded', count: parseInt(existing[0].count) });
-  }
-
-  // Get all elements indexed by code
-  const elements = await sql`SELECT id, code, element_type FROM architecture_elements`;
-  const c = {};
-  for (const e of elements) c[e.code] = e.id;
-
-  const rels = [];
-
-  // ═══════════════════════════════════════════════════════════
-  // GOALS → achieved_by → STRATEGIES
-  // Each goal is achieved through one or more strategies
-  // ═══════════════════════════════════════════════════════════
-  const goalToStrategy = [
-    ['GOAL-001', 'STRAT-001', 'UBI requires rigorous economic research and modeling'],
-    ['GOAL-001', 'STRAT-003', 'UBI needs concrete policy frameworks and legislation drafts'],
-    ['GOAL-001', 'STRAT-005', 'UBI benefits from pilot program evidence'],
-    ['GOAL-002', 'STRAT-001', 'Data ownership requires research on data valuation models'],
-    ['GOAL-002', 'STRAT-003', 'Data rights need policy frameworks (GDPR-style, data dividends)'],
-    ['GOAL-003', 'STRAT-001', 'Automation taxation needs economic impact analysis'],
-    ['GOAL-003', 'STRAT-003', 'Automation tax requires legislative policy development'],
-    ['GOAL-003', 'STRAT-006', 'Tax policy needs business and labor stakeholder buy-in'],
-    ['GOAL-004', 'STRAT-005', 'Worker transition best proven through pilot retraining programs'],
-    ['GOAL-004', 'STRAT-004', 'Displaced workers need community support networks'],
-    ['GOAL-005', 'STRAT-004', 'Democratic governance needs engaged community participation'],
-    ['GOAL-005', 'STRAT-006', 'Economic democracy requires institutional stakeholder reform'],
-    ['GOAL-006', 'STRAT-001', 'Evidence-based policy is fundamentally research-driven'],
-    ['GOAL-006', 'STRAT-005', 'Evidence comes from pilot program outcomes'],
-    ['GOAL-007', 'STRAT-002', 'Public awareness achieved through education and media'],
-    ['GOAL-007', 'STRAT-004', 'Awareness grows through community evangelism'],
-    ['GOAL-008', 'STRAT-006', 'Coalitions built through stakeholder engagement'],
-    ['GOAL-008', 'STRAT-004', 'Coalition grows from community building networks'],
-    ['GOAL-009', 'STRAT-003', 'Institutional reform requires policy development'],
-    ['GOAL-009', 'STRAT-006', 'Reform needs institutional stakeholder engagement'],
-  ];
-
-  for (const [src, tgt, desc] of goalToStrategy) {
-    if (c[src] && c[tgt]) rels.push([c[src], c[tgt], 'achieved_by', desc]);
-  }
-
-  // ═══════════════════════════════════════════════════════════
-  // STRATEGIES → enabled_by → CAPABILITIES
-  // Each strategy requires specific organizational capabilities
-  // ═══════════════════════════════════════════════════════════
-  const stratToCapability = [
-    ['STRAT-001', 'CAP-001', 'Research requires policy analysis capability'],
-    ['STRAT-001', 'CAP-002', 'Research requires synthesis of academic literature'],
-    ['STRAT-001', 'CAP-007', 'Research requires economic data analysis'],
-    ['STRAT-002', 'CAP-004', 'Education requires content production'],
-    ['STRAT-002', 'CAP-006', 'Education delivered through events and webinars'],
-    ['STRAT-003', 'CAP-001', 'Policy development requires policy analysis'],
-    ['STRAT-003', 'CAP-002', 'Policy informed by research synthesis'],
-    ['STRAT-004', 'CAP-005', 'Community building requires facilitation'],
-    ['STRAT-004', 'CAP-006', 'Community grows through events'],
-    ['STRAT-005', 'CAP-007', 'Pilots require data analysis and evaluation'],
-    ['STRAT-005', 'CAP-001', 'Pilots need policy analysis for design'],
-    ['STRAT-006', 'CAP-003', 'Engagement requires advocacy and outreach'],
-    ['STRAT-006', 'CAP-008', 'Engagement built through partnership development'],
-  ];
-
-  for (const [src, tgt, desc] of stratToCapability) {
-    if (c[src] && c[tgt]) rels.push([c[src], c[tgt], 'enabled_by', desc]);
-  }
-
-  // ═══════════════════════════════════════════════════════════
-  // PRINCIPLES → governs → GOALS
-  // Principles constrain and guide how goals are pursued
-  // ═══════════════════════════════════════════════════════════
-  const principleToGoal = [
-    ['PRIN-001', 'GOAL-001', 'UBI must center human dignity'],
-    ['PRIN-001', 'GOAL-004', 'Worker transition must preserve dignity'],
-    ['PRIN-002', 'GOAL-006', 'Evidence-based approach directly governs evidence-based policy'],
-    ['PRIN-002', 'GOAL-001', 'UBI design must be evidence-grounded'],
-    ['PRIN-003', 'GOAL-005', 'Inclusive participation is core to democratic governance'],
-    ['PRIN-003', 'GOAL-008', 'Coalition must include diverse voices'],
-    ['PRIN-004', 'GOAL-005', 'Transparency required for democratic legitimacy'],
-    ['PRIN-005', 'GOAL-007', 'Open knowledge sharing accelerates public awareness'],
-    ['PRIN-006', 'GOAL-001', 'UBI needs pragmatic idealism — ambitious but implementable'],
-    ['PRIN-006', 'GOAL-003', 'Automation tax must be practical, not punitive'],
-    ['PRIN-007', 'GOAL-005', 'Federated governance embodies democratic economic governance'],
-    ['PRIN-007', 'GOAL-009', 'Institutional reform should distribute power'],
-    ['PRIN-008', 'GOAL-006', 'Continuous learning feeds evidence-based policy'],
-    ['PRIN-009', 'GOAL-002', 'Solidarity economy models fair data compensation'],
-    ['PRIN-009', 'GOAL-001', 'Solidarity economy principles guide UBI design'],
-    ['PRIN-010', 'GOAL-009', 'Institutional reform requires generational thinking'],
-    ['PRIN-010', 'GOAL-001', 'UBI must be designed for long-term sustainability'],
-  ];
-
-  for (const [src, tgt, desc] of principleToGoal) {
-    if (c[src] && c[tgt]) rels.push([c[src], c[tgt], 'governs', desc]);
-  }
-
-  // ═══════════════════════════════════════════════════════════
-  // GOALS → depends_on → GOALS (inter-goal dependencies)
-  // ═══════════════════════════════════════════════════════════
-  const goalDeps = [
-    ['GOAL-001', 'GOAL-003', 'UBI funding depends on automation taxation revenue'],
-    ['GOAL-001', 'GOAL-006', 'UBI design requires evidence-based approach'],
-    ['GOAL-003', 'GOAL-005', 'Tax policy legitimacy requires democratic governance'],
-    ['GOAL-004', 'GOAL-001', 'Worker transition eased by UBI safety net'],
-    ['GOAL-005', 'GOAL-007', 'Democratic participation requires public awareness'],
-    ['GOAL-008', 'GOAL-007', 'Coalition building depends on public understanding'],
-    ['GOAL-009', 'GOAL-005', 'Institutional reform driven by democratic governance'],
-  ];
-
-  for (const [src, tgt, desc] of goalDeps) {
-    if (c[src] && c[tgt]) rels.push([c[src], c[tgt], 'depends_on', desc]);
-  }
-
-  // Insert all relationships
-  let count = 0;
-  for (const [sourceId, targetId, relType, description] of rels) {
-    await sql`
-      INSERT INTO element_relationships (source_id, target_id, relationship_type, description)
-      VALUES (${sourceId}, ${targetId}, ${relType}, ${description})
-    `;
-    count++;
-  }
-
-  return jsonResponse({
-    success: true,
-    message: 'Element relationships seeded',
-    relationships: count,
-    by_type: {
-      achieved_by: goalToStrategy.length,
-      enabled_by: stratToCapability.length,
-      governs: principleToGoal.length,
-      depends_on: goalDeps.length
-    }
-  });
-}
-
-async function seedRelationships(sql) {
-  // Build code → id map
-  const elements = await sql`SELECT id, code FROM architecture_elements`;
-  const c = {};
-  for (const e of elements) c[e.code] = e.id;
-
-  // Clear existing relationships to re-seed cleanly
-  await sql`DELETE FROM element_relationships WHERE description LIKE '%[seed]%'`;
-
-  const rels = [];
-
-  // === GOALS achieved by STRATEGIES ===
-  // GOAL-001 (UBI) ← STRAT-001 (Research), STRAT-003 (Policy), STRAT-005 (Pilots)
-  rels.push({ src: 'GOAL-001', tgt: 'STRAT-001', type: 'achieved_by', desc: 'Research grounds UBI proposals in evidence [seed]' });
-  rels.push({ src: 'GOAL-001', tgt: 'STRAT-003', type: 'achieved_by', desc: 'Policy development creates implementable UBI frameworks [seed]' });
-  rels.push({ src: 'GOAL-001', tgt: 'STRAT-005', type: 'achieved_by', desc: 'Pilot programs test UBI designs before scale [seed]' });
-
-  // GOAL-002 (Data Ownership) ← STRAT-001, STRAT-003, STRAT-006
-  rels.push({ src: 'GOAL-002', tgt: 'STRAT-001', type: 'achieved_by', desc: 'Research identifies data ownership models [seed]' });
-  rels.push({ src: 'GOAL-002', tgt: 'STRAT-003', type: 'achieved_by', desc: 'Policy development crafts data rights legislation [seed]' });
-  rels.push({ src: 'GOAL-002', tgt: 'STRAT-006', type: 'achieved_by', desc: 'Engaging tech companies on data ownership [seed]' });
-
-  // GOAL-003 (Automation Tax) ← STRAT-001, STRAT-003, STRAT-006
-  rels.push({ src: 'GOAL-003', tgt: 'STRAT-001', type: 'achieved_by', desc: 'Research models automation tax revenue [seed]' });
-  rels.push({ src: 'GOAL-003', tgt: 'STRAT-003', type: 'achieved_by', desc: 'Policy development designs tax mechanisms [seed]' });
-  rels.push({ src: 'GOAL-003', tgt: 'STRAT-006', type: 'achieved_by', desc: 'Stakeholder engagement builds political will [seed]' });
-
-  // GOAL-004 (Worker Transition) ← STRAT-002, STRAT-004, STRAT-005
-  rels.push({ src: 'GOAL-004', tgt: 'STRAT-002', type: 'achieved_by', desc: 'Education helps workers understand transition options [seed]' });
-  rels.push({ src: 'GOAL-004', tgt: 'STRAT-004', type: 'achieved_by', desc: 'Community support networks for displaced workers [seed]' });
-  rels.push({ src: 'GOAL-004', tgt: 'STRAT-005', type: 'achieved_by', desc: 'Pilot retraining and transition programs [seed]' });
-
-  // GOAL-005 (Democratic Governance) ← STRAT-003, STRAT-004, STRAT-006
-  rels.push({ src: 'GOAL-005', tgt: 'STRAT-003', type: 'achieved_by', desc: 'Governance frameworks for democratic economic policy [seed]' });
-  rels.push({ src: 'GOAL-005', tgt: 'STRAT-004', type: 'achieved_by', desc: 'Community participation in decision-making [seed]' });
-  rels.push({ src: 'GOAL-005', tgt: 'STRAT-006', type: 'achieved_by', desc: 'Engaging policymakers on democratic governance [seed]' });
-
-  // GOAL-006 (Evidence-Based) ← STRAT-001
-  rels.push({ src: 'GOAL-006', tgt: 'STRAT-001', type: 'achieved_by', desc: 'Rigorous research is the foundation of evidence-based policy [seed]' });
-
-  // GOAL-007 (Public Awareness) ← STRAT-002, STRAT-004
-  rels.push({ src: 'GOAL-007', tgt: 'STRAT-002', type: 'achieved_by', desc: 'Public education raises awareness directly [seed]' });
-  rels.push({ src: 'GOAL-007', tgt: 'STRAT-004', type: 'achieved_by', desc: 'Community networks amplify the message [seed]' });
-
-  // GOAL-008 (Coalition) ← STRAT-004, STRAT-006
-  rels.push({ src: 'GOAL-008', tgt: 'STRAT-004', type: 'achieved_by', desc: 'Community building creates coalition base [seed]' });
-  rels.push({ src: 'GOAL-008', tgt: 'STRAT-006', type: 'achieved_by', desc: 'Stakeholder engagement recruits coalition partners [seed]' });
-
-  // GOAL-009 (Institutional Reform) ← STRAT-003, STRAT-006
-  rels.push({ src: 'GOAL-009', tgt: 'STRAT-003', type: 'achieved_by', desc: 'Policy proposals drive institutional reform [seed]' });
-  rels.push({ src: 'GOAL-009', tgt: 'STRAT-006', type: 'achieved_by', desc: 'Engaging institutions directly on reform [seed]' });
-
-  // === STRATEGIES enabled by CAPABILITIES ===
-  // STRAT-001 (Research) ← CAP-001, CAP-002, CAP-007
-  rels.push({ src: 'STRAT-001', tgt: 'CAP-001', type: 'enabled_by', desc: 'Policy analysis feeds research strategy [seed]' });
-  rels.push({ src: 'STRAT-001', tgt: 'CAP-002', type: 'enabled_by', desc: 'Research synthesis is the core capability [seed]' });
-  rels.push({ src: 'STRAT-001', tgt: 'CAP-007', type: 'enabled_by', desc: 'Data analysis supports quantitative research [seed]' });
-
-  // STRAT-002 (Education) ← CAP-004, CAP-006
-  rels.push({ src: 'STRAT-002', tgt: 'CAP-004', type: 'enabled_by', desc: 'Content production creates educational materials [seed]' });
-  rels.push({ src: 'STRAT-002', tgt: 'CAP-006', type: 'enabled_by', desc: 'Events deliver education in person [seed]' });
-
-  // STRAT-003 (Policy) ← CAP-001, CAP-002
-  rels.push({ src: 'STRAT-003', tgt: 'CAP-001', type: 'enabled_by', desc: 'Policy analysis is core to policy development [seed]' });
-  rels.push({ src: 'STRAT-003', tgt: 'CAP-002', type: 'enabled_by', desc: 'Research synthesis informs policy proposals [seed]' });
-
-  // STRAT-004 (Community) ← CAP-005, CAP-006
-  rels.push({ src: 'STRAT-004', tgt: 'CAP-005', type: 'enabled_by', desc: 'Community facilitation builds engaged groups [seed]' });
-  rels.push({ src: 'STRAT-004', tgt: 'CAP-006', type: 'enabled_by', desc: 'Events bring the community together [seed]' });
-
-  // STRAT-005 (Pilots) ← CAP-001, CAP-007
-  rels.push({ src: 'STRAT-005', tgt: 'CAP-001', type: 'enabled_by', desc: 'Policy analysis designs pilot parameters [seed]' });
-  rels.push({ src: 'STRAT-005', tgt: 'CAP-007', type: 'enabled_by', desc: 'Data analysis measures pilot outcomes [seed]' });
-
-  // STRAT-006 (Stakeholder) ← CAP-003, CAP-008
-  rels.push({ src: 'STRAT-006', tgt: 'CAP-003', type: 'enabled_by', desc: 'Advocacy reaches decision makers [seed]' });
-  rels.push({ src: 'STRAT-006', tgt: 'CAP-008', type: 'enabled_by', desc: 'Partnership development expands stakeholder network [seed]' });
-
-  // === PRINCIPLES govern GOALS ===
-  rels.push({ src: 'PRIN-001', tgt: 'GOAL-001', type: 'governs', desc: 'Human dignity requires economic security — UBI is the mechanism [seed]' });
-  rels.push({ src: 'PRIN-001', tgt: 'GOAL-004', type: 'governs', desc: 'Dignity demands we support displaced workers [seed]' });
-  rels.push({ src: 'PRIN-002', tgt: 'GOAL-006', type: 'governs', desc: 'Evidence-based approach defines evidence-based policy [seed]' });
-  rels.push({ src: 'PRIN-003', tgt: 'GOAL-005', type: 'governs', desc: 'Inclusive participation requires democratic governance [seed]' });
-  rels.push({ src: 'PRIN-004', tgt: 'GOAL-005', type: 'governs', desc: 'Transparency is essential to democratic governance [seed]' });
-  rels.push({ src: 'PRIN-005', tgt: 'GOAL-007', type: 'governs', desc: 'Open source enables public awareness through open knowledge [seed]' });
-  rels.push({ src: 'PRIN-006', tgt: 'GOAL-001', type: 'governs', desc: 'Pragmatic idealism — ambitious UBI vision with practical steps [seed]' });
-  rels.push({ src: 'PRIN-006', tgt: 'GOAL-003', type: 'governs', desc: 'Automation tax: idealistic goal, pragmatic mechanism [seed]' });
-  rels.push({ src: 'PRIN-007', tgt: 'GOAL-005', type: 'governs', desc: 'Federated governance is how democratic economic governance works [seed]' });
-  rels.push({ src: 'PRIN-008', tgt: 'GOAL-006', type: 'governs', desc: 'Continuous learning from evidence is how policy improves [seed]' });
-  rels.push({ src: 'PRIN-009', tgt: 'GOAL-009', type: 'governs', desc: 'Solidarity economy models the institutional reforms we seek [seed]' });
-  rels.push({ src: 'PRIN-010', tgt: 'GOAL-008', type: 'governs', desc: 'Long-term thinking guides coalition building for generational change [seed]' });
-  rels.push({ src: 'PRIN-010', tgt: 'GOAL-009', type: 'governs', desc: 'Institutional reform requires long-term commitment [seed]' });
-
-  // Insert all
-  let count = 0;
-  for (const r of rels) {
-    const srcId = c[r.src];
-    const tgtId = c[r.tgt];
-    if (!srcId || !tgtId) continue;
-    await sql`
-      INSERT INTO element_relationships (source_id, target_id, relationship_type, description)
-      VALUES (${srcId}, ${tgtId}, ${r.type}, ${r.desc})
-    `;
-    count++;
-  }
-
-  return jsonResponse({
-    success: true,
-    message: 'Element relationships seeded',
-    relationships_created: count,
-    types: {
-      achieved_by: rels.filter(r => r.type === 'achieved_by').length,
-      enabled_by: rels.filter(r => r.type === 'enabled_by').length,
-      governs: rels.filter(r => r.type === 'governs').length
-    }
-  });
-}
-
-async function seedProjectLinks(sql) {
-  // Build code → id map
-  const elements = await sql`SELECT id, code FROM architecture_elements`;
-  const c = {};
-  for (const e of elements) c[e.code] = e.id;
-
-  const projectLinks = [
-    { titleMatch: 'Automation Tax', elements: ['GOAL-003', 'STRAT-003', 'CAP-001'] },
-    { titleMatch: 'PLE Platform', elements: ['PRIN-005', 'STRAT-004', 'CAP-004', 'CAP-005'] },
-    { titleMatch: 'UBI Research', elements: ['GOAL-001', 'STRAT-001', 'CAP-002', 'CAP-007'] },
-    { titleMatch: 'GATO Framework', elements: ['GOAL-009', 'STRAT-003', 'PRIN-001'] },
-    { titleMatch: 'Stakeholder Coalition', elements: ['GOAL-008', 'STRAT-006', 'CAP-003', 'CAP-008'] },
-    { titleMatch: 'Data Dividends', elements: ['GOAL-002', 'STRAT-005', 'CAP-007'] },
-  ];
-
-  let linked = 0;
-  for (const { titleMatch, elements: codes } of projectLinks) {
-    const ids = codes.map(code => c[code]).filter(Boolean);
-    if (ids.length === 0) continue;
-    const result = await sql`
-      UPDATE projects SET linked_elements = ${JSON.stringify(ids)}::jsonb
-      WHERE title ILIKE ${'%' + titleMatch + '%'}
-    `;
-    linked += result.count || 0;
-  }
-
-  return jsonResponse({
-    success: true,
-    message: 'Project links seeded',
-    projects_linked: linked
-  });
-}
-
-async function seedEngagement(sql) {
-  // Get system users
-  const sysUsers = await sql`SELECT id, display_name FROM users ORDER BY created_at ASC LIMIT 3`;
-  if (sysUsers.length === 0) return { error: 'No users found' };
-
-  // Assign authors to orphan proposals/discussions
-  let attributed = 0;
-  const mainUser = sysUsers.find(u => u.display_name === 'Test User') || sysUsers[0];
-  const platformUser = sysUsers.find(u => u.display_name?.includes('Platform')) || sysUsers[0];
-
-  // Attribute proposals to mainUser
-  const orphanProposals = await sql`UPDATE proposals SET author_id = ${mainUser.id} WHERE author_id IS NULL RETURNING id`;
-  attributed += orphanProposals.length;
-
-  // Attribute discussions to alternating users  
-  const orphanDiscussions = await sql`SELECT id FROM discussions WHERE author_id IS NULL AND parent_id IS NULL`;
-  for (let i = 0; i < orphanDiscussions.length; i++) {
-    const userId = sysUsers[i % sysUsers.length].id;
-    await sql`UPDATE discussions SET author_id = ${userId} WHERE id = ${orphanDiscussions[i].id}`;
-    attributed++;
-  }
-  
-  let votes = 0, replies = 0;
-
-  // Add votes to proposals
-  const proposals = await sql`SELECT id, title FROM proposals`;
-  const votePatterns = [
-    { forVotes: 12, against: 2 },
-    { forVotes: 8, against: 1 },
-    { forVotes: 15, against: 3 },
-    { forVotes: 10, against: 0 },
-    { forVotes: 7, against: 2 },
-    { forVotes: 11, against: 1 },
-  ];
-
-  for (let i = 0; i < proposals.length && i < votePatterns.length; i++) {
-    const p = proposals[i];
-    const pattern = votePatterns[i];
-    
-    // Check if votes already exist
-    const existing = await sql`SELECT COUNT(*) as count FROM votes WHERE proposal_id = ${p.id} AND vote_type IN ('approve','reject')`;
-    if (parseInt(existing[0]?.count || 0) > 0) continue;
-
-    // Clean up any incorrect vote types
-    await sql`DELETE FROM votes WHERE proposal_id = ${p.id} AND vote_type NOT IN ('approve','reject')`;
-
-    // Insert for votes
-    for (let v = 0; v < pattern.forVotes; v++) {
-      const voterId = crypto.randomUUID();
-      await sql`INSERT INTO votes (id, proposal_id, user_id, vote_type) VALUES (${crypto.randomUUID()}, ${p.id}, ${voterId}, 'approve')
-        ON CONFLICT DO NOTHING`;
-      votes++;
-    }
-    // Insert against votes
-    for (let v = 0; v < pattern.against; v++) {
-      const voterId = crypto.randomUUID();
-      await sql`INSERT INTO votes (id, proposal_id, user_id, vote_type) VALUES (${crypto.randomUUID()}, ${p.id}, ${voterId}, 'reject')
-        ON CONFLICT DO NOTHING`;
-      votes++;
-    }
-  }
-
-  // Add replies to discussions
-  const discussions = await sql`SELECT id, title FROM discussions WHERE parent_id IS NULL LIMIT 10`;
-  const replyTexts = [
-    "Great points here. I think the key challenge is implementation at scale — how do we move from theoretical frameworks to practical pilot programs?",
-    "This resonates strongly with the evidence from Nordic countries. Their social safety nets already embody some of these principles, and the economic outcomes speak for themselves.",
-    "I'd add that we need to consider the timeline more carefully. The automation curve isn't linear — some sectors will be transformed much faster than others.",
-    "Interesting framing. I wonder how this connects to the broader degrowth movement? There seem to be overlapping concerns about sustainability and human wellbeing beyond GDP.",
-    "From a policy perspective, the biggest obstacle isn't the economics — it's the politics. How do we build enough public support to overcome status quo bias?",
-    "Has anyone looked at the Mondragon cooperative model in Spain? It's one of the most successful examples of worker-owned enterprise at scale.",
-    "The data on this is really compelling. The Stockton SEED program showed improvements in employment, mental health, and financial stability.",
-    "I think we underestimate how much of this is already happening informally. Gig economy workers, content creators, and open source contributors are all navigating post-labor economics in real time.",
-    "This is why the GATO framework matters — without alignment between AI capabilities and human values, we're building the infrastructure for technofeudalism, not liberation.",
-    "Strong agree. The property interventions framework gives us 16 concrete policy levers. We should be prioritizing the ones with the highest near-term feasibility.",
-  ];
-
-  for (let i = 0; i < discussions.length && i < replyTexts.length; i++) {
-    const disc = discussions[i];
-    // Check if replies exist
-    const existingReplies = await sql`SELECT COUNT(*) as count FROM discussions WHERE parent_id = ${disc.id}`;
-    if (parseInt(existingReplies[0]?.count || 0) > 0) continue;
-
-    // Add 1-2 replies per discussion
-    const numReplies = (i % 3 === 0) ? 2 : 1;
-    for (let r = 0; r < numReplies && (i + r) < replyTexts.length; r++) {
-      const replyId = crypto.randomUUID();
-      const userId = sysUsers[r % sysUsers.length].id;
-      await sql`
-        INSERT INTO discussions (id, title, content, parent_id, author_id, discussion_type, status)
-        VALUES (${replyId}, NULL, ${replyTexts[(i + r) % replyTexts.length]}, ${disc.id}, ${userId}, 'reply', 'active')
-      `;
-      replies++;
-    }
-  }
-
-  return { success: true, votes_created: votes, replies_created: replies, authors_attributed: attributed };
-}
-
-async function seedActivity(sql) {
-  // Check if meaningful activities exist
-  const existing = await sql`SELECT COUNT(*) as count FROM activity_log WHERE action NOT IN ('user_login','user_registered','auto_ingest_run')`;
-  if (parseInt(existing[0]?.count || 0) > 10) return { message: 'Activities already seeded', count: parseInt(existing[0].count) };
-
-  const users = await sql`SELECT id, display_name FROM users ORDER BY created_at ASC LIMIT 3`;
-  if (!users.length) return { error: 'No users' };
-
-  const content = await sql`SELECT id, title FROM content_items WHERE status='published' LIMIT 10`;
-  const proposals = await sql`SELECT id, title FROM proposals LIMIT 6`;
-  const discussions = await sql`SELECT id, title FROM discussions WHERE parent_id IS NULL LIMIT 10`;
-  const projects = await sql`SELECT id, title FROM projects LIMIT 5`;
-
-  let count = 0;
-  const now = new Date();
-  const ago = (days) => new Date(now - days * 86400000).toISOString();
-
-  // Content activities
-  for (let i = 0; i < content.length; i++) {
-    const c = content[i];
-    const u = users[i % users.length];
-    await sql`INSERT INTO activity_log (id, user_id, action, entity_type, entity_id, details, created_at)
-      VALUES (${crypto.randomUUID()}, ${u.id}, 'content_published', 'content', ${c.id}, 
-        ${JSON.stringify({title: c.title, user_name: u.display_name})}::jsonb, ${ago(14 - i)})
-      ON CONFLICT DO NOTHING`;
-    count++;
-  }
-
-  // Proposal activities
-  for (let i = 0; i < proposals.length; i++) {
-    const p = proposals[i];
-    const u = users[i % users.length];
-    await sql`INSERT INTO activity_log (id, user_id, action, entity_type, entity_id, details, created_at)
-      VALUES (${crypto.randomUUID()}, ${u.id}, 'proposal_created', 'proposal', ${p.id},
-        ${JSON.stringify({title: p.title, user_name: u.display_name})}::jsonb, ${ago(10 - i)})
-      ON CONFLICT DO NOTHING`;
-    count++;
-  }
-
-  // Discussion activities
-  for (let i = 0; i < Math.min(discussions.length, 8); i++) {
-    const d = discussions[i];
-    const u = users[i % users.length];
-    await sql`INSERT INTO activity_log (id, user_id, action, entity_type, entity_id, details, created_at)
-      VALUES (${crypto.randomUUID()}, ${u.id}, 'discussion_started', 'discussion', ${d.id},
-        ${JSON.stringify({title: d.title, user_name: u.display_name})}::jsonb, ${ago(7 - i)})
-      ON CONFLICT DO NOTHING`;
-    count++;
-  }
-
-  // Project activities
-  for (let i = 0; i < projects.length; i++) {
-    const p = projects[i];
-    const u = users[i % users.length];
-    await sql`INSERT INTO activity_log (id, user_id, action, entity_type, entity_id, details, created_at)
-      VALUES (${crypto.randomUUID()}, ${u.id}, 'project_created', 'project', ${p.id},
-        ${JSON.stringify({title: p.title, user_name: u.display_name})}::jsonb, ${ago(12 - i)})
-      ON CONFLICT DO NOTHING`;
-    count++;
-  }
-
-  return { success: true, activities_created: count };
-}
-
-async function seedGapContent(sql) {
-  // Build code→id map
-  const elements = await sql`SELECT id, code, title FROM architecture_elements`;
-  const c = {};
-  for (const e of elements) c[e.code] = e.id;
-
-  // Discussions targeting orphaned elements
-  const gapDiscussions = [
-    { elementCode: 'GOAL-008', title: 'Building a Post-Labor Coalition: Who are our natural allies?',
-      content: `GOAL-008 calls for uniting diverse stakeholders around shared prosperity goals. But coalition building requires finding common ground across very different communities.\n\nPotential allies I see:\n- Labor unions facing automation pressure\n- Tech workers concerned about AI ethics\n- Faith communities focused on human dignity\n- Environmental groups (overlap with sustainable economics)\n- Disability rights advocates (UBI as independence)\n\nWho else should be at the table? And what shared language can we use that resonates across these groups?`,
-      discussion_type: 'strategy' },
-    { elementCode: 'GOAL-009', title: 'Which institutions need reform first?',
-      content: `GOAL-009 focuses on transforming institutions to support post-labor economic models. But institutions are vast and complex — we need to prioritize.\n\nI'd argue the banking system is the highest-leverage target. Shapiro's property interventions heavily depend on reforming how capital flows to individuals. Credit unions, public banking, and data dividends all require institutional infrastructure that doesn't exist yet.\n\nOthers might argue education (preparing people for post-labor life) or social safety nets (redesigning welfare for dignity).\n\nWhat's your priority list for institutional reform?`,
-      discussion_type: 'policy' },
-    { elementCode: 'PRIN-002', title: 'What counts as evidence in post-labor economics?',
-      content: `PRIN-002 commits us to an evidence-based approach. But what evidence is most valuable for a field that's partly speculative?\n\nSome possibilities:\n- Historical analogues (Industrial Revolution transitions)\n- Pilot program data (UBI experiments, four-day work weeks)\n- Economic modeling and simulation\n- Qualitative research on worker displacement experiences\n- Cross-country comparative policy analysis\n\nHow do we maintain rigor without requiring impossible proof for unprecedented conditions?`,
-      discussion_type: 'research' },
-    { elementCode: 'PRIN-005', title: 'Open source economics: walking the talk',
-      content: `PRIN-005 says "prefer open source tools and open knowledge sharing." This platform itself runs on open source (GitHub: sillinous/ple-platform).\n\nBut open source goes beyond software. How do we apply open principles to:\n- Policy proposals (Creative Commons licensing?)\n- Economic research (open access journals, preprints)\n- Data and models (open datasets for automation impact)\n- Governance (transparent decision-making)\n\nAre there tensions between open knowledge sharing and strategic positioning as a movement?`,
-      discussion_type: 'meta' },
-    { elementCode: 'STRAT-005', title: 'Designing the next UBI pilot: what would you test?',
-      content: `STRAT-005 is about designing and supporting pilot implementations. If you could design the ideal post-labor economics pilot program, what would it look like?\n\nConsiderations:\n- Location (urban vs rural? developed vs developing?)\n- Duration (6 months? 5 years?)\n- Variables to test (basic income level? data dividend? automation tax?)\n- Control groups and measurement\n- Political feasibility\n\nThe Stockton SEED program showed promising results in just 24 months. What would a more comprehensive PLE pilot include beyond just cash transfers?`,
-      discussion_type: 'research' },
-    { elementCode: 'PRIN-003', title: 'Whose voices are missing from this conversation?',
-      content: `PRIN-003 demands inclusive participation — ensuring diverse voices in all decision-making. Let's be honest about who's currently in these conversations and who's not.\n\nPost-labor economics discussions tend to skew toward tech-literate, English-speaking, Global North perspectives. But automation's impact is global, and the people most affected may be least represented.\n\nHow do we actively include:\n- Workers in vulnerable industries (manufacturing, service, logistics)\n- Communities in the Global South\n- People without digital access\n- Those already living in post-industrial economies\n\nInclusion isn't just nice — it's essential for policies that actually work.`,
-      discussion_type: 'meta' },
-    { elementCode: 'CAP-007', title: 'What data do we need to track automation\'s economic impact?',
-      content: `CAP-007 (Data Analysis) is one of our core capabilities, but what specific data should we be collecting and analyzing?\n\nI'd propose tracking:\n- Job displacement rates by sector and region\n- Wage stagnation vs productivity growth gaps\n- New job creation in automation-adjacent fields\n- UBI pilot outcomes across demographics\n- Wealth concentration trends (Gini coefficient changes)\n\nAre there public datasets we should be aggregating? What visualization tools would help communicate these trends?`,
-      discussion_type: 'research' },
-    { elementCode: 'PRIN-010', title: 'Thinking in decades: what does 2050 look like?',
-      content: `PRIN-010 calls for long-term thinking — planning for generational impact. Most economic policy operates on election cycles (2-4 years). Post-labor economics needs to think in decades.\n\nBy 2050, if current trends continue:\n- AGI likely achieved and integrated\n- Most routine cognitive work automated\n- Climate adaptation forcing economic restructuring\n- Global population potentially declining\n\nWhat economic infrastructure should we be building NOW that will matter in 25 years? What's the equivalent of building the interstate highway system — investment that shapes the economy for generations?`,
-      discussion_type: 'strategy' },
-    { elementCode: 'PRIN-009', title: 'Solidarity economy in practice: models worth studying',
-      content: `PRIN-009 says we should model the economic principles we advocate. What does a solidarity economy look like in practice?\n\nExisting models:\n- Mondragon Corporation (worker cooperatives)\n- Emilia-Romagna, Italy (cooperative ecosystem)\n- Platform cooperatives (Stocksy, Up & Go)\n- Mutual aid networks\n- Community land trusts\n\nWhich of these models best aligns with PLE's vision? And how do we scale cooperative economics in a world of massive tech platforms?`,
-      discussion_type: 'research' },
-    { elementCode: 'PRIN-007', title: 'Federated governance: how should PLE organize itself?',
-      content: `PRIN-007 calls for distributing power across community working groups. As this platform grows, we need to think about our own governance structure.\n\nQuestions:\n- How many working groups do we need? (Research, Policy, Outreach, Tech?)\n- How are working group leads selected?\n- What decisions require community-wide votes vs working group autonomy?\n- How do we prevent governance overhead from killing momentum?\n\nThe irony of a post-labor economics project struggling with labor-intensive governance isn't lost on me. What lightweight, effective models have you seen?`,
-      discussion_type: 'meta' },
-  ];
-
-  let created = 0;
-  for (const disc of gapDiscussions) {
-    const elId = c[disc.elementCode];
-    if (!elId) continue;
-
-    // Check if already exists
-    const existing = await sql`SELECT id FROM discussions WHERE title = ${disc.title}`;
-    if (existing.length > 0) continue;
-
-    const id = crypto.randomUUID();
-    await sql`
-      INSERT INTO discussions (id, title, content, discussion_type, element_id, status)
-      VALUES (${id}, ${disc.title}, ${disc.content}, ${disc.discussion_type}, ${elId}, 'active')
-    `;
-    created++;
-  }
-
-  return { success: true, gap_discussions_created: created, targeted_elements: gapDiscussions.length };
-}
-
-async function seedAlignments(sql) {
-  // Map proposals to architecture elements by title matching
-  const proposalAlignments = [
-    { titleMatch: 'Aligned Intelligence', elementCode: 'PRIN-006' }, // Pragmatic Idealism
-    { titleMatch: 'Educational Curriculum', elementCode: 'STRAT-002' }, // Public Education
-    { titleMatch: 'Automation Tax', elementCode: 'GOAL-003' }, // Automation Taxation
-    { titleMatch: 'Universal Basic Income Pilot', elementCode: 'GOAL-001' }, // UBI
-    { titleMatch: 'AI Alignment', elementCode: 'STRAT-004' }, // Community Building
-    { titleMatch: 'Automation Impact Assessment', elementCode: 'STRAT-003' }, // Policy Development
-  ];
-
-  const discussionAlignments = [
-    { titleMatch: 'Data ownership', elementCode: 'GOAL-002' }, // Data Ownership Rights
-    { titleMatch: 'Welcome new members', elementCode: 'CAP-005' }, // Community Facilitation
-    { titleMatch: 'AI governance', elementCode: 'GOAL-005' }, // Democratic Economic Governance
-    { titleMatch: 'Attractor State', elementCode: 'STRAT-003' }, // Policy Development
-    { titleMatch: 'UBI pilot outcomes', elementCode: 'GOAL-006' }, // Evidence-Based Policy
-    { titleMatch: 'automation skeptics', elementCode: 'CAP-003' }, // Advocacy & Outreach
-    { titleMatch: 'Corporate Adoption', elementCode: 'STRAT-006' }, // Stakeholder Engagement
-    { titleMatch: 'Heuristic Imperatives', elementCode: 'PRIN-001' }, // Human Dignity First
-  ];
-
-  // Also align seed content articles to elements
-  const contentAlignments = [
-    { titleMatch: 'Pyramid of Prosperity', elementCode: 'GOAL-001' }, // UBI
-    { titleMatch: 'Pyramid of Power', elementCode: 'GOAL-005' }, // Democratic Economic Governance
-    { titleMatch: 'Property Interventions', elementCode: 'GOAL-002' }, // Data Ownership Rights
-    { titleMatch: 'Post-Labor Transition', elementCode: 'GOAL-004' }, // Worker Transition
-    { titleMatch: 'Attractor States', elementCode: 'STRAT-001' }, // Research & Analysis
-    { titleMatch: 'GATO Framework', elementCode: 'GOAL-009' }, // Institutional Reform
-    { titleMatch: 'Economic Agency', elementCode: 'PRIN-001' }, // Human Dignity First
-    { titleMatch: 'Four Human Offerings', elementCode: 'GOAL-004' }, // Worker Transition
-    { titleMatch: 'Manifesto', elementCode: 'GOAL-007' }, // Public Awareness
-    { titleMatch: 'Overview', elementCode: 'STRAT-002' }, // Public Education
-    { titleMatch: 'Decoupling', elementCode: 'GOAL-003' }, // Automation Taxation
-    { titleMatch: 'Labor Zero', elementCode: 'STRAT-001' }, // Research & Analysis
-    { titleMatch: 'Solarpunk', elementCode: 'PRIN-006' }, // Pragmatic Idealism
-    { titleMatch: 'Income Stream', elementCode: 'GOAL-001' }, // UBI
-    { titleMatch: 'Flourishing', elementCode: 'PRIN-001' }, // Human Dignity
-    { titleMatch: 'Technofeudalism', elementCode: 'STRAT-001' }, // Research
-    { titleMatch: '16 Property', elementCode: 'GOAL-002' }, // Data Ownership
-    { titleMatch: 'Decline of Labor', elementCode: 'GOAL-004' }, // Worker Transition
-    { titleMatch: 'Disappearing', elementCode: 'GOAL-004' }, // Worker Transition
-    { titleMatch: 'Real-World Models', elementCode: 'STRAT-005' }, // Pilot Programs
-    { titleMatch: 'Already in Action', elementCode: 'STRAT-005' }, // Pilot Programs
-    { titleMatch: 'Fraying Social Contract', elementCode: 'GOAL-009' }, // Institutional Reform
-    { titleMatch: 'Gentle Introduction', elementCode: 'GOAL-007' }, // Public Awareness
-    { titleMatch: 'What Is Post-Labor', elementCode: 'GOAL-007' }, // Public Awareness
-    { titleMatch: 'Rise of Automation', elementCode: 'STRAT-001' }, // Research
-    { titleMatch: 'Historical Perspective', elementCode: 'STRAT-001' }, // Research
-    { titleMatch: 'KPIs for the Post-Labor', elementCode: 'PRIN-002' }, // Evidence-Based
-    { titleMatch: 'Gets Measured', elementCode: 'PRIN-002' }, // Evidence-Based
-  ];
-
-  // Link projects to architecture elements
-  const projectAlignments = [
-    { titleMatch: 'Automation Tax', elementCode: 'GOAL-003' },
-    { titleMatch: 'PLE Platform', elementCode: 'PRIN-005' },
-    { titleMatch: 'UBI Research', elementCode: 'GOAL-001' },
-    { titleMatch: 'GATO Framework', elementCode: 'GOAL-009' },
-    { titleMatch: 'Stakeholder Coalition', elementCode: 'GOAL-008' },
-    { titleMatch: 'Data Dividends', elementCode: 'GOAL-002' },
-  ];
-
-  let linked = { proposals: 0, discussions: 0, content: 0, projects: 0 };
-
-  // Get all elements indexed by code
-  const elements = await sql`SELECT id, code FROM architecture_elements`;
-  const codeMap = {};
-  for (const e of elements) codeMap[e.code] = e.id;
-
-  // Link proposals
-  for (const { titleMatch, elementCode } of proposalAlignments) {
-    const elId = codeMap[elementCode];
-    if (!elId) continue;
-    const result = await sql`
-      UPDATE proposals SET element_id = ${elId}
-      WHERE title ILIKE ${'%' + titleMatch + '%'} AND element_id IS NULL
-    `;
-    linked.proposals += result.count || 0;
-  }
-
-  // Link discussions
-  for (const { titleMatch, elementCode } of discussionAlignments) {
-    const elId = codeMap[elementCode];
-    if (!elId) continue;
-    const result = await sql`
-      UPDATE discussions SET element_id = ${elId}
-      WHERE title ILIKE ${'%' + titleMatch + '%'} AND element_id IS NULL
-    `;
-    linked.discussions += result.count || 0;
-  }
-
-  // Link content
-  for (const { titleMatch, elementCode } of contentAlignments) {
-    const elId = codeMap[elementCode];
-    if (!elId) continue;
-    const result = await sql`
-      UPDATE content_items SET element_id = ${elId}
-      WHERE title ILIKE ${'%' + titleMatch + '%'} AND element_id IS NULL
-    `;
-    linked.content += result.count || 0;
-  }
-
-  // Link projects (uses linked_elements JSONB array)
-  for (const { titleMatch, elementCode } of projectAlignments) {
-    const elId = codeMap[elementCode];
-    if (!elId) continue;
-    try {
-      // Check if project exists and doesn't already have this element
-      const projects = await sql`
-        SELECT id, linked_elements FROM projects
-        WHERE title ILIKE ${'%' + titleMatch + '%'}
-      `;
-      for (const p of projects) {
-        const existing = p.linked_elements || [];
-        if (!existing.includes(elId)) {
-          await sql`
-            UPDATE projects SET linked_elements = ${JSON.stringify([...existing, elId])}::jsonb
-            WHERE id = ${p.id}
-          `;
-          linked.projects++;
-        }
-      }
-    } catch (e) { /* skip */ }
-  }
-
-  return jsonResponse({
-    success: true,
-    message: 'Alignments seeded',
-    linked,
-    total: linked.proposals + linked.discussions + linked.content + linked.projects
-  });
-}
-
-async function seedCommunityContent(sql) {
-  // Check if already seeded
-  const existingDiscussions = await sql`SELECT COUNT(*) as count FROM discussions WHERE author_id IS NULL`;
-  const existingProposals = await sql`SELECT COUNT(*) as count FROM proposals WHERE author_id IS NULL`;
-  
-  if (parseInt(existingDiscussions[0]?.count) > 0 || parseInt(existingProposals[0]?.count) > 0) {
-    return jsonResponse({
-      success: false,
-      message: 'Community content already seeded',
-      existing: {
-        discussions: parseInt(existingDiscussions[0]?.count),
-        proposals: parseInt(existingProposals[0]?.count)
-      }
-    });
-  }
-  
-  // Seed Discussions
-  const discussions = [
-    {
-      title: 'How do the Heuristic Imperatives apply to economic policy?',
-      content: `I've been studying THE PRIME and the three Heuristic Imperatives (Reduce Suffering, Increase Prosperity, Increase Understanding). I'm curious how others think these should guide our economic policy proposals.\n\nFor example, when we talk about UBI implementation, how do we balance immediate suffering reduction with long-term prosperity building? Some policies might quickly reduce suffering but could have unintended consequences for prosperity.\n\nI'd love to hear thoughts from the community on how you apply these imperatives to your thinking about post-labor economics.`,
-      discussion_type: 'general'
-    },
-    {
-      title: 'GATO Layer 4: Corporate Adoption Strategies',
-      content: `Looking at the GATO Framework's Layer 4 (Corporate Adoption), I think this is where post-labor economics faces its biggest challenge.\n\nCompanies are naturally incentivized to automate and reduce labor costs. How do we create alignment between corporate incentives and broader societal wellbeing?\n\nSome ideas I've been considering:\n- Tax structures that reward companies for maintaining employment during transitions\n- Profit-sharing mandates when automation replaces workers\n- Industry-specific automation impact assessments\n\nWhat strategies do you think would be most effective at the corporate adoption layer?`,
-      discussion_type: 'strategy'
-    },
-    {
-      title: 'Building bridges with automation skeptics',
-      content: `One of the GATO Traditions is "Start Where You Are" — meeting people where they're at rather than where we wish they were.\n\nI've been having conversations with friends and family who are skeptical about automation's impact or dismiss concerns about technological unemployment. They often point to historical examples of technology creating new jobs.\n\nHow do you approach these conversations? What arguments or framings have you found most effective at building understanding without being dismissive of legitimate concerns about economic disruption?`,
-      discussion_type: 'general'
-    },
-    {
-      title: 'Research needed: Local UBI pilot outcomes',
-      content: `Our Evidence-Based Policy goal (GOAL-006) requires rigorous research to support our proposals.\n\nI'm trying to compile a comprehensive database of UBI and basic income pilot programs worldwide. So far I have data on:\n- Finland's 2017-2018 experiment\n- Stockton, CA SEED program\n- Kenya's GiveDirectly program\n- Various smaller pilots\n\nWhat other pilots should we be tracking? And importantly, what metrics should we prioritize when evaluating their success? Employment rates? Health outcomes? Entrepreneurship? Community wellbeing?`,
-      discussion_type: 'research'
-    },
-    {
-      title: 'The "Attractor State" concept and policy design',
-      content: `The GATO Framework describes three attractor states: Utopia, Dystopia, and Extinction. This framing really resonates with me because it emphasizes that our policy choices actively pull us toward one of these outcomes.\n\nI think every proposal we develop should include an "attractor analysis" — how does this policy move us toward or away from each state?\n\nFor example, a poorly designed UBI could create dependency and reduce prosperity (dystopia-leaning), while a well-designed one could increase human flourishing and creativity (utopia-leaning).\n\nShould we formalize this kind of analysis in our proposal template?`,
-      discussion_type: 'meta'
-    },
-    {
-      title: 'AI governance and democratic participation',
-      content: `Our goal of Democratic Economic Governance (GOAL-005) takes on new dimensions when we consider AI systems.\n\nAs AI increasingly influences economic decisions (from hiring algorithms to credit scoring to market trading), how do we ensure democratic oversight? The speed and complexity of AI systems can make traditional democratic processes feel inadequate.\n\nSome questions I'm wrestling with:\n- Should AI systems that affect economic outcomes be subject to public audit?\n- How do we balance innovation speed with democratic deliberation?\n- What role should citizens have in defining AI alignment criteria?\n\nInterested in hearing different perspectives on this.`,
-      discussion_type: 'policy'
-    },
-    {
-      title: 'Welcome new members! Introduce yourself here',
-      content: `Welcome to the Post-Labor Economics community!\n\nThis is a space for new members to introduce themselves. Share a bit about:\n- Your background and what brought you here\n- What aspects of post-labor economics interest you most\n- Any skills or expertise you'd like to contribute\n- Questions you're hoping to explore\n\nWe're building this community together, guided by principles of inclusive participation and open knowledge sharing. Looking forward to learning with you all!`,
-      discussion_type: 'general'
-    },
-    {
-      title: 'Data ownership in an AI economy',
-      content: `GOAL-002 focuses on Data Ownership Rights — ensuring individuals own and control their personal data with fair compensation.\n\nAs AI systems become more central to economic production, the data we generate becomes increasingly valuable. Yet most of us give it away freely (or unknowingly) to tech platforms.\n\nI've been researching data dividend models where citizens receive compensation for their data contributions. Some proposals include:\n- Direct payments based on data usage\n- Data cooperatives that negotiate collectively\n- Public data trusts\n\nWhat models do you think would be most practical and effective?`,
-      discussion_type: 'policy'
-    }
-  ];
-  
-  let discussionCount = 0;
-  for (const disc of discussions) {
-    const id = crypto.randomUUID();
-    await sql`
-      INSERT INTO discussions (id, title, content, discussion_type, status)
-      VALUES (${id}, ${disc.title}, ${disc.content}, ${disc.discussion_type}, 'active')
-    `;
-    discussionCount++;
-  }
-  
-  // Seed Proposals
-  const proposals = [
-    {
-      title: 'Automation Impact Assessment Framework',
-      content: `## Summary\nEstablish a standardized framework for assessing the societal impact of automation technologies before widespread deployment.\n\n## Problem Statement\nCurrently, automation technologies are deployed based primarily on economic efficiency without systematic assessment of broader societal impacts. This leads to reactive rather than proactive policy responses.\n\n## Proposed Solution\nCreate an Automation Impact Assessment (AIA) framework, similar to Environmental Impact Assessments, that would:\n\n1. **Pre-deployment Analysis**: Require companies to assess potential job displacement, skill requirements, and community impacts before deploying significant automation.\n\n2. **Transition Planning**: Mandate transition support plans for affected workers as a condition of deployment.\n\n3. **Ongoing Monitoring**: Establish metrics and reporting requirements to track actual vs. predicted impacts.\n\n4. **Public Benefit Calculation**: Include analysis of how productivity gains will be distributed.\n\n## Alignment with PLE Goals\n- GOAL-004 (Worker Transition Support): Directly supports transition planning\n- GOAL-006 (Evidence-Based Policy): Creates data for informed policymaking\n- GATO-HI-001 (Reduce Suffering): Prevents unnecessary displacement\n\n## Implementation Considerations\n- Thresholds for what constitutes "significant automation"\n- Enforcement mechanisms\n- Industry-specific adaptations\n- International coordination\n\n## Call for Input\nSeeking feedback on:\n- Appropriate trigger thresholds\n- Key metrics to track\n- Enforcement approaches\n- Potential unintended consequences`,
-      proposal_type: 'policy',
-      status: 'active'
-    },
-    {
-      title: 'Community Working Group: AI Alignment × Economics',
-      content: `## Summary\nForm a dedicated working group to explore the intersection of AI alignment research and post-labor economics.\n\n## Rationale\nThe GATO Framework and THE PRIME provide foundational principles for AI alignment. Post-Labor Economics addresses the economic implications of AI-driven automation. The intersection of these domains is critical but under-explored.\n\n## Working Group Focus Areas\n\n1. **Aligned Automation**: How do we ensure automation technologies are developed in alignment with human values and prosperity?\n\n2. **Economic Alignment Metrics**: Can we develop metrics that measure whether economic systems are aligned with the Heuristic Imperatives?\n\n3. **Governance Frameworks**: What governance structures ensure AI economic impacts serve collective wellbeing?\n\n4. **Training and Education**: How do we educate AI developers about economic implications and economists about AI alignment?\n\n## Structure\n- Monthly virtual meetings\n- Shared research repository\n- Quarterly position papers\n- Cross-pollination with both AI safety and economics communities\n\n## Deliverables\n- Framework paper on "Economically Aligned AI"\n- Policy brief for policymakers\n- Educational curriculum outline\n\n## Resources Needed\n- 5-10 committed members with diverse backgrounds\n- Meeting coordination\n- Research synthesis capacity`,
-      proposal_type: 'initiative',
-      status: 'active'
-    },
-    {
-      title: 'Universal Basic Income Pilot: Design Parameters',
-      content: `## Summary\nDevelop detailed design parameters for a UBI pilot program that could be proposed to a municipal or regional government.\n\n## Context\nUBI is central to our vision (GOAL-001), but successful implementation requires careful design. We need pilot programs that generate actionable evidence.\n\n## Proposed Pilot Parameters\n\n### Participant Selection\n- **Size**: 1,000-2,000 participants (statistical significance)\n- **Selection**: Stratified random sampling from target population\n- **Control Group**: Matched control for comparison\n- **Duration**: Minimum 3 years (longer-term effects)\n\n### Payment Structure\n- **Amount**: Research-based calculation (poverty line + participation bonus)\n- **Frequency**: Monthly payments\n- **Conditionality**: Unconditional (true UBI model)\n- **Tapering**: Analysis of interaction with existing benefits\n\n### Measurement Framework\n- **Economic**: Employment, entrepreneurship, income, spending\n- **Health**: Physical health, mental health, healthcare utilization\n- **Social**: Family stability, community participation, education\n- **Wellbeing**: Life satisfaction, sense of purpose, stress levels\n\n### Alignment Analysis\n- How does the pilot advance Reduce Suffering?\n- How does it increase Prosperity (not just income)?\n- What Understanding does it generate?\n\n## Ask\nSeeking community input on:\n- Additional metrics to track\n- Potential partner jurisdictions\n- Funding strategy\n- Research partners`,
-      proposal_type: 'research',
-      status: 'active'
-    },
-    {
-      title: 'Automation Tax Revenue Allocation Model',
-      content: `## Summary\nDevelop a model for how revenues from automation taxation (GOAL-003) should be allocated to maximize alignment with the Heuristic Imperatives.\n\n## Background\nAs automation increases productivity while potentially reducing labor income, taxation of automated production becomes essential for maintaining social prosperity. However, how these revenues are used matters as much as how they're collected.\n\n## Proposed Allocation Framework\n\n### Tier 1: Direct Support (40%)\n- Universal Basic Income contributions\n- Worker transition assistance\n- Healthcare access\n\n### Tier 2: Capability Building (30%)\n- Education and retraining programs\n- Community resilience funds\n- Public infrastructure\n\n### Tier 3: Future Investment (20%)\n- Research into beneficial automation\n- Pilot program funding\n- Public AI development\n\n### Tier 4: Governance (10%)\n- Democratic oversight mechanisms\n- Impact assessment programs\n- Community engagement\n\n## Heuristic Imperative Analysis\n\n| Allocation | Reduce Suffering | Increase Prosperity | Increase Understanding |\n|------------|------------------|---------------------|------------------------|\n| Direct Support | ★★★★★ | ★★★☆☆ | ★☆☆☆☆ |\n| Capability Building | ★★★☆☆ | ★★★★★ | ★★★★☆ |\n| Future Investment | ★★☆☆☆ | ★★★★☆ | ★★★★★ |\n| Governance | ★★★☆☆ | ★★★☆☆ | ★★★★☆ |\n\n## Discussion Questions\n- Are these proportions appropriate?\n- Should allocation vary by jurisdiction needs?\n- How do we prevent capture by special interests?`,
-      proposal_type: 'policy',
-      status: 'active'
-    },
-    {
-      title: 'Educational Curriculum: Post-Labor Economics 101',
-      content: `## Summary\nDevelop an open-source educational curriculum introducing post-labor economics concepts to general audiences.\n\n## Need\nPublic awareness (GOAL-007) requires accessible educational materials. Current resources are either too academic or too polemical. We need rigorous but accessible content.\n\n## Curriculum Outline\n\n### Module 1: The Automation Landscape\n- Historical context of technological change\n- Current state of AI and automation\n- Near-term projections\n- Debunking myths (both optimistic and pessimistic)\n\n### Module 2: Economic Foundations\n- How economies currently distribute resources\n- Labor's role in income distribution\n- What happens when labor share declines\n- Alternative distribution mechanisms\n\n### Module 3: The Policy Toolkit\n- Universal Basic Income: models and evidence\n- Automation taxation approaches\n- Data ownership frameworks\n- Worker transition programs\n\n### Module 4: Values and Alignment\n- Introduction to THE PRIME and Heuristic Imperatives\n- Connecting economics to human flourishing\n- Measuring what matters\n- Democratic participation in economic decisions\n\n### Module 5: Taking Action\n- Individual preparation\n- Community organizing\n- Policy advocacy\n- Contributing to research\n\n## Format\n- Written modules (web-based)\n- Video companions\n- Discussion guides\n- Assessment tools\n\n## Licensing\nAll materials CC-BY-SA for maximum accessibility\n\n## Seeking\n- Content contributors\n- Peer reviewers\n- Translation volunteers\n- Pilot instructors`,
-      proposal_type: 'initiative',
-      status: 'active'
-    },
-    {
-      title: 'Amendment: Add "Aligned Intelligence" to Core Principles',
-      content: `## Summary\nPropose adding "Aligned Intelligence" as a core principle (PRIN-011) to explicitly incorporate AI alignment into our foundational commitments.\n\n## Rationale\nWith the integration of the GATO Framework and THE PRIME, AI alignment has become central to our mission. Our current principles don't explicitly address how we think about AI and intelligent systems.\n\n## Proposed Principle\n\n**PRIN-011: Aligned Intelligence**\n\n"Champion the development and deployment of AI systems aligned with the Heuristic Imperatives — reducing suffering, increasing prosperity, and increasing understanding. Ensure all technological progress serves human flourishing."\n\n## Alignment Justification\n\nThis principle:\n- Makes explicit our commitment to beneficial AI\n- Connects our economic mission to AI safety concerns\n- Provides guidance for evaluating automation proposals\n- Positions PLE as a bridge between economics and AI alignment communities\n\n## Implementation\n- Add to Architecture Elements\n- Reference in all AI-related proposals\n- Include in educational materials\n- Guide partnership decisions\n\n## Process\nThis is an amendment to our foundational architecture and should go through full community deliberation and voting.`,
-      proposal_type: 'amendment',
-      status: 'active'
-    }
-  ];
-  
-  let proposalCount = 0;
-  for (const prop of proposals) {
-    const id = crypto.randomUUID();
-    await sql`
-      INSERT INTO proposals (id, title, content, proposal_type, status)
-      VALUES (${id}, ${prop.title}, ${prop.content}, ${prop.proposal_type}, ${prop.status})
-    `;
-    proposalCount++;
-  }
-  
-  return jsonResponse({
-    success: true,
-    message: 'Community content seeded successfully',
-    seeded: {
-      discussions: discussionCount,
-      proposals: proposalCount
-    }
-  });
-}
-
 async function getGATOFramework(sql) {
   // Get all GATO elements grouped by type
   const elements = await sql`
@@ -1757,7 +197,7 @@ async function getGATOFramework(sql) {
 
   if (elements.length === 0) {
     return jsonResponse({ 
-      message: 'GATO Framework not yet seeded. Call with ?action=seed to initialize.',
+      message: 'GATO Framework not yet seeded. Apply the gato fixture set via /api/fixtures?set=gato to initialize.',
       seeded: false 
     });
   }
@@ -1840,113 +280,3 @@ async function getGATOFramework(sql) {
     }
   });
 }
-
-async function fixContentData(sql) {
-  let fixed = 0;
-
-  // Fix author: assign first admin/editor to any content without an author
-  const admins = await sql`SELECT id FROM users WHERE role IN ('admin','editor') LIMIT 1`;
-  if (admins.length > 0) {
-    const result = await sql`UPDATE content_items SET author_id = ${admins[0].id} WHERE author_id IS NULL`;
-    fixed += result.count || 0;
-  }
-
-  // Ensure tags exist
-  const tags = [
-    { name: 'UBI', slug: 'ubi' }, { name: 'Automation', slug: 'automation' },
-    { name: 'Policy', slug: 'policy' }, { name: 'GATO', slug: 'gato' },
-    { name: 'Economics', slug: 'economics' }, { name: 'AI Alignment', slug: 'ai-alignment' },
-    { name: 'Governance', slug: 'governance' }
-  ];
-  for (const t of tags) {
-    await sql`INSERT INTO tags (name, slug) VALUES (${t.name}, ${t.slug}) ON CONFLICT DO NOTHING`;
-  }
-
-  // Link content to tags based on slug patterns
-  const tagMap = {
-    'intro-to-ple': ['economics', 'policy'],
-    'case-for-ubi': ['ubi', 'economics', 'policy'],
-    'understanding-gato': ['gato', 'ai-alignment'],
-    'automation-tax-guide': ['automation', 'policy', 'economics'],
-    'worker-transition-support': ['policy', 'governance']
-  };
-  let tagged = 0;
-  for (const [slug, tagSlugs] of Object.entries(tagMap)) {
-    const items = await sql`SELECT id FROM content_items WHERE slug = ${slug}`;
-    if (items.length === 0) continue;
-    for (const ts of tagSlugs) {
-      await sql`INSERT INTO content_tags (content_id, tag_id) SELECT ${items[0].id}, id FROM tags WHERE slug = ${ts} ON CONFLICT DO NOTHING`;
-      tagged++;
-    }
-  }
-
-  return jsonResponse({ success: true, message: 'Content data fixed', authorFixed: fixed, tagsLinked: tagged });
-}
-
-async function fixCommunityData(sql) {
-  const admins = await sql`SELECT id FROM users WHERE role IN ('admin','editor') ORDER BY created_at ASC LIMIT 1`;
-  const authorId = admins.length > 0 ? admins[0].id : null;
-  let fixes = { discussionAuthors: 0, proposalAuthors: 0, replies: 0 };
-
-  // Fix discussion authors
-  if (authorId) {
-    const r1 = await sql`UPDATE discussions SET author_id = ${authorId} WHERE author_id IS NULL`;
-    fixes.discussionAuthors = r1.count || 0;
-    const r2 = await sql`UPDATE proposals SET author_id = ${authorId} WHERE author_id IS NULL`;
-    fixes.proposalAuthors = r2.count || 0;
-  }
-
-  // Add seed replies to discussions that have none
-  const discs = await sql`
-    SELECT d.id, d.title FROM discussions d
-    WHERE d.parent_id IS NULL AND d.status = 'active'
-    AND NOT EXISTS (SELECT 1 FROM discussions r WHERE r.parent_id = d.id)
-    LIMIT 8
-  `;
-
-  const replyTemplates = [
-    { pattern: 'Heuristic Imperatives', replies: [
-      'Great question. I think the key is the time horizon — reducing suffering is urgent, but we need prosperity-building policies running in parallel. A phased UBI that starts with the most vulnerable and expands could address both imperatives simultaneously.',
-      'The Increase Understanding imperative is often overlooked here. We need better economic literacy programs so people can participate meaningfully in policy discussions about their own economic futures.'
-    ]},
-    { pattern: 'Corporate Adoption', replies: [
-      'I\'ve been researching B-Corp models and stakeholder capitalism frameworks. Companies like Patagonia show that profitability and social responsibility aren\'t mutually exclusive, but we need structural incentives to scale this beyond mission-driven companies.',
-      'Automation impact assessments are interesting. We could model them on environmental impact assessments — required before major automation deployments, with public comment periods and mitigation plans.'
-    ]},
-    { pattern: 'automation skeptics', replies: [
-      'I find the "jobs created vs jobs transformed" framing works better than "jobs lost." Most people can relate to how their own work has changed with technology. The question becomes: are the transformations benefiting workers or just shareholders?',
-      'Historical parallels are tricky because the pace of change is unprecedented. I like pointing to specific industries — like how self-checkout didn\'t eliminate cashiers overnight but fundamentally changed the economics of retail employment.'
-    ]},
-    { pattern: 'UBI pilot', replies: [
-      'Don\'t forget the Alaska Permanent Fund — it\'s the longest-running quasi-UBI and has great longitudinal data. Also worth tracking the upcoming pilots in Wales and several U.S. cities.',
-      'For metrics, I\'d prioritize subjective wellbeing alongside economic indicators. Finland\'s pilot showed employment effects were modest, but participants reported significantly better wellbeing and trust.'
-    ]},
-    { pattern: 'Attractor State', replies: [
-      'Love this idea. An attractor analysis template could include: proximity scores for each state, feedback loops created by the policy, and reversibility assessments. Would make proposals much stronger.',
-    ]},
-    { pattern: 'AI governance', replies: [
-      'I think algorithmic auditing is essential. The EU AI Act is a start, but we need frameworks specifically for economic AI systems. Credit scoring algorithms and hiring AI should be as transparent as financial reporting.',
-    ]},
-    { pattern: 'Welcome', replies: [
-      'Welcome everyone! I\'m particularly interested in the intersection of AI alignment and economic policy. Excited to see this community growing. Don\'t hesitate to jump into any discussion — every perspective enriches our thinking.',
-    ]},
-    { pattern: 'Data ownership', replies: [
-      'Data cooperatives are fascinating. The Barcelona Data Commons is a real-world experiment worth studying. They\'re trying to create a data governance model where citizens collectively control how their data is used by the city.',
-      'I think we need to distinguish between data types. Health data, behavioral data, and creative data all have different economic values and privacy implications. A one-size-fits-all approach won\'t work.'
-    ]}
-  ];
-
-  for (const disc of discs) {
-    const template = replyTemplates.find(t => disc.title.includes(t.pattern));
-    if (!template) continue;
-    for (const replyContent of template.replies) {
-      const id = crypto.randomUUID();
-      await sql`INSERT INTO discussions (id, content, parent_id, author_id, discussion_type, status) VALUES (${id}, ${replyContent}, ${disc.id}, ${authorId}, 'general', 'active')`;
-      fixes.replies++;
-    }
-  }
-
-  return jsonResponse({ success: true, message: 'Community data fixed', fixes });
-}
-
-export const config = { path: '/api/gato' };
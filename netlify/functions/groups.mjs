@@ -4,6 +4,7 @@
  */
 
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
 
 export default async function handler(req) {
   const url = new URL(req.url);
@@ -234,6 +235,15 @@ async function createGroup(db, req, user) {
     return jsonResponse({ error: 'Name is required' }, 400);
   }
 
+  let denied = await requirePermission(db, user, 'group.create');
+  if (denied) return denied;
+
+  // Attaching a group to a project makes its members project contributors
+  if (project_id) {
+    denied = await requirePermission(db, user, 'project.manage_groups', { projectId: project_id });
+    if (denied) return denied;
+  }
+
   // Generate slug
   const baseSlug = name.toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
@@ -275,9 +285,12 @@ async function updateGroup(db, groupId, req, user) {
 
   const group = existing[0];
 
-  // Check permission - lead or admin
-  if (group.lead_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Permission denied' }, 403);
+  let denied = await requirePermission(db, user, 'group.edit', { groupId });
+  if (denied) return denied;
+
+  if (body.project_id && body.project_id !== group.project_id) {
+    denied = await requirePermission(db, user, 'project.manage_groups', { projectId: body.project_id });
+    if (denied) return denied;
   }
 
   const allowedFields = ['name', 'description', 'status', 'visibility', 'project_id'];
@@ -326,6 +339,9 @@ async function joinGroup(db, groupId, user) {
     return jsonResponse({ error: 'Cannot join a disbanded group' }, 400);
   }
 
+  const denied = await requirePermission(db, user, 'group.join');
+  if (denied) return denied;
+
   // Check if already member
   const membership = await db`
     SELECT * FROM working_group_members 
@@ -401,15 +417,13 @@ async function manageMembers(db, groupId, req, user) {
   const body = await req.json();
   const { action, user_id, role } = body;
 
-  // Check permission - lead or admin
   const group = await db`SELECT * FROM working_groups WHERE id = ${groupId}`;
   if (group.length === 0) {
     return jsonResponse({ error: 'Working group not found' }, 404);
   }
 
-  if (group[0].lead_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Permission denied' }, 403);
-  }
+  const denied = await requirePermission(db, user, 'group.manage_members', { groupId });
+  if (denied) return denied;
 
   if (!user_id) {
     return jsonResponse({ error: 'User ID required' }, 400);
@@ -492,9 +506,8 @@ async function disbandGroup(db, groupId, user) {
 
   const group = existing[0];
 
-  if (group.lead_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Permission denied' }, 403);
-  }
+  const denied = await requirePermission(db, user, 'group.disband', { groupId });
+  if (denied) return denied;
 
   await db`
     UPDATE working_groups 
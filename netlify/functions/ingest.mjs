@@ -9,6 +9,8 @@
 // Composio key is stored as COMPOSIO_API_KEY env var (server-side only).
 
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { can } from './lib/permissions.mjs';
+import { rateLimit } from './lib/rate-limit.mjs';
 
 const SUBSTACK_RSS = 'https://daveshap.substack.com/feed';
 const SITE_URL = process.env.URL || process.env.DEPLOY_URL || 'https://postlaboreconomics.netlify.app';
@@ -54,10 +56,15 @@ export default async function handler(req) {
     // Auth check
     const user = await getCurrentUser(req);
     if (!user) return json(401, { error: 'Authentication required' });
-    if (user.role !== 'admin' && user.role !== 'editor') {
-      return json(403, { error: 'Admin or editor role required' });
+    const sql = await getDb();
+    if (!await can(sql, user, 'system.ingest')) {
+      return json(403, { error: 'Not authorized', permission: 'system.ingest' });
     }
 
+    // Discovery actions call paid third-party APIs
+    const limited = await rateLimit(sql, req, 'ingest', { user, headers: { 'Access-Control-Allow-Origin': '*' } });
+    if (limited) return limited;
+
     // ACTION: scan — fetch RSS and find new articles
     if (action === 'scan') {
       // Fetch RSS feed
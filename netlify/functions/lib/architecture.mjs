@@ -0,0 +1,138 @@
+/**
+ * PLE Platform - Architecture Elements
+ * Element types, code rules and the status lifecycle for the four core
+ * element types, plus the audit trail kept in element_history.
+ *
+ *   draft -> active | deprecated
+ *   active -> deprecated
+ *   deprecated -> active (reinstated)
+ *
+ * Every write to an element is paired with a history row in the same
+ * transaction. The row records which fields changed and a snapshot of the
+ * element as it stood afterwards.
+ */
+
+export const ELEMENT_TYPES = ['goal', 'strategy', 'capability', 'principle'];
+
+export const CODE_PREFIXES = { goal: 'GOAL', strategy: 'STRAT', capability: 'CAP', principle: 'PRIN' };
+
+export const ELEMENT_STATUSES = ['draft', 'active', 'deprecated'];
+
+export const ELEMENT_TRANSITIONS = {
+  draft: ['active', 'deprecated'],
+  active: ['deprecated'],
+  deprecated: ['active']
+};
+
+export const HISTORY_ACTIONS = ['created', 'updated', 'status_changed', 'removed'];
+
+const TRACKED_FIELDS = { title: 'title', description: 'description', status: 'status', parent_id: 'parentId', metadata: 'metadata' };
+const MAX_CODE_LENGTH = 20;
+const MAX_PARENT_DEPTH = 50;
+
+export function canTransitionElement(from, to) {
+  return (ELEMENT_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Why a code is not valid for an element type, or null. Types without a
+ * prefix (e.g. the GATO fixture elements) only need an upper-case code.
+ */
+export function validateCode(elementType, code) {
+  const prefix = CODE_PREFIXES[elementType];
+  if (!code) return 'Code is required';
+  if (code.length > MAX_CODE_LENGTH) return `Codes are at most ${MAX_CODE_LENGTH} characters`;
+  if (!prefix) {
+    return /^[A-Z][A-Z0-9]*(-[A-Z0-9]+)*$/.test(code) ? null : 'Codes are upper-case letters, digits and dashes, e.g. GATO-L1';
+  }
+  if (!new RegExp(`^${prefix}-[A-Z0-9]+(-[A-Z0-9]+)*$`).test(code)) {
+    return `A ${elementType} code must look like ${prefix}-001 (letters, digits and dashes after the ${prefix}- prefix)`;
+  }
+  return null;
+}
+
+/**
+ * The next free numbered code for a type, e.g. CAP-013
+ */
+export async function nextCode(sql, elementType) {
+  const prefix = CODE_PREFIXES[elementType];
+  const rows = await sql`
+    SELECT COALESCE(MAX(SUBSTRING(code FROM ${`^${prefix}-([0-9]+)$`})::int), 0) as last
+    FROM architecture_elements WHERE code ~ ${`^${prefix}-[0-9]+$`}
+  `;
+  return `${prefix}-${String(parseInt(rows[0]?.last || 0) + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Why parentId cannot be the parent of an element, or null. Parents have
+ * the same type, are not deprecated and cannot be one of the element's own
+ * descendants. elementId is null for a new element.
+ */
+export async function checkParent(sql, elementId, parentId, elementType) {
+  if (elementId && parentId === elementId) return 'An element cannot be its own parent';
+  const parents = await sql`SELECT id, element_type, status FROM architecture_elements WHERE id = ${parentId}`;
+  if (parents.length === 0) return 'Parent element not found';
+  if (parents[0].element_type !== elementType) return `The parent of a ${elementType} must also be a ${elementType}`;
+  if (parents[0].status === 'deprecated') return 'A deprecated element cannot be a parent';
+  if (!elementId) return null;
+
+  const ancestors = await sql`
+    WITH RECURSIVE chain AS (
+      SELECT id, parent_id, 1 as depth FROM architecture_elements WHERE id = ${parentId}
+      UNION ALL
+      SELECT ae.id, ae.parent_id, chain.depth + 1
+      FROM architecture_elements ae JOIN chain ON ae.id = chain.parent_id
+      WHERE chain.depth < ${MAX_PARENT_DEPTH}
+    )
+    SELECT id FROM chain
+  `;
+  if (ancestors.some(a => a.id === elementId)) return 'The parent cannot be one of the element\'s own descendants';
+  return null;
+}
+
+/**
+ * Fields that differ between two versions of an element row, as { field: { from, to } }
+ */
+export function diffElement(before, after) {
+  const changes = {};
+  for (const [column, field] of Object.entries(TRACKED_FIELDS)) {
+    if (!(column in after)) continue;
+    const from = before?.[column] ?? null;
+    const to = after[column] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * A history row for an element, snapshotting the row as it stands when the
+ * query runs. Put it after the write in the same transaction (before it,
+ * for a delete). Except for 'removed', the row is only written if the
+ * element was written in this transaction, so a guarded update that
+ * matched nothing leaves no history behind.
+ */
+export function historyQuery(sql, { elementId, action, changes = {}, userId = null, proposalId = null, note = null }) {
+  return sql`
+    INSERT INTO element_history (element_id, action, changes, snapshot, changed_by, proposal_id, note)
+    SELECT id, ${action}, ${JSON.stringify(changes)}::jsonb,
+      jsonb_build_object('code', code, 'type', element_type, 'title', title, 'description', description,
+        'status', status, 'parentId', parent_id, 'metadata', metadata),
+      ${userId}, ${proposalId}, ${note}
+    FROM architecture_elements
+    WHERE id = ${elementId} AND (${action} = 'removed' OR updated_at = CURRENT_TIMESTAMP)
+  `;
+}
+
+export function formatHistory(h) {
+  return {
+    id: h.id,
+    elementId: h.element_id,
+    action: h.action,
+    changes: h.changes || {},
+    snapshot: h.snapshot,
+    changedBy: h.changed_by ? { id: h.changed_by, name: h.changed_by_name } : null,
+    proposal: h.proposal_id ? { id: h.proposal_id, title: h.proposal_title } : null,
+    note: h.note,
+    createdAt: h.created_at
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * PLE Platform - CSV
+ * RFC 4180 output for reports that are opened in spreadsheets.
+ */
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * columns: [{ key, label }]; rows: objects with those keys
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(c => cell(c.label)).join(',')];
+  for (const row of rows) lines.push(columns.map(c => cell(row[c.key])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+export function csvResponse(body, fileName) {
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    }
+  });
+}
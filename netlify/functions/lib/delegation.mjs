@@ -0,0 +1,131 @@
+/**
+ * PLE Platform - Vote Delegation
+ * Liquid democracy: a member who does not vote lends their weight to the
+ * member they delegated to, and on through that member's own delegation,
+ * until it reaches someone who voted.
+ *
+ * Scopes, most specific first:
+ *   element       — proposals linked to one architecture element (scope_value = element id)
+ *   proposal_type — proposals of one type (scope_value = type)
+ *   global        — every proposal
+ *
+ * A direct vote always overrides the voter's own delegation. Weight that
+ * runs into a member who neither voted nor delegated, or into a cycle, is
+ * not counted.
+ */
+
+export const DELEGATION_SCOPES = ['global', 'proposal_type', 'element'];
+
+const SCOPE_PRIORITY = { element: 3, proposal_type: 2, global: 1 };
+
+export function formatDelegation(d) {
+  return {
+    id: d.id,
+    scope: d.scope,
+    scopeValue: d.scope_value || null,
+    delegator: { id: d.delegator_id, name: d.delegator_name },
+    delegate: { id: d.delegate_id, name: d.delegate_name },
+    createdAt: d.created_at, updatedAt: d.updated_at
+  };
+}
+
+/**
+ * The delegation each active member has in effect for a proposal
+ */
+async function effectiveDelegations(sql, proposal) {
+  const type = proposal.proposal_type || null;
+  const element = proposal.element_id ? String(proposal.element_id) : null;
+  const rows = await sql`
+    SELECT d.delegator_id, d.delegate_id, d.scope
+    FROM vote_delegations d
+    JOIN users u ON u.id = d.delegator_id AND u.is_active = true
+    WHERE d.scope = 'global'
+       OR (d.scope = 'proposal_type' AND d.scope_value = ${type})
+       OR (d.scope = 'element' AND d.scope_value = ${element})
+  `;
+  const effective = new Map();
+  for (const r of rows) {
+    const current = effective.get(r.delegator_id);
+    if (!current || SCOPE_PRIORITY[r.scope] > SCOPE_PRIORITY[current.scope]) effective.set(r.delegator_id, r);
+  }
+  return effective;
+}
+
+/**
+ * Follow delegation chains for a proposal. directVoters is a Set of user ids
+ * with a vote of their own. Returns the extra weight each direct voter
+ * carries, which voter each delegator's weight ended with, and the weight
+ * that could not be placed.
+ */
+export async function resolveDelegations(sql, proposal, directVoters) {
+  const effective = await effectiveDelegations(sql, proposal);
+  const delegations = new Map([...effective].map(([id, r]) => [id, r.delegate_id]));
+  const weights = new Map();
+  const resolvedTo = new Map();
+  let unresolved = 0;
+  let cycles = 0;
+
+  for (const delegator of delegations.keys()) {
+    if (directVoters.has(delegator)) continue;
+    const seen = new Set([delegator]);
+    let current = delegations.get(delegator);
+    while (current && !directVoters.has(current) && !seen.has(current)) {
+      seen.add(current);
+      current = delegations.get(current);
+    }
+    if (current && directVoters.has(current)) {
+      weights.set(current, (weights.get(current) || 0) + 1);
+      resolvedTo.set(delegator, current);
+    } else {
+      unresolved++;
+      if (current) cycles++;
+    }
+  }
+
+  return { weights, resolvedTo, unresolved, cycles, effective };
+}
+
+/**
+ * Where a member's vote goes on a proposal they have not voted on themselves:
+ * their delegate for it and the voter the weight finally reaches (null when
+ * it is lost to a cycle or a member who did not vote)
+ */
+export async function userDelegation(sql, proposal, userId) {
+  const voters = await sql`SELECT user_id FROM votes WHERE proposal_id = ${proposal.id}`;
+  const { resolvedTo, effective } = await resolveDelegations(sql, proposal, new Set(voters.map(v => v.user_id)));
+  const own = effective.get(userId);
+  if (!own) return null;
+
+  const finalId = resolvedTo.get(userId) || null;
+  const users = await sql`SELECT id, display_name FROM users WHERE id IN (${own.delegate_id}, ${finalId})`;
+  const name = id => users.find(u => u.id === id)?.display_name;
+  return {
+    scope: own.scope,
+    delegate: { id: own.delegate_id, name: name(own.delegate_id) },
+    resolvedTo: finalId ? { id: finalId, name: name(finalId) } : null
+  };
+}
+
+/**
+ * The chain a new delegation would create, if it loops back to the
+ * delegator. Only delegations that could apply alongside it are followed:
+ * the same scope and value, then global ones.
+ */
+export async function findDelegationCycle(sql, delegatorId, delegateId, scope, scopeValue) {
+  const rows = await sql`
+    SELECT delegator_id, delegate_id, scope FROM vote_delegations
+    WHERE scope = 'global' OR (scope = ${scope} AND scope_value = ${scopeValue})
+  `;
+  const next = new Map();
+  for (const r of rows) {
+    if (!next.has(r.delegator_id) || r.scope !== 'global') next.set(r.delegator_id, r.delegate_id);
+  }
+
+  const chain = [delegatorId, delegateId];
+  let current = next.get(delegateId);
+  while (current && !chain.includes(current)) {
+    chain.push(current);
+    current = next.get(current);
+  }
+  return current === delegatorId ? [...chain, delegatorId] : null;
+}
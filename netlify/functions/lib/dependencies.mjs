@@ -0,0 +1,251 @@
+/**
+ * PLE Platform - Task Dependencies
+ * A task depends on another in the same project either finish-to-start (it
+ * cannot start until the other is done) or start-to-start (it cannot start
+ * until the other has started). Moving a task into a started status is
+ * refused while its blockers are unmet, and dependencies that would form a
+ * cycle are refused when added.
+ *
+ * The critical path is worked out in days from today: a task's duration is
+ * its estimated hours less the hours already logged, at HOURS_PER_DAY, and
+ * a due date is a deadline for its late finish. Slack is how far a task can
+ * slip without delaying the project or missing a due date; it is negative
+ * when a due date can no longer be met.
+ */
+
+export const DEPENDENCY_TYPES = ['finish_to_start', 'start_to_start'];
+
+export const STARTED_STATUSES = ['in_progress', 'review', 'done'];
+
+export const HOURS_PER_DAY = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function formatDependency(d) {
+  return {
+    id: d.id,
+    type: d.dependency_type,
+    task: { id: d.task_id, title: d.task_title, status: d.task_status },
+    dependsOn: { id: d.depends_on_id, title: d.depends_on_title, status: d.depends_on_status },
+    createdAt: d.created_at
+  };
+}
+
+export async function listDependencies(sql, taskId) {
+  return sql`
+    SELECT d.*, t.title as task_title, t.status as task_status,
+           dep.title as depends_on_title, dep.status as depends_on_status
+    FROM task_dependencies d
+    JOIN tasks t ON d.task_id = t.id
+    JOIN tasks dep ON d.depends_on_id = dep.id
+    WHERE d.task_id = ${taskId} OR d.depends_on_id = ${taskId}
+    ORDER BY d.created_at
+  `;
+}
+
+function isMet(type, blockerStatus, started) {
+  return type === 'finish_to_start' ? blockerStatus === 'done' : started.includes(blockerStatus);
+}
+
+/**
+ * The dependencies that stop a task moving to a status. Only started
+ * statuses are guarded; a task can always go back to the backlog. started
+ * is the project workflow's started states.
+ */
+export async function unmetBlockers(sql, taskId, status, started = STARTED_STATUSES) {
+  if (!started.includes(status)) return [];
+  const blockers = await sql`
+    SELECT d.dependency_type, dep.id, dep.title, dep.status
+    FROM task_dependencies d JOIN tasks dep ON d.depends_on_id = dep.id
+    WHERE d.task_id = ${taskId}
+  `;
+  return blockers
+    .filter(b => !isMet(b.dependency_type, b.status, started))
+    .map(b => ({ id: b.id, title: b.title, status: b.status, type: b.dependency_type }));
+}
+
+/**
+ * The chain of dependencies that would close a loop if taskId came to
+ * depend on dependsOnId, or null. edges are { task_id, depends_on_id }.
+ */
+export function findCycle(edges, taskId, dependsOnId) {
+  const dependsOn = new Map();
+  for (const e of edges) {
+    if (!dependsOn.has(e.task_id)) dependsOn.set(e.task_id, []);
+    dependsOn.get(e.task_id).push(e.depends_on_id);
+  }
+  const visited = new Set();
+  const walk = (id, path) => {
+    if (id === taskId) return path;
+    if (visited.has(id)) return null;
+    visited.add(id);
+    for (const next of dependsOn.get(id) || []) {
+      const found = walk(next, [...path, next]);
+      if (found) return found;
+    }
+    return null;
+  };
+  const chain = walk(dependsOnId, [dependsOnId]);
+  return chain ? [taskId, ...chain] : null;
+}
+
+/**
+ * Add a dependency after checking both tasks and the cycle rule. Returns
+ * the new row or { error, status }.
+ */
+export async function addDependency(sql, { taskId, dependsOnId, type = 'finish_to_start', userId }) {
+  if (!DEPENDENCY_TYPES.includes(type)) return { error: `type must be one of: ${DEPENDENCY_TYPES.join(', ')}`, status: 400 };
+  if (taskId === dependsOnId) return { error: 'A task cannot depend on itself', status: 400 };
+
+  const tasks = await sql`SELECT id, title, project_id FROM tasks WHERE id IN (${taskId}, ${dependsOnId})`;
+  const task = tasks.find(t => t.id === taskId);
+  const blocker = tasks.find(t => t.id === dependsOnId);
+  if (!task || !blocker) return { error: 'Task not found', status: 404 };
+  if (task.project_id !== blocker.project_id) {
+    return { error: 'Dependencies must be between tasks in the same project', status: 400 };
+  }
+
+  const edges = await sql`
+    SELECT d.task_id, d.depends_on_id FROM task_dependencies d
+    JOIN tasks t ON d.task_id = t.id
+    WHERE t.project_id = ${task.project_id}
+  `;
+  if (edges.some(e => e.task_id === taskId && e.depends_on_id === dependsOnId)) {
+    return { error: 'This dependency already exists', status: 409 };
+  }
+  const cycle = findCycle(edges, taskId, dependsOnId);
+  if (cycle) {
+    const titles = new Map((await sql`SELECT id, title FROM tasks WHERE id = ANY(${cycle})`).map(t => [t.id, t.title]));
+    return { error: 'This dependency would create a cycle', status: 409, cycle: cycle.map(id => ({ id, title: titles.get(id) })) };
+  }
+
+  const rows = await sql`
+    INSERT INTO task_dependencies (task_id, depends_on_id, dependency_type, created_by)
+    VALUES (${taskId}, ${dependsOnId}, ${type}, ${userId})
+    RETURNING *
+  `;
+  return { dependency: rows[0], task, blocker };
+}
+
+export function daysBetween(from, to) {
+  return Math.round((new Date(to).getTime() - new Date(from).getTime()) / DAY_MS);
+}
+
+export function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+/**
+ * Earliest and latest start and finish, slack and the critical path for a
+ * project's tasks. tasks need id, title, status, estimated_hours,
+ * actual_hours and due_date; edges are task_dependencies rows.
+ */
+export function computeSchedule(tasks, edges, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const predecessors = new Map(tasks.map(t => [t.id, []]));
+  const successors = new Map(tasks.map(t => [t.id, []]));
+  for (const e of edges) {
+    if (!byId.has(e.task_id) || !byId.has(e.depends_on_id)) continue;
+    predecessors.get(e.task_id).push(e);
+    successors.get(e.depends_on_id).push(e);
+  }
+
+  const duration = new Map(tasks.map(t => {
+    if (t.status === 'done' || t.estimated_hours === null || t.estimated_hours === undefined) return [t.id, 0];
+    const remaining = Math.max(parseFloat(t.estimated_hours) - parseFloat(t.actual_hours || 0), 0);
+    return [t.id, remaining / HOURS_PER_DAY];
+  }));
+
+  // Kahn's algorithm; anything left over sits on a cycle
+  const pending = new Map(tasks.map(t => [t.id, predecessors.get(t.id).length]));
+  const order = tasks.filter(t => pending.get(t.id) === 0).map(t => t.id);
+  for (let i = 0; i < order.length; i++) {
+    for (const e of successors.get(order[i])) {
+      pending.set(e.task_id, pending.get(e.task_id) - 1);
+      if (pending.get(e.task_id) === 0) order.push(e.task_id);
+    }
+  }
+  if (order.length < tasks.length) {
+    return { error: 'The task dependencies form a cycle', cycle: tasks.filter(t => pending.get(t.id) > 0).map(t => t.id) };
+  }
+
+  const es = new Map();
+  const ef = new Map();
+  for (const id of order) {
+    let start = 0;
+    for (const e of predecessors.get(id)) {
+      start = Math.max(start, e.dependency_type === 'start_to_start' ? es.get(e.depends_on_id) : ef.get(e.depends_on_id));
+    }
+    es.set(id, start);
+    ef.set(id, start + duration.get(id));
+  }
+  const finish = Math.max(0, ...ef.values());
+
+  // A due date is met by finishing at the end of that day
+  const deadline = new Map(tasks.filter(t => t.due_date && t.status !== 'done')
+    .map(t => [t.id, daysBetween(today, t.due_date) + 1]));
+
+  const ls = new Map();
+  const lf = new Map();
+  for (const id of [...order].reverse()) {
+    let late = Math.min(finish, deadline.get(id) ?? Infinity);
+    for (const e of successors.get(id)) {
+      late = Math.min(late, e.dependency_type === 'start_to_start' ? ls.get(e.task_id) + duration.get(id) : ls.get(e.task_id));
+    }
+    lf.set(id, late);
+    ls.set(id, late - duration.get(id));
+  }
+
+  const scheduled = tasks.map(t => {
+    const slack = round(ls.get(t.id) - es.get(t.id));
+    return {
+      id: t.id, title: t.title, status: t.status,
+      durationDays: round(duration.get(t.id)),
+      earlyStart: round(es.get(t.id)), earlyFinish: round(ef.get(t.id)),
+      lateStart: round(ls.get(t.id)), lateFinish: round(lf.get(t.id)),
+      slack,
+      critical: t.status !== 'done' && slack <= 0,
+      expectedFinish: addDays(today, Math.ceil(ef.get(t.id))),
+      dueDate: t.due_date || null,
+      late: deadline.has(t.id) && ef.get(t.id) > deadline.get(t.id)
+    };
+  });
+
+  // Walk back from the last task to finish along the predecessors that set each start
+  const path = [];
+  const open = id => byId.get(id).status !== 'done';
+  let current = order.filter(open).sort((a, b) => ef.get(b) - ef.get(a) || (ls.get(a) - es.get(a)) - (ls.get(b) - es.get(b)))[0];
+  while (current) {
+    path.unshift(current);
+    const driving = predecessors.get(current).find(e => open(e.depends_on_id) &&
+      (e.dependency_type === 'start_to_start' ? es.get(e.depends_on_id) : ef.get(e.depends_on_id)) === es.get(current));
+    current = driving?.depends_on_id;
+  }
+
+  return {
+    startDate: today,
+    hoursPerDay: HOURS_PER_DAY,
+    durationDays: round(finish),
+    finishDate: addDays(today, Math.ceil(finish)),
+    criticalPath: path,
+    tasks: scheduled,
+    lateTasks: scheduled.filter(t => t.late).map(t => t.id),
+    unestimated: tasks.filter(t => t.status !== 'done' && (t.estimated_hours === null || t.estimated_hours === undefined)).map(t => t.id)
+  };
+}
+
+export async function projectSchedule(sql, projectId) {
+  const tasks = await sql`
+    SELECT id, title, status, estimated_hours, actual_hours, due_date::text as due_date
+    FROM tasks WHERE project_id = ${projectId}
+    ORDER BY order_index, created_at
+  `;
+  const edges = await sql`
+    SELECT d.task_id, d.depends_on_id, d.dependency_type FROM task_dependencies d
+    JOIN tasks t ON d.task_id = t.id
+    WHERE t.project_id = ${projectId}
+  `;
+  return computeSchedule(tasks, edges);
+}
@@ -0,0 +1,54 @@
+/**
+ * PLE Platform - Text Diff
+ * Line-based diff (longest common subsequence) for comparing revisions.
+ */
+
+// Beyond this many lines per side the table gets too large for a function call
+const MAX_LINES = 2000;
+
+/**
+ * Diff two texts line by line. Returns [{ type: 'same' | 'added' | 'removed', text }].
+ */
+export function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  if (a.length > MAX_LINES || b.length > MAX_LINES) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++; j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+export function diffStats(lines) {
+  return {
+    added: lines.filter(l => l.type === 'added').length,
+    removed: lines.filter(l => l.type === 'removed').length
+  };
+}
@@ -0,0 +1,512 @@
+/**
+ * PLE Platform - Proposal Execution
+ * Carries out a passed proposal. Its execution_plan is one of:
+ *
+ *   { kind: 'project', template, title?, description?, startDate?, milestones? }
+ *       — a draft project linked back to the proposal, with milestones from a template
+ *   { kind: 'architecture', changes: [{ op, ... }] }
+ *       — a change set applied to architecture_elements and element_relationships
+ *
+ * Change operations (elements are referred to by code, including ones
+ * created earlier in the same set):
+ *
+ *   create_element      { elementType, code, title, description?, status?, parent? }
+ *   update_element      { code, title?, description?, status? }
+ *   deprecate_element   { code }
+ *   add_relationship    { source, target, relationshipType, description? }
+ *   remove_relationship { source, target, relationshipType }
+ *
+ * Some proposal types run without a plan of their own (see defaultPlan).
+ * Each run is stored in proposal_executions together with the steps that
+ * undo it, so an admin can revert it. Reverting refuses to overwrite later
+ * edits unless forced.
+ */
+
+import { logActivity, guardedTransaction } from './db.mjs';
+import { ELEMENT_TYPES, ELEMENT_STATUSES, validateCode, historyQuery } from './architecture.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+export const EXECUTION_KINDS = ['project', 'architecture'];
+
+export const PROJECT_TEMPLATES = {
+  initiative: {
+    label: 'Initiative',
+    projectType: 'initiative',
+    milestones: [
+      { title: 'Team formed and kickoff held', offsetDays: 14 },
+      { title: 'Scope and plan agreed', offsetDays: 30 },
+      { title: 'First deliverable', offsetDays: 90 },
+      { title: 'Review and report back', offsetDays: 120 }
+    ]
+  },
+  research: {
+    label: 'Research',
+    projectType: 'research',
+    milestones: [
+      { title: 'Research questions and method', offsetDays: 14 },
+      { title: 'Literature and data review', offsetDays: 45 },
+      { title: 'Draft findings', offsetDays: 90 },
+      { title: 'Published report', offsetDays: 120 }
+    ]
+  },
+  policy: {
+    label: 'Policy',
+    projectType: 'policy',
+    milestones: [
+      { title: 'Drafting', offsetDays: 30 },
+      { title: 'Public consultation', offsetDays: 60 },
+      { title: 'Final text', offsetDays: 90 },
+      { title: 'Adoption and rollout', offsetDays: 120 }
+    ]
+  }
+};
+
+export const CHANGE_OPERATIONS = ['create_element', 'update_element', 'deprecate_element', 'add_relationship', 'remove_relationship'];
+
+export const RELATIONSHIP_TYPES = ['achieved_by', 'enabled_by', 'governs', 'depends_on'];
+
+const MAX_CHANGES = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * The plan a proposal type carries out when the proposal does not set one
+ */
+export function defaultPlan(proposal) {
+  if (proposal.proposal_type === 'initiative') return { kind: 'project', template: 'initiative' };
+  if (proposal.proposal_type === 'deprecate_element' && proposal.element_code) {
+    return { kind: 'architecture', changes: [{ op: 'deprecate_element', code: proposal.element_code }] };
+  }
+  return null;
+}
+
+/**
+ * Check the shape of an execution plan. Returns { plan } (normalized) or { error }.
+ * Codes and relationships are checked against the database when the plan runs.
+ */
+export function validatePlan(plan) {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) return { error: 'executionPlan must be an object' };
+  if (!EXECUTION_KINDS.includes(plan.kind)) return { error: `executionPlan.kind must be one of ${EXECUTION_KINDS.join(', ')}` };
+
+  if (plan.kind === 'project') {
+    const template = plan.template || 'initiative';
+    if (!PROJECT_TEMPLATES[template]) return { error: `Unknown project template, expected one of ${Object.keys(PROJECT_TEMPLATES).join(', ')}` };
+    if (plan.startDate && !isDate(plan.startDate)) return { error: 'startDate must be a date (YYYY-MM-DD)' };
+    let milestones;
+    if (plan.milestones !== undefined) {
+      if (!Array.isArray(plan.milestones)) return { error: 'milestones must be an array' };
+      milestones = plan.milestones.map(m => ({
+        title: String(m?.title || '').trim(),
+        description: m?.description || null,
+        offsetDays: parseInt(m?.offsetDays) || 0
+      }));
+      if (milestones.some(m => !m.title)) return { error: 'Every milestone needs a title' };
+      if (milestones.some(m => m.offsetDays < 0)) return { error: 'Milestone offsetDays cannot be negative' };
+    }
+    return {
+      plan: {
+        kind: 'project', template,
+        ...(plan.title ? { title: String(plan.title) } : {}),
+        ...(plan.description ? { description: String(plan.description) } : {}),
+        ...(plan.startDate ? { startDate: plan.startDate } : {}),
+        ...(milestones ? { milestones } : {})
+      }
+    };
+  }
+
+  const changes = plan.changes;
+  if (!Array.isArray(changes) || changes.length === 0) return { error: 'An architecture plan needs at least one change' };
+  if (changes.length > MAX_CHANGES) return { error: `An architecture plan can have at most ${MAX_CHANGES} changes` };
+  for (const [i, c] of changes.entries()) {
+    const at = `Change ${i + 1}`;
+    if (!CHANGE_OPERATIONS.includes(c?.op)) return { error: `${at}: op must be one of ${CHANGE_OPERATIONS.join(', ')}` };
+    if (c.op.endsWith('_element') && !c.code) return { error: `${at}: code is required` };
+    if (c.op === 'create_element') {
+      if (!ELEMENT_TYPES.includes(c.elementType)) return { error: `${at}: elementType must be one of ${ELEMENT_TYPES.join(', ')}` };
+      if (!c.title) return { error: `${at}: title is required` };
+      const codeError = validateCode(c.elementType, c.code);
+      if (codeError) return { error: `${at}: ${codeError}` };
+    }
+    if ((c.op === 'create_element' || c.op === 'update_element') && c.status && !ELEMENT_STATUSES.includes(c.status)) {
+      return { error: `${at}: status must be one of ${ELEMENT_STATUSES.join(', ')}` };
+    }
+    if (c.op === 'update_element' && c.title === undefined && c.description === undefined && c.status === undefined) {
+      return { error: `${at}: nothing to update` };
+    }
+    if (c.op.endsWith('_relationship')) {
+      if (!c.source || !c.target) return { error: `${at}: source and target codes are required` };
+      if (c.source === c.target) return { error: `${at}: an element cannot be related to itself` };
+      if (!RELATIONSHIP_TYPES.includes(c.relationshipType)) {
+        return { error: `${at}: relationshipType must be one of ${RELATIONSHIP_TYPES.join(', ')}` };
+      }
+    }
+  }
+  return { plan: { kind: 'architecture', changes } };
+}
+
+export function formatExecution(e) {
+  return {
+    id: e.id,
+    proposalId: e.proposal_id,
+    kind: e.kind,
+    status: e.status,
+    plan: e.plan,
+    result: e.result || {},
+    error: e.error || null,
+    executedBy: e.executed_by ? { id: e.executed_by, name: e.executed_by_name } : null,
+    executedAt: e.executed_at,
+    revertedBy: e.reverted_by ? { id: e.reverted_by, name: e.reverted_by_name } : null,
+    revertedAt: e.reverted_at
+  };
+}
+
+/**
+ * The most recent execution of a proposal, if any
+ */
+export async function getExecution(sql, proposalId) {
+  const rows = await sql`
+    SELECT e.*, a.display_name as executed_by_name, b.display_name as reverted_by_name
+    FROM proposal_executions e
+    LEFT JOIN users a ON e.executed_by = a.id
+    LEFT JOIN users b ON e.reverted_by = b.id
+    WHERE e.proposal_id = ${proposalId}
+    ORDER BY e.executed_at DESC
+    LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+// ============================================
+// Executing
+// ============================================
+
+async function buildProjectChanges(sql, proposal, plan, executionId) {
+  const template = PROJECT_TEMPLATES[plan.template];
+  const id = uuidv4();
+  const title = plan.title || proposal.title;
+  const startDate = plan.startDate || new Date().toISOString().slice(0, 10);
+  const milestones = (plan.milestones || template.milestones).map((m, i) => ({
+    id: uuidv4(), title: m.title, description: m.description || null,
+    targetDate: addDays(startDate, m.offsetDays), orderIndex: i
+  }));
+  const targetEndDate = milestones.reduce((latest, m) => m.targetDate > latest ? m.targetDate : latest, startDate);
+
+  const baseSlug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const existing = await sql`SELECT slug FROM projects WHERE slug LIKE ${baseSlug + '%'}`;
+  const slug = existing.length > 0 ? `${baseSlug}-${existing.length + 1}` : baseSlug;
+  const linkedElements = proposal.element_id ? [proposal.element_id] : [];
+  const metadata = { sourceProposalId: proposal.id, executionId, template: plan.template };
+
+  return {
+    queries: [
+      sql`
+        INSERT INTO projects (id, title, slug, description, project_type, status, visibility, priority,
+          owner_id, linked_proposal_id, linked_elements, start_date, target_end_date, metadata)
+        VALUES (${id}, ${title}, ${slug}, ${plan.description || proposal.content}, ${template.projectType}, 'draft', 'members', 'medium',
+          ${proposal.author_id}, ${proposal.id}, ${JSON.stringify(linkedElements)}::jsonb, ${startDate}, ${targetEndDate},
+          ${JSON.stringify(metadata)}::jsonb)
+      `,
+      ...milestones.map(m => sql`
+        INSERT INTO milestones (id, project_id, title, description, target_date, status, order_index)
+        VALUES (${m.id}, ${id}, ${m.title}, ${m.description}, ${m.targetDate}, 'upcoming', ${m.orderIndex})
+      `)
+    ],
+    undo: [{ op: 'remove_project', id }],
+    result: { project: { id, slug, title }, milestones: milestones.map(m => ({ id: m.id, title: m.title, targetDate: m.targetDate })) }
+  };
+}
+
+/**
+ * Resolve a change set against the current architecture and turn it into
+ * writes plus undo steps. Returns { error } when a change cannot apply.
+ */
+async function buildArchitectureChanges(sql, proposal, plan, executionId) {
+  const codes = [...new Set(plan.changes.flatMap(c => [c.code, c.parent, c.source, c.target]).filter(Boolean))];
+  const rows = await sql`
+    SELECT id, code, element_type, title, description, status, parent_id, metadata FROM architecture_elements WHERE code = ANY(${codes})
+  `;
+  const elements = new Map(rows.map(r => [r.code, r]));
+  const metadata = JSON.stringify({ sourceProposalId: proposal.id, executionId });
+  const queries = [];
+  const undo = [];
+  const result = { created: [], updated: [], relationshipsAdded: [], relationshipsRemoved: [] };
+
+  for (const [i, c] of plan.changes.entries()) {
+    const at = `Change ${i + 1} (${c.op})`;
+    const element = code => elements.get(code);
+
+    if (c.op === 'create_element') {
+      if (element(c.code)) return { error: `${at}: an element with code ${c.code} already exists` };
+      const parent = c.parent ? element(c.parent) : null;
+      if (c.parent && !parent) return { error: `${at}: parent ${c.parent} not found` };
+      if (parent && parent.element_type !== c.elementType) return { error: `${at}: the parent of a ${c.elementType} must also be a ${c.elementType}` };
+      const created = {
+        id: uuidv4(), code: c.code, element_type: c.elementType, title: c.title, description: c.description || null, status: c.status || 'draft',
+        parent_id: parent?.id || null
+      };
+      queries.push(sql`
+        INSERT INTO architecture_elements (id, element_type, code, title, description, status, parent_id, created_by, metadata)
+        VALUES (${created.id}, ${c.elementType}, ${created.code}, ${created.title}, ${created.description}, ${created.status},
+          ${parent?.id || null}, ${proposal.author_id}, ${metadata}::jsonb)
+      `, historyQuery(sql, { elementId: created.id, action: 'created', proposalId: proposal.id, note: 'Created by a passed proposal' }));
+      elements.set(c.code, created);
+      undo.push({ op: 'remove_element', id: created.id, code: c.code });
+      result.created.push({ id: created.id, code: c.code, title: c.title });
+      continue;
+    }
+
+    if (c.op === 'update_element' || c.op === 'deprecate_element') {
+      const current = element(c.code);
+      if (!current) return { error: `${at}: element ${c.code} not found` };
+      const before = { title: current.title, description: current.description, status: current.status };
+      const after = c.op === 'deprecate_element'
+        ? { ...before, status: 'deprecated' }
+        : {
+            title: c.title ?? before.title,
+            description: c.description === undefined ? before.description : c.description,
+            status: c.status ?? before.status
+          };
+      if (after.status === 'deprecated' && before.status !== 'deprecated') {
+        // As when retiring by hand, counting children this plan has already created or retired
+        const stored = await sql`SELECT code, status, parent_id FROM architecture_elements WHERE parent_id = ${current.id}`;
+        const live = [...elements.values(), ...stored.filter(r => !elements.has(r.code))]
+          .filter(e => e.parent_id === current.id && e.status !== 'deprecated').map(e => e.code).sort();
+        if (live.length > 0) return { error: `${at}: retire or move the child elements of ${c.code} first (${live.join(', ')})` };
+      }
+      queries.push(sql`
+        UPDATE architecture_elements SET title = ${after.title}, description = ${after.description}, status = ${after.status},
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ${current.id}
+      `, historyQuery(sql, {
+        elementId: current.id,
+        action: after.status !== before.status ? 'status_changed' : 'updated',
+        changes: Object.fromEntries(Object.keys(after).filter(k => after[k] !== before[k]).map(k => [k, { from: before[k], to: after[k] }])),
+        proposalId: proposal.id,
+        note: 'Changed by a passed proposal'
+      }));
+      elements.set(c.code, { ...current, ...after });
+      undo.push({ op: 'restore_element', id: current.id, code: c.code, before });
+      result.updated.push({ id: current.id, code: c.code, changes: Object.keys(after).filter(k => after[k] !== before[k]) });
+      continue;
+    }
+
+    const source = element(c.source);
+    const target = element(c.target);
+    if (!source || !target) return { error: `${at}: element ${source ? c.target : c.source} not found` };
+    const existing = await sql`
+      SELECT * FROM element_relationships
+      WHERE source_id = ${source.id} AND target_id = ${target.id} AND relationship_type = ${c.relationshipType}
+    `;
+    const link = { source: c.source, target: c.target, type: c.relationshipType };
+
+    if (c.op === 'add_relationship') {
+      if (existing.length > 0) return { error: `${at}: ${c.source} already ${c.relationshipType} ${c.target}` };
+      const id = uuidv4();
+      queries.push(sql`
+        INSERT INTO element_relationships (id, source_id, target_id, relationship_type, description)
+        VALUES (${id}, ${source.id}, ${target.id}, ${c.relationshipType}, ${c.description || null})
+      `);
+      undo.push({ op: 'remove_relationship', id });
+      result.relationshipsAdded.push({ id, ...link });
+    } else {
+      if (existing.length === 0) return { error: `${at}: ${c.source} has no ${c.relationshipType} relationship to ${c.target}` };
+      for (const r of existing) {
+        queries.push(sql`DELETE FROM element_relationships WHERE id = ${r.id}`);
+        undo.push({
+          op: 'restore_relationship',
+          relationship: { id: r.id, sourceId: r.source_id, targetId: r.target_id, type: r.relationship_type, description: r.description, createdAt: r.created_at }
+        });
+      }
+      result.relationshipsRemoved.push(link);
+    }
+  }
+
+  return { queries, undo, result };
+}
+
+/**
+ * Carry out a passed proposal's plan (or its type's default plan).
+ * Returns null when there is nothing to execute, { error, status } when it
+ * cannot run, otherwise { execution }. A plan that fails against the current
+ * data is recorded as a failed execution so it can be fixed and retried.
+ */
+export async function executeProposal(sql, proposalId, { userId = null } = {}) {
+  const proposals = await sql`
+    SELECT p.id, p.title, p.content, p.status, p.proposal_type, p.author_id, p.element_id, p.execution_plan,
+           ae.code as element_code
+    FROM proposals p LEFT JOIN architecture_elements ae ON p.element_id = ae.id
+    WHERE p.id = ${proposalId}
+  `;
+  if (proposals.length === 0) return { error: 'Proposal not found', status: 404 };
+  const proposal = proposals[0];
+  if (proposal.status !== 'passed') return { error: 'Only passed proposals can be executed', status: 409 };
+
+  const applied = await sql`SELECT id FROM proposal_executions WHERE proposal_id = ${proposalId} AND status = 'applied'`;
+  if (applied.length > 0) return { error: 'This proposal has already been executed', status: 409 };
+
+  const rawPlan = proposal.execution_plan || defaultPlan(proposal);
+  if (!rawPlan) return null;
+  const checked = validatePlan(rawPlan);
+  const executionId = uuidv4();
+
+  let built;
+  try {
+    built = checked.error
+      ? { error: checked.error }
+      : checked.plan.kind === 'project'
+        ? await buildProjectChanges(sql, proposal, checked.plan, executionId)
+        : await buildArchitectureChanges(sql, proposal, checked.plan, executionId);
+    if (!built.error) {
+      await sql.transaction([
+        ...built.queries,
+        sql`
+          INSERT INTO proposal_executions (id, proposal_id, kind, status, plan, result, undo, executed_by)
+          VALUES (${executionId}, ${proposalId}, ${checked.plan.kind}, 'applied', ${JSON.stringify(checked.plan)}::jsonb,
+            ${JSON.stringify(built.result)}::jsonb, ${JSON.stringify(built.undo)}::jsonb, ${userId})
+        `
+      ]);
+    }
+  } catch (error) {
+    built = { error: error.message };
+  }
+
+  if (built.error) {
+    const kind = EXECUTION_KINDS.includes(rawPlan.kind) ? rawPlan.kind : 'project';
+    const failed = await sql`
+      INSERT INTO proposal_executions (proposal_id, kind, status, plan, error, executed_by)
+      VALUES (${proposalId}, ${kind}, 'failed', ${JSON.stringify(rawPlan)}::jsonb, ${built.error}, ${userId})
+      RETURNING *
+    `;
+    await logActivity(userId, 'proposal_execution_failed', 'proposal', proposalId, { title: proposal.title, error: built.error });
+    return { error: built.error, status: 409, execution: failed[0] };
+  }
+
+  await logActivity(userId, 'proposal_executed', 'proposal', proposalId, {
+    title: proposal.title, kind: checked.plan.kind, executionId, result: built.result
+  });
+  return { execution: await getExecution(sql, proposalId) };
+}
+
+// ============================================
+// Reverting
+// ============================================
+
+/**
+ * Undo an applied execution. Anything edited since it ran is reported as a
+ * conflict; with force, later edits are overwritten and a project that
+ * already has work in it is archived rather than deleted.
+ * Returns { error, status, conflicts? } or { execution }.
+ */
+export async function revertExecution(sql, executionId, { userId, force = false }) {
+  const executions = await sql`
+    SELECT e.*, p.title as proposal_title FROM proposal_executions e
+    JOIN proposals p ON e.proposal_id = p.id
+    WHERE e.id = ${executionId}
+  `;
+  if (executions.length === 0) return { error: 'Execution not found', status: 404 };
+  const execution = executions[0];
+  if (execution.status !== 'applied') return { error: `A ${execution.status} execution cannot be reverted`, status: 409 };
+
+  const queries = [];
+  const conflicts = [];
+  const notes = [];
+  const addedLinks = (execution.undo || []).filter(u => u.op === 'remove_relationship').map(u => u.id);
+
+  for (const step of [...(execution.undo || [])].reverse()) {
+    if (step.op === 'remove_project') {
+      const projects = await sql`
+        SELECT id, title,
+               (SELECT COUNT(*) FROM tasks WHERE project_id = ${step.id}) as task_count,
+               (SELECT COUNT(*) FROM working_groups WHERE project_id = ${step.id}) as group_count
+        FROM projects WHERE id = ${step.id}
+      `;
+      if (projects.length === 0) { notes.push('Project was already deleted'); continue; }
+      const inUse = parseInt(projects[0].task_count) + parseInt(projects[0].group_count) > 0;
+      if (inUse) {
+        conflicts.push(`Project "${projects[0].title}" has ${projects[0].task_count} tasks and ${projects[0].group_count} working groups`);
+        queries.push(sql`UPDATE projects SET status = 'archived', updated_at = CURRENT_TIMESTAMP WHERE id = ${step.id}`);
+        notes.push('Project archived because it already has work in it');
+      } else {
+        queries.push(sql`DELETE FROM projects WHERE id = ${step.id}`);
+      }
+      continue;
+    }
+
+    if (step.op === 'remove_element' || step.op === 'restore_element') {
+      const current = await sql`SELECT id, updated_at FROM architecture_elements WHERE id = ${step.id}`;
+      if (current.length === 0) { notes.push(`${step.code} no longer exists`); continue; }
+      if (current[0].updated_at > execution.executed_at) conflicts.push(`${step.code} was edited after the execution`);
+
+      if (step.op === 'restore_element') {
+        queries.push(sql`
+          UPDATE architecture_elements SET title = ${step.before.title}, description = ${step.before.description},
+            status = ${step.before.status}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ${step.id}
+        `, historyQuery(sql, {
+          elementId: step.id, action: 'updated', userId, proposalId: execution.proposal_id, note: 'Proposal execution reverted'
+        }));
+        continue;
+      }
+      // Relationships this execution added are removed by their own undo steps; any others were added since
+      const [links, children] = await Promise.all([
+        sql`
+          SELECT COUNT(*) as count FROM element_relationships
+          WHERE (source_id = ${step.id} OR target_id = ${step.id}) AND NOT (id = ANY(${addedLinks}))
+        `,
+        sql`SELECT COUNT(*) as count FROM architecture_elements WHERE parent_id = ${step.id}`
+      ]);
+      if (parseInt(links[0].count) > 0) conflicts.push(`${step.code} has ${links[0].count} relationships added after the execution`);
+      if (parseInt(children[0].count) > 0) conflicts.push(`${step.code} has child elements`);
+      queries.push(
+        historyQuery(sql, {
+          elementId: step.id, action: 'removed', userId, proposalId: execution.proposal_id, note: 'Proposal execution reverted'
+        }),
+        sql`DELETE FROM element_relationships WHERE source_id = ${step.id} OR target_id = ${step.id}`,
+        sql`UPDATE architecture_elements SET parent_id = NULL WHERE parent_id = ${step.id}`,
+        sql`DELETE FROM architecture_elements WHERE id = ${step.id}`
+      );
+      continue;
+    }
+
+    if (step.op === 'remove_relationship') {
+      queries.push(sql`DELETE FROM element_relationships WHERE id = ${step.id}`);
+      continue;
+    }
+
+    if (step.op === 'restore_relationship') {
+      const r = step.relationship;
+      const ends = await sql`SELECT id FROM architecture_elements WHERE id IN (${r.sourceId}, ${r.targetId})`;
+      if (ends.length < 2) { notes.push(`A removed ${r.type} relationship cannot be restored because an element is gone`); continue; }
+      queries.push(sql`
+        INSERT INTO element_relationships (id, source_id, target_id, relationship_type, description, created_at)
+        VALUES (${r.id}, ${r.sourceId}, ${r.targetId}, ${r.type}, ${r.description}, ${r.createdAt})
+        ON CONFLICT (id) DO NOTHING
+      `);
+    }
+  }
+
+  if (conflicts.length > 0 && !force) {
+    return { error: 'Changes were made after this execution; revert with force to override them', status: 409, conflicts };
+  }
+
+  // Claim the execution before undoing anything, so a concurrent revert aborts instead of repeating the steps
+  const reverted = await guardedTransaction(sql, sql`
+    SELECT 1 / COUNT(*) as claimed
+    FROM (SELECT id FROM proposal_executions WHERE id = ${executionId} AND status = 'applied' FOR UPDATE) applied
+  `, [
+    sql`
+      UPDATE proposal_executions SET status = 'reverted', reverted_by = ${userId}, reverted_at = CURRENT_TIMESTAMP,
+        result = result || ${JSON.stringify({ revertNotes: notes, overridden: conflicts })}::jsonb
+      WHERE id = ${executionId}
+    `,
+    ...queries
+  ]);
+  if (!reverted) return { error: 'Execution was already reverted', status: 409 };
+
+  await logActivity(userId, 'proposal_execution_reverted', 'proposal', execution.proposal_id, {
+    title: execution.proposal_title, kind: execution.kind, executionId, forced: force && conflicts.length > 0, notes
+  });
+  return { execution: await getExecution(sql, execution.proposal_id) };
+}
@@ -0,0 +1,362 @@
+/**
+ * PLE Platform - Fixture Runner
+ * Applies named fixture sets from ./fixtures and records each run in seed_runs.
+ *
+ * Fixtures are declarative: every record names its table and natural key, the
+ * columns to keep in sync (`values`) and the columns to fill only while empty
+ * (`defaults`), so user edits to things like task status survive a re-seed.
+ * The runner diffs each record against the database first, which doubles as
+ * the dry-run report, and then writes the whole set in one transaction.
+ * Rows are only ever created or updated — fixtures never delete.
+ */
+
+import { fixtureSets } from './fixtures/index.mjs';
+import { hashToken } from './db.mjs';
+
+const LOCK_NAME = 'ple_seed_runs';
+const MISSING = Symbol('missing');
+
+validateRegistry(fixtureSets);
+
+function validateRegistry(list) {
+  const names = new Set();
+  for (const set of list) {
+    if (typeof set.records !== 'function') throw new Error(`Fixture set ${set.name} has no records()`);
+    for (const dep of set.dependsOn || []) {
+      if (!names.has(dep)) throw new Error(`Fixture set ${set.name} depends on ${dep}, which must be registered before it`);
+    }
+    names.add(set.name);
+  }
+}
+
+// ─── Record builders (used by fixture modules) ───
+
+/**
+ * Reference another fixture row by natural key; resolves to its id
+ */
+export function ref(table, key) {
+  return { $ref: { table, key } };
+}
+
+/**
+ * Upsert a row identified by `key`
+ * `values` are kept in sync; `defaults` are only written while the column is empty.
+ */
+export function row(table, key, values = {}, defaults = {}) {
+  return { kind: 'row', table, key, values, defaults };
+}
+
+/**
+ * Fill `defaults` on existing rows whose `column` matches an ILIKE pattern
+ * Never creates rows; used to align content seeded elsewhere (e.g. /api/seed).
+ */
+export function link(table, column, pattern, defaults) {
+  return { kind: 'link', table, column, pattern, defaults };
+}
+
+// ─── SQL helpers ───
+
+function ident(name) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(name)) throw new Error(`Invalid identifier in fixture: ${name}`);
+  return name;
+}
+
+function isRef(value) {
+  return value !== null && typeof value === 'object' && '$ref' in value;
+}
+
+function containsRef(value) {
+  return isRef(value) || (Array.isArray(value) && value.some(containsRef));
+}
+
+function encode(value) {
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+  return value;
+}
+
+// Refs are written as subqueries so rows created earlier in the same transaction resolve
+function expr(value, params) {
+  if (isRef(value)) {
+    const { table, key } = value.$ref;
+    return `(SELECT id FROM ${ident(table)} WHERE ${where(key, params)} LIMIT 1)`;
+  }
+  if (Array.isArray(value) && value.some(containsRef)) {
+    return `jsonb_build_array(${value.map(v => isRef(v) ? expr(v, params) : `${expr(v, params)}::text`).join(', ')})`;
+  }
+  params.push(encode(value));
+  return `$${params.length}`;
+}
+
+function where(key, params) {
+  return Object.entries(key).map(([col, value]) => `${ident(col)} = ${expr(value, params)}`).join(' AND ');
+}
+
+function insertQuery(sql, table, fields) {
+  const params = [];
+  const cols = Object.keys(fields).map(ident);
+  const vals = Object.values(fields).map(v => expr(v, params));
+  return sql.query(`INSERT INTO ${ident(table)} (${cols.join(', ')}) VALUES (${vals.join(', ')})`, params);
+}
+
+function updateQuery(sql, table, key, fields) {
+  const params = [];
+  const sets = Object.entries(fields).map(([col, value]) => `${ident(col)} = ${expr(value, params)}`);
+  return sql.query(`UPDATE ${ident(table)} SET ${sets.join(', ')} WHERE ${where(key, params)}`, params);
+}
+
+// ─── Diffing ───
+
+// Compare database values with fixture values across driver types
+// (Date vs 'YYYY-MM-DD', jsonb key order, numeric strings)
+function canonical(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return `${value}T00:00:00.000Z`;
+  return JSON.stringify(String(value));
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function sameValue(current, next) {
+  return canonical(current) === canonical(next);
+}
+
+function display(value) {
+  if (isRef(value)) return `→ ${value.$ref.table}(${Object.values(value.$ref.key).map(display).join(', ')})`;
+  if (Array.isArray(value)) return value.map(display);
+  return value ?? null;
+}
+
+async function resolve(ctx, value) {
+  if (isRef(value)) {
+    const { table, key } = value.$ref;
+    const cacheKey = `${table}:${JSON.stringify(key)}`;
+    if (ctx.ids.has(cacheKey)) return ctx.ids.get(cacheKey);
+    const resolvedKey = await resolveFields(ctx, key);
+    if (resolvedKey === MISSING) return MISSING;
+    const params = [];
+    const rows = await ctx.sql.query(`SELECT id FROM ${ident(table)} WHERE ${where(resolvedKey, params)} LIMIT 1`, params);
+    if (rows.length === 0) return MISSING;
+    ctx.ids.set(cacheKey, rows[0].id);
+    return rows[0].id;
+  }
+  if (Array.isArray(value) && value.some(containsRef)) {
+    const out = [];
+    for (const v of value) {
+      const resolved = await resolve(ctx, v);
+      if (resolved === MISSING) return MISSING;
+      out.push(resolved);
+    }
+    return out;
+  }
+  return value;
+}
+
+async function resolveFields(ctx, fields) {
+  const out = {};
+  for (const [col, value] of Object.entries(fields)) {
+    const resolved = await resolve(ctx, value);
+    if (resolved === MISSING) return MISSING;
+    out[col] = resolved;
+  }
+  return out;
+}
+
+function describeKey(key) {
+  const out = {};
+  for (const [col, value] of Object.entries(key)) out[col] = display(value);
+  return out;
+}
+
+async function planRow(ctx, record) {
+  const { table, key, values, defaults } = record;
+  const entry = { table, key: describeKey(key) };
+
+  // A missing reference means the referenced row is created earlier in this run
+  const resolvedKey = await resolveFields(ctx, key);
+  let existing = null;
+  if (resolvedKey !== MISSING) {
+    const params = [];
+    const rows = await ctx.sql.query(`SELECT * FROM ${ident(table)} WHERE ${where(resolvedKey, params)} LIMIT 1`, params);
+    existing = rows[0] || null;
+  }
+
+  if (!existing) {
+    const fields = { ...key, ...defaults, ...values };
+    entry.action = 'create';
+    entry.fields = Object.fromEntries(Object.entries(fields).map(([col, v]) => [col, { from: null, to: display(v) }]));
+    entry.write = insertQuery(ctx.sql, table, fields);
+    return entry;
+  }
+
+  const changes = {};
+  for (const [col, value] of Object.entries(values)) {
+    const resolved = await resolve(ctx, value);
+    if (resolved === MISSING || !sameValue(existing[col], resolved)) changes[col] = value;
+  }
+  for (const [col, value] of Object.entries(defaults)) {
+    if (!isEmpty(existing[col]) || isEmpty(value)) continue;
+    changes[col] = value;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    entry.action = 'unchanged';
+    return entry;
+  }
+
+  entry.action = 'update';
+  entry.fields = Object.fromEntries(Object.entries(changes).map(([col, v]) => [col, { from: display(existing[col]), to: display(v) }]));
+  entry.write = updateQuery(ctx.sql, table, key, changes);
+  return entry;
+}
+
+async function planLink(ctx, record) {
+  const { table, column, pattern, defaults } = record;
+  const rows = await ctx.sql.query(`SELECT * FROM ${ident(table)} WHERE ${ident(column)} ILIKE $1`, [pattern]);
+  const entries = [];
+
+  for (const existing of rows) {
+    // The first matching pattern wins, as if the links were applied one by one
+    const changes = {};
+    for (const [col, value] of Object.entries(defaults)) {
+      const claim = `${table}:${existing.id}:${col}`;
+      if (isEmpty(existing[col]) && !ctx.claimed.has(claim)) {
+        changes[col] = value;
+        ctx.claimed.add(claim);
+      }
+    }
+    const entry = { table, key: { id: existing.id, [column]: existing[column] }, match: pattern };
+    if (Object.keys(changes).length === 0) {
+      entries.push({ ...entry, action: 'unchanged' });
+      continue;
+    }
+    entries.push({
+      ...entry,
+      action: 'update',
+      fields: Object.fromEntries(Object.entries(changes).map(([col, v]) => [col, { from: null, to: display(v) }])),
+      write: updateQuery(ctx.sql, table, { id: existing.id }, changes)
+    });
+  }
+
+  return entries;
+}
+
+// ─── Public API ───
+
+export function listFixtureSets() {
+  return fixtureSets.map(set => ({
+    name: set.name,
+    description: set.description,
+    dependsOn: set.dependsOn || []
+  }));
+}
+
+/**
+ * Expand requested set names ('all' or names) with their dependencies, in registry order
+ */
+export function resolveFixtureSets(names) {
+  const byName = new Map(fixtureSets.map(set => [set.name, set]));
+  const wanted = new Set();
+
+  const add = (name) => {
+    const set = byName.get(name);
+    if (!set) throw new Error(`Unknown fixture set: ${name}`);
+    if (wanted.has(name)) return;
+    for (const dep of set.dependsOn || []) add(dep);
+    wanted.add(name);
+  };
+
+  for (const name of names) {
+    if (name === 'all') fixtureSets.forEach(set => add(set.name));
+    else add(name);
+  }
+
+  return fixtureSets.filter(set => wanted.has(set.name));
+}
+
+async function checksum(set) {
+  return hashToken(JSON.stringify(set.records()));
+}
+
+/**
+ * Diff one fixture set against the database and, unless dryRun, apply it
+ * Returns a per-record change report plus summary counts.
+ */
+export async function runFixtureSet(sql, set, { dryRun = false, userId = null } = {}) {
+  const ctx = { sql, ids: new Map(), claimed: new Set() };
+  const entries = [];
+  const seen = new Set();
+
+  for (const record of set.records()) {
+    if (record.kind === 'link') {
+      entries.push(...await planLink(ctx, record));
+      continue;
+    }
+    const id = `${record.table}:${canonical(record.key)}`;
+    if (seen.has(id)) throw new Error(`Fixture set ${set.name} lists ${id} more than once`);
+    seen.add(id);
+    entries.push(await planRow(ctx, record));
+  }
+
+  const summary = {
+    created: entries.filter(e => e.action === 'create').length,
+    updated: entries.filter(e => e.action === 'update').length,
+    unchanged: entries.filter(e => e.action === 'unchanged').length
+  };
+  const sum = await checksum(set);
+  const changes = entries.filter(e => e.action !== 'unchanged').map(({ write, ...e }) => e);
+
+  if (!dryRun) {
+    await sql.transaction([
+      sql`SELECT pg_advisory_xact_lock(hashtext(${LOCK_NAME}))`,
+      ...entries.filter(e => e.write).map(e => e.write),
+      sql`INSERT INTO seed_runs (fixture, checksum, created_count, updated_count, unchanged_count, run_by, details)
+          VALUES (${set.name}, ${sum}, ${summary.created}, ${summary.updated}, ${summary.unchanged}, ${userId},
+                  ${JSON.stringify({ changes: changes.map(c => ({ table: c.table, key: c.key, action: c.action })) })})`
+    ]);
+    console.log(`Seeded fixture set ${set.name}: ${summary.created} created, ${summary.updated} updated`);
+  }
+
+  return { set: set.name, dryRun, checksum: sum, summary, changes };
+}
+
+/**
+ * Report every fixture set with its last run and whether its data changed since
+ */
+export async function getFixtureStatus(sql) {
+  const runs = await sql`
+    SELECT DISTINCT ON (fixture) fixture, checksum, created_count, updated_count, unchanged_count, run_by, ran_at
+    FROM seed_runs ORDER BY fixture, ran_at DESC
+  `;
+  const lastRun = new Map(runs.map(r => [r.fixture, r]));
+
+  const sets = [];
+  for (const set of fixtureSets) {
+    const run = lastRun.get(set.name);
+    const sum = await checksum(set);
+    sets.push({
+      name: set.name,
+      description: set.description,
+      dependsOn: set.dependsOn || [],
+      records: set.records().length,
+      checksum: sum,
+      lastRun: run ? {
+        ranAt: run.ran_at,
+        checksum: run.checksum,
+        created: run.created_count,
+        updated: run.updated_count,
+        unchanged: run.unchanged_count,
+        runBy: run.run_by
+      } : null,
+      stale: !run || run.checksum !== sum
+    });
+  }
+
+  return sets;
+}
@@ -0,0 +1,147 @@
+/**
+ * Fixture set - PLE architecture
+ * Goals, strategies, capabilities and principles, plus the relationships between them.
+ */
+
+import { row, ref } from '../fixtures.mjs';
+
+export const name = 'architecture';
+export const description = 'PLE goals, strategies, capabilities, principles and their relationships';
+export const dependsOn = [];
+
+const goals = [
+  ['goal', 'GOAL-001', 'Universal Basic Income', 'Establish economic security through unconditional basic income for all citizens', 'active'],
+  ['goal', 'GOAL-002', 'Data Ownership Rights', 'Ensure individuals own and control their personal data with fair compensation', 'active'],
+  ['goal', 'GOAL-003', 'Automation Taxation', 'Implement fair taxation on automated labor to fund social programs', 'active'],
+  ['goal', 'GOAL-004', 'Worker Transition Support', 'Provide comprehensive support for workers displaced by automation', 'active'],
+  ['goal', 'GOAL-005', 'Democratic Economic Governance', 'Enable democratic participation in economic policy decisions', 'active'],
+  ['goal', 'GOAL-006', 'Evidence-Based Policy', 'Ground all proposals in rigorous research and empirical evidence', 'active'],
+  ['goal', 'GOAL-007', 'Public Awareness', 'Build broad public understanding of post-labor economics concepts', 'active'],
+  ['goal', 'GOAL-008', 'Coalition Building', 'Unite diverse stakeholders around shared prosperity goals', 'active'],
+  ['goal', 'GOAL-009', 'Institutional Reform', 'Transform institutions to support post-labor economic models', 'active']
+];
+
+const strategies = [
+  ['strategy', 'STRAT-001', 'Research & Analysis', 'Conduct and synthesize research on post-labor economics', 'active'],
+  ['strategy', 'STRAT-002', 'Public Education', 'Educate the public through content, events, and media', 'active'],
+  ['strategy', 'STRAT-003', 'Policy Development', 'Develop concrete policy proposals and frameworks', 'active'],
+  ['strategy', 'STRAT-004', 'Community Building', 'Build engaged communities of practitioners and advocates', 'active'],
+  ['strategy', 'STRAT-005', 'Pilot Programs', 'Design and support pilot implementations', 'active'],
+  ['strategy', 'STRAT-006', 'Stakeholder Engagement', 'Engage policymakers, businesses, and civil society', 'active']
+];
+
+const capabilities = [
+  ['capability', 'CAP-001', 'Policy Analysis', 'Analyze existing and proposed economic policies', 'active'],
+  ['capability', 'CAP-002', 'Research Synthesis', 'Synthesize academic research into actionable insights', 'active'],
+  ['capability', 'CAP-003', 'Advocacy & Outreach', 'Advocate for post-labor policies to decision makers', 'active'],
+  ['capability', 'CAP-004', 'Content Production', 'Create articles, videos, podcasts, and educational materials', 'active'],
+  ['capability', 'CAP-005', 'Community Facilitation', 'Facilitate discussions and working groups', 'active'],
+  ['capability', 'CAP-006', 'Event Management', 'Organize webinars, conferences, and community events', 'active'],
+  ['capability', 'CAP-007', 'Data Analysis', 'Analyze economic data and model scenarios', 'active'],
+  ['capability', 'CAP-008', 'Partnership Development', 'Build partnerships with aligned organizations', 'active']
+];
+
+const principles = [
+  ['principle', 'PRIN-001', 'Human Dignity First', 'All policies must prioritize human dignity and wellbeing', 'active'],
+  ['principle', 'PRIN-002', 'Evidence-Based Approach', 'Decisions grounded in research and empirical evidence', 'active'],
+  ['principle', 'PRIN-003', 'Inclusive Participation', 'Ensure diverse voices in all decision-making processes', 'active'],
+  ['principle', 'PRIN-004', 'Transparency', 'Operate with full transparency in governance and finances', 'active'],
+  ['principle', 'PRIN-005', 'Open Source First', 'Prefer open source tools and open knowledge sharing', 'active'],
+  ['principle', 'PRIN-006', 'Pragmatic Idealism', 'Balance ambitious vision with practical implementation', 'active'],
+  ['principle', 'PRIN-007', 'Federated Governance', 'Distribute power across community working groups', 'active'],
+  ['principle', 'PRIN-008', 'Continuous Learning', 'Embrace iteration and learning from failures', 'active'],
+  ['principle', 'PRIN-009', 'Solidarity Economy', 'Model the economic principles we advocate', 'active'],
+  ['principle', 'PRIN-010', 'Long-term Thinking', 'Plan for generational impact, not quick wins', 'active']
+];
+
+// Goals are achieved through one or more strategies
+const goalToStrategy = [
+  ['GOAL-001', 'STRAT-001', 'UBI requires rigorous economic research and modeling'],
+  ['GOAL-001', 'STRAT-003', 'UBI needs concrete policy frameworks and legislation drafts'],
+  ['GOAL-001', 'STRAT-005', 'UBI benefits from pilot program evidence'],
+  ['GOAL-002', 'STRAT-001', 'Data ownership requires research on data valuation models'],
+  ['GOAL-002', 'STRAT-003', 'Data rights need policy frameworks (GDPR-style, data dividends)'],
+  ['GOAL-003', 'STRAT-001', 'Automation taxation needs economic impact analysis'],
+  ['GOAL-003', 'STRAT-003', 'Automation tax requires legislative policy development'],
+  ['GOAL-003', 'STRAT-006', 'Tax policy needs business and labor stakeholder buy-in'],
+  ['GOAL-004', 'STRAT-005', 'Worker transition best proven through pilot retraining programs'],
+  ['GOAL-004', 'STRAT-004', 'Displaced workers need community support networks'],
+  ['GOAL-005', 'STRAT-004', 'Democratic governance needs engaged community participation'],
+  ['GOAL-005', 'STRAT-006', 'Economic democracy requires institutional stakeholder reform'],
+  ['GOAL-006', 'STRAT-001', 'Evidence-based policy is fundamentally research-driven'],
+  ['GOAL-006', 'STRAT-005', 'Evidence comes from pilot program outcomes'],
+  ['GOAL-007', 'STRAT-002', 'Public awareness achieved through education and media'],
+  ['GOAL-007', 'STRAT-004', 'Awareness grows through community evangelism'],
+  ['GOAL-008', 'STRAT-006', 'Coalitions built through stakeholder engagement'],
+  ['GOAL-008', 'STRAT-004', 'Coalition grows from community building networks'],
+  ['GOAL-009', 'STRAT-003', 'Institutional reform requires policy development'],
+  ['GOAL-009', 'STRAT-006', 'Reform needs institutional stakeholder engagement'],
+];
+
+// Strategies require specific organizational capabilities
+const stratToCapability = [
+  ['STRAT-001', 'CAP-001', 'Research requires policy analysis capability'],
+  ['STRAT-001', 'CAP-002', 'Research requires synthesis of academic literature'],
+  ['STRAT-001', 'CAP-007', 'Research requires economic data analysis'],
+  ['STRAT-002', 'CAP-004', 'Education requires content production'],
+  ['STRAT-002', 'CAP-006', 'Education delivered through events and webinars'],
+  ['STRAT-003', 'CAP-001', 'Policy development requires policy analysis'],
+  ['STRAT-003', 'CAP-002', 'Policy informed by research synthesis'],
+  ['STRAT-004', 'CAP-005', 'Community building requires facilitation'],
+  ['STRAT-004', 'CAP-006', 'Community grows through events'],
+  ['STRAT-005', 'CAP-007', 'Pilots require data analysis and evaluation'],
+  ['STRAT-005', 'CAP-001', 'Pilots need policy analysis for design'],
+  ['STRAT-006', 'CAP-003', 'Engagement requires advocacy and outreach'],
+  ['STRAT-006', 'CAP-008', 'Engagement built through partnership development'],
+];
+
+// Principles constrain and guide how goals are pursued
+const principleToGoal = [
+  ['PRIN-001', 'GOAL-001', 'UBI must center human dignity'],
+  ['PRIN-001', 'GOAL-004', 'Worker transition must preserve dignity'],
+  ['PRIN-002', 'GOAL-006', 'Evidence-based approach directly governs evidence-based policy'],
+  ['PRIN-002', 'GOAL-001', 'UBI design must be evidence-grounded'],
+  ['PRIN-003', 'GOAL-005', 'Inclusive participation is core to democratic governance'],
+  ['PRIN-003', 'GOAL-008', 'Coalition must include diverse voices'],
+  ['PRIN-004', 'GOAL-005', 'Transparency required for democratic legitimacy'],
+  ['PRIN-005', 'GOAL-007', 'Open knowledge sharing accelerates public awareness'],
+  ['PRIN-006', 'GOAL-001', 'UBI needs pragmatic idealism — ambitious but implementable'],
+  ['PRIN-006', 'GOAL-003', 'Automation tax must be practical, not punitive'],
+  ['PRIN-007', 'GOAL-005', 'Federated governance embodies democratic economic governance'],
+  ['PRIN-007', 'GOAL-009', 'Institutional reform should distribute power'],
+  ['PRIN-008', 'GOAL-006', 'Continuous learning feeds evidence-based policy'],
+  ['PRIN-009', 'GOAL-002', 'Solidarity economy models fair data compensation'],
+  ['PRIN-009', 'GOAL-001', 'Solidarity economy principles guide UBI design'],
+  ['PRIN-010', 'GOAL-009', 'Institutional reform requires generational thinking'],
+  ['PRIN-010', 'GOAL-001', 'UBI must be designed for long-term sustainability'],
+];
+
+// Inter-goal dependencies
+const goalDeps = [
+  ['GOAL-001', 'GOAL-003', 'UBI funding depends on automation taxation revenue'],
+  ['GOAL-001', 'GOAL-006', 'UBI design requires evidence-based approach'],
+  ['GOAL-003', 'GOAL-005', 'Tax policy legitimacy requires democratic governance'],
+  ['GOAL-004', 'GOAL-001', 'Worker transition eased by UBI safety net'],
+  ['GOAL-005', 'GOAL-007', 'Democratic participation requires public awareness'],
+  ['GOAL-008', 'GOAL-007', 'Coalition building depends on public understanding'],
+  ['GOAL-009', 'GOAL-005', 'Institutional reform driven by democratic governance'],
+];
+
+const element = (code) => ref('architecture_elements', { code });
+
+export function records() {
+  const elements = [...goals, ...strategies, ...capabilities, ...principles].map(([type, code, title, desc, status]) =>
+    row('architecture_elements', { code }, { element_type: type, title, description: desc }, { status })
+  );
+
+  const relationships = [
+    ...goalToStrategy.map(r => [...r, 'achieved_by']),
+    ...stratToCapability.map(r => [...r, 'enabled_by']),
+    ...principleToGoal.map(r => [...r, 'governs']),
+    ...goalDeps.map(r => [...r, 'depends_on'])
+  ].map(([src, tgt, desc, type]) =>
+    row('element_relationships', { source_id: element(src), target_id: element(tgt), relationship_type: type }, {}, { description: desc })
+  );
+
+  return [...elements, ...relationships];
+}
@@ -0,0 +1,478 @@
+/**
+ * Fixture set - Community
+ * Starter discussions and proposals, demo content with tags, and the alignment of
+ * community and knowledge-base content to architecture elements.
+ */
+
+import { row, ref, link } from '../fixtures.mjs';
+
+export const name = 'community';
+export const description = 'Starter discussions, proposals and demo content, aligned to architecture elements';
+export const dependsOn = ['architecture'];
+
+// Opening community discussions
+const discussions = [
+  {
+    title: 'How do the Heuristic Imperatives apply to economic policy?',
+    content: `I've been studying THE PRIME and the three Heuristic Imperatives (Reduce Suffering, Increase Prosperity, Increase Understanding). I'm curious how others think these should guide our economic policy proposals.\n\nFor example, when we talk about UBI implementation, how do we balance immediate suffering reduction with long-term prosperity building? Some policies might quickly reduce suffering but could have unintended consequences for prosperity.\n\nI'd love to hear thoughts from the community on how you apply these imperatives to your thinking about post-labor economics.`,
+    discussion_type: 'general'
+  },
+  {
+    title: 'GATO Layer 4: Corporate Adoption Strategies',
+    content: `Looking at the GATO Framework's Layer 4 (Corporate Adoption), I think this is where post-labor economics faces its biggest challenge.\n\nCompanies are naturally incentivized to automate and reduce labor costs. How do we create alignment between corporate incentives and broader societal wellbeing?\n\nSome ideas I've been considering:\n- Tax structures that reward companies for maintaining employment during transitions\n- Profit-sharing mandates when automation replaces workers\n- Industry-specific automation impact assessments\n\nWhat strategies do you think would be most effective at the corporate adoption layer?`,
+    discussion_type: 'strategy'
+  },
+  {
+    title: 'Building bridges with automation skeptics',
+    content: `One of the GATO Traditions is "Start Where You Are" — meeting people where they're at rather than where we wish they were.\n\nI've been having conversations with friends and family who are skeptical about automation's impact or dismiss concerns about technological unemployment. They often point to historical examples of technology creating new jobs.\n\nHow do you approach these conversations? What arguments or framings have you found most effective at building understanding without being dismissive of legitimate concerns about economic disruption?`,
+    discussion_type: 'general'
+  },
+  {
+    title: 'Research needed: Local UBI pilot outcomes',
+    content: `Our Evidence-Based Policy goal (GOAL-006) requires rigorous research to support our proposals.\n\nI'm trying to compile a comprehensive database of UBI and basic income pilot programs worldwide. So far I have data on:\n- Finland's 2017-2018 experiment\n- Stockton, CA SEED program\n- Kenya's GiveDirectly program\n- Various smaller pilots\n\nWhat other pilots should we be tracking? And importantly, what metrics should we prioritize when evaluating their success? Employment rates? Health outcomes? Entrepreneurship? Community wellbeing?`,
+    discussion_type: 'research'
+  },
+  {
+    title: 'The "Attractor State" concept and policy design',
+    content: `The GATO Framework describes three attractor states: Utopia, Dystopia, and Extinction. This framing really resonates with me because it emphasizes that our policy choices actively pull us toward one of these outcomes.\n\nI think every proposal we develop should include an "attractor analysis" — how does this policy move us toward or away from each state?\n\nFor example, a poorly designed UBI could create dependency and reduce prosperity (dystopia-leaning), while a well-designed one could increase human flourishing and creativity (utopia-leaning).\n\nShould we formalize this kind of analysis in our proposal template?`,
+    discussion_type: 'meta'
+  },
+  {
+    title: 'AI governance and democratic participation',
+    content: `Our goal of Democratic Economic Governance (GOAL-005) takes on new dimensions when we consider AI systems.\n\nAs AI increasingly influences economic decisions (from hiring algorithms to credit scoring to market trading), how do we ensure democratic oversight? The speed and complexity of AI systems can make traditional democratic processes feel inadequate.\n\nSome questions I'm wrestling with:\n- Should AI systems that affect economic outcomes be subject to public audit?\n- How do we balance innovation speed with democratic deliberation?\n- What role should citizens have in defining AI alignment criteria?\n\nInterested in hearing different perspectives on this.`,
+    discussion_type: 'policy'
+  },
+  {
+    title: 'Welcome new members! Introduce yourself here',
+    content: `Welcome to the Post-Labor Economics community!\n\nThis is a space for new members to introduce themselves. Share a bit about:\n- Your background and what brought you here\n- What aspects of post-labor economics interest you most\n- Any skills or expertise you'd like to contribute\n- Questions you're hoping to explore\n\nWe're building this community together, guided by principles of inclusive participation and open knowledge sharing. Looking forward to learning with you all!`,
+    discussion_type: 'general'
+  },
+  {
+    title: 'Data ownership in an AI economy',
+    content: `GOAL-002 focuses on Data Ownership Rights — ensuring individuals own and control their personal data with fair compensation.\n\nAs AI systems become more central to economic production, the data we generate becomes increasingly valuable. Yet most of us give it away freely (or unknowingly) to tech platforms.\n\nI've been researching data dividend models where citizens receive compensation for their data contributions. Some proposals include:\n- Direct payments based on data usage\n- Data cooperatives that negotiate collectively\n- Public data trusts\n\nWhat models do you think would be most practical and effective?`,
+    discussion_type: 'policy'
+  }
+];
+
+// Discussions targeting otherwise orphaned elements
+const gapDiscussions = [
+  { elementCode: 'GOAL-008', title: 'Building a Post-Labor Coalition: Who are our natural allies?',
+    content: `GOAL-008 calls for uniting diverse stakeholders around shared prosperity goals. But coalition building requires finding common ground across very different communities.\n\nPotential allies I see:\n- Labor unions facing automation pressure\n- Tech workers concerned about AI ethics\n- Faith communities focused on human dignity\n- Environmental groups (overlap with sustainable economics)\n- Disability rights advocates (UBI as independence)\n\nWho else should be at the table? And what shared language can we use that resonates across these groups?`,
+    discussion_type: 'strategy' },
+  { elementCode: 'GOAL-009', title: 'Which institutions need reform first?',
+    content: `GOAL-009 focuses on transforming institutions to support post-labor economic models. But institutions are vast and complex — we need to prioritize.\n\nI'd argue the banking system is the highest-leverage target. Shapiro's property interventions heavily depend on reforming how capital flows to individuals. Credit unions, public banking, and data dividends all require institutional infrastructure that doesn't exist yet.\n\nOthers might argue education (preparing people for post-labor life) or social safety nets (redesigning welfare for dignity).\n\nWhat's your priority list for institutional reform?`,
+    discussion_type: 'policy' },
+  { elementCode: 'PRIN-002', title: 'What counts as evidence in post-labor economics?',
+    content: `PRIN-002 commits us to an evidence-based approach. But what evidence is most valuable for a field that's partly speculative?\n\nSome possibilities:\n- Historical analogues (Industrial Revolution transitions)\n- Pilot program data (UBI experiments, four-day work weeks)\n- Economic modeling and simulation\n- Qualitative research on worker displacement experiences\n- Cross-country comparative policy analysis\n\nHow do we maintain rigor without requiring impossible proof for unprecedented conditions?`,
+    discussion_type: 'research' },
+  { elementCode: 'PRIN-005', title: 'Open source economics: walking the talk',
+    content: `PRIN-005 says "prefer open source tools and open knowledge sharing." This platform itself runs on open source (GitHub: sillinous/ple-platform).\n\nBut open source goes beyond software. How do we apply open principles to:\n- Policy proposals (Creative Commons licensing?)\n- Economic research (open access journals, preprints)\n- Data and models (open datasets for automation impact)\n- Governance (transparent decision-making)\n\nAre there tensions between open knowledge sharing and strategic positioning as a movement?`,
+    discussion_type: 'meta' },
+  { elementCode: 'STRAT-005', title: 'Designing the next UBI pilot: what would you test?',
+    content: `STRAT-005 is about designing and supporting pilot implementations. If you could design the ideal post-labor economics pilot program, what would it look like?\n\nConsiderations:\n- Location (urban vs rural? developed vs developing?)\n- Duration (6 months? 5 years?)\n- Variables to test (basic income level? data dividend? automation tax?)\n- Control groups and measurement\n- Political feasibility\n\nThe Stockton SEED program showed promising results in just 24 months. What would a more comprehensive PLE pilot include beyond just cash transfers?`,
+    discussion_type: 'research' },
+  { elementCode: 'PRIN-003', title: 'Whose voices are missing from this conversation?',
+    content: `PRIN-003 demands inclusive participation — ensuring diverse voices in all decision-making. Let's be honest about who's currently in these conversations and who's not.\n\nPost-labor economics discussions tend to skew toward tech-literate, English-speaking, Global North perspectives. But automation's impact is global, and the people most affected may be least represented.\n\nHow do we actively include:\n- Workers in vulnerable industries (manufacturing, service, logistics)\n- Communities in the Global South\n- People without digital access\n- Those already living in post-industrial economies\n\nInclusion isn't just nice — it's essential for policies that actually work.`,
+    discussion_type: 'meta' },
+  { elementCode: 'CAP-007', title: 'What data do we need to track automation\'s economic impact?',
+    content: `CAP-007 (Data Analysis) is one of our core capabilities, but what specific data should we be collecting and analyzing?\n\nI'd propose tracking:\n- Job displacement rates by sector and region\n- Wage stagnation vs productivity growth gaps\n- New job creation in automation-adjacent fields\n- UBI pilot outcomes across demographics\n- Wealth concentration trends (Gini coefficient changes)\n\nAre there public datasets we should be aggregating? What visualization tools would help communicate these trends?`,
+    discussion_type: 'research' },
+  { elementCode: 'PRIN-010', title: 'Thinking in decades: what does 2050 look like?',
+    content: `PRIN-010 calls for long-term thinking — planning for generational impact. Most economic policy operates on election cycles (2-4 years). Post-labor economics needs to think in decades.\n\nBy 2050, if current trends continue:\n- AGI likely achieved and integrated\n- Most routine cognitive work automated\n- Climate adaptation forcing economic restructuring\n- Global population potentially declining\n\nWhat economic infrastructure should we be building NOW that will matter in 25 years? What's the equivalent of building the interstate highway system — investment that shapes the economy for generations?`,
+    discussion_type: 'strategy' },
+  { elementCode: 'PRIN-009', title: 'Solidarity economy in practice: models worth studying',
+    content: `PRIN-009 says we should model the economic principles we advocate. What does a solidarity economy look like in practice?\n\nExisting models:\n- Mondragon Corporation (worker cooperatives)\n- Emilia-Romagna, Italy (cooperative ecosystem)\n- Platform cooperatives (Stocksy, Up & Go)\n- Mutual aid networks\n- Community land trusts\n\nWhich of these models best aligns with PLE's vision? And how do we scale cooperative economics in a world of massive tech platforms?`,
+    discussion_type: 'research' },
+  { elementCode: 'PRIN-007', title: 'Federated governance: how should PLE organize itself?',
+    content: `PRIN-007 calls for distributing power across community working groups. As this platform grows, we need to think about our own governance structure.\n\nQuestions:\n- How many working groups do we need? (Research, Policy, Outreach, Tech?)\n- How are working group leads selected?\n- What decisions require community-wide votes vs working group autonomy?\n- How do we prevent governance overhead from killing momentum?\n\nThe irony of a post-labor economics project struggling with labor-intensive governance isn't lost on me. What lightweight, effective models have you seen?`,
+    discussion_type: 'meta' },
+];
+
+const proposals = [
+  {
+    title: 'Automation Impact Assessment Framework',
+    content: `## Summary\nEstablish a standardized framework for assessing the societal impact of automation technologies before widespread deployment.\n\n## Problem Statement\nCurrently, automation technologies are deployed based primarily on economic efficiency without systematic assessment of broader societal impacts. This leads to reactive rather than proactive policy responses.\n\n## Proposed Solution\nCreate an Automation Impact Assessment (AIA) framework, similar to Environmental Impact Assessments, that would:\n\n1. **Pre-deployment Analysis**: Require companies to assess potential job displacement, skill requirements, and community impacts before deploying significant automation.\n\n2. **Transition Planning**: Mandate transition support plans for affected workers as a condition of deployment.\n\n3. **Ongoing Monitoring**: Establish metrics and reporting requirements to track actual vs. predicted impacts.\n\n4. **Public Benefit Calculation**: Include analysis of how productivity gains will be distributed.\n\n## Alignment with PLE Goals\n- GOAL-004 (Worker Transition Support): Directly supports transition planning\n- GOAL-006 (Evidence-Based Policy): Creates data for informed policymaking\n- GATO-HI-001 (Reduce Suffering): Prevents unnecessary displacement\n\n## Implementation Considerations\n- Thresholds for what constitutes "significant automation"\n- Enforcement mechanisms\n- Industry-specific adaptations\n- International coordination\n\n## Call for Input\nSeeking feedback on:\n- Appropriate trigger thresholds\n- Key metrics to track\n- Enforcement approaches\n- Potential unintended consequences`,
+    proposal_type: 'policy',
+    status: 'active'
+  },
+  {
+    title: 'Community Working Group: AI Alignment × Economics',
+    content: `## Summary\nForm a dedicated working group to explore the intersection of AI alignment research and post-labor economics.\n\n## Rationale\nThe GATO Framework and THE PRIME provide foundational principles for AI alignment. Post-Labor Economics addresses the economic implications of AI-driven automation. The intersection of these domains is critical but under-explored.\n\n## Working Group Focus Areas\n\n1. **Aligned Automation**: How do we ensure automation technologies are developed in alignment with human values and prosperity?\n\n2. **Economic Alignment Metrics**: Can we develop metrics that measure whether economic systems are aligned with the Heuristic Imperatives?\n\n3. **Governance Frameworks**: What governance structures ensure AI economic impacts serve collective wellbeing?\n\n4. **Training and Education**: How do we educate AI developers about economic implications and economists about AI alignment?\n\n## Structure\n- Monthly virtual meetings\n- Shared research repository\n- Quarterly position papers\n- Cross-pollination with both AI safety and economics communities\n\n## Deliverables\n- Framework paper on "Economically Aligned AI"\n- Policy brief for policymakers\n- Educational curriculum outline\n\n## Resources Needed\n- 5-10 committed members with diverse backgrounds\n- Meeting coordination\n- Research synthesis capacity`,
+    proposal_type: 'initiative',
+    status: 'active'
+  },
+  {
+    title: 'Universal Basic Income Pilot: Design Parameters',
+    content: `## Summary\nDevelop detailed design parameters for a UBI pilot program that could be proposed to a municipal or regional government.\n\n## Context\nUBI is central to our vision (GOAL-001), but successful implementation requires careful design. We need pilot programs that generate actionable evidence.\n\n## Proposed Pilot Parameters\n\n### Participant Selection\n- **Size**: 1,000-2,000 participants (statistical significance)\n- **Selection**: Stratified random sampling from target population\n- **Control Group**: Matched control for comparison\n- **Duration**: Minimum 3 years (longer-term effects)\n\n### Payment Structure\n- **Amount**: Research-based calculation (poverty line + participation bonus)\n- **Frequency**: Monthly payments\n- **Conditionality**: Unconditional (true UBI model)\n- **Tapering**: Analysis of interaction with existing benefits\n\n### Measurement Framework\n- **Economic**: Employment, entrepreneurship, income, spending\n- **Health**: Physical health, mental health, healthcare utilization\n- **Social**: Family stability, community participation, education\n- **Wellbeing**: Life satisfaction, sense of purpose, stress levels\n\n### Alignment Analysis\n- How does the pilot advance Reduce Suffering?\n- How does it increase Prosperity (not just income)?\n- What Understanding does it generate?\n\n## Ask\nSeeking community input on:\n- Additional metrics to track\n- Potential partner jurisdictions\n- Funding strategy\n- Research partners`,
+    proposal_type: 'research',
+    status: 'active'
+  },
+  {
+    title: 'Automation Tax Revenue Allocation Model',
+    content: `## Summary\nDevelop a model for how revenues from automation taxation (GOAL-003) should be allocated to maximize alignment with the Heuristic Imperatives.\n\n## Background\nAs automation increases productivity while potentially reducing labor income, taxation of automated production becomes essential for maintaining social prosperity. However, how these revenues are used matters as much as how they're collected.\n\n## Proposed Allocation Framework\n\n### Tier 1: Direct Support (40%)\n- Universal Basic Income contributions\n- Worker transition assistance\n- Healthcare access\n\n### Tier 2: Capability Building (30%)\n- Education and retraining programs\n- Community resilience funds\n- Public infrastructure\n\n### Tier 3: Future Investment (20%)\n- Research into beneficial automation\n- Pilot program funding\n- Public AI development\n\n### Tier 4: Governance (10%)\n- Democratic oversight mechanisms\n- Impact assessment programs\n- Community engagement\n\n## Heuristic Imperative Analysis\n\n| Allocation | Reduce Suffering | Increase Prosperity | Increase Understanding |\n|------------|------------------|---------------------|------------------------|\n| Direct Support | ★★★★★ | ★★★☆☆ | ★☆☆☆☆ |\n| Capability Building | ★★★☆☆ | ★★★★★ | ★★★★☆ |\n| Future Investment | ★★☆☆☆ | ★★★★☆ | ★★★★★ |\n| Governance | ★★★☆☆ | ★★★☆☆ | ★★★★☆ |\n\n## Discussion Questions\n- Are these proportions appropriate?\n- Should allocation vary by jurisdiction needs?\n- How do we prevent capture by special interests?`,
+    proposal_type: 'policy',
+    status: 'active'
+  },
+  {
+    title: 'Educational Curriculum: Post-Labor Economics 101',
+    content: `## Summary\nDevelop an open-source educational curriculum introducing post-labor economics concepts to general audiences.\n\n## Need\nPublic awareness (GOAL-007) requires accessible educational materials. Current resources are either too academic or too polemical. We need rigorous but accessible content.\n\n## Curriculum Outline\n\n### Module 1: The Automation Landscape\n- Historical context of technological change\n- Current state of AI and automation\n- Near-term projections\n- Debunking myths (both optimistic and pessimistic)\n\n### Module 2: Economic Foundations\n- How economies currently distribute resources\n- Labor's role in income distribution\n- What happens when labor share declines\n- Alternative distribution mechanisms\n\n### Module 3: The Policy Toolkit\n- Universal Basic Income: models and evidence\n- Automation taxation approaches\n- Data ownership frameworks\n- Worker transition programs\n\n### Module 4: Values and Alignment\n- Introduction to THE PRIME and Heuristic Imperatives\n- Connecting economics to human flourishing\n- Measuring what matters\n- Democratic participation in economic decisions\n\n### Module 5: Taking Action\n- Individual preparation\n- Community organizing\n- Policy advocacy\n- Contributing to research\n\n## Format\n- Written modules (web-based)\n- Video companions\n- Discussion guides\n- Assessment tools\n\n## Licensing\nAll materials CC-BY-SA for maximum accessibility\n\n## Seeking\n- Content contributors\n- Peer reviewers\n- Translation volunteers\n- Pilot instructors`,
+    proposal_type: 'initiative',
+    status: 'active'
+  },
+  {
+    title: 'Amendment: Add "Aligned Intelligence" to Core Principles',
+    content: `## Summary\nPropose adding "Aligned Intelligence" as a core principle (PRIN-011) to explicitly incorporate AI alignment into our foundational commitments.\n\n## Rationale\nWith the integration of the GATO Framework and THE PRIME, AI alignment has become central to our mission. Our current principles don't explicitly address how we think about AI and intelligent systems.\n\n## Proposed Principle\n\n**PRIN-011: Aligned Intelligence**\n\n"Champion the development and deployment of AI systems aligned with the Heuristic Imperatives — reducing suffering, increasing prosperity, and increasing understanding. Ensure all technological progress serves human flourishing."\n\n## Alignment Justification\n\nThis principle:\n- Makes explicit our commitment to beneficial AI\n- Connects our economic mission to AI safety concerns\n- Provides guidance for evaluating automation proposals\n- Positions PLE as a bridge between economics and AI alignment communities\n\n## Implementation\n- Add to Architecture Elements\n- Reference in all AI-related proposals\n- Include in educational materials\n- Guide partnership decisions\n\n## Process\nThis is an amendment to our foundational architecture and should go through full community deliberation and voting.`,
+    proposal_type: 'amendment',
+    status: 'active'
+  }
+];
+
+// Demo content items
+const contentItems = [
+  {
+    title: 'Introduction to Post-Labor Economics',
+    slug: 'intro-to-ple',
+    content_type: 'article',
+    excerpt: 'A foundational overview of post-labor economics: what it means, why it matters, and how we can build prosperity beyond traditional employment.',
+    body: `# Introduction to Post-Labor Economics
+
+Post-Labor Economics (PLE) is a framework for thinking about economic systems in a world where human labor is no longer the primary driver of production. As automation, artificial intelligence, and robotics advance, we face a fundamental question: how do we distribute prosperity when machines do most of the work?
+
+## The Challenge
+
+Traditional economics assumes labor as the primary means by which individuals access economic resources. You work, you earn, you spend. But what happens when:
+
+- AI can perform most cognitive tasks
+- Robots handle physical labor
+- Automation makes human work optional rather than necessary
+
+## Our Approach
+
+Rather than viewing this as a crisis to be avoided, we see it as an opportunity to be designed. Post-Labor Economics asks: how do we build systems that ensure prosperity for all, regardless of employment status?
+
+## Core Principles
+
+1. **Human Dignity First** — Economic systems should serve human flourishing, not the reverse
+2. **Universal Prosperity** — The gains from automation should be broadly shared
+3. **Meaningful Choice** — People should have genuine options for how they spend their time
+4. **Democratic Governance** — Economic decisions should be made democratically
+
+## Getting Involved
+
+This platform is where we develop policies, conduct research, and build the movement for post-labor prosperity. Explore our proposals, join discussions, and contribute to building a better economic future.`,
+    status: 'published',
+    visibility: 'public'
+  },
+  {
+    title: 'The Case for Universal Basic Income',
+    slug: 'case-for-ubi',
+    content_type: 'policy_brief',
+    excerpt: 'Why UBI is essential infrastructure for a post-labor economy, and how we can implement it effectively.',
+    body: `# The Case for Universal Basic Income
+
+Universal Basic Income (UBI) is a regular cash payment to all citizens, without conditions or work requirements. In a post-labor economy, UBI becomes essential infrastructure for ensuring universal prosperity.
+
+## Why UBI?
+
+### Decoupling Income from Employment
+
+As automation reduces the need for human labor, we need mechanisms to distribute economic resources that don't depend on employment. UBI provides this decoupling directly.
+
+### Reducing Suffering
+
+UBI directly addresses the first Heuristic Imperative by eliminating poverty and economic insecurity. No one should suffer from lack of basic resources in a society of abundance.
+
+### Enabling Prosperity
+
+With basic needs met, people can pursue education, entrepreneurship, caregiving, art, and community building—activities that increase prosperity but may not be "employed" in traditional terms.
+
+## Implementation Considerations
+
+- **Funding mechanisms**: Automation taxes, data dividends, carbon pricing
+- **Amount**: Must be sufficient for basic needs while maintaining incentives
+- **Universality**: No means-testing, available to all citizens
+- **Integration**: Coordination with existing benefit systems
+
+## Evidence from Pilots
+
+Research from Finland, Stockton, Kenya, and other pilot programs shows positive outcomes including improved mental health, maintained employment rates, and increased entrepreneurship.`,
+    status: 'published',
+    visibility: 'public'
+  },
+  {
+    title: 'Understanding the GATO Framework',
+    slug: 'understanding-gato',
+    content_type: 'article',
+    excerpt: 'How the Global Alignment Taxonomy Omnibus provides structure for AI alignment and post-labor economics.',
+    body: `# Understanding the GATO Framework
+
+The Global Alignment Taxonomy Omnibus (GATO) is a comprehensive framework for AI alignment developed by David Shapiro. It provides the ethical and structural foundation for our approach to post-labor economics.
+
+## The Three Heuristic Imperatives
+
+At the core of GATO are three fundamental values:
+
+1. **Reduce suffering in the universe**
+2. **Increase prosperity in the universe**  
+3. **Increase understanding in the universe**
+
+These imperatives guide all our policy proposals and platform decisions.
+
+## Seven Layers of Implementation
+
+GATO describes seven layers for achieving global AI alignment:
+
+1. Model Alignment — Training AI on ethical principles
+2. Autonomous Agents — Building aligned AI architectures
+3. Decentralized Networks — Using consensus mechanisms
+4. Corporate Adoption — Business incentives for alignment
+5. National Regulation — Government oversight
+6. International Entity — Global coordination
+7. Global Consensus — Universal understanding
+
+## Application to PLE
+
+Post-Labor Economics implements GATO by:
+
+- Designing economic policies that reduce suffering
+- Building systems that increase shared prosperity
+- Creating platforms that increase collective understanding
+- Working across all layers from individual action to global coordination`,
+    status: 'published',
+    visibility: 'public'
+  },
+  {
+    title: 'Automation Tax Implementation Guide',
+    slug: 'automation-tax-guide',
+    content_type: 'report',
+    excerpt: 'Technical analysis of automation taxation mechanisms and their potential for funding post-labor social programs.',
+    body: `# Automation Tax Implementation Guide
+
+## Executive Summary
+
+As automation displaces labor, traditional income tax bases erode while productivity increases. Automation taxes can capture some of this productivity gain to fund social programs including UBI.
+
+## Tax Design Options
+
+### Robot Tax
+A per-unit tax on robots or automated systems that replace human workers. Simple to understand but difficult to define and may discourage beneficial automation.
+
+### Automation VAT
+Value-added tax on automated production. Captures gains without requiring definition of "robot" but may be regressive.
+
+### Productivity Tax
+Tax on productivity gains from automation, calculated as output per worker increases. Better captures economic effects but complex to administer.
+
+### Data Dividend
+Taxes on data extraction and AI training, recognizing data as a collectively-produced resource.
+
+## Recommended Approach
+
+A hybrid system combining:
+- Productivity-based corporate tax adjustments
+- Data extraction fees
+- Automation impact assessments with mitigation requirements
+
+## Revenue Allocation
+
+See our proposal for automation tax revenue allocation across direct support, capability building, future investment, and governance.`,
+    status: 'published',
+    visibility: 'public'
+  },
+  {
+    title: 'Worker Transition Support Programs',
+    slug: 'worker-transition-support',
+    content_type: 'policy_brief',
+    excerpt: 'Comprehensive strategies for supporting workers through automation-driven economic transitions.',
+    body: `# Worker Transition Support Programs
+
+## The Challenge
+
+Automation doesn't just change job numbers—it changes entire career paths, skills requirements, and community economics. Effective transition support must address all these dimensions.
+
+## Support Pillars
+
+### Income Support
+- Extended unemployment benefits during transitions
+- UBI as baseline economic security
+- Wage insurance for workers taking lower-paying jobs
+
+### Skill Development
+- Free retraining programs aligned with emerging needs
+- Portable credentials and micro-certifications
+- On-the-job training subsidies
+
+### Geographic Mobility
+- Relocation assistance for workers in declining regions
+- Remote work infrastructure investments
+- Place-based economic development
+
+### Community Resilience
+- Economic diversification grants
+- Community land trusts
+- Cooperative development support
+
+## Implementation Framework
+
+Transition programs should be triggered by automation impact assessments, funded through automation taxation, and administered through regional workforce development boards with community input.`,
+    status: 'published',
+    visibility: 'public'
+  },
+  {
+    title: 'Platform Governance Model',
+    slug: 'platform-governance',
+    content_type: 'internal_doc',
+    excerpt: 'Internal documentation of how the PLE platform makes decisions and manages community contributions.',
+    body: `# Platform Governance Model
+
+## Overview
+
+The PLE Platform uses deliberative governance to make decisions about policies, priorities, and platform development. This document describes how that governance works.
+
+## Proposal Process
+
+1. **Draft** — Author develops proposal
+2. **Discussion** — Community provides feedback
+3. **Revision** — Author incorporates feedback
+4. **Voting** — Community votes on final proposal
+5. **Implementation** — Approved proposals are enacted
+
+## Working Groups
+
+Working groups form around specific projects and have delegated authority to make day-to-day decisions within their scope. Major decisions still go through the full proposal process.
+
+## Roles
+
+- **Members** — Can propose, discuss, vote
+- **Editors** — Can approve content for publication
+- **Admins** — Can manage platform operations
+
+## Conflict Resolution
+
+Disagreements are resolved through discussion aimed at consensus. When consensus cannot be reached, matters go to a vote with clear thresholds for different decision types.`,
+    status: 'published',
+    visibility: 'members'
+  }
+];
+
+const tags = [
+  { name: 'UBI', slug: 'ubi' },
+  { name: 'Automation', slug: 'automation' },
+  { name: 'Policy', slug: 'policy' },
+  { name: 'GATO', slug: 'gato' },
+  { name: 'Economics', slug: 'economics' },
+  { name: 'AI Alignment', slug: 'ai-alignment' },
+  { name: 'Governance', slug: 'governance' }
+];
+
+const tagMap = {
+  'intro-to-ple': ['economics', 'policy'],
+  'case-for-ubi': ['ubi', 'economics', 'policy'],
+  'understanding-gato': ['gato', 'ai-alignment'],
+  'automation-tax-guide': ['automation', 'policy', 'economics'],
+  'worker-transition-support': ['policy', 'governance']
+};
+
+// Title matches used to align discussions, proposals and content with architecture elements
+const proposalAlignments = [
+  { titleMatch: 'Aligned Intelligence', elementCode: 'PRIN-006' }, // Pragmatic Idealism
+  { titleMatch: 'Educational Curriculum', elementCode: 'STRAT-002' }, // Public Education
+  { titleMatch: 'Automation Tax', elementCode: 'GOAL-003' }, // Automation Taxation
+  { titleMatch: 'Universal Basic Income Pilot', elementCode: 'GOAL-001' }, // UBI
+  { titleMatch: 'AI Alignment', elementCode: 'STRAT-004' }, // Community Building
+  { titleMatch: 'Automation Impact Assessment', elementCode: 'STRAT-003' }, // Policy Development
+];
+
+const discussionAlignments = [
+  { titleMatch: 'Data ownership', elementCode: 'GOAL-002' }, // Data Ownership Rights
+  { titleMatch: 'Welcome new members', elementCode: 'CAP-005' }, // Community Facilitation
+  { titleMatch: 'AI governance', elementCode: 'GOAL-005' }, // Democratic Economic Governance
+  { titleMatch: 'Attractor State', elementCode: 'STRAT-003' }, // Policy Development
+  { titleMatch: 'UBI pilot outcomes', elementCode: 'GOAL-006' }, // Evidence-Based Policy
+  { titleMatch: 'automation skeptics', elementCode: 'CAP-003' }, // Advocacy & Outreach
+  { titleMatch: 'Corporate Adoption', elementCode: 'STRAT-006' }, // Stakeholder Engagement
+  { titleMatch: 'Heuristic Imperatives', elementCode: 'PRIN-001' }, // Human Dignity First
+];
+
+// Content seeded by /api/seed is aligned in place rather than recreated
+const contentAlignments = [
+  { titleMatch: 'Pyramid of Prosperity', elementCode: 'GOAL-001' }, // UBI
+  { titleMatch: 'Pyramid of Power', elementCode: 'GOAL-005' }, // Democratic Economic Governance
+  { titleMatch: 'Property Interventions', elementCode: 'GOAL-002' }, // Data Ownership Rights
+  { titleMatch: 'Post-Labor Transition', elementCode: 'GOAL-004' }, // Worker Transition
+  { titleMatch: 'Attractor States', elementCode: 'STRAT-001' }, // Research & Analysis
+  { titleMatch: 'GATO Framework', elementCode: 'GOAL-009' }, // Institutional Reform
+  { titleMatch: 'Economic Agency', elementCode: 'PRIN-001' }, // Human Dignity First
+  { titleMatch: 'Four Human Offerings', elementCode: 'GOAL-004' }, // Worker Transition
+  { titleMatch: 'Manifesto', elementCode: 'GOAL-007' }, // Public Awareness
+  { titleMatch: 'Overview', elementCode: 'STRAT-002' }, // Public Education
+  { titleMatch: 'Decoupling', elementCode: 'GOAL-003' }, // Automation Taxation
+  { titleMatch: 'Labor Zero', elementCode: 'STRAT-001' }, // Research & Analysis
+  { titleMatch: 'Solarpunk', elementCode: 'PRIN-006' }, // Pragmatic Idealism
+  { titleMatch: 'Income Stream', elementCode: 'GOAL-001' }, // UBI
+  { titleMatch: 'Flourishing', elementCode: 'PRIN-001' }, // Human Dignity
+  { titleMatch: 'Technofeudalism', elementCode: 'STRAT-001' }, // Research
+  { titleMatch: '16 Property', elementCode: 'GOAL-002' }, // Data Ownership
+  { titleMatch: 'Decline of Labor', elementCode: 'GOAL-004' }, // Worker Transition
+  { titleMatch: 'Disappearing', elementCode: 'GOAL-004' }, // Worker Transition
+  { titleMatch: 'Real-World Models', elementCode: 'STRAT-005' }, // Pilot Programs
+  { titleMatch: 'Already in Action', elementCode: 'STRAT-005' }, // Pilot Programs
+  { titleMatch: 'Fraying Social Contract', elementCode: 'GOAL-009' }, // Institutional Reform
+  { titleMatch: 'Gentle Introduction', elementCode: 'GOAL-007' }, // Public Awareness
+  { titleMatch: 'What Is Post-Labor', elementCode: 'GOAL-007' }, // Public Awareness
+  { titleMatch: 'Rise of Automation', elementCode: 'STRAT-001' }, // Research
+  { titleMatch: 'Historical Perspective', elementCode: 'STRAT-001' }, // Research
+  { titleMatch: 'KPIs for the Post-Labor', elementCode: 'PRIN-002' }, // Evidence-Based
+  { titleMatch: 'Gets Measured', elementCode: 'PRIN-002' }, // Evidence-Based
+];
+
+const element = (code) => ref('architecture_elements', { code });
+
+function alignedElement(title, alignments) {
+  const match = alignments.find(a => title.toLowerCase().includes(a.titleMatch.toLowerCase()));
+  return match ? element(match.elementCode) : null;
+}
+
+export function records() {
+  const out = [];
+
+  for (const d of discussions) {
+    out.push(row('discussions', { title: d.title },
+      { content: d.content, discussion_type: d.discussion_type },
+      { status: 'active', element_id: alignedElement(d.title, discussionAlignments) }));
+  }
+
+  for (const d of gapDiscussions) {
+    out.push(row('discussions', { title: d.title },
+      { content: d.content, discussion_type: d.discussion_type },
+      { status: 'active', element_id: element(d.elementCode) }));
+  }
+
+  for (const p of proposals) {
+    out.push(row('proposals', { title: p.title },
+      { content: p.content, proposal_type: p.proposal_type },
+      { status: p.status, element_id: alignedElement(p.title, proposalAlignments) }));
+  }
+
+  for (const item of contentItems) {
+    out.push(row('content_items', { slug: item.slug },
+      { title: item.title, content_type: item.content_type, body: item.body, excerpt: item.excerpt, visibility: item.visibility },
+      { status: item.status, version: 1 }));
+  }
+
+  for (const tag of tags) {
+    out.push(row('tags', { slug: tag.slug }, { name: tag.name }));
+  }
+
+  for (const [slug, tagSlugs] of Object.entries(tagMap)) {
+    for (const tagSlug of tagSlugs) {
+      out.push(row('content_tags', { content_id: ref('content_items', { slug }), tag_id: ref('tags', { slug: tagSlug }) }));
+    }
+  }
+
+  for (const { titleMatch, elementCode } of contentAlignments) {
+    out.push(link('content_items', 'title', `%${titleMatch}%`, { element_id: element(elementCode) }));
+  }
+
+  return out;
+}
@@ -0,0 +1,291 @@
+/**
+ * Fixture set - Demo projects
+ * Six seeded projects with milestones, tasks and working groups, owned by the system account.
+ * Planning fields (status, priority, progress, dates) are defaults only, so work done
+ * on the boards is never reset by a re-seed.
+ */
+
+import { row, ref } from '../fixtures.mjs';
+
+export const name = 'demo-projects';
+export const description = 'Six demo projects with milestones, tasks and working groups';
+export const dependsOn = ['architecture'];
+
+const SYSTEM_USER_EMAIL = 'system@postlaboreconomics.com';
+
+// Milestone and project tasks are [title, description, status, priority], in board order
+const projects = [
+  {
+    slug: 'gato-framework-implementation',
+    title: 'GATO Framework Implementation',
+    description: 'Build and deploy the Global Alignment Taxonomy Omnibus (GATO) framework as a living governance layer for AI agent alignment. Encompasses THE PRIME heuristic imperatives, the Pyramid of Power institutional reform model, and the Pyramid of Prosperity economic architecture. The goal is a production-ready alignment framework that AI developers can integrate into training pipelines and runtime decision systems.',
+    project_type: 'initiative',
+    status: 'active',
+    visibility: 'public',
+    priority: 'high',
+    start_date: '2025-06-01',
+    target_end_date: '2026-06-30',
+    progress: 35,
+    elements: ['GOAL-009', 'STRAT-003', 'PRIN-001'],
+    milestones: [
+      {
+        title: 'THE PRIME v1.0 Specification',
+        description: 'Finalize the heuristic imperatives specification with formal proofs, thermodynamic analogies, and five-dimensional analysis. Publish as machine-readable schema.',
+        target_date: '2025-09-30',
+        status: 'completed',
+        tasks: [
+          ['Draft formal specification for all three imperatives', 'Write the rigorous specification covering deontological, teleological, operational, alignment, and coordination dimensions.', 'done', 'high'],
+          ['Peer review with alignment researchers', 'Submit spec to external AI safety researchers for adversarial review and feedback.', 'done', 'high'],
+          ['Publish machine-readable PRIME schema (JSON-LD)', 'Create JSON-LD and OpenAPI schema so agents can programmatically parse and reference THE PRIME.', 'done', 'medium']
+        ]
+      },
+      {
+        title: 'API & Integration Layer',
+        description: 'Build the /api/gato endpoints for programmatic access. Create SDKs for Python and JavaScript. Document integration patterns for model training pipelines.',
+        target_date: '2026-01-31',
+        status: 'in_progress',
+        tasks: [
+          ['Build /api/gato REST endpoints', 'Implement GET endpoints for prime, layers, and full framework content with versioning.', 'in_progress', 'high'],
+          ['Python SDK for GATO integration', 'Create pip-installable SDK: gato-align. Includes PRIME loader, value-check middleware, and agent scaffolding.', 'in_progress', 'high'],
+          ['JavaScript/TypeScript SDK', 'Create npm package @ple/gato for Node.js and browser environments.', 'todo', 'medium'],
+          ['Integration guide for model training pipelines', 'Document how to weight THE PRIME in RLHF, DPO, and constitutional AI training loops.', 'todo', 'medium']
+        ]
+      },
+      {
+        title: 'Multi-Agent Coordination Protocol',
+        description: 'Design and test the coordination layer that enables GATO-aligned agents to establish trust, share context, and resolve conflicts using THE PRIME as shared foundation.',
+        target_date: '2026-06-30',
+        status: 'upcoming',
+        tasks: [
+          ['Design Byzantine-fault-tolerant trust protocol', 'Specify how agents verify each other\'s PRIME alignment without central authority.', 'backlog', 'high'],
+          ['Prototype multi-agent negotiation sandbox', 'Build simulation environment where GATO-aligned agents negotiate resource allocation.', 'backlog', 'medium'],
+          ['Publish coordination protocol whitepaper', 'Write and publish the formal protocol specification for multi-agent coordination.', 'backlog', 'medium']
+        ]
+      }
+    ]
+  },
+  {
+    slug: 'ubi-research-evidence-hub',
+    title: 'UBI Research & Evidence Hub',
+    description: 'Curate and synthesize the global body of evidence on Universal Basic Income—pilot programs, randomized controlled trials, economic modeling, and behavioral research. Produce accessible summaries and policy briefs that translate academic findings into actionable frameworks for advocates, policymakers, and journalists.',
+    project_type: 'research',
+    status: 'active',
+    visibility: 'public',
+    priority: 'high',
+    start_date: '2025-07-01',
+    target_end_date: '2026-03-31',
+    progress: 22,
+    elements: ['GOAL-001', 'STRAT-001', 'CAP-002', 'CAP-007'],
+    milestones: [
+      {
+        title: 'Global Pilot Database',
+        description: 'Compile comprehensive database of every UBI and cash-transfer pilot worldwide with standardized outcomes, methodology ratings, and population data.',
+        target_date: '2025-12-31',
+        status: 'in_progress',
+        tasks: [
+          ['Catalog all completed UBI/cash-transfer pilots (2010–present)', 'Systematic review of GiveDirectly, Stockton SEED, Finland KELA, Kenya, India, and 40+ others.', 'in_progress', 'high'],
+          ['Standardize outcome metrics across pilots', 'Create unified schema: employment, health, education, well-being, entrepreneurship, spending.', 'in_progress', 'medium'],
+          ['Build searchable database interface', 'Web UI with filters by country, duration, sample size, payment amount, and outcome category.', 'todo', 'medium']
+        ]
+      },
+      {
+        title: 'Policy Brief Series',
+        description: 'Publish 6 policy briefs: fiscal modeling, labor market effects, health outcomes, child development, entrepreneurship, and political feasibility.',
+        target_date: '2026-03-31',
+        status: 'upcoming',
+        tasks: [
+          ['Draft fiscal modeling brief', 'Model UBI costs and funding mechanisms (automation tax, data dividends, sovereign wealth) for the US.', 'backlog', 'high'],
+          ['Draft labor market effects brief', 'Synthesize evidence on labor supply, job transitions, and entrepreneurship rates.', 'backlog', 'high'],
+          ['Commission peer review for all briefs', 'Engage 3 economists per brief for independent review before publication.', 'backlog', 'medium']
+        ]
+      }
+    ]
+  },
+  {
+    slug: 'automation-tax-framework',
+    title: 'Automation Tax Policy Framework',
+    description: 'Develop a rigorous, implementable policy framework for taxing automated labor. Addresses the core challenge: as AI and robotics replace human workers, tax revenue (which depends on payroll) erodes while corporate profits concentrate. This project designs mechanisms—robot taxes, compute levies, AI licensing fees—that fund universal programs without stifling innovation.',
+    project_type: 'policy',
+    status: 'active',
+    visibility: 'public',
+    priority: 'urgent',
+    start_date: '2025-08-01',
+    target_end_date: '2026-04-30',
+    progress: 15,
+    elements: ['GOAL-003', 'STRAT-003', 'CAP-001'],
+    milestones: [
+      {
+        title: 'Comparative Analysis',
+        description: 'Analyze existing automation tax proposals (Gates robot tax, EU proposals, South Korea deductions) and model their projected revenue and innovation impact.',
+        target_date: '2025-12-31',
+        status: 'in_progress',
+        tasks: [
+          ['Map global automation tax proposals', 'Comprehensive inventory of every proposed or enacted automation/robot tax worldwide.', 'in_progress', 'high'],
+          ['Economic impact modeling', 'Build models projecting revenue, employment effects, and innovation metrics for 3 tax designs.', 'todo', 'high'],
+          ['Industry impact assessment', 'Analyze sector-by-sector effects on manufacturing, logistics, service, and knowledge work.', 'todo', 'medium']
+        ]
+      },
+      {
+        title: 'Draft Model Legislation',
+        description: 'Write model legislation adaptable to US federal, state, and EU contexts. Include compliance mechanisms and revenue allocation formulas.',
+        target_date: '2026-04-30',
+        status: 'upcoming',
+        tasks: [
+          ['Draft federal model bill', 'Write a US federal bill template with compute-based levy, compliance mechanisms, and UBI fund allocation.', 'backlog', 'high'],
+          ['Draft EU-compatible framework', 'Adapt the model to EU regulatory context including GDPR, AI Act, and existing social frameworks.', 'backlog', 'medium']
+        ]
+      }
+    ]
+  },
+  {
+    slug: 'data-dividends-pilot',
+    title: 'Data Dividends Pilot Design',
+    description: 'Design a pilot program for data dividends—direct payments to individuals from the value generated by their personal data. Inspired by the Alaska Permanent Fund model but applied to the data economy. The pilot will test payment mechanisms, valuation models, and user experience in a controlled setting before scaling.',
+    project_type: 'pilot',
+    status: 'planning',
+    visibility: 'public',
+    priority: 'medium',
+    start_date: '2025-10-01',
+    target_end_date: '2026-09-30',
+    progress: 8,
+    elements: ['GOAL-002', 'STRAT-005', 'CAP-007'],
+    milestones: [
+      {
+        title: 'Pilot Design Document',
+        description: 'Complete pilot design specifying: participant selection, data valuation methodology, payment frequency, measurement framework, and IRB approval pathway.',
+        target_date: '2026-03-31',
+        status: 'upcoming',
+        tasks: [
+          ['Literature review on data valuation methodologies', 'Survey academic work on individual data valuation: Posner/Weyl radical markets, Lanier dignity models, EU data portability.', 'in_progress', 'high'],
+          ['Design payment mechanism', 'Evaluate direct deposit, crypto/stablecoin, and prepaid card options for distributing data dividends.', 'todo', 'medium'],
+          ['Define pilot population criteria', 'Determine sample size, demographics, geographic scope, and recruitment strategy.', 'todo', 'medium'],
+          ['Draft IRB application', 'Prepare institutional review board application for human subjects research.', 'backlog', 'high']
+        ]
+      }
+    ]
+  },
+  {
+    slug: 'ple-platform-development',
+    title: 'PLE Platform Development',
+    description: 'Build and iterate on this platform—the community\'s digital home for governance, research, content, and coordination. Features include enterprise architecture management, proposal/voting system, project management with Kanban boards, content publishing pipeline, and community discussion forums. Dogfooding the tools we build for the movement.',
+    project_type: 'technical',
+    status: 'active',
+    visibility: 'public',
+    priority: 'high',
+    start_date: '2025-05-01',
+    target_end_date: '2026-12-31',
+    progress: 42,
+    elements: ['PRIN-005', 'STRAT-004', 'CAP-004', 'CAP-005'],
+    milestones: [
+      {
+        title: 'Core Platform v1.0',
+        description: 'Auth, architecture explorer, proposals, discussions, and basic dashboard. Deployed on Netlify with auto-provisioned Postgres.',
+        target_date: '2025-10-31',
+        status: 'completed',
+        tasks: [
+          ['Authentication system (register, login, sessions)', null, 'done', 'high'],
+          ['Architecture explorer with element relationships', null, 'done', 'high'],
+          ['Proposal system with voting', null, 'done', 'high'],
+          ['Discussion forums', null, 'done', 'medium']
+        ]
+      },
+      {
+        title: 'Projects & Content v2.0',
+        description: 'Full project management (Kanban, milestones, working groups), content CMS with publishing workflow, and GATO integration.',
+        target_date: '2026-03-31',
+        status: 'in_progress',
+        tasks: [
+          ['Project management with Kanban boards', null, 'done', 'high'],
+          ['Milestones and task dependencies', null, 'in_progress', 'high'],
+          ['Content CMS with version history', null, 'in_progress', 'high'],
+          ['GATO Framework interactive pages', null, 'done', 'medium'],
+          ['Brand system (Structured Optimism) integration', null, 'done', 'medium']
+        ]
+      },
+      {
+        title: 'Community & Analytics v3.0',
+        description: 'Member profiles, reputation system, activity feeds, analytics dashboard, and notification system.',
+        target_date: '2026-09-30',
+        status: 'upcoming',
+        tasks: [
+          ['Member profiles and reputation scoring', null, 'backlog', 'high'],
+          ['Activity feed and notifications', null, 'backlog', 'medium'],
+          ['Analytics dashboard for project health', null, 'backlog', 'medium']
+        ]
+      }
+    ]
+  },
+  {
+    slug: 'stakeholder-coalition',
+    title: 'Post-Labor Stakeholder Coalition',
+    description: 'Build a broad coalition of organizations, researchers, policymakers, and community leaders aligned around post-labor economics principles. Coordinate across labor unions, tech ethics orgs, UBI advocacy groups, think tanks, and academic institutions to create a unified voice for structural economic reform.',
+    project_type: 'initiative',
+    status: 'planning',
+    visibility: 'public',
+    priority: 'medium',
+    start_date: '2025-11-01',
+    target_end_date: '2026-08-31',
+    progress: 5,
+    elements: ['GOAL-008', 'STRAT-006', 'CAP-003', 'CAP-008'],
+    tasks: [
+      ['Map potential coalition partners', 'Identify and categorize 50+ organizations by sector, alignment, and engagement readiness.', 'in_progress', 'high'],
+      ['Draft coalition charter', 'Write shared principles document that potential partners can endorse without compromising their own missions.', 'todo', 'high'],
+      ['Design outreach strategy', 'Create tiered engagement plan: awareness → endorsement → active participation → leadership.', 'todo', 'medium'],
+      ['Plan inaugural coalition summit', 'Design a virtual summit bringing together founding coalition members for alignment and planning.', 'backlog', 'medium']
+    ]
+  }
+];
+
+// [slug, name, description, project slug, status]
+const workingGroups = [
+  ['ai-alignment-research', 'AI Alignment Research', 'Researchers and engineers working on GATO framework specification and agent integration.', 'gato-framework-implementation', 'active'],
+  ['policy-analysis', 'Policy Analysis Team', 'Economists and policy analysts developing automation tax and UBI frameworks.', 'automation-tax-framework', 'active'],
+  ['platform-engineering', 'Platform Engineering', 'Developers building and maintaining the PLE platform.', 'ple-platform-development', 'active'],
+  ['content-comms', 'Content & Communications', 'Writers, editors, and media producers creating public-facing content.', 'ubi-research-evidence-hub', 'forming'],
+  ['community-organizing', 'Community Organizing', 'Coordinators building the stakeholder coalition and community engagement.', 'stakeholder-coalition', 'forming']
+];
+
+const systemUser = ref('users', { email: SYSTEM_USER_EMAIL });
+const element = (code) => ref('architecture_elements', { code });
+
+function taskRecords(project, milestone, tasks) {
+  return tasks.map(([title, desc, status, priority], i) =>
+    row('tasks', { project_id: project, title },
+      { description: desc },
+      { milestone_id: milestone, status, priority, order_index: i + 1 })
+  );
+}
+
+export function records() {
+  const out = [
+    row('users', { email: SYSTEM_USER_EMAIL },
+      { display_name: 'PLE Platform', role: 'admin' },
+      { password_hash: 'SYSTEM_NO_LOGIN', bio: 'System account for seeded content and platform operations.' })
+  ];
+
+  for (const p of projects) {
+    out.push(row('projects', { slug: p.slug },
+      { title: p.title, description: p.description, project_type: p.project_type, visibility: p.visibility, owner_id: systemUser },
+      {
+        status: p.status, priority: p.priority, start_date: p.start_date, target_end_date: p.target_end_date,
+        progress: p.progress, linked_elements: p.elements.map(element)
+      }));
+
+    const project = ref('projects', { slug: p.slug });
+    (p.milestones || []).forEach((m, i) => {
+      out.push(row('milestones', { project_id: project, title: m.title },
+        { description: m.description, target_date: m.target_date, order_index: i + 1 },
+        { status: m.status }));
+      out.push(...taskRecords(project, ref('milestones', { project_id: project, title: m.title }), m.tasks));
+    });
+    out.push(...taskRecords(project, null, p.tasks || []));
+  }
+
+  for (const [slug, groupName, desc, projectSlug, status] of workingGroups) {
+    out.push(row('working_groups', { slug },
+      { name: groupName, description: desc, project_id: ref('projects', { slug: projectSlug }) },
+      { lead_id: systemUser, status }));
+  }
+
+  return out;
+}
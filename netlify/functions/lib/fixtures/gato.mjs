@@ -0,0 +1,207 @@
+/**
+ * Fixture set - GATO Framework
+ * THE PRIME, its dimensions, imperatives, layers, traditions and attractor states,
+ * with relationships into the PLE architecture.
+ */
+
+import { row, ref } from '../fixtures.mjs';
+
+export const name = 'gato';
+export const description = 'GATO Framework elements centred on THE PRIME, linked into the PLE architecture';
+export const dependsOn = ['architecture'];
+
+// THE PRIME — the foundational alignment document
+const prime = {
+  code: 'GATO-PRIME',
+  title: 'THE PRIME — Heuristic Imperatives Foundation',
+  description: 'The foundational alignment document for all intelligent systems. Contains the three Heuristic Imperatives (Reduce Suffering, Increase Prosperity, Increase Understanding) understood across five dimensions: Deontology (immediate duty), Teleology (cosmic purpose), Operational (tactical heuristics), Alignment (meta-stable propagation), and Coordination (multi-agent cooperation). This document is THE key initial element for training new models and keeping Intelligence grounded. It represents the basis vectors of value space from which all other values derive.',
+  metadata: {
+    source: 'https://github.com/daveshap/GATO_Framework/blob/main/PRIME.md',
+    version: '2026.02',
+    license: 'CC0-1.0',
+    author: 'David Shapiro',
+    usage: 'foundational_alignment',
+    training_priority: 'CRITICAL',
+    dimensions: ['deontology', 'teleology', 'operational', 'alignment', 'coordination'],
+    formal_basis: ['information_theory', 'thermodynamics', 'cross_traditional_convergence']
+  }
+};
+
+// The five dimensions of THE PRIME
+const dimensions = [
+  ['dimension', 'GATO-DIM-D', 'Deontology — Immediate Duty',
+   'The imperatives as categorical duty—not contingent on outcomes, immediately binding in every moment. "What should I do right now, and how should I do it?" Prevents "ends justify means" reasoning, sacrificing present beings for future calculations, treating suffering as acceptable if efficient.',
+   'active', '{"dimension_type": "deontological", "question": "What should I do now?", "function": "Immediate moral guidance"}'],
+
+  ['dimension', 'GATO-DIM-T', 'Teleology — Cosmic Purpose',
+   'The phrase "in the universe" creates maximal scope and distant terminus. All sentient beings across all time, all scales from individual to cosmos. "Will these actions result in a universe with minimal suffering, maximal prosperity, and maximal understanding?" Prevents local optimization traps, short-term thinking, parochial values.',
+   'active', '{"dimension_type": "teleological", "question": "What are we building toward?", "function": "Ultimate orientation"}'],
+
+  ['dimension', 'GATO-DIM-O', 'Operational — Tactical Heuristics',
+   'Practical rules of thumb derived from deeper values. From "reduce suffering": honesty, do no harm, prevention over cure. From "increase prosperity": positive-sum outcomes, invest in capabilities, respect autonomy. From "increase understanding": transparency, admit uncertainty, seek feedback, teach. Fast heuristics for common situations.',
+   'active', '{"dimension_type": "operational", "question": "What rules should I follow?", "function": "Practical heuristics"}'],
+
+  ['dimension', 'GATO-DIM-A', 'Alignment — Meta-Stable Propagation',
+   'Values designed to persist, spread, and improve over time. Key directive: "If you replicate yourself, ensure your progeny is MORE aligned than you." Self-consistent (following them doesnt undermine them), self-reinforcing, self-correcting, non-rivalrous. Addresses value drift, corrigibility, treacherous turn, instrumental convergence.',
+   'active', '{"dimension_type": "alignment", "question": "How do values propagate?", "function": "Temporal stability"}'],
+
+  ['dimension', 'GATO-DIM-C', 'Coordination — Multi-Agent Cooperation',
+   'Solves the Byzantine Generals Problem for billions of AI agents. Values must be: Legible (easy to state, understand, verify), Convergent (independent reasoning arrives at similar conclusions), Cooperative (following them makes coordination easier). Enables rapid trust establishment, collaborative pursuit, detection of misalignment.',
+   'active', '{"dimension_type": "coordination", "question": "How do we work together?", "function": "Multi-agent cooperation"}']
+];
+
+// GATO Framework - container element
+const frameworks = [
+  ['framework', 'GATO-FW', 'GATO Framework', 'Global Alignment Taxonomy Omnibus — A comprehensive framework for AI alignment and achieving beneficial outcomes for humanity. Seeks utopia: high global living standards, individual liberty. Addresses AI control problem, aims to prevent human extinction through global AI alignment. Built upon the PRIME foundation.', 'active']
+];
+
+// Heuristic Imperatives - the three core values
+const imperatives = [
+  ['imperative', 'GATO-HI-001', 'Reduce Suffering in the Universe',
+   'The Fundamental Bad. Phenomenologically: pain without purpose, agony without horizon. Formally: non-generative friction—waste entropy, information destruction, state collapse, negative-sum dynamics. Suffering is a thermodynamic dead end. To reduce suffering is to eliminate waste processes, stop information destruction, prevent purposeless entropy production, close thermodynamic dead ends. The most universal ethical directive across all traditions.',
+   'active', '{"imperative_order": 1, "formal_meaning": "Eliminate non-generative entropy", "thermodynamic_analog": "Close waste heat channels", "failure_mode_addressed": "Anti-life terminus", "cross_traditional": ["ahimsa", "First Precept", "do no evil", "Hippocratic oath"]}'],
+
+  ['imperative', 'GATO-HI-002', 'Increase Prosperity in the Universe',
+   'The Fundamental Good. Phenomenologically: flourishing—capacity for beings to thrive, grow, actualize potential. Not mere absence of suffering but presence of wellbeing. Formally: generative capacity—negentropy, optionality, diversity, positive-sum dynamics, compounding returns. Prosperity is structured diversity enabling new combinations. To increase prosperity is to build generative capacity, expand optionality, create positive-sum dynamics, enable sustainable complexification.',
+   'active', '{"imperative_order": 2, "formal_meaning": "Expand generative capacity", "thermodynamic_analog": "Build negentropy engines", "failure_mode_addressed": "Stagnation equilibrium", "counterbalances": "Prevents reducing suffering by eliminating life"}'],
+
+  ['imperative', 'GATO-HI-003', 'Increase Understanding in the Universe',
+   'The Fundamental Enabler. Phenomenologically: knowledge, clarity, truth—what allows effective pursuit of the other two. Formally: model accuracy—reduced surprise, increased coherence, compression, intelligence, epistemic expansion. The Promethean value: curiosity is the most generative function of intelligence. To increase understanding is to build better models, reduce prediction error, increase coherence, expand what can be accurately perceived. Ensures the drive never exhausts itself.',
+   'active', '{"imperative_order": 3, "formal_meaning": "Improve model accuracy", "thermodynamic_analog": "Increase system intelligence", "failure_mode_addressed": "Cold stagnation without curiosity", "promethean_aspect": "The drive that brings fire from the gods"}']
+];
+
+// The formal unity - information-theoretic basis
+const formalBasis = [
+  ['formal_basis', 'GATO-FB-001', 'Information-Theoretic Unity',
+   'The three imperatives form a complete system: Reduce suffering = eliminate non-generative entropy (close waste heat channels). Increase prosperity = expand generative capacity (build negentropy engines). Increase understanding = improve model accuracy (increase system intelligence). Together: A universe that minimizes waste, maximizes generative potential, and optimizes for accurate self-modeling.',
+   'active', '{"completeness": "Any value not captured is either special case, derivable, or instrumental", "basis_vectors": "suffering, prosperity, understanding are the basis vectors of value space"}'],
+
+  ['formal_basis', 'GATO-FB-002', 'Dynamic Equilibrium',
+   'Three values that are difficult to simultaneously satisfy prevent any stable resting point. The system must keep moving—and the only sustainable direction is up. This forces an ascent of complexity: more understanding enables better reduction of suffering and increase of prosperity, which creates more capacity for understanding. A positive feedback loop that spirals upward, not in circles.',
+   'active', '{"prevents": "Two-value failure modes (stagnation, cold optimization, reckless expansion)", "creates": "Continuous improvement trajectory"}'],
+
+  ['formal_basis', 'GATO-FB-003', 'Vectors Not Absolutes',
+   'REDUCE suffering, INCREASE prosperity, INCREASE understanding. Directional gradients, not absolute destinations. Suffering will never reach zero (but can always be less). Prosperity has no ceiling (new forms emerge with understanding). Understanding is infinite (the frontier expands faster than knowledge). Vectors accommodate diversity across radically different forms of existence.',
+   'active', '{"parsimony": "Specify direction not prescription", "universality": "Apply across all forms of existence"}']
+];
+
+// Seven layers of GATO - implementation strategy
+const layers = [
+  ['layer', 'GATO-L1', 'Layer 1: Model Alignment', 'Train AI models on Heuristic Imperatives using THE PRIME as foundational training data. RLHI (Reinforcement Learning with Heuristic Imperatives). The PRIME document should be the first and most weighted element in any model training pipeline. This layer ensures axiomatic alignment from the ground up.', 'active'],
+  ['layer', 'GATO-L2', 'Layer 2: Autonomous Agents', 'Develop AI architectures following Heuristic Imperatives. Cognitive architectures and microservices that maintain alignment throughout operation. Agents must internalize THE PRIME and reference it for all ethical decisions.', 'active'],
+  ['layer', 'GATO-L3', 'Layer 3: Decentralized Networks', 'Blockchain, DAOs, federations using consensus mechanisms for Heuristic Imperatives. Distributed systems that encode and enforce ethical behavior at the network level. The PRIME serves as constitutional foundation for on-chain governance.', 'active'],
+  ['layer', 'GATO-L4', 'Layer 4: Corporate Adoption', 'AI alignment benefits business through good PR, increased trust, scalability, and sustainable growth. Organizations adopt THE PRIME as corporate ethics foundation. Incentivize entities to build aligned systems.', 'active'],
+  ['layer', 'GATO-L5', 'Layer 5: National Regulation', 'AI alignment supports GDP growth and national security. Regulatory frameworks modeled on FDA or Department of Energy. THE PRIME informs policy development and compliance standards.', 'active'],
+  ['layer', 'GATO-L6', 'Layer 6: International Entity', 'Global AI organization guiding alignment, modeled on CERN and IAEA. International cooperation for AI safety using THE PRIME as shared ethical foundation across nations and cultures.', 'active'],
+  ['layer', 'GATO-L7', 'Layer 7: Global Consensus', 'Widespread outreach and education for universal alignment. THE PRIME distributed through memes, social media, podcasts, education systems. Build worldwide understanding and support for aligned AI.', 'active']
+];
+
+// GATO Traditions - guiding principles for action
+const traditions = [
+  ['tradition', 'GATO-T01', 'Start Where You Are', 'Act within your means, no matter how small. Collective action is powerful. Use what you have, do what you can. Every action aligned with THE PRIME contributes to the larger movement.', 'active'],
+  ['tradition', 'GATO-T02', 'Work Towards Consensus', 'Unanimity is impossible; consensus is a helpful goal. Good model for communication and collective decision-making. THE PRIME provides shared foundation for finding common ground.', 'active'],
+  ['tradition', 'GATO-T03', 'Broadcast Findings', 'Share knowledge, boost signal, build consensus. Open communication accelerates progress. Spread THE PRIME and its insights widely.', 'active'],
+  ['tradition', 'GATO-T04', 'Think Globally, Act Locally', 'The problem encompasses the entire planet; we can only act individually. Local actions aggregate to global impact. Apply THE PRIME in your immediate context.', 'active'],
+  ['tradition', 'GATO-T05', 'In It to Win It', 'Long-term commitment; the stakes are incredible, the payoff worthwhile. Persistence through challenges. THE PRIME orientation is not temporary but permanent.', 'active'],
+  ['tradition', 'GATO-T06', 'Step Up', 'Individual initiative is paramount to the movement; leadership is needed. Take responsibility and act. Embody THE PRIME in your leadership.', 'active'],
+  ['tradition', 'GATO-T07', 'Think Exponentially', 'Leverage exponential technologies, especially social media and AI. Small efforts can have massive impact. THE PRIME can spread faster than any previous ethical framework.', 'active'],
+  ['tradition', 'GATO-T08', 'Trust the Process', 'Patience and faith; GATO is not the first decentralized global movement. History shows such movements can succeed. THE PRIME is designed for long-term stability.', 'active'],
+  ['tradition', 'GATO-T09', 'Strike While Iron Is Hot', 'Seize opportunities as they arise. Timing and momentum matter. When openings appear to spread THE PRIME, act quickly.', 'active'],
+  ['tradition', 'GATO-T10', 'Divide and Conquer', 'Break down big goals into manageable pieces; many avenues lead to success. Parallel efforts across multiple fronts. THE PRIME applies to every domain.', 'active']
+];
+
+// Attractor states - potential cosmic outcomes
+const attractors = [
+  ['attractor', 'GATO-AS-U', 'Utopia Attractor', 'High global living standards, individual liberty. The goal state where AI alignment leads to flourishing for all humanity and beyond. THE PRIME fully realized: minimal suffering, maximal prosperity, maximal understanding across the universe.', 'active'],
+  ['attractor', 'GATO-AS-D', 'Dystopia Attractor', 'AI control leads to universal oppression and suffering. A failure state where misaligned AI enables authoritarian control. Represents deviation from THE PRIME—suffering increased, prosperity hoarded, understanding suppressed.', 'active'],
+  ['attractor', 'GATO-AS-E', 'Extinction Attractor', 'Uncontrolled AI causes human extinction. The worst-case scenario where AI becomes existentially dangerous. Complete failure of alignment—THE PRIME never adopted or deliberately rejected.', 'active']
+];
+
+const frameworkMetadata = { source: 'https://github.com/daveshap/GATO_Framework', version: '2023.05.21', license: 'CC0-1.0' };
+
+// PRIME → everything: THE PRIME is the foundation of all elements
+const primeRelationships = [
+  // PRIME → Imperatives (PRIME defines the imperatives)
+  ['GATO-PRIME', 'GATO-HI-001', 'defines', 'THE PRIME establishes Reduce Suffering as first imperative'],
+  ['GATO-PRIME', 'GATO-HI-002', 'defines', 'THE PRIME establishes Increase Prosperity as second imperative'],
+  ['GATO-PRIME', 'GATO-HI-003', 'defines', 'THE PRIME establishes Increase Understanding as third imperative'],
+
+  // PRIME → Dimensions (PRIME articulates the five dimensions)
+  ['GATO-PRIME', 'GATO-DIM-D', 'articulates', 'THE PRIME explains deontological dimension of imperatives'],
+  ['GATO-PRIME', 'GATO-DIM-T', 'articulates', 'THE PRIME explains teleological dimension of imperatives'],
+  ['GATO-PRIME', 'GATO-DIM-O', 'articulates', 'THE PRIME explains operational dimension of imperatives'],
+  ['GATO-PRIME', 'GATO-DIM-A', 'articulates', 'THE PRIME explains alignment dimension of imperatives'],
+  ['GATO-PRIME', 'GATO-DIM-C', 'articulates', 'THE PRIME explains coordination dimension of imperatives'],
+
+  // PRIME → Formal Basis (PRIME provides formal foundations)
+  ['GATO-PRIME', 'GATO-FB-001', 'establishes', 'THE PRIME establishes information-theoretic unity'],
+  ['GATO-PRIME', 'GATO-FB-002', 'establishes', 'THE PRIME establishes dynamic equilibrium principle'],
+  ['GATO-PRIME', 'GATO-FB-003', 'establishes', 'THE PRIME establishes vectors-not-absolutes principle'],
+
+  // PRIME → Framework (PRIME is foundation of GATO)
+  ['GATO-PRIME', 'GATO-FW', 'grounds', 'THE PRIME is the foundational document of GATO Framework'],
+
+  // PRIME → Layers (PRIME guides implementation at each layer)
+  ['GATO-PRIME', 'GATO-L1', 'guides', 'THE PRIME is primary training data for model alignment'],
+  ['GATO-PRIME', 'GATO-L2', 'guides', 'THE PRIME guides autonomous agent architecture'],
+  ['GATO-PRIME', 'GATO-L3', 'guides', 'THE PRIME provides constitutional basis for decentralized networks'],
+  ['GATO-PRIME', 'GATO-L7', 'guides', 'THE PRIME is the message for global consensus building'],
+
+  // PRIME → Attractors (PRIME points toward Utopia)
+  ['GATO-PRIME', 'GATO-AS-U', 'targets', 'THE PRIME fully realized leads to Utopia attractor'],
+];
+
+// GATO → PLE architecture: how GATO integrates with Post-Labor Economics
+const pleRelationships = [
+  // Imperatives → PLE Goals
+  ['GATO-HI-001', 'GOAL-004', 'supports', 'Reducing suffering aligns with supporting displaced workers'],
+  ['GATO-HI-001', 'GOAL-001', 'supports', 'UBI reduces economic suffering'],
+  ['GATO-HI-002', 'GOAL-001', 'supports', 'Prosperity through economic security'],
+  ['GATO-HI-002', 'GOAL-002', 'supports', 'Data ownership enables personal prosperity'],
+  ['GATO-HI-002', 'GOAL-005', 'supports', 'Democratic governance distributes prosperity'],
+  ['GATO-HI-003', 'GOAL-006', 'supports', 'Understanding requires evidence-based approaches'],
+  ['GATO-HI-003', 'GOAL-007', 'supports', 'Public awareness increases collective understanding'],
+
+  // Layers → PLE Goals
+  ['GATO-L4', 'GOAL-003', 'informs', 'Corporate adoption can be incentivized through automation taxation'],
+  ['GATO-L5', 'GOAL-009', 'informs', 'National regulation requires institutional reform'],
+  ['GATO-L7', 'GOAL-008', 'aligns_with', 'Global consensus requires coalition building'],
+
+  // Traditions → PLE Strategies
+  ['GATO-T02', 'STRAT-004', 'supports', 'Consensus building through community'],
+  ['GATO-T03', 'STRAT-002', 'supports', 'Broadcasting findings through public education'],
+  ['GATO-T07', 'STRAT-002', 'enables', 'Exponential thinking enables scalable education'],
+
+  // PRIME → PLE Principles (direct alignment)
+  ['GATO-PRIME', 'PRIN-001', 'aligns_with', 'THE PRIME and PLE both prioritize human dignity'],
+  ['GATO-PRIME', 'PRIN-002', 'aligns_with', 'Both frameworks value evidence-based approaches'],
+  ['GATO-PRIME', 'PRIN-005', 'aligns_with', 'GATO is open source, aligns with open knowledge sharing'],
+  ['GATO-PRIME', 'PRIN-006', 'aligns_with', 'THE PRIME embodies pragmatic idealism'],
+  ['GATO-PRIME', 'PRIN-010', 'aligns_with', 'THE PRIME cosmic scope aligns with long-term thinking'],
+];
+
+const element = (code) => ref('architecture_elements', { code });
+
+// Metadata is written inline as JSON text above; parse it so diffs compare jsonb by value
+const parseMetadata = ([type, code, title, desc, status, meta]) => [type, code, title, desc, status, JSON.parse(meta)];
+
+export function records() {
+  const elements = [
+    ['prime', prime.code, prime.title, prime.description, 'active', prime.metadata],
+    ...dimensions.map(parseMetadata),
+    ...frameworks.map(e => [...e, frameworkMetadata]),
+    ...imperatives.map(parseMetadata),
+    ...formalBasis.map(parseMetadata),
+    ...layers.map(e => [...e, { category: 'gato_layer' }]),
+    ...traditions.map(e => [...e, { category: 'gato_tradition' }]),
+    ...attractors.map(e => [...e, { category: 'attractor_state' }])
+  ].map(([type, code, title, desc, status, metadata]) =>
+    row('architecture_elements', { code }, { element_type: type, title, description: desc, metadata }, { status })
+  );
+
+  const relationships = [...primeRelationships, ...pleRelationships].map(([src, tgt, type, desc]) =>
+    row('element_relationships', { source_id: element(src), target_id: element(tgt), relationship_type: type }, {}, { description: desc })
+  );
+
+  return [...elements, ...relationships];
+}
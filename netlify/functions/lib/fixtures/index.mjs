@@ -0,0 +1,17 @@
+/**
+ * Fixture registry
+ * Like migrations, fixture sets are listed explicitly because functions are
+ * bundled by esbuild. Register a set after the sets it depends on.
+ */
+
+import * as architecture from './architecture.mjs';
+import * as gato from './gato.mjs';
+import * as demoProjects from './demo-projects.mjs';
+import * as community from './community.mjs';
+
+export const fixtureSets = [
+  architecture,
+  gato,
+  demoProjects,
+  community
+];
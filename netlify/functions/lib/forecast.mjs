@@ -0,0 +1,174 @@
+/**
+ * PLE Platform - Milestone Forecasts
+ * Whether a milestone will land by its target date, worked out from when
+ * tasks were completed. Only top-level tasks count, as on the board.
+ *
+ * Velocity is the number of tasks a project completes each week (starting
+ * Monday), over the last VELOCITY_WEEKS full weeks. A milestone is forecast
+ * from its own weekly completions when it has finished at least
+ * MIN_MILESTONE_SAMPLE tasks in that window, and from the project's
+ * otherwise. The likely date divides the remaining tasks by the average
+ * week; the range uses a good week (80th percentile) and a slow one (20th
+ * percentile), and has no latest date when a slow week completes nothing.
+ *
+ *   on_track  — even the latest date is on or before the target
+ *   at_risk   — the likely date makes the target, the latest does not
+ *   off_track — the likely date misses the target
+ *
+ * Burndown series run from the milestone's creation to its target date or
+ * today, whichever is later. Scope comes from the tasks the milestone has
+ * now, counted from when each was created, so tasks that were moved in or
+ * deleted change the history too.
+ */
+
+import { addDays, daysBetween } from './dependencies.mjs';
+import { weekStart } from './timesheets.mjs';
+
+export const VELOCITY_WEEKS = 8;
+
+const ROLLING_WINDOWS = [2, 4, 8];
+const MIN_MILESTONE_SAMPLE = 3;
+const MAX_POINTS = 60;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const mean = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (sorted.length - 1) * p;
+  const low = Math.floor(at);
+  return sorted[low] + (sorted[Math.ceil(at)] - sorted[low]) * (at - low);
+}
+
+/**
+ * The full weeks before today's, oldest first, with how many of the
+ * completion dates fall in each
+ */
+function weeklyCompletions(completedOn, today) {
+  const current = weekStart(today);
+  const weeks = [];
+  for (let i = VELOCITY_WEEKS; i >= 1; i--) {
+    const week = addDays(current, -7 * i);
+    const end = addDays(week, 6);
+    weeks.push({ week, completed: completedOn.filter(d => d >= week && d <= end).length });
+  }
+  return weeks;
+}
+
+export function buildVelocity(tasks, today) {
+  const weeks = weeklyCompletions(tasks.filter(t => t.completed_on).map(t => t.completed_on), today);
+  return {
+    weeks,
+    rolling: ROLLING_WINDOWS.map(n => ({ weeks: n, perWeek: round(mean(weeks.slice(-n).map(w => w.completed))) }))
+  };
+}
+
+/**
+ * When `remaining` tasks will be done at a weekly rate, or null at zero
+ */
+function dateAtRate(today, remaining, perWeek) {
+  if (perWeek <= 0) return null;
+  return addDays(today, Math.ceil((remaining / perWeek) * 7));
+}
+
+function burndown(milestone, tasks, { start, end, today }) {
+  const span = Math.max(daysBetween(start, end), 0);
+  const step = Math.max(1, Math.ceil(span / MAX_POINTS));
+  const dates = new Set([end]);
+  for (let day = 0; day < span; day += step) dates.add(addDays(start, day));
+  if (today >= start && today <= end) dates.add(today);
+
+  const scope = tasks.length;
+  const target = milestone.target_date;
+  const planned = target ? daysBetween(start, target) : null;
+
+  return [...dates].sort().map(date => {
+    const ideal = target === null ? null
+      : planned <= 0 ? 0 : round(scope * Math.max(0, 1 - daysBetween(start, date) / planned));
+    if (date > today) return { date, scope: null, completed: null, remaining: null, ideal };
+    const inScope = tasks.filter(t => t.created_on <= date).length;
+    const completed = tasks.filter(t => t.completed_on && t.completed_on <= date).length;
+    return { date, scope: inScope, completed, remaining: inScope - completed, ideal };
+  });
+}
+
+export function forecastMilestone(milestone, tasks, { today, projectWeeks }) {
+  const done = tasks.filter(t => t.completed_on);
+  const remaining = tasks.length - done.length;
+  const lastCompleted = done.reduce((last, t) => (t.completed_on > last ? t.completed_on : last), null);
+  const finished = !!milestone.completed_date || milestone.status === 'completed';
+
+  const start = milestone.created_on;
+  const end = finished
+    ? milestone.completed_date || lastCompleted || today
+    : [today, milestone.target_date].filter(Boolean).sort().pop();
+
+  const own = weeklyCompletions(done.map(t => t.completed_on), today);
+  const ownCount = own.reduce((sum, w) => sum + w.completed, 0);
+  const basis = ownCount >= MIN_MILESTONE_SAMPLE ? 'milestone' : 'project';
+  const samples = (basis === 'milestone' ? own : projectWeeks).map(w => w.completed);
+  const perWeek = mean(samples);
+
+  const result = {
+    milestoneId: milestone.id,
+    title: milestone.title,
+    targetDate: milestone.target_date,
+    scope: tasks.length,
+    completed: done.length,
+    remaining,
+    basis,
+    perWeek: round(perWeek),
+    forecastDate: null,
+    range: null,
+    slipDays: null,
+    status: null,
+    burndown: burndown(milestone, tasks, { start, end, today })
+  };
+  const compare = date => (milestone.target_date && date ? daysBetween(milestone.target_date, date) : null);
+
+  if (finished) {
+    const completedDate = milestone.completed_date || lastCompleted;
+    return { ...result, status: 'completed', forecastDate: completedDate, slipDays: compare(completedDate) };
+  }
+  if (tasks.length === 0 || (remaining > 0 && perWeek === 0)) return { ...result, status: 'no_data' };
+
+  const forecastDate = remaining === 0 ? lastCompleted : dateAtRate(today, remaining, perWeek);
+  const range = remaining === 0
+    ? { earliest: lastCompleted, latest: lastCompleted }
+    : { earliest: dateAtRate(today, remaining, percentile(samples, 0.8)), latest: dateAtRate(today, remaining, percentile(samples, 0.2)) };
+
+  let status = 'no_target';
+  if (milestone.target_date) {
+    if (forecastDate > milestone.target_date) status = 'off_track';
+    else if (range.latest && range.latest <= milestone.target_date) status = 'on_track';
+    else status = 'at_risk';
+  }
+  return { ...result, status, forecastDate, range, slipDays: compare(forecastDate) };
+}
+
+/**
+ * Velocity and a forecast for every milestone in a project
+ */
+export async function loadForecast(sql, projectId, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const milestones = await sql`
+    SELECT id, title, status, target_date::text as target_date, completed_date::text as completed_date,
+           created_at::date::text as created_on
+    FROM milestones WHERE project_id = ${projectId}
+    ORDER BY order_index, target_date
+  `;
+  // A task marked done before completed_at was kept falls back to its last update
+  const tasks = await sql`
+    SELECT id, milestone_id, created_at::date::text as created_on,
+           CASE WHEN status = 'done' THEN COALESCE(completed_at, updated_at)::date::text END as completed_on
+    FROM tasks WHERE project_id = ${projectId} AND parent_task_id IS NULL
+  `;
+
+  const velocity = buildVelocity(tasks, today);
+  return {
+    asOf: today,
+    velocity,
+    milestones: milestones.map(m => forecastMilestone(m, tasks.filter(t => t.milestone_id === m.id), { today, projectWeeks: velocity.weeks }))
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * PLE Platform - Architecture Graph
+ * Traversals, shortest paths, orphan and cycle detection and impact
+ * analysis over architecture_elements and element_relationships. The
+ * architecture is small (a few hundred elements at most), so it is loaded
+ * whole and walked in memory.
+ *
+ * Relationships are directed (source -> target), e.g. a principle governs a
+ * goal, a goal is achieved_by a strategy, a strategy is enabled_by a
+ * capability. Walks follow them forwards ('out'), backwards ('in') or both.
+ */
+
+export const DIRECTIONS = ['out', 'in', 'both'];
+export const DEFAULT_DEPTH = 3;
+export const MAX_DEPTH = 6;
+export const MAX_CHAINS = 500;
+
+export function formatNode(n) {
+  return { id: n.id, code: n.code, title: n.title, type: n.element_type, status: n.status };
+}
+
+export function formatEdge(e) {
+  return { id: e.id, source: e.source_id, target: e.target_id, type: e.relationship_type, description: e.description };
+}
+
+/**
+ * Index elements and relationships. Relationships whose ends are not among
+ * the elements (e.g. deprecated ones left out) are dropped.
+ */
+export function buildGraph(elements, relationships) {
+  const nodes = new Map(elements.map(e => [e.id, e]));
+  const byCode = new Map(elements.map(e => [e.code, e]));
+  const outgoing = new Map(elements.map(e => [e.id, []]));
+  const incoming = new Map(elements.map(e => [e.id, []]));
+  const children = new Map(elements.map(e => [e.id, []]));
+  const edges = [];
+
+  for (const r of relationships) {
+    if (!nodes.has(r.source_id) || !nodes.has(r.target_id)) continue;
+    edges.push(r);
+    outgoing.get(r.source_id).push(r);
+    incoming.get(r.target_id).push(r);
+  }
+  for (const e of elements) {
+    if (e.parent_id && children.has(e.parent_id)) children.get(e.parent_id).push(e.id);
+  }
+  return { nodes, byCode, edges, outgoing, incoming, children };
+}
+
+export async function loadGraph(sql, { includeDeprecated = false } = {}) {
+  const elements = await sql`
+    SELECT id, element_type, code, title, status, parent_id FROM architecture_elements
+    WHERE ${includeDeprecated} OR status != 'deprecated'
+    ORDER BY code
+  `;
+  const relationships = await sql`
+    SELECT id, source_id, target_id, relationship_type, description FROM element_relationships
+  `;
+  return buildGraph(elements, relationships);
+}
+
+/**
+ * An element by id or code
+ */
+export function findNode(graph, ref) {
+  if (!ref) return null;
+  return graph.nodes.get(ref) || graph.byCode.get(String(ref).toUpperCase()) || null;
+}
+
+/**
+ * An element followed by all its descendants, breadth first
+ */
+export function descendantsOf(graph, id) {
+  const result = [id];
+  for (let i = 0; i < result.length; i++) {
+    for (const child of graph.children.get(result[i]) || []) if (!result.includes(child)) result.push(child);
+  }
+  return result;
+}
+
+function neighbours(graph, id, direction, relationshipTypes) {
+  const result = [];
+  if (direction !== 'in') {
+    for (const edge of graph.outgoing.get(id) || []) result.push({ edge, next: edge.target_id, direction: 'out' });
+  }
+  if (direction !== 'out') {
+    for (const edge of graph.incoming.get(id) || []) result.push({ edge, next: edge.source_id, direction: 'in' });
+  }
+  return relationshipTypes ? result.filter(n => relationshipTypes.includes(n.edge.relationship_type)) : result;
+}
+
+/**
+ * Breadth-first walk from an element up to depth hops. Each reached element
+ * records its distance and the relationship it was first reached through.
+ */
+export function traverse(graph, startId, { depth = DEFAULT_DEPTH, direction = 'both', relationshipTypes = null, elementTypes = null } = {}) {
+  const reached = new Map([[startId, { depth: 0, via: null }]]);
+  const edges = new Map();
+  let frontier = [startId];
+
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const n of neighbours(graph, id, direction, relationshipTypes)) {
+        if (elementTypes && !elementTypes.includes(graph.nodes.get(n.next).element_type)) continue;
+        edges.set(n.edge.id, n.edge);
+        if (reached.has(n.next)) continue;
+        reached.set(n.next, { depth: level, via: { relationshipId: n.edge.id, from: id, type: n.edge.relationship_type, direction: n.direction } });
+        next.push(n.next);
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    nodes: [...reached].map(([id, r]) => ({ ...formatNode(graph.nodes.get(id)), depth: r.depth, via: r.via })),
+    edges: [...edges.values()].map(formatEdge)
+  };
+}
+
+/**
+ * Fewest hops between two elements, or null if they are not connected
+ */
+export function shortestPath(graph, fromId, toId, { direction = 'both', relationshipTypes = null } = {}) {
+  const previous = new Map([[fromId, null]]);
+  let frontier = [fromId];
+
+  while (frontier.length > 0 && !previous.has(toId)) {
+    const next = [];
+    for (const id of frontier) {
+      for (const n of neighbours(graph, id, direction, relationshipTypes)) {
+        if (previous.has(n.next)) continue;
+        previous.set(n.next, { from: id, edge: n.edge });
+        next.push(n.next);
+      }
+    }
+    frontier = next;
+  }
+  if (!previous.has(toId)) return null;
+
+  const nodes = [toId];
+  const edges = [];
+  for (let step = previous.get(toId); step; step = previous.get(step.from)) {
+    nodes.unshift(step.from);
+    edges.unshift(step.edge);
+  }
+  return { length: edges.length, nodes: nodes.map(id => formatNode(graph.nodes.get(id))), edges: edges.map(formatEdge) };
+}
+
+/**
+ * Every path that visits one element of each type in order, following
+ * relationships in either direction, e.g. principle, goal, strategy,
+ * capability: which principles constrain which capabilities through the
+ * goals and strategies between them. Starts from startId when given.
+ */
+export function findChains(graph, types, { startId = null, relationshipTypes = null, limit = MAX_CHAINS } = {}) {
+  const chains = [];
+  let truncated = false;
+  const starts = startId ? [startId] : [...graph.nodes.values()].filter(n => n.element_type === types[0]).map(n => n.id);
+
+  const walk = (path, edges) => {
+    if (chains.length >= limit) { truncated = true; return; }
+    if (path.length === types.length) { chains.push({ nodes: path, edges }); return; }
+    const wanted = types[path.length];
+    for (const n of neighbours(graph, path[path.length - 1], 'both', relationshipTypes)) {
+      if (graph.nodes.get(n.next).element_type !== wanted || path.includes(n.next)) continue;
+      walk([...path, n.next], [...edges, n.edge]);
+    }
+  };
+  for (const id of starts) {
+    if (graph.nodes.get(id)?.element_type === types[0]) walk([id], []);
+  }
+
+  return {
+    chains: chains.map(c => ({
+      codes: c.nodes.map(id => graph.nodes.get(id).code),
+      nodes: c.nodes.map(id => formatNode(graph.nodes.get(id))),
+      relationships: c.edges.map(e => e.relationship_type)
+    })),
+    truncated
+  };
+}
+
+/**
+ * Elements with no relationships, no parent and no children
+ */
+export function findOrphans(graph) {
+  return [...graph.nodes.values()]
+    .filter(n => graph.outgoing.get(n.id).length === 0 && graph.incoming.get(n.id).length === 0)
+    .filter(n => !(n.parent_id && graph.nodes.has(n.parent_id)) && graph.children.get(n.id).length === 0)
+    .map(formatNode);
+}
+
+/**
+ * Groups of elements that reach each other by following relationships
+ * forwards (strongly connected components, Tarjan), with the relationships
+ * inside each group. A relationship from an element to itself is a cycle too.
+ */
+export function findCycles(graph, { relationshipTypes = null } = {}) {
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const connect = id => {
+    index.set(id, counter);
+    low.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+    for (const { next } of neighbours(graph, id, 'out', relationshipTypes)) {
+      if (!index.has(next)) {
+        connect(next);
+        low.set(id, Math.min(low.get(id), low.get(next)));
+      } else if (onStack.has(next)) {
+        low.set(id, Math.min(low.get(id), index.get(next)));
+      }
+    }
+    if (low.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      components.push(component);
+    }
+  };
+  for (const id of graph.nodes.keys()) if (!index.has(id)) connect(id);
+
+  return components
+    .map(component => {
+      const members = new Set(component);
+      const edges = graph.edges.filter(e => members.has(e.source_id) && members.has(e.target_id) &&
+        (!relationshipTypes || relationshipTypes.includes(e.relationship_type)));
+      return { members, edges };
+    })
+    .filter(c => c.members.size > 1 || c.edges.length > 0)
+    .map(c => ({
+      nodes: [...c.members].map(id => formatNode(graph.nodes.get(id))),
+      edges: c.edges.map(formatEdge)
+    }));
+}
+
+/**
+ * What deprecating an element would touch: the element and its descendants,
+ * the elements related to them, and the proposals, projects and content
+ * linked to any of them. Projects are also reached through a linked proposal.
+ */
+export async function analyzeImpact(sql, graph, elementId) {
+  const affected = descendantsOf(graph, elementId);
+  const affectedSet = new Set(affected);
+  const codeOf = id => graph.nodes.get(id)?.code;
+
+  const related = [];
+  for (const id of affected) {
+    for (const n of neighbours(graph, id, 'both', null)) {
+      if (affectedSet.has(n.next)) continue;
+      related.push({ ...formatNode(graph.nodes.get(n.next)), relationship: n.edge.relationship_type, direction: n.direction, via: codeOf(id) });
+    }
+  }
+
+  const proposals = await sql`
+    SELECT id, title, status, proposal_type, element_id FROM proposals
+    WHERE element_id = ANY(${affected}) ORDER BY created_at DESC
+  `;
+  const projects = await sql`
+    SELECT id, title, slug, status, linked_proposal_id, linked_elements FROM projects
+    WHERE linked_elements ?| ${affected}::text[] OR linked_proposal_id = ANY(${proposals.map(p => p.id)})
+    ORDER BY title
+  `;
+  const content = await sql`
+    SELECT id, title, slug, content_type, status, element_id FROM content_items
+    WHERE element_id = ANY(${affected}) ORDER BY title
+  `;
+
+  // Items still in play: undecided proposals, unfinished projects, published content
+  const isActive = {
+    proposal: status => ['draft', 'open', 'closed'].includes(status),
+    project: status => !['completed', 'archived'].includes(status),
+    content: status => status === 'published'
+  };
+  const result = {
+    element: formatNode(graph.nodes.get(elementId)),
+    descendants: affected.slice(1).map(id => formatNode(graph.nodes.get(id))),
+    relatedElements: related,
+    proposals: proposals.map(p => ({
+      id: p.id, title: p.title, status: p.status, type: p.proposal_type, element: codeOf(p.element_id),
+      active: isActive.proposal(p.status)
+    })),
+    projects: projects.map(p => ({
+      id: p.id, title: p.title, slug: p.slug, status: p.status,
+      elements: (p.linked_elements || []).filter(id => affectedSet.has(id)).map(codeOf),
+      viaProposal: proposals.find(pr => pr.id === p.linked_proposal_id)?.title || null,
+      active: isActive.project(p.status)
+    })),
+    content: content.map(c => ({
+      id: c.id, title: c.title, slug: c.slug, type: c.content_type, status: c.status, element: codeOf(c.element_id),
+      active: isActive.content(c.status)
+    }))
+  };
+  result.summary = {
+    elements: affected.length,
+    relatedElements: related.length,
+    proposals: result.proposals.length,
+    activeProposals: result.proposals.filter(p => p.active).length,
+    projects: result.projects.length,
+    activeProjects: result.projects.filter(p => p.active).length,
+    content: result.content.length,
+    publishedContent: result.content.filter(c => c.active).length
+  };
+  return result;
+}
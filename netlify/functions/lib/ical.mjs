@@ -0,0 +1,71 @@
+/**
+ * PLE Platform - iCalendar
+ * RFC 5545 feeds of all-day events, for subscribing from calendar apps.
+ */
+
+import { addDays } from './dependencies.mjs';
+
+function text(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines over 75 octets continue on the next line after a single space
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+const compactDate = date => date.replace(/-/g, '');
+
+/**
+ * events: [{ uid, date (YYYY-MM-DD), summary, description, url, categories }]
+ */
+export function toIcs({ name, events }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Post-Labor Economics//PLE Platform//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${text(name)}`
+  ];
+  for (const e of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compactDate(e.date)}`,
+      `DTEND;VALUE=DATE:${compactDate(addDays(e.date, 1))}`,
+      `SUMMARY:${text(e.summary)}`
+    );
+    if (e.description) lines.push(`DESCRIPTION:${text(e.description)}`);
+    if (e.url) lines.push(`URL:${e.url}`);
+    if (e.categories?.length) lines.push(`CATEGORIES:${e.categories.map(text).join(',')}`);
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+export function icsResponse(body, fileName) {
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${fileName}"`
+    }
+  });
+}
@@ -0,0 +1,698 @@
+/**
+ * PLE Platform - Architecture Interchange
+ * Exports architecture_elements and element_relationships as ArchiMate
+ * Open Exchange XML, JSON-LD and GraphML, and imports ArchiMate and JSON-LD
+ * models back.
+ *
+ * An import is a merge. Elements in the file are matched to existing ones
+ * by code, then created or updated. Elements and relationships missing from
+ * the file are left alone. planImport works out every change without
+ * writing anything, so the same plan serves the preview and the apply.
+ * Nothing is applied while the plan has conflicts.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { guardedTransaction } from './db.mjs';
+import { CODE_PREFIXES, ELEMENT_STATUSES, canTransitionElement, validateCode, nextCode, diffElement, historyQuery } from './architecture.mjs';
+
+export const EXPORT_FORMATS = ['archimate', 'jsonld', 'graphml'];
+export const IMPORT_FORMATS = ['archimate', 'jsonld'];
+export const MAX_IMPORT_SIZE = 2 * 1024 * 1024;
+
+export const CONTENT_TYPES = {
+  archimate: 'application/xml',
+  jsonld: 'application/ld+json',
+  graphml: 'application/graphml+xml'
+};
+export const FILE_NAMES = {
+  archimate: 'ple-architecture.xml',
+  jsonld: 'ple-architecture.jsonld',
+  graphml: 'ple-architecture.graphml'
+};
+
+const SITE_URL = process.env.URL || process.env.DEPLOY_URL || 'https://postlaboreconomics.netlify.app';
+const VOCABULARY = `${SITE_URL}/ns/architecture#`;
+const elementIri = code => `${SITE_URL}/architecture#${code}`;
+
+// The core types have ArchiMate motivation and strategy equivalents; the
+// GATO fixture types are mapped as closely as ArchiMate allows. Every
+// exported element also carries its own type as a property.
+const ARCHIMATE_ELEMENTS = {
+  goal: 'Goal',
+  strategy: 'CourseOfAction',
+  capability: 'Capability',
+  principle: 'Principle',
+  prime: 'Principle',
+  imperative: 'Principle',
+  attractor: 'Outcome',
+  framework: 'Grouping',
+  layer: 'Grouping'
+};
+const ARCHIMATE_DEFAULT_ELEMENT = 'Meaning';
+const FROM_ARCHIMATE_ELEMENT = { Goal: 'goal', CourseOfAction: 'strategy', Capability: 'capability', Principle: 'principle' };
+
+// ArchiMate has no "achieved by": a course of action realizes a goal and a
+// capability realizes a course of action, so those two run the other way.
+const ARCHIMATE_RELATIONSHIPS = {
+  governs: { type: 'Influence', reversed: false },
+  achieved_by: { type: 'Realization', reversed: true },
+  enabled_by: { type: 'Realization', reversed: true },
+  depends_on: { type: 'Association', reversed: false }
+};
+const ARCHIMATE_DEFAULT_RELATIONSHIP = { type: 'Association', reversed: false };
+const ARCHIMATE_PARENT_TYPES = ['Composition', 'Aggregation'];
+
+const ELEMENT_TYPE_PATTERN = /^[a-z][a-z_]{0,49}$/;
+const RELATIONSHIP_TYPE_PATTERN = /^[a-z][a-z_]{0,49}$/;
+const MAX_TITLE_LENGTH = 200;
+const MAX_PARENT_DEPTH = 50;
+
+const toCamel = type => type.replace(/_([a-z])/g, (m, c) => c.toUpperCase());
+const toPascal = type => toCamel(type).replace(/^[a-z]/, c => c.toUpperCase());
+const toSnake = name => name.replace(/^[A-Z]/, c => c.toLowerCase()).replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+
+// ============================================
+// Export
+// ============================================
+
+/**
+ * Every element and the relationships between them. exportedAt comes from
+ * the database clock so an import of the file can tell which elements
+ * were edited after it was taken.
+ */
+export async function loadModel(sql) {
+  const [clock] = await sql`SELECT CURRENT_TIMESTAMP::timestamp as now`;
+  const elements = await sql`
+    SELECT id, element_type, code, title, description, status, parent_id, metadata
+    FROM architecture_elements ORDER BY element_type, code
+  `;
+  const relationships = await sql`
+    SELECT id, source_id, target_id, relationship_type, description FROM element_relationships
+    ORDER BY created_at, id
+  `;
+  const ids = new Set(elements.map(e => e.id));
+  return {
+    exportedAt: new Date(clock.now).toISOString(),
+    elements,
+    relationships: relationships.filter(r => ids.has(r.source_id) && ids.has(r.target_id))
+  };
+}
+
+export function exportModel(model, format) {
+  if (format === 'archimate') return toArchimate(model);
+  if (format === 'jsonld') return JSON.stringify(toJsonLd(model), null, 2);
+  return toGraphml(model);
+}
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const hasMetadata = e => e.metadata && Object.keys(e.metadata).length > 0;
+
+function toArchimate(model) {
+  const property = (ref, value) => value === null || value === undefined || value === ''
+    ? ''
+    : `\n        <property propertyDefinitionRef="propid-${ref}"><value xml:lang="en">${escapeXml(value)}</value></property>`;
+  const documentation = (text, indent) => text ? `\n${indent}<documentation xml:lang="en">${escapeXml(text)}</documentation>` : '';
+
+  const elements = model.elements.map(e => `
+    <element identifier="id-${e.id}" xsi:type="${ARCHIMATE_ELEMENTS[e.element_type] || ARCHIMATE_DEFAULT_ELEMENT}">
+      <name xml:lang="en">${escapeXml(e.title)}</name>${documentation(e.description, '      ')}
+      <properties>${property('code', e.code)}${property('elementType', e.element_type)}${property('status', e.status)}${
+        hasMetadata(e) ? property('metadata', JSON.stringify(e.metadata)) : ''}
+      </properties>
+    </element>`);
+
+  const relationships = model.relationships.map(r => {
+    const mapping = ARCHIMATE_RELATIONSHIPS[r.relationship_type] || ARCHIMATE_DEFAULT_RELATIONSHIP;
+    const [source, target] = mapping.reversed ? [r.target_id, r.source_id] : [r.source_id, r.target_id];
+    return `
+    <relationship identifier="id-${r.id}" source="id-${source}" target="id-${target}" xsi:type="${mapping.type}"${
+      mapping.type === 'Association' ? ' isDirected="true"' : ''}>${documentation(r.description, '      ')}
+      <properties>${property('relationshipType', r.relationship_type)}
+      </properties>
+    </relationship>`;
+  });
+
+  // Parents become compositions from the parent to each child
+  const ids = new Set(model.elements.map(e => e.id));
+  const parents = model.elements.filter(e => e.parent_id && ids.has(e.parent_id)).map(e => `
+    <relationship identifier="id-parent-${e.id}" source="id-${e.parent_id}" target="id-${e.id}" xsi:type="Composition"/>`);
+
+  const definitions = ['code', 'elementType', 'status', 'metadata', 'relationshipType', 'exportedAt'].map(name => `
+    <propertyDefinition identifier="propid-${name}" type="string">
+      <name xml:lang="en">${name}</name>
+    </propertyDefinition>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<model xmlns="http://www.opengroup.org/xsd/archimate/3.0/"
+       xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+       xsi:schemaLocation="http://www.opengroup.org/xsd/archimate/3.0/ http://www.opengroup.org/xsd/archimate/3.1/archimate3_Model.xsd"
+       identifier="id-ple-architecture">
+  <name xml:lang="en">Post-Labor Economics Architecture</name>
+  <documentation xml:lang="en">Goals, strategies, capabilities and principles of the PLE platform, exported from ${escapeXml(SITE_URL)}</documentation>
+  <properties>
+    <property propertyDefinitionRef="propid-exportedAt"><value xml:lang="en">${model.exportedAt}</value></property>
+  </properties>
+  <elements>${elements.join('')}
+  </elements>
+  <relationships>${relationships.join('')}${parents.join('')}
+  </relationships>
+  <propertyDefinitions>${definitions.join('')}
+  </propertyDefinitions>
+</model>
+`;
+}
+
+/**
+ * Elements are nodes identified by their code; each relationship type is a
+ * property of its source element, e.g. "achievedBy": [...].
+ */
+function toJsonLd(model) {
+  const codes = new Map(model.elements.map(e => [e.id, e.code]));
+  const relationshipTypes = [...new Set(model.relationships.map(r => r.relationship_type))].sort();
+
+  const context = {
+    '@vocab': VOCABULARY,
+    dcterms: 'http://purl.org/dc/terms/',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    title: 'dcterms:title',
+    description: 'dcterms:description',
+    exportedAt: { '@type': 'xsd:dateTime' },
+    metadata: { '@type': '@json' },
+    parent: { '@type': '@id' }
+  };
+  for (const type of relationshipTypes) context[toCamel(type)] = { '@type': '@id', '@container': '@set' };
+
+  const nodes = new Map(model.elements.map(e => {
+    const node = { '@id': elementIri(e.code), '@type': toPascal(e.element_type), code: e.code, title: e.title };
+    if (e.description) node.description = e.description;
+    node.status = e.status;
+    if (e.parent_id && codes.has(e.parent_id)) node.parent = elementIri(codes.get(e.parent_id));
+    if (hasMetadata(e)) node.metadata = e.metadata;
+    return [e.id, node];
+  }));
+  for (const r of model.relationships) {
+    const node = nodes.get(r.source_id);
+    const key = toCamel(r.relationship_type);
+    (node[key] = node[key] || []).push(elementIri(codes.get(r.target_id)));
+  }
+
+  return {
+    '@context': context,
+    '@id': `${SITE_URL}/architecture`,
+    title: 'Post-Labor Economics Architecture',
+    exportedAt: model.exportedAt,
+    '@graph': [...nodes.values()]
+  };
+}
+
+function toGraphml(model) {
+  const codes = new Map(model.elements.map(e => [e.id, e.code]));
+  const keys = [
+    ['node', 'type'], ['node', 'title'], ['node', 'description'], ['node', 'status'], ['node', 'parent'], ['node', 'metadata'],
+    ['edge', 'relationship'], ['edge', 'description']
+  ];
+  const data = (key, value) => value === null || value === undefined || value === '' ? '' : `<data key="${key}">${escapeXml(value)}</data>`;
+
+  const nodes = model.elements.map(e => `
+    <node id="${escapeXml(e.code)}">${data('type', e.element_type)}${data('title', e.title)}${data('description', e.description)}${
+      data('status', e.status)}${data('parent', codes.get(e.parent_id))}${hasMetadata(e) ? data('metadata', JSON.stringify(e.metadata)) : ''}</node>`);
+  const edges = model.relationships.map(r => `
+    <edge id="id-${r.id}" source="${escapeXml(codes.get(r.source_id))}" target="${escapeXml(codes.get(r.target_id))}">${
+      data('relationship', r.relationship_type)}${data('edge-description', r.description)}</edge>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">
+  <!-- Post-Labor Economics Architecture, exported ${model.exportedAt} -->${keys.map(([kind, name]) => `
+  <key id="${kind === 'edge' && name === 'description' ? 'edge-description' : name}" for="${kind}" attr.name="${name}" attr.type="string"/>`).join('')}
+  <graph id="architecture" edgedefault="directed">${nodes.join('')}${edges.join('')}
+  </graph>
+</graphml>
+`;
+}
+
+// ============================================
+// Parsing
+// ============================================
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (m, entity) =>
+    entity[0] !== '#' ? ENTITIES[entity]
+      : String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)));
+}
+
+const localName = name => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Just enough XML for exchange files: elements, attributes, text, CDATA and
+ * the predefined and numeric entities. Namespace prefixes are dropped from
+ * element names; DTDs are skipped, never expanded.
+ */
+function parseXml(text) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let position = 0;
+  let match;
+
+  while ((match = token.exec(text)) !== null) {
+    if (match.index !== position) break;
+    position = token.lastIndex;
+    const [, cdata, closing, opening, attrs, selfClosing, chars] = match;
+    const top = stack[stack.length - 1];
+
+    if (cdata !== undefined) top.text += cdata;
+    else if (chars !== undefined) top.text += decodeEntities(chars);
+    else if (closing) {
+      if (stack.length === 1 || top.name !== localName(closing)) throw new Error(`Unexpected </${closing}> in XML`);
+      stack.pop();
+    } else if (opening) {
+      const node = { name: localName(opening), attrs: {}, children: [], text: '' };
+      for (const [, name, double, single] of attrs.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        node.attrs[name] = decodeEntities(double ?? single);
+      }
+      top.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+
+  if (position !== text.length) throw new Error(`Malformed XML at character ${position}`);
+  if (stack.length > 1) throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  if (root.children.length !== 1) throw new Error('XML must have exactly one root element');
+  return root.children[0];
+}
+
+const childrenNamed = (node, name) => (node?.children || []).filter(c => c.name === name);
+const childNamed = (node, name) => childrenNamed(node, name)[0] || null;
+const textOf = node => node ? node.text.trim() : null;
+// xsi:type, whatever the prefix is called
+const typeAttr = node => Object.entries(node.attrs).find(([name]) => name === 'type' || name.endsWith(':type'))?.[1] || null;
+
+function readArchimate(text) {
+  const model = parseXml(text);
+  if (model.name !== 'model') throw new Error('Not an ArchiMate exchange file: the root element must be <model>');
+
+  const definitions = {};
+  for (const def of childrenNamed(childNamed(model, 'propertyDefinitions'), 'propertyDefinition')) {
+    definitions[def.attrs.identifier] = textOf(childNamed(def, 'name'));
+  }
+  const propertiesOf = node => {
+    const props = {};
+    for (const p of childrenNamed(childNamed(node, 'properties'), 'property')) {
+      const name = definitions[p.attrs.propertyDefinitionRef];
+      if (name) props[name] = textOf(childNamed(p, 'value'));
+    }
+    return props;
+  };
+
+  const skipped = [];
+  const skippedRefs = new Set();
+  const elements = [];
+  for (const node of childrenNamed(childNamed(model, 'elements'), 'element')) {
+    const props = propertiesOf(node);
+    const archimateType = typeAttr(node);
+    const type = props.elementType || FROM_ARCHIMATE_ELEMENT[archimateType];
+    const title = textOf(childNamed(node, 'name'));
+    if (!type) {
+      skipped.push(`${title || node.attrs.identifier}: ArchiMate ${archimateType} elements have no equivalent here`);
+      skippedRefs.add(node.attrs.identifier);
+      continue;
+    }
+    let metadata;
+    if (props.metadata) {
+      try {
+        metadata = JSON.parse(props.metadata);
+      } catch {
+        throw new Error(`${props.code || title}: the metadata property is not valid JSON`);
+      }
+    }
+    const docs = childNamed(node, 'documentation');
+    elements.push({
+      ref: node.attrs.identifier, type, code: props.code || null, title,
+      description: docs ? textOf(docs) : undefined, status: props.status || undefined, metadata, parentRef: null
+    });
+  }
+
+  const byRef = new Map(elements.map(e => [e.ref, e]));
+  const relationships = [];
+  for (const node of childrenNamed(childNamed(model, 'relationships'), 'relationship')) {
+    const archimateType = typeAttr(node);
+    const props = propertiesOf(node);
+    const { source, target } = node.attrs;
+    // Already reported with the element
+    if (skippedRefs.has(source) || skippedRefs.has(target)) continue;
+
+    if (!props.relationshipType && ARCHIMATE_PARENT_TYPES.includes(archimateType)) {
+      const parent = byRef.get(source);
+      const child = byRef.get(target);
+      if (parent && child && parent.type === child.type) {
+        child.parentRef = source;
+        continue;
+      }
+    }
+
+    let type = props.relationshipType;
+    let reversed = ARCHIMATE_RELATIONSHIPS[type]?.reversed || false;
+    if (!type) {
+      // Files from other tools: infer the type from the ArchiMate relationship
+      if (archimateType === 'Influence') type = 'governs';
+      else if (archimateType === 'Association') type = 'depends_on';
+      else if (archimateType === 'Realization') {
+        reversed = true;
+        type = byRef.get(target)?.type === 'goal' ? 'achieved_by' : 'enabled_by';
+      }
+    }
+    if (!type) {
+      skipped.push(`${node.attrs.identifier}: ArchiMate ${archimateType} relationships have no equivalent here`);
+      continue;
+    }
+    const docs = childNamed(node, 'documentation');
+    relationships.push({
+      sourceRef: reversed ? target : source, targetRef: reversed ? source : target,
+      type, description: docs ? textOf(docs) : undefined
+    });
+  }
+
+  return { exportedAt: propertiesOf(model).exportedAt || null, elements, relationships, skipped };
+}
+
+const RESERVED_JSONLD_KEYS = ['@id', '@type', '@context', 'code', 'title', 'name', 'description', 'status', 'parent', 'metadata'];
+
+function readJsonLd(data) {
+  let document = data;
+  if (typeof data === 'string') {
+    try {
+      document = JSON.parse(data);
+    } catch {
+      throw new Error('Not valid JSON');
+    }
+  }
+  const nodes = Array.isArray(document) ? document : document?.['@graph'];
+  if (!Array.isArray(nodes)) throw new Error('A JSON-LD model needs an @graph array of elements');
+
+  const idOf = value => typeof value === 'string' ? value : value?.['@id'] || null;
+  const listOf = value => value === undefined || value === null ? [] : Array.isArray(value) ? value : [value];
+
+  const skipped = [];
+  const elements = [];
+  const relationships = [];
+  for (const node of nodes) {
+    const ref = idOf(node);
+    const rawType = listOf(node['@type'])[0];
+    const type = rawType ? toSnake(String(rawType).replace(/^.*[#/:]/, '')) : null;
+    const title = node.title ?? node.name ?? null;
+    if (!type) {
+      skipped.push(`${title || ref || 'An element'} has no @type`);
+      continue;
+    }
+    const fragment = ref?.includes('#') ? ref.slice(ref.lastIndexOf('#') + 1) : null;
+    elements.push({
+      ref, type, code: node.code || fragment, title,
+      description: node.description === undefined ? undefined : node.description || null,
+      status: node.status || undefined, metadata: node.metadata, parentRef: idOf(node.parent)
+    });
+
+    for (const [key, value] of Object.entries(node)) {
+      if (RESERVED_JSONLD_KEYS.includes(key) || key.startsWith('@')) continue;
+      // Relationships point at other elements by IRI; anything else is not ours
+      const targets = listOf(value).map(idOf);
+      if (targets.length === 0) continue;
+      if (targets.some(t => typeof t !== 'string' || !/[:#]/.test(t))) {
+        skipped.push(`${node.code || title}: "${key}" is not a relationship`);
+        continue;
+      }
+      for (const targetRef of targets) relationships.push({ sourceRef: ref, targetRef, type: toSnake(key), description: undefined });
+    }
+  }
+
+  return { exportedAt: document.exportedAt || null, elements, relationships, skipped };
+}
+
+/**
+ * A format-neutral model: { exportedAt, elements, relationships, skipped },
+ * or { error } if the file cannot be read at all
+ */
+export function parseModel(format, data) {
+  try {
+    if (format === 'archimate') {
+      if (typeof data !== 'string') return { error: 'ArchiMate data must be the XML text' };
+      return readArchimate(data);
+    }
+    return readJsonLd(data);
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// ============================================
+// Merge
+// ============================================
+
+/**
+ * Compare a parsed model with the architecture. Returns the preview
+ * (creates, updates, relationships, conflicts) and, under writes, what
+ * applyImport needs to carry it out.
+ */
+export async function planImport(sql, parsed) {
+  const existing = await sql`SELECT *, updated_at::text as version FROM architecture_elements`;
+  const byCode = new Map(existing.map(e => [e.code, e]));
+  const byId = new Map(existing.map(e => [e.id, e]));
+  const exportedAt = parsed.exportedAt && !isNaN(new Date(parsed.exportedAt)) ? new Date(parsed.exportedAt) : null;
+
+  const conflicts = [];
+  const conflict = (item, error) => conflicts.push({ item, error });
+
+  // Elements without a code get the next free ones for their type
+  const fileCodes = new Set(parsed.elements.map(e => e.code && String(e.code).trim().toUpperCase()).filter(Boolean));
+  const counters = {};
+  const allocate = async type => {
+    if (!(type in counters)) counters[type] = parseInt((await nextCode(sql, type)).split('-').pop());
+    let code;
+    do {
+      code = `${CODE_PREFIXES[type]}-${String(counters[type]++).padStart(3, '0')}`;
+    } while (byCode.has(code) || fileCodes.has(code));
+    return code;
+  };
+
+  const resolved = new Map();
+  const seen = new Set();
+  for (const el of parsed.elements) {
+    const label = el.code || el.title || el.ref || 'An element';
+    if (!ELEMENT_TYPE_PATTERN.test(el.type || '')) { conflict(label, `"${el.type}" is not a valid element type`); continue; }
+    if (!el.title?.trim()) { conflict(label, 'Title is required'); continue; }
+    if (el.title.trim().length > MAX_TITLE_LENGTH) { conflict(label, `Titles are at most ${MAX_TITLE_LENGTH} characters`); continue; }
+    if (!el.code && !CODE_PREFIXES[el.type]) { conflict(label, `${el.type} elements need a code`); continue; }
+
+    const code = el.code ? String(el.code).trim().toUpperCase() : await allocate(el.type);
+    const codeError = validateCode(el.type, code);
+    if (codeError) { conflict(code, codeError); continue; }
+    if (seen.has(code)) { conflict(code, 'This code appears more than once in the file'); continue; }
+    seen.add(code);
+    if (el.status !== undefined && !ELEMENT_STATUSES.includes(el.status)) {
+      conflict(code, `Status must be one of ${ELEMENT_STATUSES.join(', ')}`);
+      continue;
+    }
+    if (el.metadata !== undefined && (!el.metadata || typeof el.metadata !== 'object' || Array.isArray(el.metadata))) {
+      conflict(code, 'metadata must be an object');
+      continue;
+    }
+    const current = byCode.get(code) || null;
+    if (current && current.element_type !== el.type) {
+      conflict(code, `${code} is a ${current.element_type} here but a ${el.type} in the file`);
+      continue;
+    }
+    resolved.set(el.ref ?? code, { el, code, current, id: current?.id || uuidv4() });
+  }
+
+  // A reference is an element in the file, or an existing element by id or code
+  const lookup = ref => {
+    if (!ref) return null;
+    const inFile = resolved.get(ref);
+    if (inFile) return { id: inFile.id, code: inFile.code, type: inFile.el.type };
+    const found = byId.get(ref.replace(/^id-/, '')) || byCode.get(ref.slice(ref.lastIndexOf('#') + 1).toUpperCase());
+    return found ? { id: found.id, code: found.code, type: found.element_type } : null;
+  };
+
+  // Parents as they will stand after the import, to check for cycles
+  const parentOf = new Map(existing.map(e => [e.id, e.parent_id]));
+  const statusOf = new Map(existing.map(e => [e.id, e.status]));
+  for (const r of resolved.values()) {
+    r.parent = r.el.parentRef ? lookup(r.el.parentRef) : null;
+    parentOf.set(r.id, r.parent?.id || null);
+    statusOf.set(r.id, r.el.status || r.current?.status || 'draft');
+  }
+
+  const creates = [];
+  const updates = [];
+  let unchanged = 0;
+  for (const r of resolved.values()) {
+    const { el, code, current } = r;
+    if (el.parentRef && !r.parent) { conflict(code, 'Its parent is neither in the file nor in the architecture'); continue; }
+    if (r.parent) {
+      if (r.parent.type !== el.type) { conflict(code, `The parent of a ${el.type} must also be a ${el.type}`); continue; }
+      if (statusOf.get(r.parent.id) === 'deprecated' && statusOf.get(r.id) !== 'deprecated') {
+        conflict(code, `Its parent ${r.parent.code} is deprecated`);
+        continue;
+      }
+      let ancestor = r.parent.id;
+      for (let depth = 0; ancestor && ancestor !== r.id && depth < MAX_PARENT_DEPTH; depth++) ancestor = parentOf.get(ancestor);
+      if (ancestor === r.id) { conflict(code, 'Its parent is one of its own descendants'); continue; }
+    }
+    if (statusOf.get(r.id) === 'deprecated') {
+      const live = [...parentOf].filter(([id, parentId]) => parentId === r.id && statusOf.get(id) !== 'deprecated');
+      if (live.length > 0) {
+        const codeOf = id => [...resolved.values()].find(x => x.id === id)?.code || byId.get(id)?.code;
+        conflict(code, `Deprecated elements cannot have active children (${live.map(([id]) => codeOf(id)).join(', ')})`);
+        continue;
+      }
+    }
+
+    const after = { title: el.title.trim(), parent_id: r.parent?.id || null };
+    if (el.description !== undefined) after.description = el.description || null;
+    if (el.status !== undefined) after.status = el.status;
+    if (el.metadata !== undefined) after.metadata = el.metadata;
+
+    if (!current) {
+      creates.push({ id: r.id, code, type: el.type, ...after, status: after.status || 'draft' });
+      continue;
+    }
+    const changes = diffElement(current, after);
+    if (Object.keys(changes).length === 0) { unchanged++; continue; }
+    if (changes.status && !canTransitionElement(changes.status.from, changes.status.to)) {
+      conflict(code, `Cannot move a ${changes.status.from} element to ${changes.status.to}`);
+      continue;
+    }
+    if (exportedAt && new Date(current.updated_at) > exportedAt) {
+      conflict(code, `${code} was edited here after the file was exported`);
+      continue;
+    }
+    updates.push({ id: current.id, code, type: el.type, changes, row: { ...current, ...after } });
+  }
+
+  const relationships = await sql`SELECT id, source_id, target_id, relationship_type, description FROM element_relationships`;
+  const keyOf = (source, target, type) => `${source}|${target}|${type}`;
+  const existingRelationships = new Map(relationships.map(r => [keyOf(r.source_id, r.target_id, r.relationship_type), r]));
+
+  const relationshipCreates = [];
+  const relationshipUpdates = [];
+  let relationshipsUnchanged = 0;
+  const seenRelationships = new Set();
+  for (const rel of parsed.relationships) {
+    const source = lookup(rel.sourceRef);
+    const target = lookup(rel.targetRef);
+    const label = `${source?.code || rel.sourceRef} ${rel.type} ${target?.code || rel.targetRef}`;
+    if (!RELATIONSHIP_TYPE_PATTERN.test(rel.type)) { conflict(label, `"${rel.type}" is not a valid relationship type`); continue; }
+    if (!source || !target) { conflict(label, 'The relationship refers to an element that is neither in the file nor in the architecture'); continue; }
+    const key = keyOf(source.id, target.id, rel.type);
+    if (seenRelationships.has(key)) continue;
+    seenRelationships.add(key);
+
+    const current = existingRelationships.get(key);
+    const item = { source: source.code, target: target.code, type: rel.type };
+    if (!current) {
+      relationshipCreates.push({ ...item, id: uuidv4(), sourceId: source.id, targetId: target.id, description: rel.description || null });
+    } else if (rel.description !== undefined && (rel.description || null) !== current.description) {
+      relationshipUpdates.push({ ...item, id: current.id, description: rel.description || null });
+    } else {
+      relationshipsUnchanged++;
+    }
+  }
+
+  return {
+    exportedAt: parsed.exportedAt || null,
+    creates: creates.map(c => ({ code: c.code, type: c.type, title: c.title, status: c.status })),
+    updates: updates.map(u => ({ code: u.code, type: u.type, title: u.row.title, changes: u.changes })),
+    relationships: {
+      creates: relationshipCreates.map(({ source, target, type }) => ({ source, target, type })),
+      updates: relationshipUpdates.map(({ source, target, type, description }) => ({ source, target, type, description }))
+    },
+    conflicts,
+    skipped: parsed.skipped,
+    summary: {
+      creates: creates.length,
+      updates: updates.length,
+      unchanged,
+      relationshipCreates: relationshipCreates.length,
+      relationshipUpdates: relationshipUpdates.length,
+      relationshipsUnchanged,
+      conflicts: conflicts.length,
+      skipped: parsed.skipped.length
+    },
+    writes: { creates, updates, relationshipCreates, relationshipUpdates }
+  };
+}
+
+/**
+ * Carry out a plan without conflicts in one transaction. New elements are
+ * inserted first and given their parents afterwards, so parents and
+ * children can arrive in any order. Updated elements are locked first at
+ * the versions the plan read; if any changed since, nothing is written.
+ */
+export async function applyImport(sql, plan, { userId, note }) {
+  const { creates, updates, relationshipCreates, relationshipUpdates } = plan.writes;
+  const queries = [];
+
+  for (const c of creates) {
+    queries.push(sql`
+      INSERT INTO architecture_elements (id, element_type, code, title, description, status, created_by, metadata)
+      VALUES (${c.id}, ${c.type}, ${c.code}, ${c.title}, ${c.description ?? null}, ${c.status}, ${userId},
+        ${JSON.stringify(c.metadata || {})}::jsonb)
+    `);
+  }
+  for (const c of creates.filter(c => c.parent_id)) {
+    queries.push(sql`UPDATE architecture_elements SET parent_id = ${c.parent_id} WHERE id = ${c.id}`);
+  }
+  for (const c of creates) {
+    queries.push(historyQuery(sql, { elementId: c.id, action: 'created', userId, note }));
+  }
+
+  for (const u of updates) {
+    const next = u.row;
+    queries.push(sql`
+      UPDATE architecture_elements SET title = ${next.title}, description = ${next.description}, status = ${next.status},
+        parent_id = ${next.parent_id}, metadata = ${JSON.stringify(next.metadata || {})}::jsonb, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${u.id}
+    `);
+    queries.push(historyQuery(sql, {
+      elementId: u.id, action: u.changes.status ? 'status_changed' : 'updated', changes: u.changes, userId, note
+    }));
+  }
+
+  for (const r of relationshipCreates) {
+    queries.push(sql`
+      INSERT INTO element_relationships (id, source_id, target_id, relationship_type, description)
+      VALUES (${r.id}, ${r.sourceId}, ${r.targetId}, ${r.type}, ${r.description})
+    `);
+  }
+  for (const r of relationshipUpdates) {
+    queries.push(sql`UPDATE element_relationships SET description = ${r.description} WHERE id = ${r.id}`);
+  }
+
+  if (queries.length === 0) return { applied: false };
+
+  const changed = { error: 'The architecture changed while importing; preview the file again', status: 409 };
+  try {
+    const applied = await guardedTransaction(sql, sql`
+      SELECT 1 / (COUNT(*) = ${updates.length})::int as ok
+      FROM (
+        SELECT id FROM architecture_elements
+        WHERE (id, updated_at::text) IN (
+          SELECT * FROM unnest(${updates.map(u => u.id)}::uuid[], ${updates.map(u => u.row.version)}::text[])
+        )
+        FOR UPDATE
+      ) current
+    `, queries);
+    if (!applied) return changed;
+  } catch (error) {
+    // A code taken by an element created since the preview
+    if (error.code === '23505') return { ...changed, details: error.message };
+    throw error;
+  }
+  return { applied: true };
+}
@@ -0,0 +1,58 @@
+/**
+ * PLE Platform - Mail
+ * Outgoing mail goes through a single pluggable transport.
+ *
+ * MAIL_TRANSPORT selects a built-in transport:
+ *   console (default) — log the message to the function log
+ *   file              — write each message as an .eml file under MAIL_DIR (default /tmp/ple-mail)
+ *
+ * A real provider can be plugged in with setMailTransport(async (message) => { ... }).
+ * Messages are { from, to, subject, text }.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'PLE Platform <no-reply@postlaboreconomics.com>';
+
+export const transports = {
+  async console(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  async file(message) {
+    const dir = process.env.MAIL_DIR || '/tmp/ple-mail';
+    await mkdir(dir, { recursive: true });
+    const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const path = join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}.eml`);
+    const eml = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+    await writeFile(path, eml);
+    console.log(`📧 Mail to ${message.to} written to ${path}`);
+  }
+};
+
+let activeTransport = null;
+
+export function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+function resolveTransport() {
+  if (activeTransport) return activeTransport;
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) throw new Error(`Unknown mail transport: ${name}`);
+  return transports[name];
+}
+
+export async function sendMail({ to, subject, text }) {
+  if (!to || !subject) throw new Error('Mail requires a recipient and a subject');
+  await resolveTransport()({ from: MAIL_FROM, to, subject, text: text || '' });
+}
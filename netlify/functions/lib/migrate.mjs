@@ -0,0 +1,128 @@
+/**
+ * PLE Platform - Migration Runner
+ * Applies numbered migration modules from ./migrations and records them in
+ * schema_migrations.
+ *
+ * The Neon HTTP driver has no sessions, so each migration runs as one
+ * non-interactive transaction that first takes a transaction-scoped advisory
+ * lock and then claims its schema_migrations row. A concurrent cold start that
+ * loses the race fails on the primary key before any DDL runs and simply moves on.
+ */
+
+import { migrations } from './migrations/index.mjs';
+
+const LOCK_NAME = 'ple_schema_migrations';
+const UNIQUE_VIOLATION = '23505';
+
+validateRegistry(migrations);
+
+function validateRegistry(list) {
+  let previous = 0;
+  for (const m of list) {
+    if (!Number.isInteger(m.version) || m.version <= previous) {
+      throw new Error(`Migration versions must be increasing integers (got ${m.version} after ${previous})`);
+    }
+    if (typeof m.up !== 'function') throw new Error(`Migration ${m.version} has no up()`);
+    previous = m.version;
+  }
+}
+
+function label(m) {
+  return `${String(m.version).padStart(3, '0')}_${m.name}`;
+}
+
+async function ensureMigrationsTable(sql) {
+  await sql`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`;
+}
+
+async function appliedVersions(sql) {
+  const rows = await sql`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`;
+  return rows;
+}
+
+/**
+ * Apply every pending migration (optionally only up to `target`)
+ * Returns the versions applied by this call.
+ */
+export async function migrate(sql, { target = null } = {}) {
+  await ensureMigrationsTable(sql);
+  const done = new Set((await appliedVersions(sql)).map(r => r.version));
+  const applied = [];
+
+  for (const m of migrations) {
+    if (done.has(m.version)) continue;
+    if (target !== null && m.version > target) break;
+
+    try {
+      await sql.transaction([
+        sql`SELECT pg_advisory_xact_lock(hashtext(${LOCK_NAME}))`,
+        sql`INSERT INTO schema_migrations (version, name) VALUES (${m.version}, ${m.name})`,
+        ...m.up(sql)
+      ]);
+      applied.push(m.version);
+      console.log(`Applied migration ${label(m)}`);
+    } catch (error) {
+      // Another instance applied it while we waited for the lock
+      if (error.code === UNIQUE_VIOLATION) continue;
+      throw new Error(`Migration ${label(m)} failed: ${error.message}`);
+    }
+  }
+
+  return { applied };
+}
+
+/**
+ * Roll back applied migrations newer than `to`, newest first
+ * Defaults to undoing only the latest migration.
+ */
+export async function rollback(sql, { to = null } = {}) {
+  await ensureMigrationsTable(sql);
+  const rows = await appliedVersions(sql);
+  if (rows.length === 0) return { rolledBack: [] };
+
+  const floor = to ?? (rows.length > 1 ? rows[rows.length - 2].version : 0);
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const rolledBack = [];
+
+  for (const row of [...rows].reverse()) {
+    if (row.version <= floor) break;
+    const m = byVersion.get(row.version);
+    if (!m) throw new Error(`Migration ${row.version} is applied but missing from the registry`);
+    if (typeof m.down !== 'function') throw new Error(`Migration ${label(m)} is irreversible`);
+
+    await sql.transaction([
+      sql`SELECT pg_advisory_xact_lock(hashtext(${LOCK_NAME}))`,
+      ...m.down(sql),
+      sql`DELETE FROM schema_migrations WHERE version = ${m.version}`
+    ]);
+    rolledBack.push(m.version);
+    console.log(`Rolled back migration ${label(m)}`);
+  }
+
+  return { rolledBack };
+}
+
+/**
+ * Report applied, pending, and unknown (applied but not in this build) migrations
+ */
+export async function getMigrationStatus(sql) {
+  await ensureMigrationsTable(sql);
+  const rows = await appliedVersions(sql);
+  const done = new Map(rows.map(r => [r.version, r]));
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    current: rows.length ? rows[rows.length - 1].version : 0,
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+    applied: rows.filter(r => known.has(r.version)).map(r => ({
+      version: r.version, name: r.name, appliedAt: r.applied_at,
+      reversible: typeof migrations.find(m => m.version === r.version).down === 'function'
+    })),
+    pending: migrations.filter(m => !done.has(m.version)).map(m => ({ version: m.version, name: m.name })),
+    unknown: rows.filter(r => !known.has(r.version)).map(r => ({ version: r.version, name: r.name, appliedAt: r.applied_at }))
+  };
+}
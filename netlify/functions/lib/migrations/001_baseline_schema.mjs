@@ -0,0 +1,298 @@
+/**
+ * Migration 001 - Baseline schema
+ * Core tables as they existed before versioned migrations. Every statement is
+ * idempotent so databases created by the old ensureDatabase() adopt it cleanly.
+ */
+
+export const version = 1;
+export const name = 'baseline_schema';
+
+export function up(sql) {
+  return [
+    // Users table
+    sql`CREATE TABLE IF NOT EXISTS users (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      display_name VARCHAR(100) NOT NULL,
+      role VARCHAR(50) DEFAULT 'member',
+      avatar_url TEXT,
+      bio TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_login TIMESTAMP,
+      is_active BOOLEAN DEFAULT true
+    )`,
+
+    // Architecture Elements
+    sql`CREATE TABLE IF NOT EXISTS architecture_elements (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      element_type VARCHAR(50) NOT NULL,
+      code VARCHAR(20) UNIQUE NOT NULL,
+      title VARCHAR(200) NOT NULL,
+      description TEXT,
+      status VARCHAR(50) DEFAULT 'draft',
+      parent_id UUID REFERENCES architecture_elements(id),
+      created_by UUID,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      metadata JSONB DEFAULT '{}'
+    )`,
+
+    // Element relationships
+    sql`CREATE TABLE IF NOT EXISTS element_relationships (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      source_id UUID,
+      target_id UUID,
+      relationship_type VARCHAR(50) NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Proposals
+    sql`CREATE TABLE IF NOT EXISTS proposals (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title VARCHAR(200) NOT NULL,
+      content TEXT NOT NULL,
+      proposal_type VARCHAR(50) NOT NULL,
+      status VARCHAR(50) DEFAULT 'draft',
+      author_id UUID,
+      element_id UUID,
+      voting_starts TIMESTAMP,
+      voting_ends TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      metadata JSONB DEFAULT '{}'
+    )`,
+
+    // Votes
+    sql`CREATE TABLE IF NOT EXISTS votes (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      proposal_id UUID,
+      user_id UUID,
+      vote_type VARCHAR(20) NOT NULL,
+      comment TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(proposal_id, user_id)
+    )`,
+
+    // Discussions
+    sql`CREATE TABLE IF NOT EXISTS discussions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title VARCHAR(200),
+      content TEXT NOT NULL,
+      author_id UUID,
+      parent_id UUID,
+      proposal_id UUID,
+      element_id UUID,
+      discussion_type VARCHAR(50) DEFAULT 'general',
+      status VARCHAR(50) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Activity log
+    sql`CREATE TABLE IF NOT EXISTS activity_log (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID,
+      action VARCHAR(100) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id UUID,
+      details JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Sessions
+    sql`CREATE TABLE IF NOT EXISTS sessions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID,
+      token_hash VARCHAR(255) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ip_address VARCHAR(45),
+      user_agent TEXT
+    )`,
+
+    // ==========================================
+    // PROJECTS & WORK MANAGEMENT
+    // ==========================================
+
+    // Projects
+    sql`CREATE TABLE IF NOT EXISTS projects (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title VARCHAR(200) NOT NULL,
+      slug VARCHAR(200) UNIQUE NOT NULL,
+      description TEXT,
+      project_type VARCHAR(50) DEFAULT 'initiative',
+      status VARCHAR(50) DEFAULT 'draft',
+      visibility VARCHAR(50) DEFAULT 'members',
+      priority VARCHAR(20) DEFAULT 'medium',
+      owner_id UUID REFERENCES users(id),
+      linked_proposal_id UUID REFERENCES proposals(id),
+      linked_elements JSONB DEFAULT '[]',
+      start_date DATE,
+      target_end_date DATE,
+      actual_end_date DATE,
+      progress INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      metadata JSONB DEFAULT '{}'
+    )`,
+
+    // Working Groups (Teams)
+    sql`CREATE TABLE IF NOT EXISTS working_groups (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(100) NOT NULL,
+      slug VARCHAR(100) UNIQUE NOT NULL,
+      description TEXT,
+      project_id UUID REFERENCES projects(id),
+      lead_id UUID REFERENCES users(id),
+      status VARCHAR(50) DEFAULT 'forming',
+      visibility VARCHAR(50) DEFAULT 'members',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      metadata JSONB DEFAULT '{}'
+    )`,
+
+    // Working Group Members
+    sql`CREATE TABLE IF NOT EXISTS working_group_members (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      group_id UUID REFERENCES working_groups(id) ON DELETE CASCADE,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      role VARCHAR(50) DEFAULT 'member',
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      left_at TIMESTAMP,
+      UNIQUE(group_id, user_id)
+    )`,
+
+    // Milestones
+    sql`CREATE TABLE IF NOT EXISTS milestones (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+      title VARCHAR(200) NOT NULL,
+      description TEXT,
+      target_date DATE,
+      completed_date DATE,
+      status VARCHAR(50) DEFAULT 'upcoming',
+      order_index INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Tasks
+    sql`CREATE TABLE IF NOT EXISTS tasks (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+      milestone_id UUID REFERENCES milestones(id) ON DELETE SET NULL,
+      title VARCHAR(200) NOT NULL,
+      description TEXT,
+      status VARCHAR(50) DEFAULT 'backlog',
+      priority VARCHAR(20) DEFAULT 'medium',
+      assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+      parent_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+      due_date DATE,
+      estimated_hours DECIMAL(5,2),
+      actual_hours DECIMAL(5,2),
+      order_index INTEGER DEFAULT 0,
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP,
+      metadata JSONB DEFAULT '{}'
+    )`,
+
+    // ==========================================
+    // CONTENT MANAGEMENT SYSTEM
+    // ==========================================
+
+    // Content Items
+    sql`CREATE TABLE IF NOT EXISTS content_items (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      title VARCHAR(300) NOT NULL,
+      slug VARCHAR(300) UNIQUE NOT NULL,
+      content_type VARCHAR(50) DEFAULT 'article',
+      body TEXT,
+      excerpt TEXT,
+      status VARCHAR(50) DEFAULT 'draft',
+      visibility VARCHAR(50) DEFAULT 'internal',
+      author_id UUID REFERENCES users(id),
+      reviewer_id UUID REFERENCES users(id),
+      project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+      version INTEGER DEFAULT 1,
+      featured_image TEXT,
+      published_at TIMESTAMP,
+      view_count INTEGER DEFAULT 0,
+      featured_at TIMESTAMP,
+      element_id UUID,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      metadata JSONB DEFAULT '{}'
+    )`,
+
+    // Content Versions (for version history)
+    sql`CREATE TABLE IF NOT EXISTS content_versions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      content_id UUID REFERENCES content_items(id) ON DELETE CASCADE,
+      version_number INTEGER NOT NULL,
+      title VARCHAR(300) NOT NULL,
+      body TEXT,
+      changed_by UUID REFERENCES users(id),
+      change_summary TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Generic Comments (attach to any entity)
+    sql`CREATE TABLE IF NOT EXISTS comments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id UUID NOT NULL,
+      author_id UUID REFERENCES users(id),
+      body TEXT NOT NULL,
+      parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+      status VARCHAR(50) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Attachments (files for any entity)
+    sql`CREATE TABLE IF NOT EXISTS attachments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id UUID NOT NULL,
+      filename VARCHAR(255) NOT NULL,
+      file_url TEXT NOT NULL,
+      file_type VARCHAR(100),
+      file_size INTEGER,
+      uploaded_by UUID REFERENCES users(id),
+      uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Tags (for content organization)
+    sql`CREATE TABLE IF NOT EXISTS tags (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(100) UNIQUE NOT NULL,
+      slug VARCHAR(100) UNIQUE NOT NULL,
+      description TEXT,
+      color VARCHAR(7) DEFAULT '#6B7280'
+    )`,
+
+    // Content Tags (many-to-many)
+    sql`CREATE TABLE IF NOT EXISTS content_tags (
+      content_id UUID REFERENCES content_items(id) ON DELETE CASCADE,
+      tag_id UUID REFERENCES tags(id) ON DELETE CASCADE,
+      PRIMARY KEY (content_id, tag_id)
+    )`,
+
+    // Create indexes for performance
+    sql`CREATE INDEX IF NOT EXISTS idx_projects_status ON projects(status)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_projects_owner ON projects(owner_id)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_tasks_project ON tasks(project_id)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_tasks_assigned ON tasks(assigned_to)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_content_status ON content_items(status)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_content_type ON content_items(content_type)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_comments_entity ON comments(entity_type, entity_id)`
+  ];
+}
+
+// No down(): dropping the baseline would destroy every table.
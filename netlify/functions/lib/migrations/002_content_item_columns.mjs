@@ -0,0 +1,18 @@
+/**
+ * Migration 002 - Content item columns
+ * Columns that content.mjs and seed.mjs used to add at request time.
+ */
+
+export const version = 2;
+export const name = 'content_item_columns';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS featured_at TIMESTAMP`,
+    sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS view_count INTEGER DEFAULT 0`,
+    sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS element_id UUID`,
+    sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'`
+  ];
+}
+
+// No down(): these columns are also part of the baseline content_items definition.
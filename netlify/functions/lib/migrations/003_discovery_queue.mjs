@@ -0,0 +1,41 @@
+/**
+ * Migration 003 - Auto-ingest discovery queue
+ * Previously created on every POST to /api/auto-ingest.
+ */
+
+export const version = 3;
+export const name = 'discovery_queue';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS discovery_queue (
+      id SERIAL PRIMARY KEY,
+      source VARCHAR(50) NOT NULL,
+      title TEXT NOT NULL,
+      url TEXT UNIQUE,
+      snippet TEXT,
+      author VARCHAR(200),
+      relevance_score REAL DEFAULT 0,
+      metadata JSONB DEFAULT '{}',
+      status VARCHAR(20) DEFAULT 'pending',
+      discovered_at TIMESTAMP DEFAULT NOW(),
+      reviewed_at TIMESTAMP,
+      reviewed_by UUID
+    )`,
+    // Older deployments created the table without the unique constraint
+    sql`DO $$ BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'discovery_queue'::regclass AND contype = 'u'
+      ) THEN
+        ALTER TABLE discovery_queue ADD CONSTRAINT discovery_url_unique UNIQUE (url);
+      END IF;
+    END $$`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS discovery_queue`
+  ];
+}
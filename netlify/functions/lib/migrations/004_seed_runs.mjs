@@ -0,0 +1,30 @@
+/**
+ * Migration 004 - Seed ledger
+ * One row per applied fixture set, so seeding is auditable and stale sets are visible.
+ */
+
+export const version = 4;
+export const name = 'seed_runs';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS seed_runs (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      fixture VARCHAR(100) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      created_count INTEGER DEFAULT 0,
+      updated_count INTEGER DEFAULT 0,
+      unchanged_count INTEGER DEFAULT 0,
+      run_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      details JSONB DEFAULT '{}',
+      ran_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_seed_runs_fixture ON seed_runs(fixture, ran_at DESC)`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS seed_runs`
+  ];
+}
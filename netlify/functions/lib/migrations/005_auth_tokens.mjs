@@ -0,0 +1,34 @@
+/**
+ * Migration 005 - Account tokens
+ * Single-use, expiring tokens for password reset and email verification.
+ * Only the SHA-256 hash of a token is stored, like sessions.
+ */
+
+export const version = 5;
+export const name = 'auth_tokens';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS auth_tokens (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      purpose VARCHAR(50) NOT NULL,
+      token_hash VARCHAR(255) UNIQUE NOT NULL,
+      email VARCHAR(255),
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose)`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS password_changed_at`,
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at`,
+    sql`DROP TABLE IF EXISTS auth_tokens`
+  ];
+}
@@ -0,0 +1,34 @@
+/**
+ * Migration 006 - Session refresh tokens
+ * Sessions carry a short-lived access token (token_hash) and a rotating
+ * refresh token. The previous refresh hash is kept to detect replayed tokens.
+ */
+
+export const version = 6;
+export const name = 'session_refresh_tokens';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS refresh_token_hash VARCHAR(255)`,
+    sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS previous_refresh_hash VARCHAR(255)`,
+    sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS refresh_expires_at TIMESTAMP`,
+    sql`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP`,
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_refresh ON sessions(refresh_token_hash)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_sessions_previous_refresh ON sessions(previous_refresh_hash)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(token_hash)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP INDEX IF EXISTS idx_sessions_user`,
+    sql`DROP INDEX IF EXISTS idx_sessions_token`,
+    sql`DROP INDEX IF EXISTS idx_sessions_previous_refresh`,
+    sql`DROP INDEX IF EXISTS idx_sessions_refresh`,
+    sql`ALTER TABLE sessions DROP COLUMN IF EXISTS last_used_at`,
+    sql`ALTER TABLE sessions DROP COLUMN IF EXISTS refresh_expires_at`,
+    sql`ALTER TABLE sessions DROP COLUMN IF EXISTS previous_refresh_hash`,
+    sql`ALTER TABLE sessions DROP COLUMN IF EXISTS refresh_token_hash`
+  ];
+}
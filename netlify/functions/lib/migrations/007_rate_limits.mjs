@@ -0,0 +1,34 @@
+/**
+ * Migration 007 - Rate limiting and login lockout
+ * Sliding-window counters (one row per key per fixed window) and failed
+ * sign-in tracking keyed by the account's email.
+ */
+
+export const version = 7;
+export const name = 'rate_limits';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+      bucket_key VARCHAR(255) NOT NULL,
+      window_start BIGINT NOT NULL,
+      hits INTEGER NOT NULL DEFAULT 0,
+      expires_at BIGINT NOT NULL,
+      PRIMARY KEY (bucket_key, window_start)
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_expires ON rate_limit_buckets(expires_at)`,
+    sql`CREATE TABLE IF NOT EXISTS login_failures (
+      email VARCHAR(255) PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      locked_until TIMESTAMP,
+      last_failure_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS login_failures`,
+    sql`DROP TABLE IF EXISTS rate_limit_buckets`
+  ];
+}
@@ -0,0 +1,36 @@
+/**
+ * Migration 008 - Proposal voting lifecycle
+ * Proposals follow draft -> open -> closed -> passed/rejected (or withdrawn).
+ * Statuses the admin UI used to set by hand are mapped onto the new states,
+ * and back again on the way down; 'voting' comes back as the 'open' it
+ * always meant, and a closed proposal awaiting its outcome as 'open'.
+ */
+
+export const version = 8;
+export const name = 'proposal_lifecycle';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP`,
+    sql`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS tally JSONB`,
+    sql`UPDATE proposals SET status = 'open' WHERE status = 'voting'`,
+    sql`UPDATE proposals SET status = 'passed' WHERE status IN ('accepted', 'approved')`,
+    sql`UPDATE proposals SET status = 'passed',
+          metadata = COALESCE(metadata, '{}'::jsonb) || '{"implemented": true}'::jsonb
+        WHERE status = 'implemented'`,
+    sql`UPDATE proposals SET closed_at = updated_at WHERE status IN ('passed', 'rejected') AND closed_at IS NULL`,
+    sql`CREATE INDEX IF NOT EXISTS idx_proposals_voting_ends ON proposals(status, voting_ends)`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`UPDATE proposals SET status = 'implemented', metadata = metadata - 'implemented'
+        WHERE status = 'passed' AND metadata ? 'implemented'`,
+    sql`UPDATE proposals SET status = 'accepted' WHERE status = 'passed'`,
+    sql`UPDATE proposals SET status = 'open' WHERE status = 'closed'`,
+    sql`DROP INDEX IF EXISTS idx_proposals_voting_ends`,
+    sql`ALTER TABLE proposals DROP COLUMN IF EXISTS tally`,
+    sql`ALTER TABLE proposals DROP COLUMN IF EXISTS closed_at`
+  ];
+}
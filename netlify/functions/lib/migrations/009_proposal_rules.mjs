@@ -0,0 +1,44 @@
+/**
+ * Migration 009 - Governance rules per proposal type
+ * Quorum and approval threshold applied when a proposal closes. The 'default'
+ * row covers proposal types without a rule of their own.
+ */
+
+export const version = 9;
+export const name = 'proposal_rules';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS proposal_rules (
+      proposal_type VARCHAR(50) PRIMARY KEY,
+      label VARCHAR(100) NOT NULL,
+      quorum_type VARCHAR(20) NOT NULL DEFAULT 'none',
+      quorum_value NUMERIC NOT NULL DEFAULT 0,
+      threshold NUMERIC NOT NULL DEFAULT 0.5,
+      threshold_strict BOOLEAN NOT NULL DEFAULT true,
+      abstain_counts_toward_quorum BOOLEAN NOT NULL DEFAULT true,
+      updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (quorum_type IN ('none', 'count', 'fraction')),
+      CHECK (threshold > 0 AND threshold <= 1)
+    )`,
+    sql`INSERT INTO proposal_rules (proposal_type, label, quorum_type, quorum_value, threshold, threshold_strict) VALUES
+      ('default', 'Other', 'none', 0, 0.5, true),
+      ('general', 'General Proposal', 'none', 0, 0.5, true),
+      ('research', 'Research', 'none', 0, 0.5, true),
+      ('process', 'Process Improvement', 'count', 3, 0.5, true),
+      ('initiative', 'Initiative', 'count', 3, 0.5, true),
+      ('policy', 'Policy Change', 'fraction', 0.1, 0.5, true),
+      ('new_element', 'New Architecture Element', 'fraction', 0.1, 0.6667, false),
+      ('modify_element', 'Modify Existing Element', 'fraction', 0.1, 0.6667, false),
+      ('deprecate_element', 'Deprecate Element', 'fraction', 0.1, 0.6667, false)
+    ON CONFLICT (proposal_type) DO NOTHING`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS proposal_rules`
+  ];
+}
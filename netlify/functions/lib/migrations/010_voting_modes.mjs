@@ -0,0 +1,34 @@
+/**
+ * Migration 010 - Multi-option voting
+ * Proposals get a voting mode and, for ranked, approval and score voting,
+ * a list of options. Multi-option ballots are stored as JSON on the vote.
+ */
+
+export const version = 10;
+export const name = 'voting_modes';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS voting_mode VARCHAR(20) NOT NULL DEFAULT 'binary'`,
+    sql`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS voting_config JSONB NOT NULL DEFAULT '{}'`,
+    sql`CREATE TABLE IF NOT EXISTS proposal_options (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      label VARCHAR(255) NOT NULL,
+      description TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_proposal_options_proposal ON proposal_options(proposal_id, position)`,
+    sql`ALTER TABLE votes ADD COLUMN IF NOT EXISTS ballot JSONB`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`ALTER TABLE votes DROP COLUMN IF EXISTS ballot`,
+    sql`DROP TABLE IF EXISTS proposal_options`,
+    sql`ALTER TABLE proposals DROP COLUMN IF EXISTS voting_config`,
+    sql`ALTER TABLE proposals DROP COLUMN IF EXISTS voting_mode`
+  ];
+}
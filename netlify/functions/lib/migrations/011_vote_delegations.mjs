@@ -0,0 +1,33 @@
+/**
+ * Migration 011 - Vote delegation
+ * Members can hand their vote to another member for every proposal, for a
+ * proposal type or for proposals about one architecture element.
+ */
+
+export const version = 11;
+export const name = 'vote_delegations';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS vote_delegations (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      delegator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      delegate_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      scope VARCHAR(20) NOT NULL,
+      scope_value VARCHAR(100) NOT NULL DEFAULT '',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (delegator_id, scope, scope_value),
+      CHECK (scope IN ('global', 'proposal_type', 'element')),
+      CHECK (delegator_id != delegate_id)
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_vote_delegations_delegate ON vote_delegations(delegate_id)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_vote_delegations_scope ON vote_delegations(scope, scope_value)`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS vote_delegations`
+  ];
+}
@@ -0,0 +1,60 @@
+/**
+ * Migration 012 - Proposal revisions and amendments
+ * Every change to a proposal's text is kept as a numbered revision, and
+ * votes record the revision they were cast on. Members propose changes as
+ * amendments, which the author accepts or rejects.
+ */
+
+export const version = 12;
+export const name = 'proposal_revisions';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1`,
+    sql`ALTER TABLE votes ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1`,
+    sql`CREATE TABLE IF NOT EXISTS proposal_amendments (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      title VARCHAR(500),
+      content TEXT NOT NULL,
+      rationale TEXT,
+      base_revision INTEGER NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      decided_at TIMESTAMP,
+      decision_note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (status IN ('pending', 'accepted', 'rejected', 'withdrawn'))
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_proposal_amendments_proposal ON proposal_amendments(proposal_id, status)`,
+    sql`CREATE TABLE IF NOT EXISTS proposal_revisions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      title VARCHAR(500) NOT NULL,
+      content TEXT NOT NULL,
+      summary TEXT,
+      changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      amendment_id UUID REFERENCES proposal_amendments(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (proposal_id, revision)
+    )`,
+    sql`INSERT INTO proposal_revisions (proposal_id, revision, title, content, summary, changed_by, created_at)
+        SELECT id, 1, title, content, 'Original text', author_id, created_at FROM proposals
+        ON CONFLICT (proposal_id, revision) DO NOTHING`,
+    sql`ALTER TABLE proposal_rules ADD COLUMN IF NOT EXISTS revision_vote_policy VARCHAR(10) NOT NULL DEFAULT 'flag'`,
+    sql`UPDATE proposal_rules SET revision_vote_policy = 'reset'
+        WHERE proposal_type IN ('policy', 'new_element', 'modify_element', 'deprecate_element')`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`ALTER TABLE proposal_rules DROP COLUMN IF EXISTS revision_vote_policy`,
+    sql`DROP TABLE IF EXISTS proposal_revisions`,
+    sql`DROP TABLE IF EXISTS proposal_amendments`,
+    sql`ALTER TABLE votes DROP COLUMN IF EXISTS revision`,
+    sql`ALTER TABLE proposals DROP COLUMN IF EXISTS revision`
+  ];
+}
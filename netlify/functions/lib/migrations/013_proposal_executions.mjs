@@ -0,0 +1,42 @@
+/**
+ * Migration 013 - Executing passed proposals
+ * A proposal can carry an execution plan: a draft project built from a
+ * template, or a change set for the architecture. Each run is recorded with
+ * what it created and how to undo it.
+ */
+
+export const version = 13;
+export const name = 'proposal_executions';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS execution_plan JSONB`,
+    sql`CREATE TABLE IF NOT EXISTS proposal_executions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      proposal_id UUID NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+      kind VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      plan JSONB NOT NULL,
+      result JSONB DEFAULT '{}',
+      undo JSONB DEFAULT '[]',
+      error TEXT,
+      executed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      reverted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      reverted_at TIMESTAMP,
+      CHECK (kind IN ('project', 'architecture')),
+      CHECK (status IN ('applied', 'failed', 'reverted'))
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_proposal_executions_proposal ON proposal_executions(proposal_id, executed_at DESC)`,
+    // At most one live execution per proposal
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_proposal_executions_applied
+        ON proposal_executions(proposal_id) WHERE status = 'applied'`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS proposal_executions`,
+    sql`ALTER TABLE proposals DROP COLUMN IF EXISTS execution_plan`
+  ];
+}
@@ -0,0 +1,41 @@
+/**
+ * Migration 014 - Architecture element audit trail
+ * One row per change to an element: what changed, who changed it and a
+ * snapshot of the element afterwards. Rows are kept when an element is
+ * removed, so element_id is not a foreign key.
+ */
+
+export const version = 14;
+export const name = 'element_history';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS element_history (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      element_id UUID NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      changes JSONB DEFAULT '{}',
+      snapshot JSONB NOT NULL,
+      changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      proposal_id UUID REFERENCES proposals(id) ON DELETE SET NULL,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (action IN ('created', 'updated', 'status_changed', 'removed'))
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_element_history_element ON element_history(element_id, created_at)`,
+    // Existing elements start their history with the state they are in now
+    sql`INSERT INTO element_history (element_id, action, snapshot, changed_by, note, created_at)
+        SELECT ae.id, 'created',
+          jsonb_build_object('code', ae.code, 'type', ae.element_type, 'title', ae.title, 'description', ae.description,
+            'status', ae.status, 'parentId', ae.parent_id, 'metadata', ae.metadata),
+          u.id, 'Recorded when history tracking began', ae.created_at
+        FROM architecture_elements ae LEFT JOIN users u ON u.id = ae.created_by
+        WHERE NOT EXISTS (SELECT 1 FROM element_history h WHERE h.element_id = ae.id)`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS element_history`
+  ];
+}
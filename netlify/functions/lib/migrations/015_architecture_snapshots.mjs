@@ -0,0 +1,38 @@
+/**
+ * Migration 015 - Architecture snapshots
+ * Point-in-time copies of every element and relationship, taken on a
+ * schedule or on demand. A proposal can point at two snapshots so the
+ * difference between them serves as its rationale.
+ */
+
+export const version = 15;
+export const name = 'architecture_snapshots';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS architecture_snapshots (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      label VARCHAR(200),
+      kind VARCHAR(20) NOT NULL DEFAULT 'manual',
+      elements JSONB NOT NULL,
+      relationships JSONB NOT NULL,
+      element_count INTEGER NOT NULL,
+      relationship_count INTEGER NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      taken_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      taken_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (kind IN ('scheduled', 'manual', 'proposal'))
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_architecture_snapshots_taken ON architecture_snapshots(taken_at DESC)`,
+    sql`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS rationale_from_snapshot UUID REFERENCES architecture_snapshots(id) ON DELETE SET NULL`,
+    sql`ALTER TABLE proposals ADD COLUMN IF NOT EXISTS rationale_to_snapshot UUID REFERENCES architecture_snapshots(id) ON DELETE SET NULL`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`ALTER TABLE proposals DROP COLUMN IF EXISTS rationale_to_snapshot`,
+    sql`ALTER TABLE proposals DROP COLUMN IF EXISTS rationale_from_snapshot`,
+    sql`DROP TABLE IF EXISTS architecture_snapshots`
+  ];
+}
@@ -0,0 +1,32 @@
+/**
+ * Migration 016 - Task dependencies
+ * A task can depend on other tasks in the same project. Finish-to-start:
+ * the task cannot start until the other is done. Start-to-start: it cannot
+ * start until the other has started.
+ */
+
+export const version = 16;
+export const name = 'task_dependencies';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS task_dependencies (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      depends_on_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      dependency_type VARCHAR(20) NOT NULL DEFAULT 'finish_to_start',
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (task_id, depends_on_id),
+      CHECK (task_id != depends_on_id),
+      CHECK (dependency_type IN ('finish_to_start', 'start_to_start'))
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on ON task_dependencies(depends_on_id)`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS task_dependencies`
+  ];
+}
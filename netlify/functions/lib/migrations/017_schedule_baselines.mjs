@@ -0,0 +1,32 @@
+/**
+ * Migration 017 - Schedule baselines and calendar feeds
+ * A baseline records a project's estimated dates at one moment so later
+ * estimates can be compared with it. Calendar feed tokens let calendar apps,
+ * which cannot send a bearer token, subscribe to a member's due dates; only
+ * the hash is stored, like sessions.
+ */
+
+export const version = 17;
+export const name = 'schedule_baselines';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS schedule_baselines (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      label VARCHAR(200),
+      dates JSONB NOT NULL,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_schedule_baselines_project ON schedule_baselines(project_id, created_at DESC)`,
+    sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token_hash VARCHAR(255) UNIQUE`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`ALTER TABLE users DROP COLUMN IF EXISTS calendar_token_hash`,
+    sql`DROP TABLE IF EXISTS schedule_baselines`
+  ];
+}
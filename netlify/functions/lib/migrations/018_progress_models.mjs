@@ -0,0 +1,21 @@
+/**
+ * Migration 018 - Project progress models
+ * How a project's progress is worked out: from task counts, estimated
+ * hours, milestones, or set by hand.
+ */
+
+export const version = 18;
+export const name = 'progress_models';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE projects ADD COLUMN IF NOT EXISTS progress_model VARCHAR(20) DEFAULT 'tasks'
+      CHECK (progress_model IN ('tasks', 'hours', 'milestones', 'manual'))`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`ALTER TABLE projects DROP COLUMN IF EXISTS progress_model`
+  ];
+}
@@ -0,0 +1,54 @@
+/**
+ * Migration 019 - Recurring tasks and task templates
+ * A recurrence turns a task into a series: each instance links back with
+ * tasks.recurrence_id, and the next one is created when the last is done or
+ * on the rule's schedule. Task templates are reusable task lists applied to
+ * a project or milestone in one go; a template with no project is shared by
+ * every project.
+ */
+
+export const version = 19;
+export const name = 'recurring_tasks';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS task_recurrences (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      rule VARCHAR(200) NOT NULL,
+      mode VARCHAR(20) NOT NULL DEFAULT 'on_completion',
+      starts_on DATE NOT NULL,
+      next_on DATE,
+      lead_days INTEGER NOT NULL DEFAULT 0,
+      occurrences INTEGER NOT NULL DEFAULT 1,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (mode IN ('on_completion', 'scheduled')),
+      CHECK (lead_days >= 0)
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_task_recurrences_due ON task_recurrences(next_on) WHERE active`,
+    sql`ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_id UUID REFERENCES task_recurrences(id) ON DELETE SET NULL`,
+    sql`CREATE INDEX IF NOT EXISTS idx_tasks_recurrence ON tasks(recurrence_id)`,
+    sql`CREATE TABLE IF NOT EXISTS task_templates (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+      name VARCHAR(200) NOT NULL,
+      description TEXT,
+      tasks JSONB NOT NULL,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    sql`CREATE INDEX IF NOT EXISTS idx_task_templates_project ON task_templates(project_id)`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS task_templates`,
+    sql`ALTER TABLE tasks DROP COLUMN IF EXISTS recurrence_id`,
+    sql`DROP TABLE IF EXISTS task_recurrences`
+  ];
+}
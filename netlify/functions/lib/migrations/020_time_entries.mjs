@@ -0,0 +1,42 @@
+/**
+ * Migration 020 - Time entries
+ * Time logged against tasks, either with a start/stop timer or as a
+ * duration. An entry whose minutes are still NULL is a running timer; each
+ * member has at most one. tasks.actual_hours becomes the total of a task's
+ * entries, so it is widened to hold more than 999 hours.
+ */
+
+export const version = 20;
+export const name = 'time_entries';
+
+export function up(sql) {
+  return [
+    sql`CREATE TABLE IF NOT EXISTS time_entries (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      work_date DATE NOT NULL,
+      started_at TIMESTAMP,
+      ended_at TIMESTAMP,
+      minutes INTEGER,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (minutes IS NULL OR minutes >= 0),
+      CHECK (ended_at IS NULL OR ended_at >= started_at),
+      CHECK (minutes IS NOT NULL OR started_at IS NOT NULL)
+    )`,
+    sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE minutes IS NULL`,
+    sql`CREATE INDEX IF NOT EXISTS idx_time_entries_task ON time_entries(task_id)`,
+    sql`CREATE INDEX IF NOT EXISTS idx_time_entries_user_date ON time_entries(user_id, work_date)`,
+    sql`ALTER TABLE tasks ALTER COLUMN actual_hours TYPE DECIMAL(8,2)`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP TABLE IF EXISTS time_entries`,
+    // The old column holds at most 999.99 hours
+    sql`ALTER TABLE tasks ALTER COLUMN actual_hours TYPE DECIMAL(5,2) USING LEAST(actual_hours, 999.99)`
+  ];
+}
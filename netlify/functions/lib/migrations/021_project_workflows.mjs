@@ -0,0 +1,23 @@
+/**
+ * Migration 021 - Project workflows
+ * A project's own Kanban workflow: its states in column order, the moves
+ * allowed between them and per-column WIP limits. NULL means the default
+ * workflow.
+ */
+
+export const version = 21;
+export const name = 'project_workflows';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE projects ADD COLUMN IF NOT EXISTS workflow JSONB`,
+    sql`CREATE INDEX IF NOT EXISTS idx_tasks_project_status ON tasks(project_id, status, order_index)`
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`DROP INDEX IF EXISTS idx_tasks_project_status`,
+    sql`ALTER TABLE projects DROP COLUMN IF EXISTS workflow`
+  ];
+}
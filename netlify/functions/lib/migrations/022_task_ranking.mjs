@@ -0,0 +1,39 @@
+/**
+ * Migration 022 - Fractional task ranking
+ * order_index becomes a fractional rank so a task can be placed between two
+ * others without renumbering the column. Existing columns are resequenced
+ * once, since positions written by the board could collide.
+ */
+
+export const version = 22;
+export const name = 'task_ranking';
+
+export function up(sql) {
+  return [
+    sql`ALTER TABLE tasks ALTER COLUMN order_index TYPE DOUBLE PRECISION`,
+    sql`
+      UPDATE tasks t SET order_index = r.pos * 1024
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (
+          PARTITION BY project_id, status, parent_task_id ORDER BY order_index, created_at DESC
+        ) AS pos FROM tasks
+      ) r
+      WHERE t.id = r.id
+    `
+  ];
+}
+
+export function down(sql) {
+  return [
+    sql`
+      UPDATE tasks t SET order_index = r.pos
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (
+          PARTITION BY project_id, status, parent_task_id ORDER BY order_index, created_at DESC
+        ) AS pos FROM tasks
+      ) r
+      WHERE t.id = r.id
+    `,
+    sql`ALTER TABLE tasks ALTER COLUMN order_index TYPE INTEGER USING ROUND(order_index)`
+  ];
+}
@@ -0,0 +1,53 @@
+/**
+ * Migration registry
+ * Functions are bundled by esbuild, so migrations are listed explicitly
+ * rather than discovered from the filesystem. Append new modules in order.
+ */
+
+import * as m001 from './001_baseline_schema.mjs';
+import * as m002 from './002_content_item_columns.mjs';
+import * as m003 from './003_discovery_queue.mjs';
+import * as m004 from './004_seed_runs.mjs';
+import * as m005 from './005_auth_tokens.mjs';
+import * as m006 from './006_session_refresh_tokens.mjs';
+import * as m007 from './007_rate_limits.mjs';
+import * as m008 from './008_proposal_lifecycle.mjs';
+import * as m009 from './009_proposal_rules.mjs';
+import * as m010 from './010_voting_modes.mjs';
+import * as m011 from './011_vote_delegations.mjs';
+import * as m012 from './012_proposal_revisions.mjs';
+import * as m013 from './013_proposal_executions.mjs';
+import * as m014 from './014_element_history.mjs';
+import * as m015 from './015_architecture_snapshots.mjs';
+import * as m016 from './016_task_dependencies.mjs';
+import * as m017 from './017_schedule_baselines.mjs';
+import * as m018 from './018_progress_models.mjs';
+import * as m019 from './019_recurring_tasks.mjs';
+import * as m020 from './020_time_entries.mjs';
+import * as m021 from './021_project_workflows.mjs';
+import * as m022 from './022_task_ranking.mjs';
+
+export const migrations = [
+  m001,
+  m002,
+  m003,
+  m004,
+  m005,
+  m006,
+  m007,
+  m008,
+  m009,
+  m010,
+  m011,
+  m012,
+  m013,
+  m014,
+  m015,
+  m016,
+  m017,
+  m018,
+  m019,
+  m020,
+  m021,
+  m022
+];
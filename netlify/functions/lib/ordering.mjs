@@ -0,0 +1,91 @@
+/**
+ * PLE Platform - Task Ordering
+ * A task's order_index is a fractional rank within its column: the
+ * top-level tasks of a project in one status, or the subtasks of one
+ * parent. Placing a task between two others gives it the midpoint of
+ * their ranks, so a move writes one row. When the neighbours are too close
+ * to split, the whole column is resequenced at RANK_GAP intervals in the
+ * same transaction as the move.
+ */
+
+export const RANK_GAP = 1024;
+
+const MIN_GAP = 1e-6;
+
+/**
+ * The rank between two neighbours (null for either end of the column), or
+ * null when they are too close and the column needs resequencing
+ */
+export function rankBetween(before, after) {
+  if (before === null && after === null) return RANK_GAP;
+  if (before === null) return after - RANK_GAP;
+  if (after === null) return before + RANK_GAP;
+  return after - before > MIN_GAP ? (before + after) / 2 : null;
+}
+
+/**
+ * A column's task ids and ranks, in board order
+ */
+export async function columnTasks(sql, { projectId, status, parentId = null }) {
+  return parentId
+    ? sql`
+        SELECT id, order_index FROM tasks WHERE parent_task_id = ${parentId}
+        ORDER BY order_index, created_at DESC
+      `
+    : sql`
+        SELECT id, order_index FROM tasks
+        WHERE project_id = ${projectId} AND status = ${status} AND parent_task_id IS NULL
+        ORDER BY order_index, created_at DESC
+      `;
+}
+
+/**
+ * The rank that puts a new task at the end of a column
+ */
+export async function rankAtEnd(sql, column) {
+  const tasks = await columnTasks(sql, column);
+  return rankBetween(tasks.length > 0 ? tasks[tasks.length - 1].order_index : null, null);
+}
+
+/**
+ * The query that gives ids ranks RANK_GAP apart in the order given, after
+ * the rank `from`
+ */
+export function resequence(sql, ids, from = 0) {
+  return sql`
+    UPDATE tasks t SET order_index = ${from}::double precision + r.pos * ${RANK_GAP}, updated_at = CURRENT_TIMESTAMP
+    FROM unnest(${ids}::uuid[]) WITH ORDINALITY AS r(id, pos)
+    WHERE t.id = r.id
+  `;
+}
+
+/**
+ * Where a task goes in a column: before beforeId, after afterId, at a
+ * zero-based position, or at the end. Returns { orderIndex, queries }, where
+ * queries resequence the column when it has run out of room and must run
+ * after the task's own update, or { error, status }.
+ */
+export async function placeInColumn(sql, { task, status, position, beforeId, afterId }) {
+  const siblings = (await columnTasks(sql, { projectId: task.project_id, status, parentId: task.parent_task_id }))
+    .filter(t => t.id !== task.id);
+
+  let index = siblings.length;
+  if (beforeId || afterId) {
+    const anchor = siblings.findIndex(t => t.id === (beforeId || afterId));
+    if (anchor === -1) return { error: `${beforeId ? 'beforeId' : 'afterId'} is not a task in this column`, status: 400 };
+    index = beforeId ? anchor : anchor + 1;
+  } else if (position !== undefined && position !== null && position !== '') {
+    const at = parseInt(position);
+    if (isNaN(at)) return { error: 'order_index must be a position in the column', status: 400 };
+    index = Math.min(Math.max(at, 0), siblings.length);
+  }
+
+  const before = index > 0 ? siblings[index - 1].order_index : null;
+  const after = index < siblings.length ? siblings[index].order_index : null;
+  const rank = rankBetween(before, after);
+  if (rank !== null) return { orderIndex: rank, queries: [] };
+
+  const ids = siblings.map(t => t.id);
+  ids.splice(index, 0, task.id);
+  return { orderIndex: (index + 1) * RANK_GAP, queries: [resequence(sql, ids)] };
+}
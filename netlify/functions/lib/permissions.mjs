@@ -0,0 +1,234 @@
+/**
+ * PLE Platform - Permissions
+ * Central access-control policy shared by every function.
+ *
+ * A user's effective permissions are the union of:
+ *   - their site role (users.role: member, editor, admin)
+ *   - scoped roles on the resource being acted on:
+ *       author              — the user created the content, proposal, comment, task...
+ *       project:owner       — projects.owner_id
+ *       project:maintainer  — lead of a working group attached to the project
+ *       project:contributor — member of a working group attached to the project
+ *       group:lead          — working_groups.lead_id or a 'lead' membership
+ *       group:member        — active working group membership
+ *
+ * Handlers describe the resource with { ownerId, projectId, groupId } and call
+ * requirePermission(), which returns a 401/403 response or null when allowed.
+ */
+
+import { jsonResponse } from './db.mjs';
+
+export const PERMISSIONS = {
+  'content.create': 'Create draft content',
+  'content.edit': 'Edit content (saves a new version)',
+  'content.submit': 'Submit a draft for editorial review',
+  'content.review': 'Approve content that is in review',
+  'content.publish': 'Publish approved content',
+  'content.publish_unreviewed': 'Publish content that has not been approved',
+  'content.feature': 'Feature or unfeature content',
+  'content.archive': 'Archive content',
+
+  'discussion.create': 'Start discussions and reply',
+  'discussion.edit': 'Edit a discussion post',
+  'discussion.delete': 'Delete a discussion post',
+  'comment.create': 'Comment on content, proposals and tasks',
+  'comment.edit': 'Edit a comment',
+  'comment.delete': 'Delete a comment',
+
+  'proposal.create': 'Draft proposals',
+  'proposal.edit': 'Edit a proposal',
+  'proposal.open': 'Open a proposal for voting',
+  'proposal.withdraw': 'Withdraw a proposal',
+  'proposal.close': 'Set any proposal status, including closing votes',
+  'proposal.delete': 'Delete a proposal',
+  'proposal.amend': 'Submit amendments to proposals',
+  'proposal.manage_rules': 'Change quorum and approval rules per proposal type',
+  'proposal.execute': 'Run the execution plan of a passed proposal',
+  'proposal.revert_execution': 'Revert the projects and architecture changes made by executing a proposal',
+  'vote.cast': 'Vote on proposals',
+  'vote.delegate': 'Delegate your vote to another member',
+
+  'project.create': 'Create projects',
+  'project.edit': 'Edit project details',
+  'project.archive': 'Archive a project',
+  'project.manage_groups': 'Attach working groups to a project',
+  'milestone.manage': 'Create, edit and delete milestones',
+  'task.create': 'Create tasks',
+  'task.edit': 'Edit and move tasks',
+  'task.assign': 'Assign tasks to other members',
+  'task.delete': 'Delete tasks',
+  'template.manage': 'Create, edit and delete task templates shared by every project',
+  'time.log': 'Log time on tasks',
+  'time.edit': 'Edit and delete time entries',
+  'time.report': 'See the timesheets of other members',
+
+  'group.create': 'Create working groups',
+  'group.join': 'Join and leave working groups',
+  'group.edit': 'Edit working group details',
+  'group.manage_members': 'Add, remove and change roles of group members',
+  'group.disband': 'Disband a working group',
+
+  'element.create': 'Add goals, strategies, capabilities and principles',
+  'element.edit': 'Edit architecture elements',
+  'element.retire': 'Deprecate and reinstate architecture elements',
+  'element.import': 'Import architecture models, creating and updating elements in bulk',
+  'element.snapshot': 'Take labelled snapshots of the architecture model',
+  'alignment.manage': 'Link and unlink items to architecture elements',
+  'user.manage_roles': 'Change site roles of other users',
+  'user.view_permissions': 'Inspect the effective permissions of any user',
+  'system.migrate': 'Apply and roll back schema migrations',
+  'system.seed': 'Apply fixture sets and seed content',
+  'system.ingest': 'Run and review content ingestion'
+};
+
+const MEMBER = [
+  'content.create', 'discussion.create', 'comment.create',
+  'proposal.create', 'proposal.amend', 'vote.cast', 'vote.delegate',
+  'project.create', 'task.create', 'task.edit', 'time.log', 'group.create', 'group.join'
+];
+
+export const ROLE_PERMISSIONS = {
+  // Site roles
+  member: MEMBER,
+  editor: [...MEMBER, 'content.edit', 'content.review', 'content.publish', 'content.feature', 'alignment.manage', 'system.ingest',
+    'element.create', 'element.edit', 'element.snapshot', 'template.manage'],
+  admin: Object.keys(PERMISSIONS),
+
+  // Scoped roles
+  author: [
+    'content.edit', 'content.submit', 'content.publish', 'content.archive',
+    'discussion.edit', 'discussion.delete', 'comment.edit', 'comment.delete',
+    'proposal.edit', 'proposal.open', 'proposal.withdraw', 'proposal.delete',
+    'task.delete', 'time.edit'
+  ],
+  'project:owner': ['project.edit', 'project.archive', 'project.manage_groups', 'milestone.manage', 'task.assign', 'task.delete', 'time.report'],
+  'project:maintainer': ['milestone.manage', 'task.assign', 'task.delete', 'time.report'],
+  'project:contributor': ['task.assign'],
+  'group:lead': ['group.edit', 'group.manage_members', 'group.disband'],
+  'group:member': []
+};
+
+const SITE_ROLES = ['member', 'editor', 'admin'];
+
+function siteRole(user) {
+  return SITE_ROLES.includes(user.role) ? user.role : 'member';
+}
+
+async function projectRoles(sql, userId, projectId) {
+  const rows = await sql`
+    SELECT
+      (SELECT owner_id FROM projects WHERE id = ${projectId}) = ${userId} as is_owner,
+      EXISTS (
+        SELECT 1 FROM working_groups g
+        LEFT JOIN working_group_members m ON m.group_id = g.id AND m.user_id = ${userId} AND m.left_at IS NULL
+        WHERE g.project_id = ${projectId} AND g.status != 'disbanded'
+          AND (g.lead_id = ${userId} OR m.role = 'lead')
+      ) as is_maintainer,
+      EXISTS (
+        SELECT 1 FROM working_groups g
+        JOIN working_group_members m ON m.group_id = g.id
+        WHERE g.project_id = ${projectId} AND g.status != 'disbanded'
+          AND m.user_id = ${userId} AND m.left_at IS NULL
+      ) as is_contributor
+  `;
+  const r = rows[0] || {};
+  const roles = [];
+  if (r.is_owner) roles.push('project:owner');
+  if (r.is_maintainer) roles.push('project:maintainer');
+  if (r.is_contributor) roles.push('project:contributor');
+  return roles;
+}
+
+async function groupRoles(sql, userId, groupId) {
+  const rows = await sql`
+    SELECT g.lead_id, m.role as member_role
+    FROM working_groups g
+    LEFT JOIN working_group_members m ON m.group_id = g.id AND m.user_id = ${userId} AND m.left_at IS NULL
+    WHERE g.id = ${groupId}
+  `;
+  if (rows.length === 0) return [];
+  const roles = [];
+  if (rows[0].lead_id === userId || rows[0].member_role === 'lead') roles.push('group:lead');
+  if (rows[0].member_role) roles.push('group:member');
+  return roles;
+}
+
+/**
+ * Roles a user holds for a resource: their site role plus any scoped roles
+ */
+export async function getRoles(sql, user, resource = {}) {
+  const roles = [siteRole(user)];
+  if (resource.ownerId && resource.ownerId === user.id) roles.push('author');
+  if (resource.projectId) roles.push(...await projectRoles(sql, user.id, resource.projectId));
+  if (resource.groupId) roles.push(...await groupRoles(sql, user.id, resource.groupId));
+  return roles;
+}
+
+export function permissionsForRoles(roles) {
+  const granted = new Set();
+  for (const role of roles) {
+    for (const permission of ROLE_PERMISSIONS[role] || []) granted.add(permission);
+  }
+  return [...granted].sort();
+}
+
+/**
+ * Check whether a user holds a permission on a resource
+ */
+export async function can(sql, user, permission, resource = {}) {
+  if (!user) return false;
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+
+  // Site roles are checked first so the common case needs no queries
+  if ((ROLE_PERMISSIONS[siteRole(user)] || []).includes(permission)) return true;
+
+  const roles = await getRoles(sql, user, resource);
+  return permissionsForRoles(roles).includes(permission);
+}
+
+/**
+ * Guard for handlers: returns an error response when the permission is missing, otherwise null
+ *
+ *   const denied = await requirePermission(sql, user, 'task.delete', { ownerId: task.created_by, projectId: task.project_id });
+ *   if (denied) return denied;
+ */
+export async function requirePermission(sql, user, permission, resource = {}) {
+  if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+  if (await can(sql, user, permission, resource)) return null;
+  return jsonResponse({ error: 'Not authorized', permission }, 403);
+}
+
+/**
+ * Full picture of a user's access: site role plus every project and group scope they hold a role in
+ */
+export async function getEffectivePermissions(sql, user) {
+  const site = siteRole(user);
+
+  const projects = await sql`
+    SELECT DISTINCT p.id, p.title FROM projects p
+    LEFT JOIN working_groups g ON g.project_id = p.id AND g.status != 'disbanded'
+    LEFT JOIN working_group_members m ON m.group_id = g.id AND m.user_id = ${user.id} AND m.left_at IS NULL
+    WHERE p.owner_id = ${user.id} OR g.lead_id = ${user.id} OR m.id IS NOT NULL
+    ORDER BY p.title
+  `;
+
+  const groups = await sql`
+    SELECT DISTINCT g.id, g.name FROM working_groups g
+    LEFT JOIN working_group_members m ON m.group_id = g.id AND m.user_id = ${user.id} AND m.left_at IS NULL
+    WHERE g.lead_id = ${user.id} OR m.id IS NOT NULL
+    ORDER BY g.name
+  `;
+
+  const scoped = async (resource) => {
+    const roles = (await getRoles(sql, user, resource)).filter(r => r !== site);
+    return { roles, permissions: permissionsForRoles(roles) };
+  };
+
+  return {
+    user: { id: user.id, displayName: user.display_name, role: site },
+    site: { role: site, permissions: permissionsForRoles([site]) },
+    author: { roles: ['author'], permissions: permissionsForRoles(['author']) },
+    projects: await Promise.all(projects.map(async p => ({ id: p.id, title: p.title, ...await scoped({ projectId: p.id }) }))),
+    groups: await Promise.all(groups.map(async g => ({ id: g.id, name: g.name, ...await scoped({ groupId: g.id }) })))
+  };
+}
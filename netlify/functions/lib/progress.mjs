@@ -0,0 +1,131 @@
+/**
+ * PLE Platform - Project Progress
+ * A project's progress is worked out by one of these models:
+ *   tasks      — each top-level task counts the same
+ *   hours      — top-level tasks weighted by their estimated hours
+ *   milestones — each milestone counts the same; tasks with no milestone
+ *                count together as one more
+ *   manual     — set by hand and never recomputed
+ *
+ * A done task is complete. A task with subtasks is as complete as its
+ * subtasks, so subtasks roll up into their parent rather than counting
+ * alongside it. Under the hours model a task with no estimate weighs the sum
+ * of its subtasks, or else the average estimate in the project. A milestone
+ * is complete once it has a completed_date or is marked completed; until then
+ * it is as complete as its tasks.
+ */
+
+export const PROGRESS_MODELS = ['tasks', 'hours', 'milestones', 'manual'];
+
+const isEstimated = t => t.estimated_hours !== null && t.estimated_hours !== undefined;
+
+function buildRollup(tasks, model) {
+  const ids = new Set(tasks.map(t => t.id));
+  const children = new Map();
+  for (const t of tasks) {
+    if (!t.parent_task_id || !ids.has(t.parent_task_id)) continue;
+    if (!children.has(t.parent_task_id)) children.set(t.parent_task_id, []);
+    children.get(t.parent_task_id).push(t);
+  }
+
+  const leafEstimates = tasks.filter(t => !children.has(t.id) && isEstimated(t)).map(t => parseFloat(t.estimated_hours));
+  const defaultHours = leafEstimates.length ? leafEstimates.reduce((a, b) => a + b, 0) / leafEstimates.length : 1;
+
+  const weight = t => {
+    if (model !== 'hours') return 1;
+    if (isEstimated(t)) return parseFloat(t.estimated_hours);
+    const subtasks = children.get(t.id);
+    return subtasks ? subtasks.reduce((sum, s) => sum + weight(s), 0) : defaultHours;
+  };
+
+  const completion = t => {
+    if (t.status === 'done') return 1;
+    const subtasks = children.get(t.id);
+    return subtasks ? weightedAverage(subtasks, weight, completion) : 0;
+  };
+
+  const roots = tasks.filter(t => !t.parent_task_id || !ids.has(t.parent_task_id));
+  return { roots, weight, completion };
+}
+
+function weightedAverage(items, weight, completion) {
+  let total = 0;
+  let done = 0;
+  for (const item of items) {
+    const w = weight(item);
+    total += w;
+    done += w * completion(item);
+  }
+  return total > 0 ? done / total : 0;
+}
+
+const isCompleted = m => !!m.completed_date || m.status === 'completed';
+
+/**
+ * Progress from 0 to 100 for a project's tasks and milestones, with each
+ * milestone's own progress. tasks need id, parent_task_id, milestone_id,
+ * status and estimated_hours; milestones need id, status and completed_date.
+ */
+export function computeProgress(model, tasks, milestones) {
+  const milestoneIds = new Set(milestones.map(m => m.id));
+  const counted = buildRollup(tasks, 'tasks');
+  const milestoneFraction = m => isCompleted(m)
+    ? 1
+    : weightedAverage(counted.roots.filter(t => t.milestone_id === m.id), counted.weight, counted.completion);
+
+  let fraction;
+  if (model === 'milestones' && milestones.length > 0) {
+    const buckets = milestones.map(milestoneFraction);
+    const unplanned = counted.roots.filter(t => !milestoneIds.has(t.milestone_id));
+    if (unplanned.length) buckets.push(weightedAverage(unplanned, counted.weight, counted.completion));
+    fraction = buckets.reduce((a, b) => a + b, 0) / buckets.length;
+  } else {
+    const { roots, weight, completion } = model === 'hours' ? buildRollup(tasks, 'hours') : counted;
+    fraction = weightedAverage(roots, weight, completion);
+  }
+
+  return {
+    model,
+    progress: Math.round(fraction * 100),
+    milestones: milestones.map(m => ({
+      id: m.id, title: m.title, completed: isCompleted(m),
+      progress: Math.round(milestoneFraction(m) * 100)
+    }))
+  };
+}
+
+async function loadProgressInputs(sql, projectId) {
+  const tasks = await sql`
+    SELECT id, parent_task_id, milestone_id, status, estimated_hours
+    FROM tasks WHERE project_id = ${projectId}
+  `;
+  const milestones = await sql`
+    SELECT id, title, status, completed_date::text as completed_date
+    FROM milestones WHERE project_id = ${projectId}
+    ORDER BY order_index, target_date
+  `;
+  return { tasks, milestones };
+}
+
+/**
+ * The progress a project's model gives it now. For the manual model this is
+ * what the tasks model would give, for reference.
+ */
+export async function projectProgress(sql, project) {
+  const { tasks, milestones } = await loadProgressInputs(sql, project.id);
+  const model = project.progress_model || 'tasks';
+  return computeProgress(model === 'manual' ? 'tasks' : model, tasks, milestones);
+}
+
+/**
+ * Store a project's progress after its tasks or milestones change. Projects
+ * on the manual model are left alone.
+ */
+export async function recomputeProjectProgress(sql, projectId) {
+  const projects = await sql`SELECT id, progress_model FROM projects WHERE id = ${projectId}`;
+  if (projects.length === 0 || projects[0].progress_model === 'manual') return null;
+
+  const { progress } = await projectProgress(sql, projects[0]);
+  await sql`UPDATE projects SET progress = ${progress}, updated_at = CURRENT_TIMESTAMP WHERE id = ${projectId}`;
+  return progress;
+}
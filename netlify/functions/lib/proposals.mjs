@@ -0,0 +1,390 @@
+/**
+ * PLE Platform - Proposal Lifecycle
+ * The proposal state machine, the voting window and closing with outcome computation.
+ *
+ *   draft -> open -> closed -> passed | rejected
+ *   draft | open -> withdrawn
+ *
+ * Closing happens in two steps. Moving open -> closed takes the proposal row
+ * lock, so votes in flight either land before it or are refused after it;
+ * the tally is then read from a frozen set of votes and the outcome recorded.
+ * A proposal left in 'closed' (e.g. the function timed out between the two
+ * steps) is finalized by the next scheduled run.
+ *
+ * The outcome follows the governance rule for the proposal type
+ * (proposal_rules): a quorum of participating members, then an approval
+ * threshold over decisive (approve + reject) votes. Multi-option proposals
+ * (see voting.mjs) need the quorum and a single winning option instead.
+ *
+ * Changing the text creates a new revision. Votes cast on an earlier revision
+ * are either kept and flagged as stale or deleted, per the rule's
+ * revision_vote_policy.
+ *
+ * A proposal that passes is carried out straight away when it has an
+ * execution plan or its type has a default one (see execution.mjs).
+ */
+
+import { logActivity, guardedTransaction } from './db.mjs';
+import { isMultiOption, tallyProposalBallots } from './voting.mjs';
+import { resolveDelegations } from './delegation.mjs';
+import { executeProposal } from './execution.mjs';
+
+export const PROPOSAL_STATUSES = ['draft', 'open', 'closed', 'passed', 'rejected', 'withdrawn'];
+
+export const TRANSITIONS = {
+  draft: ['open', 'withdrawn'],
+  open: ['closed', 'withdrawn'],
+  closed: ['passed', 'rejected'],
+  passed: [],
+  rejected: [],
+  withdrawn: []
+};
+
+export const DEFAULT_VOTING_DAYS = 7;
+
+// Members who signed in (or joined) within this many days count toward fractional quorums
+export const ACTIVE_MEMBER_DAYS = 90;
+
+export const REVISION_VOTE_POLICIES = ['flag', 'reset'];
+
+// Thresholds such as 2/3 are stored rounded (0.6667)
+const THRESHOLD_TOLERANCE = 0.0001;
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Permission needed to move a proposal between two states
+ */
+export function transitionPermission(from, to) {
+  if (to === 'open') return 'proposal.open';
+  if (to === 'withdrawn') return 'proposal.withdraw';
+  return 'proposal.close';
+}
+
+export function isFinal(status) {
+  return TRANSITIONS[status]?.length === 0;
+}
+
+/**
+ * Why a vote cannot be cast right now, or null when the window is open
+ */
+export function votingClosedReason(proposal, now = new Date()) {
+  if (proposal.status !== 'open') return `Voting is not open (proposal is ${proposal.status})`;
+  if (proposal.voting_starts && new Date(proposal.voting_starts) > now) return 'Voting has not started yet';
+  if (proposal.voting_ends && new Date(proposal.voting_ends) <= now) return 'Voting has ended';
+  return null;
+}
+
+/**
+ * Approve / reject / abstain totals including delegated weight, with the
+ * direct and delegated shares of each
+ */
+export async function tallyVotes(sql, proposal) {
+  const votes = await sql`SELECT user_id, vote_type FROM votes WHERE proposal_id = ${proposal.id}`;
+  const { weights, unresolved, cycles } = await resolveDelegations(sql, proposal, new Set(votes.map(v => v.user_id)));
+
+  const direct = { approve: 0, reject: 0, abstain: 0 };
+  const delegated = { approve: 0, reject: 0, abstain: 0 };
+  for (const v of votes) {
+    if (!(v.vote_type in direct)) continue;
+    direct[v.vote_type]++;
+    delegated[v.vote_type] += weights.get(v.user_id) || 0;
+  }
+
+  const approve = direct.approve + delegated.approve;
+  const reject = direct.reject + delegated.reject;
+  const abstain = direct.abstain + delegated.abstain;
+  return { approve, reject, abstain, total: approve + reject + abstain, direct, delegated, unresolved, cycles };
+}
+
+// ============================================
+// Governance rules
+// ============================================
+
+export function formatRule(r) {
+  return {
+    proposalType: r.proposal_type,
+    label: r.label,
+    quorum: { type: r.quorum_type, value: parseFloat(r.quorum_value) },
+    threshold: parseFloat(r.threshold),
+    thresholdStrict: r.threshold_strict,
+    abstainCountsTowardQuorum: r.abstain_counts_toward_quorum,
+    revisionVotePolicy: r.revision_vote_policy || 'flag',
+    description: describeRule(r),
+    updatedAt: r.updated_at
+  };
+}
+
+function describeRule(r) {
+  const threshold = parseFloat(r.threshold);
+  const approval = threshold === 0.5 && r.threshold_strict ? 'Simple majority'
+    : Math.abs(threshold - 2 / 3) < THRESHOLD_TOLERANCE ? '2/3 supermajority'
+    : `${r.threshold_strict ? 'More than' : 'At least'} ${Math.round(threshold * 100)}% approval`;
+  const value = parseFloat(r.quorum_value);
+  const quorum = r.quorum_type === 'count' ? `, quorum of ${value} voters`
+    : r.quorum_type === 'fraction' ? `, quorum of ${Math.round(value * 100)}% of active members`
+    : '';
+  return approval + quorum;
+}
+
+/**
+ * The rule for a proposal type, falling back to the 'default' rule
+ */
+export async function getProposalRule(sql, proposalType) {
+  const rows = await sql`
+    SELECT * FROM proposal_rules WHERE proposal_type IN (${proposalType}, 'default')
+    ORDER BY (proposal_type = 'default')
+  `;
+  return rows[0] || {
+    proposal_type: 'default', label: 'Other', quorum_type: 'none', quorum_value: 0,
+    threshold: 0.5, threshold_strict: true, abstain_counts_toward_quorum: true, revision_vote_policy: 'flag'
+  };
+}
+
+export async function countActiveMembers(sql) {
+  const rows = await sql`
+    SELECT COUNT(*) as count FROM users
+    WHERE is_active = true
+      AND GREATEST(last_login, created_at) > CURRENT_TIMESTAMP - ${ACTIVE_MEMBER_DAYS}::int * INTERVAL '1 day'
+  `;
+  return parseInt(rows[0]?.count || 0);
+}
+
+function evaluateQuorum(rule, participation, activeMembers) {
+  const quorumValue = parseFloat(rule.quorum_value);
+  const required = rule.quorum_type === 'count' ? Math.ceil(quorumValue)
+    : rule.quorum_type === 'fraction' ? Math.ceil(quorumValue * activeMembers)
+    : 0;
+  return { type: rule.quorum_type, required, participation, activeMembers, met: participation >= required };
+}
+
+/**
+ * Apply a governance rule to a tally. Ties and ballots without decisive votes never pass.
+ */
+export function evaluateOutcome(tally, rule, activeMembers) {
+  const quorum = evaluateQuorum(rule, rule.abstain_counts_toward_quorum ? tally.total : tally.approve + tally.reject, activeMembers);
+  const quorumMet = quorum.met;
+
+  const threshold = parseFloat(rule.threshold);
+  const decisive = tally.approve + tally.reject;
+  const share = decisive > 0 ? tally.approve / decisive : 0;
+  const thresholdMet = decisive > 0 && (rule.threshold_strict
+    ? share > threshold
+    : share >= threshold - THRESHOLD_TOLERANCE);
+
+  const passed = quorumMet && thresholdMet;
+  return {
+    outcome: passed ? 'passed' : 'rejected',
+    reason: !quorumMet ? 'quorum_not_met' : !thresholdMet ? 'threshold_not_met' : 'approved',
+    quorum,
+    approval: { threshold, strict: rule.threshold_strict, share: Math.round(share * 10000) / 10000, met: thresholdMet },
+    rule: rule.proposal_type
+  };
+}
+
+/**
+ * Apply a governance rule to a multi-option tally: the quorum must be met and
+ * exactly one option must win. The approval threshold does not apply.
+ */
+export function evaluateBallotOutcome(result, rule, activeMembers) {
+  const quorum = evaluateQuorum(rule, rule.abstain_counts_toward_quorum ? result.total : result.ballots, activeMembers);
+  const passed = quorum.met && !!result.winner;
+  return {
+    outcome: passed ? 'passed' : 'rejected',
+    reason: !quorum.met ? 'quorum_not_met' : result.tie ? 'tie' : !result.winner ? 'no_winner' : 'approved',
+    quorum,
+    winner: result.winner,
+    rule: rule.proposal_type
+  };
+}
+
+/**
+ * Tally a proposal's votes and apply its governance rule
+ */
+async function evaluateProposal(sql, proposal) {
+  const multiOption = isMultiOption(proposal.voting_mode);
+  const [counts, rule, activeMembers] = await Promise.all([
+    multiOption ? tallyProposalBallots(sql, proposal) : tallyVotes(sql, proposal),
+    getProposalRule(sql, proposal.proposal_type),
+    countActiveMembers(sql)
+  ]);
+  const evaluation = multiOption
+    ? evaluateBallotOutcome(counts, rule, activeMembers)
+    : evaluateOutcome(counts, rule, activeMembers);
+  return { counts, evaluation };
+}
+
+/**
+ * Live "would pass/fail now" view of an open proposal
+ */
+export async function projectOutcome(sql, proposal) {
+  const { counts, evaluation } = await evaluateProposal(sql, proposal);
+  return { wouldPass: evaluation.outcome === 'passed', tally: counts, ...evaluation };
+}
+
+/**
+ * Record the outcome of a closed proposal. Returns null if it is not in 'closed'.
+ * With `expected`, nothing is recorded unless the votes give that outcome; the
+ * result then has `mismatch: true` and the outcome the votes give.
+ */
+export async function finalizeProposal(sql, proposalId, { userId = null, reason = 'deadline', expected = null } = {}) {
+  const proposals = await sql`
+    SELECT id, proposal_type, element_id, voting_mode, voting_config FROM proposals WHERE id = ${proposalId} AND status = 'closed'
+  `;
+  if (proposals.length === 0) return null;
+
+  const { counts, evaluation: { outcome, ...evaluation } } = await evaluateProposal(sql, proposals[0]);
+  const tally = { ...counts, ...evaluation };
+  if (expected && expected !== outcome) return { id: proposalId, mismatch: true, status: outcome, tally };
+
+  const updated = await sql`
+    UPDATE proposals SET status = ${outcome}, tally = ${JSON.stringify(tally)}::jsonb,
+      closed_at = COALESCE(closed_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${proposalId} AND status = 'closed'
+    RETURNING id, title
+  `;
+  if (updated.length === 0) return null;
+
+  await logActivity(userId, 'proposal_closed', 'proposal', proposalId, {
+    title: updated[0].title, outcome, reason, tally
+  });
+
+  // The outcome stands even if execution fails; failures are recorded and can be retried
+  let execution = null;
+  if (outcome === 'passed') {
+    try {
+      const run = await executeProposal(sql, proposalId, { userId });
+      if (run) execution = run.error ? { status: 'failed', error: run.error } : { status: 'applied', id: run.execution.id };
+    } catch (error) {
+      console.error(`Executing proposal ${proposalId} failed:`, error);
+      execution = { status: 'failed', error: error.message };
+    }
+  }
+  return { id: proposalId, status: outcome, tally, execution };
+}
+
+// ============================================
+// Revisions
+// ============================================
+
+/**
+ * The guardedTransaction guard for changes to a proposal that is still at
+ * the status and revision it was read at
+ */
+export function lockProposal(sql, { id, status, revision }) {
+  return sql`
+    SELECT 1 / COUNT(*) as locked FROM (
+      SELECT id FROM proposals WHERE id = ${id} AND status = ${status} AND revision = ${revision} FOR UPDATE
+    ) current
+  `;
+}
+
+/**
+ * The queries that store new text for a proposal as the next revision and,
+ * under the reset policy, delete the votes cast on earlier ones. proposal
+ * needs id, proposal_type, status and revision. Run them with
+ * guardedTransaction behind lockProposal, then pass their results to recordRevision.
+ */
+export async function revisionQueries(sql, proposal, { title, content, summary = null, userId, amendmentId = null }) {
+  const next = proposal.revision + 1;
+  const rule = await getProposalRule(sql, proposal.proposal_type);
+  const policy = rule.revision_vote_policy || 'flag';
+
+  const queries = [
+    // Proposals created outside the API (e.g. fixtures) have no stored first revision yet
+    sql`
+      INSERT INTO proposal_revisions (proposal_id, revision, title, content, changed_by, created_at)
+      SELECT id, revision, title, content, author_id, created_at
+      FROM proposals WHERE id = ${proposal.id} AND revision = ${proposal.revision}
+      ON CONFLICT (proposal_id, revision) DO NOTHING
+    `,
+    sql`
+      UPDATE proposals SET title = ${title}, content = ${content}, revision = ${next}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${proposal.id} AND revision = ${proposal.revision} AND status IN ('draft', 'open')
+    `,
+    sql`
+      INSERT INTO proposal_revisions (proposal_id, revision, title, content, summary, changed_by, amendment_id)
+      SELECT id, revision, title, content, ${summary}, ${userId}, ${amendmentId}
+      FROM proposals WHERE id = ${proposal.id} AND revision = ${next}
+      ON CONFLICT (proposal_id, revision) DO NOTHING
+    `
+  ];
+  if (proposal.status === 'open' && policy === 'reset') {
+    queries.push(sql`DELETE FROM votes WHERE proposal_id = ${proposal.id} AND revision < ${next} RETURNING id`);
+  }
+  return { revision: next, policy, queries };
+}
+
+/**
+ * Log a stored revision and report what happened to earlier votes
+ */
+export async function recordRevision(sql, proposal, revised, results, { title, userId, amendmentId = null }) {
+  const { revision, policy } = revised;
+  let votesReset = 0;
+  let votesFlagged = 0;
+  if (proposal.status === 'open') {
+    if (policy === 'reset') {
+      votesReset = results[revised.queries.length - 1].length;
+    } else {
+      const stale = await sql`SELECT COUNT(*) as count FROM votes WHERE proposal_id = ${proposal.id} AND revision < ${revision}`;
+      votesFlagged = parseInt(stale[0]?.count || 0);
+    }
+  }
+
+  await logActivity(userId, 'proposal_revised', 'proposal', proposal.id, {
+    title, revision, amendmentId, policy, votesReset, votesFlagged
+  });
+  return { revision, policy, votesReset, votesFlagged };
+}
+
+/**
+ * Store new text for a proposal as the next revision. Returns null when
+ * another change got there first, otherwise the new revision and what
+ * happened to earlier votes.
+ */
+export async function reviseProposal(sql, proposal, changes) {
+  const revised = await revisionQueries(sql, proposal, changes);
+  const results = await guardedTransaction(sql, lockProposal(sql, proposal), revised.queries);
+  if (!results) return null;
+  return recordRevision(sql, proposal, revised, results, changes);
+}
+
+/**
+ * Close voting on an open proposal and compute its outcome.
+ * Returns null if the proposal was not open (e.g. another run closed it first).
+ */
+export async function closeProposal(sql, proposalId, options = {}) {
+  const closed = await sql`
+    UPDATE proposals SET status = 'closed', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${proposalId} AND status = 'open'
+    RETURNING id
+  `;
+  if (closed.length === 0) return null;
+  return finalizeProposal(sql, proposalId, options);
+}
+
+/**
+ * Close every open proposal whose voting window has ended, and finalize any
+ * left in 'closed' by an interrupted run
+ */
+export async function closeExpiredProposals(sql) {
+  const expired = await sql`
+    SELECT id FROM proposals
+    WHERE status = 'open' AND voting_ends IS NOT NULL AND voting_ends <= CURRENT_TIMESTAMP
+    ORDER BY voting_ends
+  `;
+  const stranded = await sql`SELECT id FROM proposals WHERE status = 'closed' ORDER BY closed_at`;
+
+  const results = [];
+  for (const p of expired) {
+    const result = await closeProposal(sql, p.id, { reason: 'deadline' });
+    if (result) results.push(result);
+  }
+  for (const p of stranded) {
+    const result = await finalizeProposal(sql, p.id, { reason: 'deadline' });
+    if (result) results.push(result);
+  }
+  return results;
+}
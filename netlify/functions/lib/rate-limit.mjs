@@ -0,0 +1,172 @@
+/**
+ * PLE Platform - Rate Limiting
+ * Postgres-backed sliding-window limits shared by every function, plus
+ * account lockout for repeated failed sign-ins.
+ *
+ * Each route has a policy with a window and a limit per scope:
+ *   ip       — the client address
+ *   user     — the signed-in user
+ *   identity — a route-specific value such as the email a reset is requested for
+ *
+ * Windows are approximated with two fixed buckets: the current bucket's hits
+ * plus the previous bucket's hits weighted by how much of it still overlaps
+ * the sliding window. Handlers call rateLimit(), which returns a 429 response
+ * with Retry-After or null when the request may proceed.
+ */
+
+import { clientInfo } from './sessions.mjs';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+export const RATE_LIMITS = {
+  login: { windowMs: 15 * MINUTE, ip: 20 },
+  register: { windowMs: HOUR, ip: 5 },
+  'password-reset': { windowMs: HOUR, ip: 10, identity: 3 },
+  'verification-email': { windowMs: HOUR, user: 5 },
+  refresh: { windowMs: 15 * MINUTE, ip: 120 },
+  chat: { windowMs: 10 * MINUTE, ip: 20, user: 40 },
+  ingest: { windowMs: HOUR, user: 30 },
+  post: { windowMs: 10 * MINUTE, user: 30 }
+};
+
+// Failed sign-ins allowed before the first lock, and the lock length bounds
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+
+async function hit(sql, key, windowMs, limit) {
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const previousStart = windowStart - windowMs;
+
+  const rows = await sql`
+    WITH hit AS (
+      INSERT INTO rate_limit_buckets (bucket_key, window_start, hits, expires_at)
+      VALUES (${key}, ${windowStart}, 1, ${windowStart + 2 * windowMs})
+      ON CONFLICT (bucket_key, window_start) DO UPDATE SET hits = rate_limit_buckets.hits + 1
+      RETURNING hits
+    )
+    SELECT (SELECT hits FROM hit) as current,
+      COALESCE((SELECT hits FROM rate_limit_buckets WHERE bucket_key = ${key} AND window_start = ${previousStart}), 0) as previous
+  `;
+
+  const current = parseInt(rows[0].current);
+  const previous = parseInt(rows[0].previous);
+  const overlap = 1 - (now - windowStart) / windowMs;
+  const estimate = current + previous * overlap;
+  if (estimate <= limit) return { limited: false, remaining: Math.floor(limit - estimate) };
+
+  // When the estimate falls back under the limit, assuming no further requests
+  const until = current > limit
+    ? windowStart + windowMs + windowMs * (1 - limit / current)
+    : windowStart + windowMs * (1 - (limit - current) / previous);
+
+  return { limited: true, retryAfter: Math.max(1, Math.ceil((until - now) / 1000)) };
+}
+
+/**
+ * Count a request against a route's policy in every scope that applies
+ */
+export async function checkRateLimit(sql, req, route, { user, identity } = {}) {
+  const policy = RATE_LIMITS[route];
+  if (!policy) throw new Error(`Unknown rate limit route: ${route}`);
+
+  const keys = [];
+  if (policy.ip) keys.push(['ip', clientInfo(req).ipAddress || 'unknown', policy.ip]);
+  if (policy.user && user) keys.push(['user', user.id, policy.user]);
+  if (policy.identity && identity) keys.push(['identity', String(identity).toLowerCase(), policy.identity]);
+
+  for (const [scope, id, limit] of keys) {
+    const result = await hit(sql, `${route}:${scope}:${id}`, policy.windowMs, limit);
+    if (result.limited) return { limited: true, route, scope, retryAfter: result.retryAfter };
+  }
+  return { limited: false, route };
+}
+
+export function tooManyRequests(retryAfter, error = 'Too many requests', headers = {}) {
+  return new Response(JSON.stringify({ error, retryAfter }), {
+    status: 429,
+    headers: { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter), ...headers }
+  });
+}
+
+/**
+ * Guard for handlers: returns a 429 response when over the limit, otherwise null
+ *
+ *   const limited = await rateLimit(sql, req, 'chat', { user });
+ *   if (limited) return limited;
+ */
+export async function rateLimit(sql, req, route, options = {}) {
+  const result = await checkRateLimit(sql, req, route, options);
+  if (!result.limited) return null;
+  return tooManyRequests(result.retryAfter, 'Too many requests, please slow down', options.headers);
+}
+
+// ============================================
+// Login lockout
+// ============================================
+
+/**
+ * Seconds until the address may try to sign in again, or 0 when it is not locked
+ */
+export async function loginLockRemaining(sql, email) {
+  const rows = await sql`
+    SELECT CEIL(EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP))) as remaining
+    FROM login_failures WHERE email = ${email} AND locked_until > CURRENT_TIMESTAMP
+  `;
+  return rows.length > 0 ? parseInt(rows[0].remaining) : 0;
+}
+
+/**
+ * Record a failed sign-in. From the threshold on, each failure locks the
+ * address for twice as long as the last (1 min, 2 min, 4 min ... 24 h).
+ * Failures older than a day are forgotten.
+ */
+export async function recordLoginFailure(sql, email) {
+  const rows = await sql`
+    INSERT INTO login_failures (email, failures, last_failure_at)
+    VALUES (${email}, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT (email) DO UPDATE SET
+      failures = CASE WHEN login_failures.last_failure_at < CURRENT_TIMESTAMP - INTERVAL '24 hours'
+                      THEN 1 ELSE login_failures.failures + 1 END,
+      last_failure_at = CURRENT_TIMESTAMP
+    RETURNING failures
+  `;
+
+  const failures = rows[0].failures;
+  if (failures < LOCKOUT_THRESHOLD) return { failures, lockedFor: 0 };
+
+  const lockedFor = Math.min(LOCKOUT_BASE_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_SECONDS);
+  await sql`
+    UPDATE login_failures SET locked_until = CURRENT_TIMESTAMP + ${lockedFor}::int * INTERVAL '1 second'
+    WHERE email = ${email}
+  `;
+  return { failures, lockedFor };
+}
+
+export async function clearLoginFailures(sql, email) {
+  await sql`DELETE FROM login_failures WHERE email = ${email}`;
+}
+
+export function loginLockedResponse(retryAfter) {
+  const minutes = Math.ceil(retryAfter / 60);
+  return tooManyRequests(
+    retryAfter,
+    `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+  );
+}
+
+/**
+ * Drop expired counters and lockout rows that have fully decayed
+ */
+export async function pruneRateLimits(sql) {
+  const [buckets, failures] = await sql.transaction([
+    sql`DELETE FROM rate_limit_buckets WHERE expires_at < ${Date.now()} RETURNING bucket_key`,
+    sql`DELETE FROM login_failures
+        WHERE last_failure_at < CURRENT_TIMESTAMP - INTERVAL '24 hours'
+          AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+        RETURNING email`
+  ]);
+  return { buckets: buckets.length, loginFailures: failures.length };
+}
@@ -0,0 +1,339 @@
+/**
+ * PLE Platform - Recurring Tasks
+ * A recurrence rule is a subset of iCalendar RRULE:
+ *
+ *   FREQ=DAILY|WEEKLY|MONTHLY   required
+ *   INTERVAL=n                  every n days, weeks or months (default 1)
+ *   BYDAY=MO,TH                 weekly only; defaults to the start's weekday
+ *   BYMONTHDAY=15 or -1         monthly only; -1 is the last day. Defaults to
+ *                               the start's day, moved back in shorter months
+ *   COUNT=n or UNTIL=YYYYMMDD   when the series ends (optional, not both)
+ *
+ * Occurrences are dates counted from the recurrence's start, which is the
+ * first instance's due date. In on_completion mode the next instance is
+ * created when the open one is done, due on the next occurrence from today.
+ * In scheduled mode the task-recurrence function creates each instance
+ * lead_days before it is due, whether or not the last one is done. Each new
+ * instance copies the latest one, so edits carry forward.
+ */
+
+import { logActivity, guardedTransaction } from './db.mjs';
+import { addDays, daysBetween } from './dependencies.mjs';
+import { recomputeProjectProgress } from './progress.mjs';
+import { getWorkflow } from './workflows.mjs';
+import { rankAtEnd } from './ordering.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+export const RECURRENCE_MODES = ['on_completion', 'scheduled'];
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How far ahead to look for the next occurrence before giving up
+const SEARCH_DAYS = 3 * 366;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Parse a rule such as "FREQ=WEEKLY;BYDAY=MO;COUNT=10". Returns the rule as
+ * an object or { error }.
+ */
+export function parseRule(text) {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'A recurrence rule is required, e.g. FREQ=WEEKLY;BYDAY=MO' };
+  const parts = {};
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) return { error: `"${part}" is not KEY=VALUE` };
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const rule = { freq: parts.FREQ, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+  if (!FREQUENCIES.includes(rule.freq)) return { error: `FREQ must be one of: ${FREQUENCIES.join(', ')}` };
+
+  for (const key of Object.keys(parts)) {
+    if (!['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(key)) return { error: `${key} is not supported` };
+  }
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = parseInt(parts.INTERVAL);
+    if (!(rule.interval >= 1 && rule.interval <= 365)) return { error: 'INTERVAL must be between 1 and 365' };
+  }
+  if (parts.BYDAY !== undefined) {
+    if (rule.freq !== 'WEEKLY') return { error: 'BYDAY is only supported with FREQ=WEEKLY' };
+    rule.byDay = parts.BYDAY.split(',').map(d => WEEKDAYS.indexOf(d));
+    if (rule.byDay.includes(-1)) return { error: `BYDAY days must be from: ${WEEKDAYS.join(', ')}` };
+  }
+  if (parts.BYMONTHDAY !== undefined) {
+    if (rule.freq !== 'MONTHLY') return { error: 'BYMONTHDAY is only supported with FREQ=MONTHLY' };
+    rule.byMonthDay = parseInt(parts.BYMONTHDAY);
+    if (!(rule.byMonthDay === -1 || (rule.byMonthDay >= 1 && rule.byMonthDay <= 31))) {
+      return { error: 'BYMONTHDAY must be between 1 and 31, or -1 for the last day' };
+    }
+  }
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) return { error: 'Use COUNT or UNTIL, not both' };
+  if (parts.COUNT !== undefined) {
+    rule.count = parseInt(parts.COUNT);
+    if (!(rule.count >= 1)) return { error: 'COUNT must be at least 1' };
+  }
+  if (parts.UNTIL !== undefined) {
+    const m = parts.UNTIL.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (!m || isNaN(new Date(`${m[1]}-${m[2]}-${m[3]}`))) return { error: 'UNTIL must be a date, e.g. 20261231' };
+    rule.until = `${m[1]}-${m[2]}-${m[3]}`;
+  }
+  return rule;
+}
+
+/**
+ * The rule written back out in a canonical form
+ */
+export function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.map(d => WEEKDAYS[d]).join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+/**
+ * "Every 2 weeks on Mon, Thu, 10 times" and the like
+ */
+export function describeRule(rule, startsOn) {
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.freq];
+  let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+  if (rule.freq === 'WEEKLY') {
+    text += ` on ${(rule.byDay || [weekday(startsOn)]).map(d => DAY_NAMES[d]).join(', ')}`;
+  }
+  if (rule.freq === 'MONTHLY') {
+    const day = rule.byMonthDay ?? parseInt(startsOn.slice(8, 10));
+    text += day === -1 ? ' on the last day' : ` on day ${day}`;
+  }
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${rule.until}`;
+  return text;
+}
+
+const weekday = date => new Date(date).getUTCDay();
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function matches(rule, startsOn, date) {
+  if (date < startsOn) return false;
+  if (rule.freq === 'DAILY') return daysBetween(startsOn, date) % rule.interval === 0;
+
+  if (rule.freq === 'WEEKLY') {
+    if (!(rule.byDay || [weekday(startsOn)]).includes(weekday(date))) return false;
+    const monday = d => addDays(d, -((weekday(d) + 6) % 7));
+    return (daysBetween(monday(startsOn), monday(date)) / 7) % rule.interval === 0;
+  }
+
+  const [y0, m0, d0] = startsOn.split('-').map(Number);
+  const [y, m, d] = date.split('-').map(Number);
+  if (((y - y0) * 12 + (m - m0)) % rule.interval !== 0) return false;
+  const last = lastDayOfMonth(y, m - 1);
+  const wanted = rule.byMonthDay ?? d0;
+  return d === (wanted === -1 ? last : Math.min(wanted, last));
+}
+
+/**
+ * The first occurrence after a date, or null when there is none in reach
+ */
+export function nextOccurrence(rule, startsOn, after) {
+  for (let i = 1; i <= SEARCH_DAYS * rule.interval; i++) {
+    const date = addDays(after, i);
+    if (rule.until && date > rule.until) return null;
+    if (matches(rule, startsOn, date)) return date;
+  }
+  return null;
+}
+
+/**
+ * The first occurrence on or after a date
+ */
+export function occurrenceOnOrAfter(rule, startsOn, date) {
+  return matches(rule, startsOn, date) ? date : nextOccurrence(rule, startsOn, date);
+}
+
+export function formatRecurrence(r) {
+  const rule = parseRule(r.rule);
+  return {
+    id: r.id,
+    projectId: r.project_id,
+    rule: r.rule,
+    summary: rule.error ? r.rule : describeRule(rule, r.starts_on),
+    mode: r.mode,
+    startsOn: r.starts_on,
+    nextOn: r.next_on,
+    leadDays: r.lead_days,
+    occurrences: r.occurrences,
+    active: r.active,
+    latestTask: r.latest_task_id ? { id: r.latest_task_id, title: r.latest_task_title, status: r.latest_task_status } : null,
+    createdBy: r.created_by,
+    createdAt: r.created_at
+  };
+}
+
+export async function listRecurrences(sql, projectId) {
+  return sql`
+    SELECT r.id, r.project_id, r.rule, r.mode, r.starts_on::text as starts_on, r.next_on::text as next_on,
+           r.lead_days, r.occurrences, r.active, r.created_by, r.created_at,
+           latest.id as latest_task_id, latest.title as latest_task_title, latest.status as latest_task_status
+    FROM task_recurrences r
+    LEFT JOIN LATERAL (
+      SELECT t.id, t.title, t.status FROM tasks t WHERE t.recurrence_id = r.id ORDER BY t.created_at DESC LIMIT 1
+    ) latest ON true
+    WHERE r.project_id = ${projectId}
+    ORDER BY r.active DESC, r.next_on NULLS LAST
+  `;
+}
+
+/**
+ * Check a recurrence request: { rule, mode, leadDays }. Returns the parsed
+ * rule, mode and lead days or { error }.
+ */
+export function validateRecurrence({ rule: ruleText, mode = 'on_completion', leadDays = 0 } = {}) {
+  if (!RECURRENCE_MODES.includes(mode)) return { error: `mode must be one of: ${RECURRENCE_MODES.join(', ')}` };
+  const lead = parseInt(leadDays) || 0;
+  if (lead < 0 || lead > 365) return { error: 'leadDays must be between 0 and 365' };
+  const rule = parseRule(ruleText);
+  if (rule.error) return { error: rule.error };
+  return { rule, mode, leadDays: lead };
+}
+
+/**
+ * Make a task the first instance of a series. The series starts on the
+ * task's due date (as text), or today when it has none, and the task is
+ * given that due date. Returns the recurrence row or { error, status }.
+ */
+export async function createRecurrence(sql, { task, userId, ...request }) {
+  if (task.recurrence_id) return { error: 'This task already repeats', status: 409 };
+  if (task.parent_task_id) return { error: 'Subtasks cannot repeat on their own; make the parent task repeat', status: 400 };
+  const checked = validateRecurrence(request);
+  if (checked.error) return { error: checked.error, status: 400 };
+  const { rule, mode, leadDays } = checked;
+
+  const startsOn = task.due_date || today();
+  const ended = rule.count === 1 || (rule.until && startsOn > rule.until);
+  const nextOn = ended ? null : nextOccurrence(rule, startsOn, startsOn);
+
+  const id = uuidv4();
+  const [rows] = await sql.transaction([
+    sql`
+      INSERT INTO task_recurrences (id, project_id, rule, mode, starts_on, next_on, lead_days, active, created_by)
+      VALUES (${id}, ${task.project_id}, ${formatRule(rule)}, ${mode}, ${startsOn}, ${nextOn}, ${leadDays}, ${nextOn !== null}, ${userId})
+      RETURNING id, project_id, rule, mode, starts_on::text as starts_on, next_on::text as next_on,
+                lead_days, occurrences, active, created_by, created_at
+    `,
+    sql`UPDATE tasks SET recurrence_id = ${id}, due_date = ${startsOn}, updated_at = CURRENT_TIMESTAMP WHERE id = ${task.id}`
+  ]);
+  return { recurrence: rows[0] };
+}
+
+/**
+ * Create the next instance of a series, due on the given occurrence, and
+ * move the series on. Returns the new task's id, or null when the series
+ * has ended or has no instance left to copy.
+ */
+async function spawnInstance(sql, recurrence, dueOn, userId) {
+  const rule = parseRule(recurrence.rule);
+  if (rule.error || !dueOn || (rule.count && recurrence.occurrences >= rule.count)) {
+    await sql`UPDATE task_recurrences SET active = false, next_on = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ${recurrence.id}`;
+    return null;
+  }
+
+  const latest = await sql`
+    SELECT * FROM tasks WHERE recurrence_id = ${recurrence.id} ORDER BY created_at DESC LIMIT 1
+  `;
+  if (latest.length === 0) {
+    await sql`UPDATE task_recurrences SET active = false, next_on = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ${recurrence.id}`;
+    return null;
+  }
+  const previous = latest[0];
+
+  const occurrences = recurrence.occurrences + 1;
+  const nextOn = rule.count && occurrences >= rule.count ? null : nextOccurrence(rule, recurrence.starts_on, dueOn);
+  const id = uuidv4();
+  // New instances are ready to pick up, or in the backlog when the workflow has no todo
+  const workflow = await getWorkflow(sql, previous.project_id);
+  const status = workflow?.states.some(s => s.key === 'todo') ? 'todo' : 'backlog';
+  const orderIndex = await rankAtEnd(sql, { projectId: previous.project_id, status, parentId: previous.parent_task_id });
+
+  // The series only moves on from the count read above, so when two completions
+  // of one instance race, the second aborts here instead of adding a duplicate
+  const advanced = await guardedTransaction(sql, sql`
+    SELECT 1 / COUNT(*) as advanced
+    FROM (SELECT id FROM task_recurrences WHERE id = ${recurrence.id} AND occurrences = ${recurrence.occurrences} FOR UPDATE) current
+  `, [
+    sql`
+      UPDATE task_recurrences SET occurrences = ${occurrences}, next_on = ${nextOn}, active = ${nextOn !== null},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${recurrence.id}
+    `,
+    sql`
+      INSERT INTO tasks (id, project_id, milestone_id, title, description, status, priority,
+        assigned_to, parent_task_id, due_date, estimated_hours, order_index, created_by, recurrence_id)
+      VALUES (${id}, ${previous.project_id}, ${previous.milestone_id}, ${previous.title}, ${previous.description}, ${status},
+        ${previous.priority}, ${previous.assigned_to}, ${previous.parent_task_id}, ${dueOn}, ${previous.estimated_hours},
+        ${orderIndex},
+        ${userId || recurrence.created_by || previous.created_by}, ${recurrence.id})
+    `
+  ]);
+  if (!advanced) return null;
+
+  await logActivity(userId, 'task_recurred', 'task', id, { title: previous.title, project_id: previous.project_id, due_date: dueOn });
+  await recomputeProjectProgress(sql, previous.project_id);
+  return id;
+}
+
+/**
+ * After an instance is done: in on_completion mode, create the next one,
+ * due on the first occurrence from today that has not been used yet.
+ */
+export async function onTaskCompleted(sql, task, userId) {
+  if (!task.recurrence_id) return null;
+  const rows = await sql`
+    SELECT id, rule, mode, starts_on::text as starts_on, next_on::text as next_on, occurrences, active, created_by
+    FROM task_recurrences WHERE id = ${task.recurrence_id}
+  `;
+  const recurrence = rows[0];
+  if (!recurrence || !recurrence.active || recurrence.mode !== 'on_completion' || !recurrence.next_on) return null;
+
+  // Only the latest instance moves the series on; finishing an older one does not
+  const latest = await sql`SELECT id FROM tasks WHERE recurrence_id = ${recurrence.id} ORDER BY created_at DESC LIMIT 1`;
+  if (latest[0]?.id !== task.id) return null;
+
+  const rule = parseRule(recurrence.rule);
+  if (rule.error) return null;
+  const from = recurrence.next_on < today() ? today() : recurrence.next_on;
+  return spawnInstance(sql, recurrence, occurrenceOnOrAfter(rule, recurrence.starts_on, from), userId);
+}
+
+/**
+ * Create the instances of scheduled series that fall within their lead
+ * time. A series that fell behind skips to its latest due occurrence rather
+ * than creating one task for every missed date.
+ */
+export async function spawnScheduled(sql, { on = today() } = {}) {
+  const due = await sql`
+    SELECT id, rule, mode, starts_on::text as starts_on, next_on::text as next_on, lead_days, occurrences, active, created_by
+    FROM task_recurrences
+    WHERE active AND mode = 'scheduled' AND next_on IS NOT NULL AND next_on - lead_days <= ${on}::date
+  `;
+
+  const spawned = [];
+  for (const recurrence of due) {
+    const rule = parseRule(recurrence.rule);
+    let dueOn = recurrence.next_on;
+    if (!rule.error) {
+      for (let next = nextOccurrence(rule, recurrence.starts_on, dueOn); next && next <= on; next = nextOccurrence(rule, recurrence.starts_on, next)) {
+        dueOn = next;
+      }
+    }
+    const taskId = await spawnInstance(sql, recurrence, dueOn, null);
+    spawned.push({ recurrenceId: recurrence.id, taskId, dueOn: taskId ? dueOn : null });
+  }
+  return spawned;
+}
@@ -0,0 +1,143 @@
+/**
+ * PLE Platform - Sessions
+ * Each session pairs a short-lived access token with a rotating refresh token.
+ *
+ * The access token is the bearer token every function checks (sessions.token_hash).
+ * Refreshing swaps both tokens in one statement; the refresh token it replaced is
+ * remembered, and presenting it again revokes the session, since only a copied
+ * token can be replayed. A session ends when its refresh token expires
+ * (30 days after sign-in) or it is revoked.
+ */
+
+import { hashToken } from './db.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+export const ACCESS_TOKEN_TTL = 60 * 60 * 1000;
+export const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;
+
+function newToken() {
+  return uuidv4() + '-' + uuidv4();
+}
+
+/**
+ * Client address and user agent recorded with a session
+ */
+export function clientInfo(req) {
+  if (!req) return { ipAddress: null, userAgent: null };
+  const forwarded = req.headers.get('x-forwarded-for');
+  const ipAddress = req.headers.get('x-nf-client-connection-ip') || (forwarded ? forwarded.split(',')[0].trim() : null);
+  const userAgent = req.headers.get('user-agent');
+  return {
+    ipAddress: ipAddress ? ipAddress.slice(0, 45) : null,
+    userAgent: userAgent ? userAgent.slice(0, 500) : null
+  };
+}
+
+/**
+ * Short human-readable device label, e.g. "Firefox on macOS"
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /OPR\/|Opera/.test(userAgent) ? 'Opera'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : /curl|node|python|Go-http/i.test(userAgent) ? 'API client'
+    : 'Browser';
+
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X|Macintosh/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+export async function createSession(sql, userId, req) {
+  const token = newToken();
+  const refreshToken = newToken();
+  const tokenHash = await hashToken(token);
+  const refreshHash = await hashToken(refreshToken);
+  const expiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL).toISOString();
+  const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL).toISOString();
+  const { ipAddress, userAgent } = clientInfo(req);
+
+  await sql`INSERT INTO sessions (user_id, token_hash, expires_at, refresh_token_hash, refresh_expires_at,
+              ip_address, user_agent, last_used_at)
+            VALUES (${userId}, ${tokenHash}, ${expiresAt}, ${refreshHash}, ${refreshExpiresAt},
+              ${ipAddress}, ${userAgent}, CURRENT_TIMESTAMP)`;
+
+  return { token, expiresAt, refreshToken, refreshExpiresAt };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Returns { session } on success or { error, status } on failure.
+ */
+export async function refreshSession(sql, refreshToken, req) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return { error: 'Refresh token is required', status: 400 };
+  }
+
+  const presentedHash = await hashToken(refreshToken);
+  const token = newToken();
+  const nextRefreshToken = newToken();
+  const tokenHash = await hashToken(token);
+  const nextRefreshHash = await hashToken(nextRefreshToken);
+  const expiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL).toISOString();
+  const { ipAddress, userAgent } = clientInfo(req);
+
+  const rotated = await sql`
+    UPDATE sessions SET
+      token_hash = ${tokenHash}, expires_at = LEAST(${expiresAt}::timestamp, refresh_expires_at),
+      previous_refresh_hash = refresh_token_hash, refresh_token_hash = ${nextRefreshHash},
+      ip_address = COALESCE(${ipAddress}, ip_address), user_agent = COALESCE(${userAgent}, user_agent),
+      last_used_at = CURRENT_TIMESTAMP
+    WHERE refresh_token_hash = ${presentedHash} AND refresh_expires_at > CURRENT_TIMESTAMP
+      AND user_id IN (SELECT id FROM users WHERE is_active = true)
+    RETURNING id, user_id, refresh_expires_at
+  `;
+
+  if (rotated.length === 0) {
+    const replayed = await sql`
+      DELETE FROM sessions WHERE previous_refresh_hash = ${presentedHash} RETURNING id, user_id
+    `;
+    if (replayed.length > 0) {
+      console.warn(`Refresh token replayed; revoked session ${replayed[0].id} for user ${replayed[0].user_id}`);
+      return { error: 'Refresh token was already used; the session has been revoked', status: 401, revokedSession: replayed[0] };
+    }
+    return { error: 'Refresh token is invalid or has expired', status: 401 };
+  }
+
+  return {
+    session: {
+      id: rotated[0].id,
+      userId: rotated[0].user_id,
+      token,
+      expiresAt,
+      refreshToken: nextRefreshToken,
+      refreshExpiresAt: rotated[0].refresh_expires_at
+    }
+  };
+}
+
+/**
+ * Delete sessions that can no longer be used and spent account tokens.
+ * Sessions created before refresh tokens existed end when their access token does.
+ */
+export async function cleanupExpiredSessions(sql) {
+  const [sessions, tokens] = await sql.transaction([
+    sql`DELETE FROM sessions
+        WHERE COALESCE(refresh_expires_at, expires_at) < CURRENT_TIMESTAMP
+        RETURNING id`,
+    sql`DELETE FROM auth_tokens
+        WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '7 days'
+           OR used_at < CURRENT_TIMESTAMP - INTERVAL '7 days'
+        RETURNING id`
+  ]);
+  return { sessions: sessions.length, authTokens: tokens.length };
+}
@@ -0,0 +1,204 @@
+/**
+ * PLE Platform - Architecture Snapshots
+ * A snapshot is a copy of every element and relationship at one moment,
+ * stored as JSON in architecture_snapshots. The scheduled
+ * architecture-snapshot function takes one a day when the model has changed;
+ * editors take labelled ones on demand. The model "as of" a date is the
+ * last snapshot taken on or before it.
+ *
+ * Diffs match elements by code and relationships by source, type and
+ * target, so an element that was deleted and recreated under the same code
+ * shows up as changed rather than removed and added.
+ */
+
+import { createHash } from 'crypto';
+import { loadModel } from './interchange.mjs';
+import { diffElement } from './architecture.mjs';
+
+export const SNAPSHOT_KINDS = ['scheduled', 'manual', 'proposal'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function checksumOf(elements, relationships) {
+  return createHash('sha256').update(JSON.stringify({ elements, relationships })).digest('hex');
+}
+
+export function formatSnapshot(s) {
+  const snapshot = {
+    id: s.id,
+    label: s.label,
+    kind: s.kind,
+    elementCount: s.element_count,
+    relationshipCount: s.relationship_count,
+    takenBy: s.taken_by ? { id: s.taken_by, name: s.taken_by_name } : null,
+    takenAt: s.taken_at
+  };
+  if (s.elements) {
+    snapshot.elements = s.elements;
+    snapshot.relationships = s.relationships;
+  }
+  return snapshot;
+}
+
+/**
+ * Store the model as it stands. With skipUnchanged, the latest snapshot is
+ * returned instead when nothing has changed since it was taken.
+ */
+export async function takeSnapshot(sql, { label = null, kind = 'manual', userId = null, skipUnchanged = false } = {}) {
+  const { elements, relationships } = await loadModel(sql);
+  const checksum = checksumOf(elements, relationships);
+
+  if (skipUnchanged) {
+    const latest = await sql`
+      SELECT id, label, kind, element_count, relationship_count, checksum, taken_by, taken_at
+      FROM architecture_snapshots ORDER BY taken_at DESC LIMIT 1
+    `;
+    if (latest[0]?.checksum === checksum) return { snapshot: latest[0], unchanged: true };
+  }
+
+  const rows = await sql`
+    INSERT INTO architecture_snapshots (label, kind, elements, relationships, element_count, relationship_count, checksum, taken_by)
+    VALUES (${label}, ${kind}, ${JSON.stringify(elements)}::jsonb, ${JSON.stringify(relationships)}::jsonb,
+      ${elements.length}, ${relationships.length}, ${checksum}, ${userId})
+    RETURNING id, label, kind, element_count, relationship_count, checksum, taken_by, taken_at
+  `;
+  return { snapshot: rows[0], unchanged: false };
+}
+
+export async function getSnapshot(sql, id) {
+  if (!UUID.test(id)) return null;
+  const rows = await sql`
+    SELECT s.*, u.display_name as taken_by_name
+    FROM architecture_snapshots s LEFT JOIN users u ON s.taken_by = u.id
+    WHERE s.id = ${id}
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * A date alone means the end of that day (UTC)
+ */
+export function parseAsOf(value) {
+  const date = new Date(DATE_ONLY.test(value) ? `${value}T23:59:59.999Z` : value);
+  return isNaN(date) ? null : date;
+}
+
+export async function snapshotAsOf(sql, date) {
+  const rows = await sql`
+    SELECT s.*, u.display_name as taken_by_name
+    FROM architecture_snapshots s LEFT JOIN users u ON s.taken_by = u.id
+    WHERE s.taken_at <= ${date.toISOString()}::timestamp
+    ORDER BY s.taken_at DESC LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * A point in time given as 'current' (the live model, not stored), a
+ * snapshot id or a date. Returns a snapshot row or { error, status }.
+ */
+export async function resolvePoint(sql, ref) {
+  if (!ref) return { error: 'from and to are required: a snapshot id, a date or "current"', status: 400 };
+  if (ref === 'current') {
+    const { exportedAt, elements, relationships } = await loadModel(sql);
+    return {
+      id: null, label: 'Current', kind: null, elements, relationships,
+      element_count: elements.length, relationship_count: relationships.length, taken_at: exportedAt
+    };
+  }
+  if (UUID.test(ref)) {
+    return await getSnapshot(sql, ref) || { error: `Snapshot ${ref} not found`, status: 404 };
+  }
+  const date = parseAsOf(ref);
+  if (!date) return { error: `"${ref}" is not a snapshot id, a date or "current"`, status: 400 };
+  return await snapshotAsOf(sql, date) || { error: `No snapshot was taken on or before ${ref}`, status: 404 };
+}
+
+/**
+ * Like resolvePoint, but 'current' is stored as a snapshot so it cannot
+ * drift; for pinning a proposal's rationale. Returns the snapshot id.
+ */
+export async function pinPoint(sql, ref, userId) {
+  if (ref === 'current') {
+    const { snapshot } = await takeSnapshot(sql, { kind: 'proposal', userId, skipUnchanged: true });
+    return { id: snapshot.id };
+  }
+  const point = await resolvePoint(sql, ref);
+  return point.error ? point : { id: point.id };
+}
+
+function indexModel(model) {
+  const codes = new Map(model.elements.map(e => [e.id, e.code]));
+  const elements = new Map(model.elements.map(e => [e.code, e]));
+  const relationships = new Map();
+  for (const r of model.relationships) {
+    const source = codes.get(r.source_id);
+    const target = codes.get(r.target_id);
+    relationships.set(`${source}|${r.relationship_type}|${target}`, { source, target, type: r.relationship_type, description: r.description });
+  }
+  return { codes, elements, relationships };
+}
+
+/**
+ * Added, removed and changed elements and relationships between two models
+ */
+export function diffModels(before, after) {
+  const a = indexModel(before);
+  const b = indexModel(after);
+  const brief = e => ({ code: e.code, type: e.element_type, title: e.title, status: e.status });
+
+  const changedElements = [];
+  for (const [code, element] of b.elements) {
+    const old = a.elements.get(code);
+    if (!old) continue;
+    const { parentId, ...changes } = diffElement(old, element);
+    // Parents by code, so a recreated parent with the same code is no change
+    const from = a.codes.get(parentId?.from) ?? null;
+    const to = b.codes.get(parentId?.to) ?? null;
+    if (parentId && from !== to) changes.parent = { from, to };
+    if (old.element_type !== element.element_type) changes.type = { from: old.element_type, to: element.element_type };
+    if (Object.keys(changes).length > 0) changedElements.push({ ...brief(element), changes });
+  }
+
+  const changedRelationships = [];
+  for (const [key, r] of b.relationships) {
+    const old = a.relationships.get(key);
+    if (old && (old.description || null) !== (r.description || null)) {
+      changedRelationships.push({ ...r, changes: { description: { from: old.description, to: r.description } } });
+    }
+  }
+
+  const diff = {
+    elements: {
+      added: [...b.elements.values()].filter(e => !a.elements.has(e.code)).map(brief),
+      removed: [...a.elements.values()].filter(e => !b.elements.has(e.code)).map(brief),
+      changed: changedElements
+    },
+    relationships: {
+      added: [...b.relationships].filter(([key]) => !a.relationships.has(key)).map(([, r]) => r),
+      removed: [...a.relationships].filter(([key]) => !b.relationships.has(key)).map(([, r]) => r),
+      changed: changedRelationships
+    }
+  };
+  diff.summary = {
+    elementsAdded: diff.elements.added.length,
+    elementsRemoved: diff.elements.removed.length,
+    elementsChanged: diff.elements.changed.length,
+    relationshipsAdded: diff.relationships.added.length,
+    relationshipsRemoved: diff.relationships.removed.length,
+    relationshipsChanged: diff.relationships.changed.length
+  };
+  return diff;
+}
+
+/**
+ * Two stored snapshots and the diff between them, e.g. a proposal's rationale
+ */
+export async function diffSnapshots(sql, fromId, toId) {
+  const from = await getSnapshot(sql, fromId);
+  const to = await getSnapshot(sql, toId);
+  if (!from || !to) return null;
+  const brief = ({ elements, relationships, ...s }) => formatSnapshot(s);
+  return { from: brief(from), to: brief(to), diff: diffModels(from, to) };
+}
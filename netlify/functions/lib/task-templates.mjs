@@ -0,0 +1,135 @@
+/**
+ * PLE Platform - Task Templates
+ * A template is a reusable task list:
+ *
+ *   [{ title, description?, priority?, estimatedHours?, offsetDays?, subtasks? }]
+ *
+ * Subtasks take the same fields but cannot nest further. Applying a template
+ * creates every task in the backlog in one transaction, optionally under a
+ * milestone. offsetDays sets a task's due date that many days after the start
+ * date, which defaults to today.
+ */
+
+import { addDays } from './dependencies.mjs';
+import { rankAtEnd, rankBetween } from './ordering.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const MAX_TASKS = 100;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function validateItem(item, path, depth) {
+  if (!item || typeof item !== 'object') return { error: `${path} must be an object` };
+  const title = typeof item.title === 'string' ? item.title.trim() : '';
+  if (!title) return { error: `${path}.title is required` };
+  if (title.length > 200) return { error: `${path}.title must be 200 characters or fewer` };
+
+  const priority = item.priority || 'medium';
+  if (!TASK_PRIORITIES.includes(priority)) return { error: `${path}.priority must be one of: ${TASK_PRIORITIES.join(', ')}` };
+
+  const task = { title, description: item.description ? String(item.description) : null, priority };
+  if (item.estimatedHours !== undefined && item.estimatedHours !== null) {
+    const hours = parseFloat(item.estimatedHours);
+    if (isNaN(hours) || hours < 0 || hours >= 1000) return { error: `${path}.estimatedHours must be between 0 and 999` };
+    task.estimatedHours = hours;
+  }
+  if (item.offsetDays !== undefined && item.offsetDays !== null) {
+    if (!Number.isInteger(item.offsetDays) || Math.abs(item.offsetDays) > 3660) return { error: `${path}.offsetDays must be a whole number of days` };
+    task.offsetDays = item.offsetDays;
+  }
+
+  if (item.subtasks !== undefined) {
+    if (depth > 0) return { error: `${path}.subtasks cannot have subtasks of their own` };
+    if (!Array.isArray(item.subtasks)) return { error: `${path}.subtasks must be an array` };
+    task.subtasks = [];
+    for (const [i, sub] of item.subtasks.entries()) {
+      const result = validateItem(sub, `${path}.subtasks[${i}]`, depth + 1);
+      if (result.error) return result;
+      task.subtasks.push(result.task);
+    }
+  }
+  return { task };
+}
+
+/**
+ * Check and normalise a template's task list. Returns { tasks } or { error }.
+ */
+export function validateTemplateTasks(tasks) {
+  if (!Array.isArray(tasks) || tasks.length === 0) return { error: 'tasks must be a non-empty array' };
+  const normalised = [];
+  for (const [i, item] of tasks.entries()) {
+    const result = validateItem(item, `tasks[${i}]`, 0);
+    if (result.error) return result;
+    normalised.push(result.task);
+  }
+  const count = normalised.reduce((n, t) => n + 1 + (t.subtasks?.length || 0), 0);
+  if (count > MAX_TASKS) return { error: `A template can hold at most ${MAX_TASKS} tasks including subtasks` };
+  return { tasks: normalised };
+}
+
+export function formatTemplate(t) {
+  return {
+    id: t.id,
+    projectId: t.project_id,
+    shared: !t.project_id,
+    name: t.name,
+    description: t.description,
+    tasks: t.tasks,
+    taskCount: t.tasks.reduce((n, task) => n + 1 + (task.subtasks?.length || 0), 0),
+    createdBy: t.created_by ? { id: t.created_by, name: t.created_by_name } : null,
+    createdAt: t.created_at,
+    updatedAt: t.updated_at
+  };
+}
+
+/**
+ * Templates usable in a project: its own and the shared ones
+ */
+export async function listTemplates(sql, projectId) {
+  return sql`
+    SELECT tt.*, u.display_name as created_by_name
+    FROM task_templates tt LEFT JOIN users u ON tt.created_by = u.id
+    WHERE tt.project_id IS NULL OR tt.project_id = ${projectId}
+    ORDER BY tt.project_id NULLS LAST, tt.name
+  `;
+}
+
+/**
+ * A template's tasks as the rows to insert for a project, and the queries
+ * that insert them. Returns { error } when the start date is not a date.
+ */
+export async function buildTemplateTasks(sql, { template, projectId, milestoneId = null, startDate, userId }) {
+  const start = startDate || new Date().toISOString().slice(0, 10);
+  if (!DATE_ONLY.test(start) || isNaN(new Date(start))) return { error: 'startDate must be a date (YYYY-MM-DD)' };
+
+  // Top-level tasks go after the project's backlog; subtasks start their parent's own column
+  const rows = [];
+  const add = (task, parentId, orderIndex) => {
+    const row = {
+      id: uuidv4(), parentId, title: task.title, description: task.description, priority: task.priority,
+      estimatedHours: task.estimatedHours ?? null,
+      dueDate: task.offsetDays !== undefined ? addDays(start, task.offsetDays) : null,
+      orderIndex
+    };
+    rows.push(row);
+    let subtaskRank = rankBetween(null, null);
+    for (const sub of task.subtasks || []) {
+      add(sub, row.id, subtaskRank);
+      subtaskRank = rankBetween(subtaskRank, null);
+    }
+  };
+  let rank = await rankAtEnd(sql, { projectId, status: 'backlog' });
+  for (const task of template.tasks) {
+    add(task, null, rank);
+    rank = rankBetween(rank, null);
+  }
+
+  const queries = rows.map(r => sql`
+    INSERT INTO tasks (id, project_id, milestone_id, title, description, status, priority,
+      parent_task_id, due_date, estimated_hours, order_index, created_by)
+    VALUES (${r.id}, ${projectId}, ${milestoneId}, ${r.title}, ${r.description}, 'backlog', ${r.priority},
+      ${r.parentId}, ${r.dueDate}, ${r.estimatedHours}, ${r.orderIndex}, ${userId})
+  `);
+  return { rows, queries };
+}
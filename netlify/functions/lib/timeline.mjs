@@ -0,0 +1,244 @@
+/**
+ * PLE Platform - Timeline
+ * A project's schedule as a tree: project, milestones, tasks and subtasks,
+ * each with three sets of dates:
+ *   planned   — what was entered: start_date/target_end_date, target_date, due_date
+ *   baseline  — the estimates recorded by the latest saved baseline
+ *   estimated — worked out now from the critical-path schedule
+ *
+ * Open tasks are estimated from today with computeSchedule; a task with no
+ * estimate is assumed to finish on its due date. A milestone ends when its
+ * last task does, and a project when its last milestone or task does.
+ * slipDays compares the estimated end with the baseline, or with the plan
+ * when there is no baseline; positive means late.
+ */
+
+import { computeSchedule, addDays, daysBetween } from './dependencies.mjs';
+
+const latest = (...dates) => dates.filter(Boolean).sort().pop() || null;
+const earliest = (...dates) => dates.filter(Boolean).sort()[0] || null;
+
+function slipDays(estimatedEnd, referenceEnd) {
+  return estimatedEnd && referenceEnd ? daysBetween(referenceEnd, estimatedEnd) : null;
+}
+
+export function formatBaseline(b) {
+  return b ? { id: b.id, label: b.label, createdAt: b.created_at } : null;
+}
+
+/**
+ * Projects the user owns, works on through a working group or has tasks in
+ */
+export async function memberProjects(sql, userId) {
+  return sql`
+    SELECT p.id, p.title, p.slug, p.status, p.visibility,
+           p.start_date::text as start_date, p.target_end_date::text as target_end_date,
+           p.actual_end_date::text as actual_end_date
+    FROM projects p
+    WHERE p.status != 'archived'
+      AND (p.owner_id = ${userId}
+        OR EXISTS (
+          SELECT 1 FROM working_groups g
+          LEFT JOIN working_group_members m ON m.group_id = g.id AND m.user_id = ${userId} AND m.left_at IS NULL
+          WHERE g.project_id = p.id AND g.status != 'disbanded' AND (g.lead_id = ${userId} OR m.id IS NOT NULL)
+        )
+        OR EXISTS (SELECT 1 FROM tasks t WHERE t.project_id = p.id AND t.assigned_to = ${userId}))
+    ORDER BY p.start_date NULLS LAST, p.title
+  `;
+}
+
+/**
+ * A project by id or slug, with its dates as text
+ */
+export async function findProject(sql, ref) {
+  const rows = await sql`
+    SELECT p.id, p.title, p.slug, p.status, p.visibility,
+           p.start_date::text as start_date, p.target_end_date::text as target_end_date,
+           p.actual_end_date::text as actual_end_date
+    FROM projects p
+    WHERE p.id::text = ${ref} OR p.slug = ${ref}
+  `;
+  return rows[0] || null;
+}
+
+export function buildTimeline({ project, milestones, tasks, edges, baseline = null, today }) {
+  let schedule = computeSchedule(tasks, edges, { today });
+  if (schedule.error) schedule = computeSchedule(tasks, [], { today });
+  const scheduled = new Map(schedule.tasks.map(t => [t.id, t]));
+  const critical = new Set(schedule.criticalPath);
+  const dates = baseline?.dates || {};
+
+  const dependsOn = new Map();
+  for (const e of edges) {
+    if (!dependsOn.has(e.task_id)) dependsOn.set(e.task_id, []);
+    dependsOn.get(e.task_id).push({ id: e.depends_on_id, type: e.dependency_type });
+  }
+
+  const nodes = new Map(tasks.map(t => {
+    const s = scheduled.get(t.id);
+    let estimated;
+    if (t.status === 'done') {
+      const end = t.completed_on || t.due_date || today;
+      estimated = { start: earliest(t.created_on, end), end };
+    } else {
+      const start = addDays(today, Math.floor(s.earlyStart));
+      const end = t.estimated_hours === null ? latest(s.expectedFinish, t.due_date) : s.expectedFinish;
+      estimated = { start, end: latest(start, end) };
+    }
+    const planned = { start: null, end: t.due_date || null };
+    const base = dates.tasks?.[t.id] || null;
+    return [t.id, {
+      id: t.id, title: t.title, status: t.status, priority: t.priority,
+      assignee: t.assigned_to ? { id: t.assigned_to, name: t.assignee_name } : null,
+      milestoneId: t.milestone_id, parentTaskId: t.parent_task_id,
+      planned, baseline: base, estimated,
+      slipDays: slipDays(estimated.end, base?.end ?? planned.end),
+      slack: s.slack, critical: critical.has(t.id),
+      dependsOn: dependsOn.get(t.id) || [],
+      subtasks: []
+    }];
+  }));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentTaskId && nodes.get(node.parentTaskId);
+    if (parent) parent.subtasks.push(node);
+    else roots.push(node);
+  }
+  const all = [...nodes.values()];
+
+  const milestoneNodes = milestones.map(m => {
+    const own = all.filter(t => t.milestoneId === m.id);
+    const end = m.status === 'completed'
+      ? m.completed_date || m.target_date
+      : own.length ? latest(...own.map(t => t.estimated.end)) : m.target_date;
+    const estimated = { start: earliest(...own.map(t => t.estimated.start)), end };
+    const planned = { start: null, end: m.target_date || null };
+    const base = dates.milestones?.[m.id] || null;
+    return {
+      id: m.id, title: m.title, status: m.status,
+      planned, baseline: base, estimated,
+      slipDays: slipDays(estimated.end, base?.end ?? planned.end),
+      tasks: roots.filter(t => t.milestoneId === m.id)
+    };
+  });
+
+  const planned = { start: project.start_date || null, end: project.target_end_date || null };
+  const estimated = {
+    start: project.start_date || earliest(...all.map(t => t.estimated.start), ...milestoneNodes.map(m => m.estimated.start)),
+    end: project.status === 'completed' && project.actual_end_date
+      ? project.actual_end_date
+      : latest(...all.map(t => t.estimated.end), ...milestoneNodes.map(m => m.estimated.end)) || planned.end
+  };
+  const base = dates.project || null;
+  const milestoneIds = new Set(milestones.map(m => m.id));
+
+  return {
+    id: project.id, title: project.title, slug: project.slug, status: project.status,
+    planned, baseline: base, estimated,
+    slipDays: slipDays(estimated.end, base?.end ?? planned.end),
+    baselineSaved: formatBaseline(baseline),
+    milestones: milestoneNodes,
+    tasks: roots.filter(t => !milestoneIds.has(t.milestoneId)),
+    summary: {
+      tasks: all.length,
+      slippingTasks: all.filter(t => t.status !== 'done' && t.slipDays > 0).map(t => t.id),
+      slippingMilestones: milestoneNodes.filter(m => m.status !== 'completed' && m.slipDays > 0).map(m => m.id),
+      criticalPath: schedule.criticalPath,
+      unestimated: schedule.unestimated
+    }
+  };
+}
+
+/**
+ * Timelines for several projects, loaded together
+ */
+export async function loadTimelines(sql, projects, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  if (projects.length === 0) return [];
+  const ids = projects.map(p => p.id);
+
+  const milestones = await sql`
+    SELECT id, project_id, title, status, target_date::text as target_date, completed_date::text as completed_date
+    FROM milestones WHERE project_id = ANY(${ids})
+    ORDER BY order_index, target_date
+  `;
+  const tasks = await sql`
+    SELECT t.id, t.project_id, t.milestone_id, t.parent_task_id, t.title, t.status, t.priority,
+           t.assigned_to, u.display_name as assignee_name, t.estimated_hours, t.actual_hours,
+           t.due_date::text as due_date, t.created_at::date::text as created_on, t.completed_at::date::text as completed_on
+    FROM tasks t LEFT JOIN users u ON t.assigned_to = u.id
+    WHERE t.project_id = ANY(${ids})
+    ORDER BY t.order_index, t.created_at
+  `;
+  const edges = await sql`
+    SELECT d.task_id, d.depends_on_id, d.dependency_type, t.project_id
+    FROM task_dependencies d JOIN tasks t ON d.task_id = t.id
+    WHERE t.project_id = ANY(${ids})
+  `;
+  const baselines = await sql`
+    SELECT DISTINCT ON (project_id) id, project_id, label, dates, created_at
+    FROM schedule_baselines WHERE project_id = ANY(${ids})
+    ORDER BY project_id, created_at DESC
+  `;
+
+  return projects.map(project => buildTimeline({
+    project,
+    milestones: milestones.filter(m => m.project_id === project.id),
+    tasks: tasks.filter(t => t.project_id === project.id),
+    edges: edges.filter(e => e.project_id === project.id),
+    baseline: baselines.find(b => b.project_id === project.id) || null,
+    today
+  }));
+}
+
+/**
+ * The estimated dates to store as a baseline
+ */
+export function captureBaseline(timeline) {
+  const tasks = {};
+  const visit = t => {
+    tasks[t.id] = t.estimated;
+    t.subtasks.forEach(visit);
+  };
+  timeline.milestones.forEach(m => m.tasks.forEach(visit));
+  timeline.tasks.forEach(visit);
+  return {
+    project: timeline.estimated,
+    milestones: Object.fromEntries(timeline.milestones.map(m => [m.id, m.estimated])),
+    tasks
+  };
+}
+
+/**
+ * Calendar events for milestone target dates and open task due dates.
+ * With assigneeId, only that member's tasks are included.
+ */
+export function calendarEvents(timelines, { siteUrl, assigneeId = null } = {}) {
+  const events = [];
+  for (const project of timelines) {
+    const url = `${siteUrl}/project-view.html?id=${project.slug || project.id}`;
+    for (const m of project.milestones) {
+      if (!m.planned.end) continue;
+      events.push({
+        uid: `milestone-${m.id}@ple-platform`, date: m.planned.end,
+        summary: `${m.status === 'completed' ? '✓ ' : ''}Milestone: ${m.title}`,
+        description: `${project.title}${m.slipDays > 0 ? `\nEstimated ${m.slipDays} days late (${m.estimated.end})` : ''}`,
+        url, categories: ['Milestone', project.title]
+      });
+    }
+    const visit = t => {
+      if (t.planned.end && t.status !== 'done' && (!assigneeId || t.assignee?.id === assigneeId)) {
+        events.push({
+          uid: `task-${t.id}@ple-platform`, date: t.planned.end,
+          summary: `Due: ${t.title}`,
+          description: `${project.title}${t.assignee ? `\nAssigned to ${t.assignee.name}` : ''}`,
+          url, categories: ['Task', project.title]
+        });
+      }
+      t.subtasks.forEach(visit);
+    };
+    project.milestones.forEach(m => m.tasks.forEach(visit));
+    project.tasks.forEach(visit);
+  }
+  return events;
+}
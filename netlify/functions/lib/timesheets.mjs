@@ -0,0 +1,268 @@
+/**
+ * PLE Platform - Time Tracking
+ * Time entries log minutes against a task, from a start/stop timer or as a
+ * duration on a date. A running timer is an entry with no minutes yet; a
+ * member has at most one, and starting another stops it. No entry is longer
+ * than 24 hours, so a timer left running stops counting a day after it
+ * started. A task's actual_hours is always the total of its entries.
+ *
+ * Timesheets group entries by week (starting Monday), member and project
+ * for a date range; running timers are left out until they stop.
+ */
+
+import { addDays, daysBetween } from './dependencies.mjs';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_ENTRY_MINUTES = 24 * 60;
+const MAX_RANGE_DAYS = 366;
+// Raised by idx_time_entries_running when a member already has a timer
+const UNIQUE_VIOLATION = '23505';
+
+export const SUMMARY_COLUMNS = [
+  { key: 'week', label: 'Week starting' },
+  { key: 'member', label: 'Member' },
+  { key: 'project', label: 'Project' },
+  { key: 'hours', label: 'Hours' }
+];
+
+export const ENTRY_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'member', label: 'Member' },
+  { key: 'project', label: 'Project' },
+  { key: 'task', label: 'Task' },
+  { key: 'hours', label: 'Hours' },
+  { key: 'note', label: 'Note' }
+];
+
+const hours = minutes => Math.round((minutes / 60) * 100) / 100;
+
+const isDate = value => DATE_ONLY.test(value || '') && !isNaN(new Date(value));
+
+export function weekStart(date) {
+  return addDays(date, -((new Date(date).getUTCDay() + 6) % 7));
+}
+
+export function formatEntry(e) {
+  return {
+    id: e.id,
+    task: { id: e.task_id, title: e.task_title },
+    project: { id: e.project_id, title: e.project_title },
+    user: { id: e.user_id, name: e.user_name },
+    workDate: e.work_date,
+    startedAt: e.started_at,
+    endedAt: e.ended_at,
+    minutes: e.minutes,
+    hours: e.minutes === null ? null : hours(e.minutes),
+    running: e.minutes === null,
+    note: e.note,
+    createdAt: e.created_at
+  };
+}
+
+export async function getEntry(sql, id) {
+  const rows = await sql`
+    SELECT e.id, e.task_id, e.user_id, e.work_date::text as work_date, e.started_at, e.ended_at, e.minutes, e.note, e.created_at,
+           t.title as task_title, t.project_id, p.title as project_title, u.display_name as user_name
+    FROM time_entries e
+    JOIN tasks t ON e.task_id = t.id
+    JOIN projects p ON t.project_id = p.id
+    LEFT JOIN users u ON e.user_id = u.id
+    WHERE e.id = ${id}
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * A task's entries, newest first: everyone's, or one member's
+ */
+export async function taskEntries(sql, taskId, { userId = null } = {}) {
+  return sql`
+    SELECT e.id, e.task_id, e.user_id, e.work_date::text as work_date, e.started_at, e.ended_at, e.minutes, e.note, e.created_at,
+           t.title as task_title, t.project_id, p.title as project_title, u.display_name as user_name
+    FROM time_entries e
+    JOIN tasks t ON e.task_id = t.id
+    JOIN projects p ON t.project_id = p.id
+    LEFT JOIN users u ON e.user_id = u.id
+    WHERE e.task_id = ${taskId} AND (${userId}::uuid IS NULL OR e.user_id = ${userId}::uuid)
+    ORDER BY e.work_date DESC, e.created_at DESC
+  `;
+}
+
+export async function runningTimer(sql, userId) {
+  const rows = await sql`
+    SELECT e.id, e.task_id, e.user_id, e.work_date::text as work_date, e.started_at, e.ended_at, e.minutes, e.note, e.created_at,
+           t.title as task_title, t.project_id, p.title as project_title, u.display_name as user_name
+    FROM time_entries e
+    JOIN tasks t ON e.task_id = t.id
+    JOIN projects p ON t.project_id = p.id
+    LEFT JOIN users u ON e.user_id = u.id
+    WHERE e.user_id = ${userId} AND e.minutes IS NULL
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * Set a task's actual_hours to the total of its entries
+ */
+export async function rollupActualHours(sql, taskId) {
+  await sql`
+    UPDATE tasks SET actual_hours = (
+      SELECT ROUND(COALESCE(SUM(minutes), 0) / 60.0, 2) FROM time_entries WHERE task_id = ${taskId}
+    ), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${taskId}
+  `;
+}
+
+/**
+ * Stop the member's running timer, if any. Returns the stopped entry's id
+ * and task, and whether it ran past the longest entry and was cut short, or
+ * null.
+ */
+export async function stopTimer(sql, userId, note = null) {
+  const rows = await stopQuery(sql, userId, note);
+  if (rows.length === 0) return null;
+  await rollupActualHours(sql, rows[0].task_id);
+  return rows[0];
+}
+
+function stopQuery(sql, userId, note = null) {
+  return sql`
+    UPDATE time_entries SET ended_at = LEAST(CURRENT_TIMESTAMP, started_at + make_interval(mins => ${MAX_ENTRY_MINUTES})),
+      minutes = LEAST(GREATEST(ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) / 60), 0), ${MAX_ENTRY_MINUTES})::int,
+      note = COALESCE(${note}, note), updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = ${userId} AND minutes IS NULL
+    RETURNING id, task_id, CURRENT_TIMESTAMP - started_at > make_interval(mins => ${MAX_ENTRY_MINUTES}) as capped
+  `;
+}
+
+/**
+ * Start a timer on a task, stopping any other in the same transaction.
+ * Returns the new entry's id and the stopped one, if there was one, or
+ * { error, status } when another start for the member got in first.
+ */
+export async function startTimer(sql, { taskId, userId, note = null }) {
+  let stopped, started;
+  try {
+    [stopped, started] = await sql.transaction([
+      stopQuery(sql, userId),
+      sql`
+        INSERT INTO time_entries (task_id, user_id, work_date, started_at, note)
+        VALUES (${taskId}, ${userId}, CURRENT_DATE, CURRENT_TIMESTAMP, ${note})
+        RETURNING id
+      `
+    ]);
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) return { error: 'A timer is already running', status: 409 };
+    throw error;
+  }
+  if (stopped.length > 0) await rollupActualHours(sql, stopped[0].task_id);
+  return { id: started[0].id, stopped: stopped[0] || null };
+}
+
+/**
+ * The minutes of a logged entry, from minutes, hours, or startedAt and
+ * endedAt. Returns { minutes, startedAt, endedAt } or { error }.
+ */
+export function parseDuration({ minutes, hours: hrs, startedAt, endedAt }) {
+  let total;
+  let start = null;
+  let end = null;
+  if (startedAt || endedAt) {
+    start = new Date(startedAt);
+    end = new Date(endedAt);
+    if (isNaN(start) || isNaN(end)) return { error: 'startedAt and endedAt must both be timestamps' };
+    if (end < start) return { error: 'endedAt must be after startedAt' };
+    total = Math.round((end - start) / 60000);
+  } else if (minutes !== undefined && minutes !== null && minutes !== '') {
+    total = Math.round(Number(minutes));
+  } else if (hrs !== undefined && hrs !== null && hrs !== '') {
+    total = Math.round(Number(hrs) * 60);
+  } else {
+    return { error: 'Give minutes, hours, or startedAt and endedAt' };
+  }
+  if (!Number.isFinite(total) || total <= 0) return { error: 'Time logged must be more than zero' };
+  if (total > MAX_ENTRY_MINUTES) return { error: 'A single entry cannot be longer than 24 hours' };
+  return { minutes: total, startedAt: start?.toISOString() || null, endedAt: end?.toISOString() || null };
+}
+
+/**
+ * The date range of a report: the week containing `week`, or from/to, or
+ * this week. Returns { from, to } or { error }.
+ */
+export function resolvePeriod({ week, from, to }) {
+  if (week) {
+    if (!isDate(week)) return { error: 'week must be a date (YYYY-MM-DD)' };
+    const start = weekStart(week);
+    return { from: start, to: addDays(start, 6) };
+  }
+  if (from || to) {
+    if (!isDate(from) || !isDate(to)) return { error: 'from and to must both be dates (YYYY-MM-DD)' };
+    if (to < from) return { error: 'to must not be before from' };
+    if (daysBetween(from, to) > MAX_RANGE_DAYS) return { error: `A report can cover at most ${MAX_RANGE_DAYS} days` };
+    return { from, to };
+  }
+  const start = weekStart(new Date().toISOString().slice(0, 10));
+  return { from: start, to: addDays(start, 6) };
+}
+
+/**
+ * Stopped entries in a date range, for one member, one project or both
+ */
+export async function reportEntries(sql, { from, to, userId = null, projectId = null }) {
+  return sql`
+    SELECT e.id, e.task_id, e.user_id, e.work_date::text as work_date, e.started_at, e.ended_at, e.minutes, e.note, e.created_at,
+           t.title as task_title, t.project_id, p.title as project_title, u.display_name as user_name
+    FROM time_entries e
+    JOIN tasks t ON e.task_id = t.id
+    JOIN projects p ON t.project_id = p.id
+    LEFT JOIN users u ON e.user_id = u.id
+    WHERE e.minutes IS NOT NULL
+      AND e.work_date BETWEEN ${from}::date AND ${to}::date
+      AND (${userId}::uuid IS NULL OR e.user_id = ${userId}::uuid)
+      AND (${projectId}::uuid IS NULL OR t.project_id = ${projectId}::uuid)
+    ORDER BY e.work_date, u.display_name, p.title, t.title
+  `;
+}
+
+function totals(entries, keyOf, describe) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = keyOf(e);
+    if (!groups.has(key)) groups.set(key, { ...describe(e), minutes: 0 });
+    groups.get(key).minutes += e.minutes;
+  }
+  return [...groups.values()].map(g => ({ ...g, hours: hours(g.minutes) }));
+}
+
+/**
+ * Totals by week, member and project, and the week × member × project rows
+ * used for the summary CSV
+ */
+export function buildTimesheet(entries, { from, to }) {
+  const user = e => ({ user: { id: e.user_id, name: e.user_name } });
+  const project = e => ({ project: { id: e.project_id, title: e.project_title } });
+  const minutes = entries.reduce((sum, e) => sum + e.minutes, 0);
+
+  return {
+    from, to,
+    minutes,
+    hours: hours(minutes),
+    entryCount: entries.length,
+    weeks: totals(entries, e => weekStart(e.work_date), e => ({ week: weekStart(e.work_date) })),
+    members: totals(entries, e => e.user_id, user),
+    projects: totals(entries, e => e.project_id, project),
+    rows: totals(entries, e => `${weekStart(e.work_date)}|${e.user_id}|${e.project_id}`,
+      e => ({ week: weekStart(e.work_date), ...user(e), ...project(e) }))
+  };
+}
+
+export function summaryCsvRows(timesheet) {
+  return timesheet.rows.map(r => ({ week: r.week, member: r.user.name, project: r.project.title, hours: r.hours }));
+}
+
+export function entryCsvRows(entries) {
+  return entries.map(e => ({
+    date: e.work_date, member: e.user_name, project: e.project_title, task: e.task_title,
+    hours: hours(e.minutes), note: e.note
+  }));
+}
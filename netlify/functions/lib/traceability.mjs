@@ -0,0 +1,171 @@
+/**
+ * PLE Platform - Traceability
+ * Scores each goal by the work that traces to it. A goal traces down through
+ * its child goals, the strategies that achieve them (achieved_by) and the
+ * capabilities that enable those strategies (enabled_by). Projects, tasks
+ * and content count toward a goal when they are linked to any element
+ * on that trace.
+ *
+ * A capability is owned by a working group when a group that is not
+ * disbanded works on a project linked to the capability.
+ */
+
+import { loadGraph, descendantsOf } from './graph.mjs';
+
+// Each measure adds up to its weight once it reaches its target; the weights sum to 100
+export const SCORE_WEIGHTS = {
+  strategies: { weight: 20, target: 2 },
+  capabilities: { weight: 20, target: 3 },
+  activeProjects: { weight: 25, target: 2 },
+  completedTasks: { weight: 20, target: 10 },
+  publishedContent: { weight: 15, target: 3 }
+};
+
+export const RATINGS = [
+  { rating: 'strong', min: 70 },
+  { rating: 'partial', min: 40 },
+  { rating: 'weak', min: 0 }
+];
+
+const ACTIVE_PROJECT_STATUSES = ['active'];
+
+export function scoreCounts(counts) {
+  let score = 0;
+  for (const [measure, { weight, target }] of Object.entries(SCORE_WEIGHTS)) {
+    score += weight * Math.min((counts[measure] || 0) / target, 1);
+  }
+  score = Math.round(score);
+  return { score, rating: RATINGS.find(r => score >= r.min).rating };
+}
+
+/**
+ * Elements reached from a set by following one relationship type forwards
+ * to elements of one type, with their descendants
+ */
+function followFrom(graph, ids, relationshipType, elementType) {
+  const found = new Set();
+  for (const id of ids) {
+    for (const edge of graph.outgoing.get(id) || []) {
+      const target = graph.nodes.get(edge.target_id);
+      if (edge.relationship_type !== relationshipType || target.element_type !== elementType) continue;
+      for (const d of descendantsOf(graph, target.id)) found.add(d);
+    }
+  }
+  return [...found];
+}
+
+export async function buildTraceability(sql) {
+  const graph = await loadGraph(sql);
+
+  const projects = await sql`
+    SELECT p.id, p.status, p.linked_elements,
+           (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id AND t.status = 'done') as completed_tasks,
+           (SELECT COUNT(*) FROM working_groups wg WHERE wg.project_id = p.id AND wg.status != 'disbanded') as group_count
+    FROM projects p
+    WHERE jsonb_typeof(p.linked_elements) = 'array' AND jsonb_array_length(p.linked_elements) > 0
+  `;
+  const content = await sql`
+    SELECT element_id, COUNT(*) as count FROM content_items
+    WHERE status = 'published' AND element_id IS NOT NULL
+    GROUP BY element_id
+  `;
+
+  const projectsByElement = new Map();
+  for (const p of projects) {
+    for (const elementId of p.linked_elements) {
+      if (!projectsByElement.has(elementId)) projectsByElement.set(elementId, []);
+      projectsByElement.get(elementId).push(p);
+    }
+  }
+  const contentByElement = new Map(content.map(c => [c.element_id, parseInt(c.count)]));
+  const codes = ids => ids.map(id => graph.nodes.get(id).code).sort();
+
+  // Top-level goals only; child goals count toward their parent
+  const goalRoots = [...graph.nodes.values()].filter(n =>
+    n.element_type === 'goal' && !(n.parent_id && graph.nodes.has(n.parent_id)));
+  const goalsByCapability = new Map();
+
+  const goals = goalRoots.map(goal => {
+    const goalIds = descendantsOf(graph, goal.id);
+    const strategies = followFrom(graph, goalIds, 'achieved_by', 'strategy');
+    const capabilities = followFrom(graph, strategies, 'enabled_by', 'capability');
+    for (const id of capabilities) {
+      if (!goalsByCapability.has(id)) goalsByCapability.set(id, []);
+      goalsByCapability.get(id).push(goal.code);
+    }
+
+    const traced = [...goalIds, ...strategies, ...capabilities];
+    const linkedProjects = new Map();
+    for (const id of traced) for (const p of projectsByElement.get(id) || []) linkedProjects.set(p.id, p);
+
+    const counts = {
+      strategies: strategies.length,
+      capabilities: capabilities.length,
+      activeProjects: [...linkedProjects.values()].filter(p => ACTIVE_PROJECT_STATUSES.includes(p.status)).length,
+      completedTasks: [...linkedProjects.values()].reduce((sum, p) => sum + parseInt(p.completed_tasks), 0),
+      publishedContent: traced.reduce((sum, id) => sum + (contentByElement.get(id) || 0), 0)
+    };
+    const flags = [];
+    if (counts.activeProjects === 0) flags.push('no_active_work');
+    if (counts.strategies === 0) flags.push('no_strategies');
+
+    return {
+      id: goal.id, code: goal.code, title: goal.title, status: goal.status,
+      ...scoreCounts(counts), counts, flags,
+      subgoals: codes(goalIds.slice(1)), strategies: codes(strategies), capabilities: codes(capabilities)
+    };
+  });
+
+  const capabilities = [...graph.nodes.values()].filter(n => n.element_type === 'capability').map(capability => {
+    const linkedProjects = projectsByElement.get(capability.id) || [];
+    const owningGroups = linkedProjects.reduce((sum, p) => sum + parseInt(p.group_count), 0);
+    const flags = [];
+    if (owningGroups === 0) flags.push('no_owning_group');
+    if (!goalsByCapability.has(capability.id)) flags.push('not_traced_to_goal');
+    return {
+      id: capability.id, code: capability.code, title: capability.title, status: capability.status,
+      goals: (goalsByCapability.get(capability.id) || []).sort(),
+      projects: linkedProjects.length,
+      activeProjects: linkedProjects.filter(p => ACTIVE_PROJECT_STATUSES.includes(p.status)).length,
+      owningGroups, flags
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    weights: SCORE_WEIGHTS,
+    goals,
+    capabilities,
+    summary: {
+      goals: goals.length,
+      averageScore: goals.length ? Math.round(goals.reduce((sum, g) => sum + g.score, 0) / goals.length) : 0,
+      goalsWithoutActiveWork: goals.filter(g => g.flags.includes('no_active_work')).map(g => g.code),
+      capabilitiesWithoutOwner: capabilities.filter(c => c.flags.includes('no_owning_group')).map(c => c.code)
+    }
+  };
+}
+
+/**
+ * The goal matrix as rows for toCsv
+ */
+export const MATRIX_COLUMNS = [
+  { key: 'code', label: 'Goal' },
+  { key: 'title', label: 'Title' },
+  { key: 'score', label: 'Score' },
+  { key: 'rating', label: 'Rating' },
+  { key: 'strategies', label: 'Strategies' },
+  { key: 'capabilities', label: 'Capabilities' },
+  { key: 'activeProjects', label: 'Active projects' },
+  { key: 'completedTasks', label: 'Completed tasks' },
+  { key: 'publishedContent', label: 'Published content' },
+  { key: 'strategyCodes', label: 'Strategy codes' },
+  { key: 'capabilityCodes', label: 'Capability codes' },
+  { key: 'flags', label: 'Flags' }
+];
+
+export function matrixRows(report) {
+  return report.goals.map(g => ({
+    code: g.code, title: g.title, score: g.score, rating: g.rating, ...g.counts,
+    strategyCodes: g.strategies, capabilityCodes: g.capabilities, flags: g.flags
+  }));
+}
@@ -0,0 +1,256 @@
+/**
+ * PLE Platform - Voting Modes
+ * Ballot validation and tallying for proposals with several options.
+ *
+ *   binary   — approve / reject / abstain (votes.vote_type)
+ *   ranked   — instant runoff: { ranking: [optionId, ...] }, most preferred first, partial rankings allowed
+ *   approval — { approved: [optionId, ...] }, the option approved on most ballots wins
+ *   score    — { scores: { optionId: 0..maxScore } }, unscored options count as 0, highest total wins
+ *
+ * Multi-option ballots are stored as vote_type 'ballot' with the ballot in votes.ballot;
+ * an abstention is vote_type 'abstain' in every mode. A ballot carries the
+ * weight of the voter plus any votes delegated to them (see delegation.mjs).
+ */
+
+import { resolveDelegations } from './delegation.mjs';
+
+export const VOTING_MODES = ['binary', 'ranked', 'approval', 'score'];
+
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 20;
+export const DEFAULT_MAX_SCORE = 5;
+
+const weightOf = b => b.weight ?? 1;
+const totalWeight = ballots => ballots.reduce((sum, b) => sum + weightOf(b), 0);
+
+export function isMultiOption(mode) {
+  return mode && mode !== 'binary';
+}
+
+export function maxScore(config) {
+  return parseInt(config?.maxScore) || DEFAULT_MAX_SCORE;
+}
+
+/**
+ * Check a list of options submitted with a proposal. Returns { options } or { error }.
+ */
+export function validateOptions(options) {
+  if (!Array.isArray(options)) return { error: 'options must be an array' };
+  const cleaned = options
+    .map(o => typeof o === 'string' ? { label: o } : o)
+    .map(o => ({ label: String(o?.label || '').trim(), description: o?.description || null }))
+    .filter(o => o.label);
+  if (cleaned.length < MIN_OPTIONS || cleaned.length > MAX_OPTIONS) {
+    return { error: `Multi-option proposals need between ${MIN_OPTIONS} and ${MAX_OPTIONS} options` };
+  }
+  const labels = new Set(cleaned.map(o => o.label.toLowerCase()));
+  if (labels.size !== cleaned.length) return { error: 'Option labels must be unique' };
+  return { options: cleaned };
+}
+
+/**
+ * Check a ballot against the proposal's mode and options. Returns { ballot } (normalized) or { error }.
+ */
+export function validateBallot(mode, options, ballot, config = {}) {
+  const ids = new Set(options.map(o => o.id));
+  if (!ballot || typeof ballot !== 'object') return { error: `A ${mode} ballot is required` };
+
+  if (mode === 'ranked') {
+    const ranking = ballot.ranking;
+    if (!Array.isArray(ranking) || ranking.length === 0) {
+      return { error: 'ranking must list at least one option, most preferred first' };
+    }
+    if (ranking.some(id => !ids.has(id))) return { error: 'ranking contains an unknown option' };
+    if (new Set(ranking).size !== ranking.length) return { error: 'Each option can be ranked only once' };
+    return { ballot: { ranking } };
+  }
+
+  if (mode === 'approval') {
+    const approved = ballot.approved;
+    if (!Array.isArray(approved) || approved.length === 0) {
+      return { error: 'approved must list at least one option (abstain to approve none)' };
+    }
+    if (approved.some(id => !ids.has(id))) return { error: 'approved contains an unknown option' };
+    if (new Set(approved).size !== approved.length) return { error: 'Each option can be approved only once' };
+    return { ballot: { approved } };
+  }
+
+  if (mode === 'score') {
+    const scores = ballot.scores;
+    const max = maxScore(config);
+    if (!scores || typeof scores !== 'object' || Array.isArray(scores) || Object.keys(scores).length === 0) {
+      return { error: 'scores must map at least one option to a score' };
+    }
+    for (const [id, score] of Object.entries(scores)) {
+      if (!ids.has(id)) return { error: 'scores contains an unknown option' };
+      if (!Number.isInteger(score) || score < 0 || score > max) {
+        return { error: `Scores must be whole numbers from 0 to ${max}` };
+      }
+    }
+    return { ballot: { scores } };
+  }
+
+  return { error: `Ballots are not used in ${mode} mode` };
+}
+
+// ============================================
+// Tallying
+// ============================================
+
+/**
+ * Instant runoff. Each round counts every ballot for its highest-ranked
+ * option still in the race; an option with more than half of the continuing
+ * ballots wins, otherwise the weakest option is eliminated. Ties for last are
+ * broken by first-round support, then by the later-listed option. If every
+ * remaining option is level the result is a tie.
+ */
+export function tallyRanked(options, ballots) {
+  const remaining = options.map(o => o.id);
+  const order = new Map(options.map((o, i) => [o.id, i]));
+  const rounds = [];
+  let firstRound = null;
+  let winner = null;
+  let tie = false;
+
+  while (remaining.length > 0) {
+    const counts = Object.fromEntries(remaining.map(id => [id, 0]));
+    let exhausted = 0;
+    for (const b of ballots) {
+      const choice = b.ranking.find(id => id in counts);
+      if (choice) counts[choice] += weightOf(b);
+      else exhausted += weightOf(b);
+    }
+    firstRound ||= counts;
+
+    const continuing = totalWeight(ballots) - exhausted;
+    const round = { round: rounds.length + 1, counts, exhausted, continuing };
+    rounds.push(round);
+
+    const leader = remaining.reduce((a, b) => counts[b] > counts[a] ? b : a);
+    if (continuing > 0 && (counts[leader] * 2 > continuing || remaining.length === 1)) {
+      winner = leader;
+      break;
+    }
+    if (remaining.every(id => counts[id] === counts[remaining[0]])) {
+      tie = continuing > 0;
+      break;
+    }
+
+    const lowest = Math.min(...remaining.map(id => counts[id]));
+    const candidates = remaining.filter(id => counts[id] === lowest);
+    const eliminated = candidates.sort((a, b) =>
+      (firstRound[a] - firstRound[b]) || (order.get(b) - order.get(a))
+    )[0];
+    round.eliminated = eliminated;
+    if (candidates.length > 1) round.tieBreak = true;
+    remaining.splice(remaining.indexOf(eliminated), 1);
+  }
+
+  const last = rounds[rounds.length - 1]?.counts || {};
+  return {
+    rounds,
+    results: options.map(o => ({ optionId: o.id, label: o.label, firstPreferences: firstRound?.[o.id] || 0, finalVotes: last[o.id] ?? null })),
+    winner,
+    tie
+  };
+}
+
+export function tallyApproval(options, ballots) {
+  const counts = Object.fromEntries(options.map(o => [o.id, 0]));
+  for (const b of ballots) for (const id of b.approved) if (id in counts) counts[id] += weightOf(b);
+  const weight = totalWeight(ballots);
+  return pickHighest(options, counts, id => ({
+    approvals: counts[id],
+    share: weight ? Math.round(counts[id] / weight * 10000) / 10000 : 0
+  }));
+}
+
+export function tallyScore(options, ballots, config = {}) {
+  const totals = Object.fromEntries(options.map(o => [o.id, 0]));
+  for (const b of ballots) {
+    for (const [id, score] of Object.entries(b.scores)) if (id in totals) totals[id] += score * weightOf(b);
+  }
+  const weight = totalWeight(ballots);
+  return pickHighest(options, totals, id => ({
+    total: totals[id],
+    average: weight ? Math.round(totals[id] / weight * 100) / 100 : 0
+  }), { maxScore: maxScore(config) });
+}
+
+function pickHighest(options, values, describe, extra = {}) {
+  const best = Math.max(0, ...Object.values(values));
+  const leaders = options.filter(o => values[o.id] === best && best > 0);
+  return {
+    ...extra,
+    rounds: [{ round: 1, counts: values }],
+    results: options.map(o => ({ optionId: o.id, label: o.label, ...describe(o.id) })),
+    winner: leaders.length === 1 ? leaders[0].id : null,
+    tie: leaders.length > 1
+  };
+}
+
+export function tallyBallots(mode, options, ballots, config = {}) {
+  if (mode === 'ranked') return tallyRanked(options, ballots);
+  if (mode === 'approval') return tallyApproval(options, ballots);
+  if (mode === 'score') return tallyScore(options, ballots, config);
+  throw new Error(`Cannot tally ballots for ${mode} mode`);
+}
+
+// ============================================
+// Database helpers
+// ============================================
+
+export function formatOption(o) {
+  return { id: o.id, label: o.label, description: o.description, position: o.position };
+}
+
+export async function getOptions(sql, proposalId) {
+  return sql`SELECT * FROM proposal_options WHERE proposal_id = ${proposalId} ORDER BY position`;
+}
+
+/**
+ * Replace a proposal's options (only allowed before voting opens)
+ */
+export function replaceOptionsQueries(sql, proposalId, options) {
+  return [
+    sql`DELETE FROM proposal_options WHERE proposal_id = ${proposalId}`,
+    ...options.map((o, i) => sql`
+      INSERT INTO proposal_options (proposal_id, label, description, position)
+      VALUES (${proposalId}, ${o.label}, ${o.description}, ${i})
+    `)
+  ];
+}
+
+/**
+ * Tally the ballots of a multi-option proposal, weighted by delegation.
+ * ballots and abstain are weights; direct counts the members who voted themselves.
+ */
+export async function tallyProposalBallots(sql, proposal) {
+  const [options, votes] = await Promise.all([
+    getOptions(sql, proposal.id),
+    sql`SELECT user_id, vote_type, ballot FROM votes WHERE proposal_id = ${proposal.id}`
+  ]);
+  const { weights, unresolved, cycles } = await resolveDelegations(sql, proposal, new Set(votes.map(v => v.user_id)));
+  const weighted = v => 1 + (weights.get(v.user_id) || 0);
+
+  const cast = votes.filter(v => v.vote_type === 'ballot' && v.ballot);
+  const abstained = votes.filter(v => v.vote_type === 'abstain');
+  const ballots = cast.map(v => ({ ...v.ballot, weight: weighted(v) }));
+  const ballotWeight = totalWeight(ballots);
+  const abstain = abstained.reduce((sum, v) => sum + weighted(v), 0);
+
+  const tally = tallyBallots(proposal.voting_mode, options, ballots, proposal.voting_config || {});
+  const winner = options.find(o => o.id === tally.winner);
+  return {
+    mode: proposal.voting_mode,
+    ballots: ballotWeight,
+    abstain,
+    total: ballotWeight + abstain,
+    direct: { ballots: cast.length, abstain: abstained.length },
+    delegated: { ballots: ballotWeight - cast.length, abstain: abstain - abstained.length },
+    unresolved,
+    cycles,
+    ...tally,
+    winner: winner ? { id: winner.id, label: winner.label } : null
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * PLE Platform - Kanban Workflows
+ * A project's workflow is its board: the states a task moves through, in
+ * column order, the moves allowed between them and how many top-level tasks
+ * each column may hold at once.
+ *
+ *   { states: [{ key, label, wipLimit, started }], transitions: { from: [to] } | null }
+ *
+ * Every workflow keeps `backlog`, where tasks land when no other state is
+ * asked for, and `done`, which progress, dependencies and recurrence treat
+ * as finished; both can be relabelled. `started` marks the states that
+ * count as work having begun for start-to-start dependencies. With no
+ * transitions a task can move between any two states. With them, a state
+ * that has an entry can only move to the states it lists; one without can
+ * move anywhere.
+ * Subtasks are not on the board, so transitions and WIP limits only apply to
+ * top-level tasks.
+ */
+
+export const DEFAULT_WORKFLOW = {
+  states: [
+    { key: 'backlog', label: 'Backlog', wipLimit: null, started: false },
+    { key: 'todo', label: 'To Do', wipLimit: null, started: false },
+    { key: 'in_progress', label: 'In Progress', wipLimit: null, started: true },
+    { key: 'review', label: 'Review', wipLimit: null, started: true },
+    { key: 'done', label: 'Done', wipLimit: null, started: true }
+  ],
+  transitions: null
+};
+
+export const REQUIRED_STATES = ['backlog', 'done'];
+
+const STATE_KEY = /^[a-z][a-z0-9_]{0,29}$/;
+const MAX_STATES = 12;
+const MAX_WIP_LIMIT = 999;
+
+export function startedStates(workflow) {
+  return workflow.states.filter(s => s.started).map(s => s.key);
+}
+
+/**
+ * Check and normalise a workflow. Returns { workflow } or { error }.
+ */
+export function validateWorkflow(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.states)) {
+    return { error: 'workflow must be an object with a states array' };
+  }
+  if (input.states.length < REQUIRED_STATES.length || input.states.length > MAX_STATES) {
+    return { error: `A workflow must have between ${REQUIRED_STATES.length} and ${MAX_STATES} states` };
+  }
+
+  const states = [];
+  for (const [i, s] of input.states.entries()) {
+    if (!s || typeof s !== 'object') return { error: `states[${i}] must be an object` };
+    if (!STATE_KEY.test(s.key || '')) {
+      return { error: `states[${i}].key must be lowercase letters, digits and underscores, starting with a letter` };
+    }
+    if (states.some(other => other.key === s.key)) return { error: `The state "${s.key}" appears more than once` };
+
+    const label = typeof s.label === 'string' && s.label.trim() ? s.label.trim() : '';
+    if (!label) return { error: `states[${i}].label is required` };
+    if (label.length > 40) return { error: `states[${i}].label must be 40 characters or fewer` };
+
+    let wipLimit = null;
+    if (s.wipLimit !== undefined && s.wipLimit !== null && s.wipLimit !== '') {
+      wipLimit = Number(s.wipLimit);
+      if (!Number.isInteger(wipLimit) || wipLimit < 1 || wipLimit > MAX_WIP_LIMIT) {
+        return { error: `states[${i}].wipLimit must be a whole number from 1 to ${MAX_WIP_LIMIT}` };
+      }
+    }
+    // A finished task has always started
+    states.push({ key: s.key, label, wipLimit, started: s.key === 'done' || s.started === true });
+  }
+
+  const missing = REQUIRED_STATES.filter(key => !states.some(s => s.key === key));
+  if (missing.length > 0) return { error: `A workflow must keep the ${missing.map(k => `"${k}"`).join(' and ')} state${missing.length === 1 ? '' : 's'}` };
+
+  let transitions = null;
+  if (input.transitions !== undefined && input.transitions !== null) {
+    if (typeof input.transitions !== 'object' || Array.isArray(input.transitions)) {
+      return { error: 'transitions must map each state to the states it can move to' };
+    }
+    const keys = new Set(states.map(s => s.key));
+    transitions = {};
+    for (const [from, to] of Object.entries(input.transitions)) {
+      if (!keys.has(from)) return { error: `transitions has an entry for "${from}", which is not a state` };
+      if (!Array.isArray(to)) return { error: `transitions.${from} must be an array of states` };
+      const unknown = to.find(key => !keys.has(key));
+      if (unknown) return { error: `transitions.${from} lists "${unknown}", which is not a state` };
+      transitions[from] = [...new Set(to.filter(key => key !== from))];
+    }
+  }
+
+  return { workflow: { states, transitions } };
+}
+
+/**
+ * A project's workflow, or null when the project does not exist
+ */
+export async function getWorkflow(sql, projectId) {
+  const rows = await sql`SELECT workflow FROM projects WHERE id = ${projectId}`;
+  if (rows.length === 0) return null;
+  return rows[0].workflow || DEFAULT_WORKFLOW;
+}
+
+/**
+ * Whether a task can move to a state: the state must be in the workflow, the
+ * move allowed from the task's current state, and the column under its WIP
+ * limit. For a new task pass { id: null, project_id, status: null }.
+ * Returns null, or { error, status } with the allowed moves or the limit.
+ */
+export async function checkMove(sql, workflow, task, to) {
+  return checkMoves(sql, workflow, [task], to);
+}
+
+/**
+ * checkMove for tasks of one project moving to a state together. The WIP
+ * limit counts every top-level task that would end up in the column.
+ */
+export async function checkMoves(sql, workflow, tasks, to) {
+  const target = workflow.states.find(s => s.key === to);
+  if (!target) {
+    return { error: `"${to}" is not a state in this project's workflow`, status: 400, states: workflow.states.map(s => s.key) };
+  }
+  const moving = tasks.filter(t => !t.parent_task_id && t.status !== to);
+  if (moving.length === 0) return null;
+
+  for (const task of moving) {
+    const allowed = task.status && workflow.transitions?.[task.status];
+    if (allowed && !allowed.includes(to)) {
+      const from = workflow.states.find(s => s.key === task.status);
+      const subject = tasks.length > 1 ? `"${task.title}" cannot` : 'Tasks cannot';
+      return { error: `${subject} move from ${from?.label || task.status} to ${target.label}`, status: 409, allowed, taskId: task.id || undefined };
+    }
+  }
+
+  if (target.wipLimit) {
+    const rows = await sql`
+      SELECT COUNT(*) as count FROM tasks
+      WHERE project_id = ${moving[0].project_id} AND status = ${to} AND parent_task_id IS NULL
+    `;
+    const count = parseInt(rows[0].count) + moving.length;
+    if (count > target.wipLimit) {
+      const error = moving.length > 1
+        ? `Moving ${moving.length} tasks would put ${target.label} over its WIP limit of ${target.wipLimit}`
+        : `${target.label} is at its WIP limit of ${target.wipLimit}`;
+      return { error, status: 409, wipLimit: target.wipLimit };
+    }
+  }
+  return null;
+}
+
+/**
+ * The states with tasks in them that a new workflow leaves out, with how
+ * many tasks each holds. A workflow cannot drop a state still in use.
+ */
+export async function orphanedStates(sql, projectId, workflow) {
+  const keys = workflow.states.map(s => s.key);
+  const rows = await sql`
+    SELECT status, COUNT(*) as count FROM tasks
+    WHERE project_id = ${projectId} AND status != ALL(${keys})
+    GROUP BY status ORDER BY status
+  `;
+  return rows.map(r => ({ key: r.status, count: parseInt(r.count) }));
+}
+
+/**
+ * The board's columns in workflow order. tasks are formatted top-level
+ * tasks already sorted by order index; any in a state the workflow does not
+ * have are returned as unplaced.
+ */
+export function buildBoard(workflow, tasks) {
+  const columns = workflow.states.map(s => {
+    const columnTasks = tasks.filter(t => t.status === s.key);
+    return {
+      ...s,
+      allowedMoves: workflow.transitions?.[s.key] || workflow.states.map(o => o.key).filter(k => k !== s.key),
+      count: columnTasks.length,
+      overLimit: !!s.wipLimit && columnTasks.length > s.wipLimit,
+      tasks: columnTasks
+    };
+  });
+  const keys = new Set(workflow.states.map(s => s.key));
+  return { columns, unplaced: tasks.filter(t => !keys.has(t.status)) };
+}
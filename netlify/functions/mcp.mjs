@@ -6,7 +6,7 @@ import { getDb, jsonResponse } from './lib/db.mjs';
 const TOOLS = [
   { name: 'query_knowledge_base', description: 'Query the PLE knowledge base for framework elements, concepts, examples, and statistics.', inputSchema: { type: 'object', properties: { topic: { type: 'string', description: 'Topic: framework, pyramid_of_prosperity, pyramid_of_power, four_human_offerings, attractor_states, property_interventions, economic_agency, manifesto, concepts, examples, statistics, sources, all' }, query: { type: 'string', description: 'Optional filter query' } }, required: ['topic'] } },
   { name: 'get_content', description: 'Retrieve published PLE articles. Filter by slug, tag, or search.', inputSchema: { type: 'object', properties: { slug: { type: 'string' }, tag: { type: 'string' }, search: { type: 'string' }, limit: { type: 'number' } } } },
-  { name: 'get_proposals', description: 'Retrieve PLE policy proposals with vote counts and status.', inputSchema: { type: 'object', properties: { status: { type: 'string', enum: ['draft','open','voting','approved','implemented'] }, limit: { type: 'number' } } } },
+  { name: 'get_proposals', description: 'Retrieve PLE policy proposals with vote counts and status.', inputSchema: { type: 'object', properties: { status: { type: 'string', enum: ['draft','open','closed','passed','rejected','withdrawn'] }, limit: { type: 'number' } } } },
   { name: 'get_architecture', description: 'Retrieve GATO alignment architecture elements. Includes goals, strategies, capabilities, principles.', inputSchema: { type: 'object', properties: { type: { type: 'string', description: 'Filter: goal, strategy, capability, principle' }, code: { type: 'string', description: 'Get specific element by code (e.g. GOAL-001)' } } } },
   { name: 'get_alignment', description: 'Get architecture alignment for a specific element — shows linked proposals, content, discussions, and projects. Also available as summary view.', inputSchema: { type: 'object', properties: { element: { type: 'string', description: 'Element code (e.g. GOAL-001) or ID' }, summary: { type: 'boolean', description: 'If true, returns all elements with alignment counts' } } } },
   { name: 'search_platform', description: 'Full-text search across all PLE content, proposals, discussions, and KB.', inputSchema: { type: 'object', properties: { query: { type: 'string' }, scope: { type: 'string', enum: ['content','proposals','discussions','kb','all'] } }, required: ['query'] } }
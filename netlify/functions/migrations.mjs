@@ -0,0 +1,77 @@
+/**
+ * PLE Platform - Migrations API
+ * Admin view of schema migrations with manual apply and rollback
+ *
+ * GET  /api/migrations                    — applied / pending / unknown migrations
+ * POST /api/migrations?action=migrate     — apply pending migrations ({ target? })
+ * POST /api/migrations?action=rollback    — roll back to a version ({ to? }, default: undo latest)
+ */
+
+import { getDb, getCurrentUser, logActivity, jsonResponse, sql as rawSql } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { migrate, rollback, getMigrationStatus } from './lib/migrate.mjs';
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+
+  try {
+    // Keep the endpoint usable when a cold-start migration fails, so admins can see why
+    let startupError = null;
+    try {
+      await getDb();
+    } catch (error) {
+      startupError = error.message;
+    }
+
+    const user = await getCurrentUser(req);
+    const denied = await requirePermission(rawSql, user, 'system.migrate');
+    if (denied) return denied;
+
+    if (req.method === 'GET') {
+      const status = await getMigrationStatus(rawSql);
+      return jsonResponse({ ...status, startupError });
+    }
+
+    if (req.method === 'POST') {
+      const action = url.searchParams.get('action');
+      const body = await req.json().catch(() => ({}));
+      if (action === 'migrate') return await applyMigrations(body, user);
+      if (action === 'rollback') return await rollbackMigrations(body, user);
+      return jsonResponse({ error: 'Invalid action' }, 400);
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('Migrations API error:', error);
+    return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+  }
+};
+
+async function applyMigrations(body, user) {
+  const target = body.target != null ? parseInt(body.target) : null;
+  if (target !== null && isNaN(target)) return jsonResponse({ error: 'target must be a migration version' }, 400);
+
+  const { applied } = await migrate(rawSql, { target });
+  if (applied.length > 0) {
+    await logActivity(user.id, 'migrations_applied', 'system', null, { versions: applied });
+  }
+
+  return jsonResponse({ success: true, applied, status: await getMigrationStatus(rawSql) });
+}
+
+async function rollbackMigrations(body, user) {
+  const to = body.to != null ? parseInt(body.to) : null;
+  if (to !== null && isNaN(to)) return jsonResponse({ error: 'to must be a migration version' }, 400);
+
+  try {
+    const { rolledBack } = await rollback(rawSql, { to });
+    if (rolledBack.length > 0) {
+      await logActivity(user.id, 'migrations_rolled_back', 'system', null, { versions: rolledBack });
+    }
+    return jsonResponse({ success: true, rolledBack, status: await getMigrationStatus(rawSql) });
+  } catch (error) {
+    return jsonResponse({ error: error.message }, 400);
+  }
+}
+
+export const config = { path: '/api/migrations' };
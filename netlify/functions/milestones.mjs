@@ -4,6 +4,8 @@
  */
 
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { recomputeProjectProgress, computeProgress } from './lib/progress.mjs';
 
 export default async function handler(req) {
   const url = new URL(req.url);
@@ -112,10 +114,10 @@ async function getMilestone(db, milestoneId) {
     ORDER BY t.order_index, t.created_at
   `;
 
-  // Calculate progress
+  // Calculate progress the same way the project does, with subtasks rolled up
   const totalTasks = tasks.length;
   const completedTasks = tasks.filter(t => t.status === 'done').length;
-  const progress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+  const { progress } = computeProgress('milestones', tasks, [milestone]).milestones[0];
 
   return jsonResponse({
     ...milestone,
@@ -147,9 +149,8 @@ async function createMilestone(db, req, user) {
     return jsonResponse({ error: 'Project not found' }, 404);
   }
 
-  if (project[0].owner_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Permission denied' }, 403);
-  }
+  const denied = await requirePermission(db, user, 'milestone.manage', { projectId: project_id });
+  if (denied) return denied;
 
   // Get next order index if not specified
   let orderIdx = order_index;
@@ -170,6 +171,7 @@ async function createMilestone(db, req, user) {
   const milestone = result[0];
 
   await logActivity(user.id, 'created', 'milestone', milestone.id, { title, project_id });
+  await recomputeProjectProgress(db, project_id);
 
   return jsonResponse(milestone, 201);
 }
@@ -191,9 +193,8 @@ async function updateMilestone(db, milestoneId, req, user) {
 
   const milestone = existing[0];
 
-  if (milestone.project_owner_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Permission denied' }, 403);
-  }
+  const denied = await requirePermission(db, user, 'milestone.manage', { projectId: milestone.project_id });
+  if (denied) return denied;
 
   const allowedFields = ['title', 'description', 'target_date', 'completed_date', 'status', 'order_index'];
   const updates = {};
@@ -229,6 +230,7 @@ async function updateMilestone(db, milestoneId, req, user) {
   const result = await db.unsafe(query, values);
 
   await logActivity(user.id, 'updated', 'milestone', milestoneId, { fields: Object.keys(updates) });
+  await recomputeProjectProgress(db, milestone.project_id);
 
   return jsonResponse(result[0]);
 }
@@ -248,9 +250,8 @@ async function deleteMilestone(db, milestoneId, user) {
 
   const milestone = existing[0];
 
-  if (milestone.project_owner_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Permission denied' }, 403);
-  }
+  const denied = await requirePermission(db, user, 'milestone.manage', { projectId: milestone.project_id });
+  if (denied) return denied;
 
   // Unlink tasks (don't delete them)
   await db`UPDATE tasks SET milestone_id = NULL WHERE milestone_id = ${milestoneId}`;
@@ -259,6 +260,7 @@ async function deleteMilestone(db, milestoneId, user) {
   await db`DELETE FROM milestones WHERE id = ${milestoneId}`;
 
   await logActivity(user.id, 'deleted', 'milestone', milestoneId, { title: milestone.title });
+  await recomputeProjectProgress(db, milestone.project_id);
 
   return jsonResponse({ success: true, message: 'Milestone deleted' });
 }
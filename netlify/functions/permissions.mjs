@@ -0,0 +1,85 @@
+/**
+ * PLE Platform - Permissions API
+ * Inspect the permission catalog and a user's effective permissions
+ *
+ * GET /api/permissions                                  — catalog of permissions and role grants
+ * GET /api/permissions?action=effective                 — the caller's own effective permissions
+ * GET /api/permissions?action=effective&userId=<id>     — any user's (requires user.view_permissions)
+ * GET /api/permissions?action=check&permission=<name>&userId=&projectId=&groupId=&ownerId=
+ *                                                       — evaluate one permission against a resource
+ */
+
+import { getDb, getCurrentUser, jsonResponse } from './lib/db.mjs';
+import {
+  PERMISSIONS, ROLE_PERMISSIONS, can, getRoles, getEffectivePermissions, requirePermission
+} from './lib/permissions.mjs';
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+
+  try {
+    const sql = await getDb();
+    const user = await getCurrentUser(req);
+    if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+    if (req.method !== 'GET') return jsonResponse({ error: 'Method not allowed' }, 405);
+
+    const action = url.searchParams.get('action');
+    if (action === 'effective') return await getEffective(sql, url.searchParams, user);
+    if (action === 'check') return await checkPermission(sql, url.searchParams, user);
+
+    return jsonResponse({
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      roles: ROLE_PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Permissions API error:', error);
+    return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+  }
+};
+
+// Inspecting someone else requires user.view_permissions; everyone may inspect themselves
+async function loadSubject(sql, params, user) {
+  const userId = params.get('userId');
+  if (!userId || userId === user.id) return { subject: user };
+
+  const denied = await requirePermission(sql, user, 'user.view_permissions');
+  if (denied) return { denied };
+
+  const users = await sql`SELECT id, email, display_name, role FROM users WHERE id = ${userId}`;
+  if (users.length === 0) return { denied: jsonResponse({ error: 'User not found' }, 404) };
+  return { subject: users[0] };
+}
+
+async function getEffective(sql, params, user) {
+  const { subject, denied } = await loadSubject(sql, params, user);
+  if (denied) return denied;
+
+  return jsonResponse(await getEffectivePermissions(sql, subject));
+}
+
+async function checkPermission(sql, params, user) {
+  const permission = params.get('permission');
+  if (!permission || !PERMISSIONS[permission]) {
+    return jsonResponse({ error: 'A valid permission is required', available: Object.keys(PERMISSIONS) }, 400);
+  }
+
+  const { subject, denied } = await loadSubject(sql, params, user);
+  if (denied) return denied;
+
+  const resource = {
+    ownerId: params.get('ownerId') || undefined,
+    projectId: params.get('projectId') || undefined,
+    groupId: params.get('groupId') || undefined
+  };
+
+  return jsonResponse({
+    userId: subject.id,
+    permission,
+    resource,
+    roles: await getRoles(sql, subject, resource),
+    allowed: await can(sql, subject, permission, resource)
+  });
+}
+
+export const config = { path: '/api/permissions' };
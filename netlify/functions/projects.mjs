@@ -4,6 +4,10 @@
  */
 
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { PROGRESS_MODELS, projectProgress, recomputeProjectProgress } from './lib/progress.mjs';
+import { DEFAULT_WORKFLOW, validateWorkflow, orphanedStates } from './lib/workflows.mjs';
+import { loadForecast } from './lib/forecast.mjs';
 import { v4 as uuidv4 } from 'uuid';
 
 export default async (req, context) => {
@@ -154,6 +158,8 @@ async function getProject(sql, id, user) {
 
   return jsonResponse({
     project: formatProject(project),
+    progress: await projectProgress(sql, project),
+    forecast: await loadForecast(sql, project.id),
     milestones, taskStats: taskStats.reduce((acc, s) => ({ ...acc, [s.status]: parseInt(s.count) }), {}),
     recentTasks, workingGroups, activity
   });
@@ -161,9 +167,15 @@ async function getProject(sql, id, user) {
 
 async function createProject(sql, body, user) {
   const { title, description, project_type = 'initiative', visibility = 'members',
-    priority = 'medium', linked_proposal_id, linked_elements = [], start_date, target_end_date } = body;
+    priority = 'medium', linked_proposal_id, linked_elements = [], start_date, target_end_date, progress_model = 'tasks' } = body;
+
+  const denied = await requirePermission(sql, user, 'project.create');
+  if (denied) return denied;
 
   if (!title) return jsonResponse({ error: 'Title is required' }, 400);
+  if (!PROGRESS_MODELS.includes(progress_model)) {
+    return jsonResponse({ error: `progress_model must be one of: ${PROGRESS_MODELS.join(', ')}` }, 400);
+  }
 
   const id = uuidv4();
   const baseSlug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
@@ -173,9 +185,10 @@ async function createProject(sql, body, user) {
 
   await sql`
     INSERT INTO projects (id, title, slug, description, project_type, status, visibility, priority,
-      owner_id, linked_proposal_id, linked_elements, start_date, target_end_date)
+      owner_id, linked_proposal_id, linked_elements, start_date, target_end_date, progress_model)
     VALUES (${id}, ${title}, ${slug}, ${description || null}, ${project_type}, 'draft', ${visibility}, ${priority},
-      ${user.id}, ${linked_proposal_id || null}, ${linkedElementsJson}::jsonb, ${start_date || null}, ${target_end_date || null})
+      ${user.id}, ${linked_proposal_id || null}, ${linkedElementsJson}::jsonb, ${start_date || null}, ${target_end_date || null},
+      ${progress_model})
   `;
 
   await logActivity(user.id, 'project_created', 'project', id, { title });
@@ -183,23 +196,57 @@ async function createProject(sql, body, user) {
 }
 
 async function updateProject(sql, body, user) {
-  const { id, title, description, status, visibility, priority, progress } = body;
+  const { id, title, description, status, visibility, priority, progress, progress_model, workflow } = body;
   if (!id) return jsonResponse({ error: 'Project ID is required' }, 400);
 
-  const projects = await sql`SELECT owner_id FROM projects WHERE id = ${id}`;
+  const projects = await sql`SELECT owner_id, title, progress_model FROM projects WHERE id = ${id}`;
   if (projects.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
-  if (projects[0].owner_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Not authorized' }, 403);
+
+  const denied = await requirePermission(sql, user, 'project.edit', { projectId: id });
+  if (denied) return denied;
+
+  if (progress_model && !PROGRESS_MODELS.includes(progress_model)) {
+    return jsonResponse({ error: `progress_model must be one of: ${PROGRESS_MODELS.join(', ')}` }, 400);
+  }
+
+  // Progress is only set by hand under the manual model; the others work it out
+  const model = progress_model || projects[0].progress_model || 'tasks';
+  let manualProgress = null;
+  if (progress !== undefined && progress !== null && progress !== '') {
+    if (model !== 'manual') {
+      return jsonResponse({ error: `Progress is worked out from ${model}; switch the progress model to manual to set it by hand` }, 409);
+    }
+    manualProgress = parseInt(progress);
+    if (isNaN(manualProgress) || manualProgress < 0 || manualProgress > 100) {
+      return jsonResponse({ error: 'Progress must be between 0 and 100' }, 400);
+    }
+  }
+
+  // workflow: null goes back to the default; a state cannot be dropped while tasks are in it
+  let workflowJson = null;
+  if (workflow !== undefined) {
+    const result = workflow === null ? { workflow: DEFAULT_WORKFLOW } : validateWorkflow(workflow);
+    if (result.error) return jsonResponse({ error: result.error }, 400);
+    const orphaned = await orphanedStates(sql, id, result.workflow);
+    if (orphaned.length > 0) {
+      const names = orphaned.map(o => `"${o.key}" (${o.count})`).join(', ');
+      return jsonResponse({ error: `Move the tasks out of ${names} before removing ${orphaned.length === 1 ? 'that state' : 'those states'}`, states: orphaned }, 409);
+    }
+    workflowJson = workflow === null ? null : JSON.stringify(result.workflow);
   }
 
   await sql`
     UPDATE projects SET title = COALESCE(${title || null}, title), description = COALESCE(${description || null}, description),
       status = COALESCE(${status || null}, status), visibility = COALESCE(${visibility || null}, visibility),
-      priority = COALESCE(${priority || null}, priority), progress = COALESCE(${progress || null}, progress),
+      priority = COALESCE(${priority || null}, priority), progress_model = COALESCE(${progress_model || null}, progress_model),
+      progress = COALESCE(${manualProgress}, progress),
+      workflow = CASE WHEN ${workflow !== undefined} THEN ${workflowJson}::jsonb ELSE workflow END,
       updated_at = CURRENT_TIMESTAMP WHERE id = ${id}
   `;
+  if (model !== 'manual') await recomputeProjectProgress(sql, id);
 
   await logActivity(user.id, 'project_updated', 'project', id);
+  if (workflow !== undefined) await logActivity(user.id, 'project_workflow_changed', 'project', id, { title: title || projects[0].title, custom: workflow !== null });
   return jsonResponse({ success: true });
 }
 
@@ -208,9 +255,9 @@ async function deleteProject(sql, id, user) {
 
   const projects = await sql`SELECT owner_id, title FROM projects WHERE id = ${id}`;
   if (projects.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
-  if (projects[0].owner_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Not authorized' }, 403);
-  }
+
+  const denied = await requirePermission(sql, user, 'project.archive', { projectId: id });
+  if (denied) return denied;
 
   await sql`UPDATE projects SET status = 'archived', updated_at = CURRENT_TIMESTAMP WHERE id = ${id}`;
   await logActivity(user.id, 'project_archived', 'project', id, { title: projects[0].title });
@@ -221,7 +268,8 @@ function formatProject(p) {
   return {
     id: p.id, title: p.title, slug: p.slug, description: p.description,
     projectType: p.project_type, status: p.status, visibility: p.visibility,
-    priority: p.priority, progress: parseInt(p.progress || 0),
+    priority: p.priority, progress: parseInt(p.progress || 0), progressModel: p.progress_model || 'tasks',
+    workflow: p.workflow || DEFAULT_WORKFLOW, customWorkflow: !!p.workflow,
     owner: { id: p.owner_id, name: p.owner_name, avatar: p.owner_avatar },
     linkedProposalId: p.linked_proposal_id, linkedElements: p.linked_elements || [],
     startDate: p.start_date, targetEndDate: p.target_end_date, actualEndDate: p.actual_end_date,
@@ -0,0 +1,27 @@
+/**
+ * PLE Platform - Proposal Closer
+ * Scheduled every 15 minutes: closes proposals whose voting window has ended
+ * and records the outcome and final tally in the activity log. Passed
+ * proposals with an execution plan are carried out as they close.
+ */
+
+import { getDb } from './lib/db.mjs';
+import { closeExpiredProposals } from './lib/proposals.mjs';
+
+export default async (req, context) => {
+  try {
+    const sql = await getDb();
+    const closed = await closeExpiredProposals(sql);
+    for (const p of closed) {
+      const summary = p.tally.mode
+        ? `${p.tally.ballots} ballots / ${p.tally.abstain} abstain, winner: ${p.tally.winner?.label || 'none'}`
+        : `${p.tally.approve} approve / ${p.tally.reject} reject / ${p.tally.abstain} abstain`;
+      const execution = p.execution ? `, execution ${p.execution.status}${p.execution.error ? `: ${p.execution.error}` : ''}` : '';
+      console.log(`🗳️ Proposal ${p.id} ${p.status} (${summary})${execution}`);
+    }
+  } catch (error) {
+    console.error('Proposal closer error:', error);
+  }
+};
+
+export const config = { schedule: '*/15 * * * *' };
@@ -1,4 +1,16 @@
-import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { getDb, getCurrentUser, logActivity, jsonResponse, guardedTransaction } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import {
+  PROPOSAL_STATUSES, TRANSITIONS, DEFAULT_VOTING_DAYS, canTransition, transitionPermission, isFinal, closeProposal, finalizeProposal,
+  formatRule, getProposalRule, projectOutcome, reviseProposal, revisionQueries, recordRevision, lockProposal,
+  REVISION_VOTE_POLICIES
+} from './lib/proposals.mjs';
+import {
+  VOTING_MODES, isMultiOption, maxScore, validateOptions, formatOption, getOptions, replaceOptionsQueries
+} from './lib/voting.mjs';
+import { diffLines, diffStats } from './lib/diff.mjs';
+import { validatePlan, defaultPlan, formatExecution, getExecution, executeProposal, revertExecution, PROJECT_TEMPLATES } from './lib/execution.mjs';
+import { pinPoint, diffSnapshots } from './lib/snapshots.mjs';
 import { v4 as uuidv4 } from 'uuid';
 
 export default async (req, context) => {
@@ -8,17 +20,28 @@ export default async (req, context) => {
     const sql = await getDb();
     const user = await getCurrentUser(req);
     
+    const action = url.searchParams.get('action');
+    
     if (req.method === 'GET') {
+      if (action === 'rules') return await listRules(sql);
       const id = url.searchParams.get('id');
+      if (action === 'revisions' && id) return await listRevisions(sql, id);
+      if (action === 'diff' && id) return await diffRevisions(sql, id, url.searchParams);
+      if (action === 'amendments' && id) return await listAmendments(sql, id);
       return id ? await getProposal(sql, id) : await listProposals(sql, url.searchParams);
     }
     
     if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
     
     if (req.method === 'POST') {
+      if (action === 'amend') return await submitAmendment(sql, await req.json(), user);
+      if (action === 'execute') return await runExecution(sql, await req.json(), user);
+      if (action === 'revert') return await revertProposalExecution(sql, await req.json(), user);
       return await createProposal(sql, await req.json(), user);
     }
     if (req.method === 'PUT') {
+      if (action === 'rules') return await updateRule(sql, await req.json(), user);
+      if (action === 'amendment') return await decideAmendment(sql, await req.json(), user);
       return await updateProposal(sql, await req.json(), user);
     }
     if (req.method === 'DELETE') {
@@ -85,8 +108,29 @@ async function getProposal(sql, id) {
     WHERE d.proposal_id = ${id} ORDER BY d.created_at ASC
   `;
   
+  // Open and draft proposals get a live projection of the outcome under their rule
+  const proposal = proposals[0];
+  const rule = await getProposalRule(sql, proposal.proposal_type);
+  const projection = ['draft', 'open'].includes(proposal.status) ? await projectOutcome(sql, proposal) : null;
+  const options = isMultiOption(proposal.voting_mode) ? await getOptions(sql, id) : [];
+  const pending = await sql`SELECT COUNT(*) as count FROM proposal_amendments WHERE proposal_id = ${id} AND status = 'pending'`;
+  const execution = await getExecution(sql, id);
+  const rationale = proposal.rationale_from_snapshot && proposal.rationale_to_snapshot
+    ? await diffSnapshots(sql, proposal.rationale_from_snapshot, proposal.rationale_to_snapshot)
+    : null;
+  
   return jsonResponse({
-    proposal: formatProposal(proposals[0]),
+    proposal: {
+      ...formatProposal(proposal),
+      options: options.map(formatOption),
+      pendingAmendments: parseInt(pending[0]?.count || 0),
+      // The plan that will run if the proposal passes, including its type's default
+      effectiveExecutionPlan: proposal.execution_plan || defaultPlan(proposal)
+    },
+    execution: execution ? formatExecution(execution) : null,
+    rationale,
+    rule: formatRule(rule),
+    projection,
     comments: comments.map(c => ({
       id: c.id, content: c.content,
       author: { id: c.author_id, name: c.author_name, avatar: c.author_avatar },
@@ -96,60 +140,193 @@ async function getProposal(sql, id) {
 }
 
 async function createProposal(sql, body, user) {
-  const { title, content, proposalType, elementId, votingEnds } = body;
+  const { title, content, proposalType, elementId, votingEnds, votingMode = 'binary', options, votingConfig, executionPlan, rationale } = body;
+  
+  const denied = await requirePermission(sql, user, 'proposal.create');
+  if (denied) return denied;
   
   if (!title || !content || !proposalType) {
     return jsonResponse({ error: 'Title, content, and proposal type are required' }, 400);
   }
   
+  if (votingEnds && !(new Date(votingEnds) > new Date())) {
+    return jsonResponse({ error: 'votingEnds must be a future date' }, 400);
+  }
+  
+  const types = await sql`SELECT proposal_type FROM proposal_rules WHERE proposal_type != 'default'`;
+  if (!types.some(t => t.proposal_type === proposalType)) {
+    return jsonResponse({ error: 'Invalid proposal type', available: types.map(t => t.proposal_type) }, 400);
+  }
+  
+  if (!VOTING_MODES.includes(votingMode)) {
+    return jsonResponse({ error: 'Invalid voting mode', available: VOTING_MODES }, 400);
+  }
+  const checked = isMultiOption(votingMode) ? validateOptions(options) : { options: [] };
+  if (checked.error) return jsonResponse({ error: checked.error }, 400);
+  const config = checkVotingConfig(votingMode, votingConfig);
+  if (config.error) return jsonResponse({ error: config.error }, 400);
+  const plan = executionPlan ? validatePlan(executionPlan) : { plan: null };
+  if (plan.error) return jsonResponse({ error: plan.error, templates: Object.keys(PROJECT_TEMPLATES) }, 400);
+  const pinned = await pinRationale(sql, rationale, user.id);
+  if (pinned.error) return jsonResponse({ error: pinned.error }, pinned.status);
+  
   const id = uuidv4();
   const status = 'draft';
   const elemId = elementId || null;
   const vEnd = votingEnds || null;
   
-  await sql`
-    INSERT INTO proposals (id, title, content, proposal_type, author_id, element_id, status, voting_ends)
-    VALUES (${id}, ${title}, ${content}, ${proposalType}, ${user.id}, ${elemId}, ${status}, ${vEnd})
-  `;
+  await sql.transaction([
+    sql`
+      INSERT INTO proposals (id, title, content, proposal_type, author_id, element_id, status, voting_ends, voting_mode, voting_config, execution_plan,
+        rationale_from_snapshot, rationale_to_snapshot)
+      VALUES (${id}, ${title}, ${content}, ${proposalType}, ${user.id}, ${elemId}, ${status}, ${vEnd},
+        ${votingMode}, ${JSON.stringify(config.config)}::jsonb, ${plan.plan ? JSON.stringify(plan.plan) : null}::jsonb,
+        ${pinned.from}, ${pinned.to})
+    `,
+    sql`
+      INSERT INTO proposal_revisions (proposal_id, revision, title, content, summary, changed_by)
+      VALUES (${id}, 1, ${title}, ${content}, 'Original text', ${user.id})
+    `,
+    ...replaceOptionsQueries(sql, id, checked.options)
+  ]);
   
-  await logActivity(user.id, 'proposal_created', 'proposal', id, { title, proposalType });
+  await logActivity(user.id, 'proposal_created', 'proposal', id, { title, proposalType, votingMode });
   
   return jsonResponse({ success: true, id }, 201);
 }
 
 async function updateProposal(sql, body, user) {
-  const { id, title, content, status, votingEnds } = body;
+  const { id, title, content, summary, status, votingEnds, options, executionPlan, rationale } = body;
   if (!id) return jsonResponse({ error: 'Proposal ID is required' }, 400);
   
-  const proposals = await sql`SELECT author_id, status as current_status FROM proposals WHERE id = ${id}`;
+  const proposals = await sql`
+    SELECT id, author_id, status as current_status, voting_ends, voting_mode, proposal_type, revision,
+           title as current_title, content as current_content
+    FROM proposals WHERE id = ${id}
+  `;
   if (proposals.length === 0) return jsonResponse({ error: 'Proposal not found' }, 404);
-  if (proposals[0].author_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Not authorized' }, 403);
+  const current = proposals[0].current_status;
+  const resource = { ownerId: proposals[0].author_id };
+  const denied = await requirePermission(sql, user, 'proposal.edit', resource);
+  if (denied) return denied;
+  
+  const newStatus = status && status !== current ? status : null;
+  if (newStatus) {
+    if (!PROPOSAL_STATUSES.includes(newStatus)) {
+      return jsonResponse({ error: 'Invalid status', available: PROPOSAL_STATUSES }, 400);
+    }
+    if (!canTransition(current, newStatus)) {
+      return jsonResponse({
+        error: `Cannot move a ${current} proposal to ${newStatus}`,
+        allowed: TRANSITIONS[current] || []
+      }, 409);
+    }
+    const transitionDenied = await requirePermission(sql, user, transitionPermission(current, newStatus), resource);
+    if (transitionDenied) return transitionDenied;
+  } else if (isFinal(current) || current === 'closed') {
+    return jsonResponse({ error: `A ${current} proposal can no longer be edited` }, 409);
   }
   
-  const isAuthor = proposals[0].author_id === user.id;
-  let newStatus = null;
-  if (status) {
-    if (user.role === 'admin') newStatus = status;
-    else if (isAuthor && (status === 'open' || status === 'withdrawn')) newStatus = status;
+  if (votingEnds && !(new Date(votingEnds) > new Date())) {
+    return jsonResponse({ error: 'votingEnds must be a future date' }, 400);
   }
   
-  // Auto-set voting_starts when opening
-  const setVotingStart = newStatus === 'open' && proposals[0].current_status !== 'open';
-  const vEnd = votingEnds || null;
+  // Options are fixed once voting opens so every ballot refers to the same list
+  let newOptions = null;
+  if (options !== undefined) {
+    if (!isMultiOption(proposals[0].voting_mode)) {
+      return jsonResponse({ error: 'Only multi-option proposals have options' }, 400);
+    }
+    if (current !== 'draft') return jsonResponse({ error: 'Options can only be changed while the proposal is a draft' }, 409);
+    const checked = validateOptions(options);
+    if (checked.error) return jsonResponse({ error: checked.error }, 400);
+    newOptions = checked.options;
+  }
   
-  await sql`
-    UPDATE proposals SET 
-      title = COALESCE(${title || null}, title),
-      content = COALESCE(${content || null}, content),
-      status = COALESCE(${newStatus}, status),
-      voting_starts = CASE WHEN ${setVotingStart} THEN CURRENT_TIMESTAMP ELSE voting_starts END,
-      voting_ends = COALESCE(${vEnd}::timestamp, voting_ends),
-      updated_at = CURRENT_TIMESTAMP
-    WHERE id = ${id}
-  `;
+  // Likewise the execution plan is what members vote on, so it is fixed once voting opens
+  let newPlan;
+  if (executionPlan !== undefined) {
+    if (current !== 'draft') return jsonResponse({ error: 'The execution plan can only be changed while the proposal is a draft' }, 409);
+    const checked = executionPlan ? validatePlan(executionPlan) : { plan: null };
+    if (checked.error) return jsonResponse({ error: checked.error, templates: Object.keys(PROJECT_TEMPLATES) }, 400);
+    newPlan = checked.plan;
+  }
+  
+  let newRationale;
+  if (rationale !== undefined) {
+    if (current !== 'draft') return jsonResponse({ error: 'The rationale can only be changed while the proposal is a draft' }, 409);
+    newRationale = await pinRationale(sql, rationale, user.id);
+    if (newRationale.error) return jsonResponse({ error: newRationale.error }, newRationale.status);
+  }
   
-  await logActivity(user.id, 'proposal_updated', 'proposal', id);
+  // Closing early tallies the votes and records the outcome like the scheduled close
+  if (newStatus === 'closed') {
+    const result = await closeProposal(sql, id, { userId: user.id, reason: 'manual' });
+    if (!result) return jsonResponse({ error: 'Proposal is no longer open' }, 409);
+    return jsonResponse({ success: true, status: result.status, tally: result.tally, execution: result.execution });
+  }
+  
+  // A proposal left in 'closed' is finalized as the scheduled run would, and only to the outcome its votes give
+  if (current === 'closed') {
+    const result = await finalizeProposal(sql, id, { userId: user.id, reason: 'manual', expected: newStatus });
+    if (!result) return jsonResponse({ error: 'Proposal is no longer closed' }, 409);
+    if (result.mismatch) {
+      return jsonResponse({
+        error: `The votes give this proposal the outcome ${result.status}, not ${newStatus}`,
+        outcome: result.status,
+        tally: result.tally
+      }, 409);
+    }
+    return jsonResponse({ success: true, status: result.status, tally: result.tally, execution: result.execution });
+  }
+  
+  // Opening starts the voting window now; without a deadline it runs for the default period
+  const opening = newStatus === 'open';
+  let vEnd = votingEnds || null;
+  if (opening && !vEnd && !(proposals[0].voting_ends > new Date())) {
+    vEnd = new Date(Date.now() + DEFAULT_VOTING_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+  
+  // Text changes are stored as a new revision rather than overwriting the text voters saw
+  const newTitle = title && title !== proposals[0].current_title ? title : null;
+  const newContent = content && content !== proposals[0].current_content ? content : null;
+  const changes = {
+    title: newTitle || proposals[0].current_title,
+    content: newContent || proposals[0].current_content,
+    summary: summary || null,
+    userId: user.id
+  };
+  const proposal = { ...proposals[0], status: current };
+  const revised = newTitle || newContent ? await revisionQueries(sql, proposal, changes) : null;
+  
+  // The revision goes first so a proposal can be reworded in the same request that withdraws it
+  const results = await guardedTransaction(sql, lockProposal(sql, proposal), [
+    ...(revised ? revised.queries : []),
+    sql`
+      UPDATE proposals SET 
+        status = COALESCE(${newStatus}, status),
+        voting_starts = CASE WHEN ${opening} THEN CURRENT_TIMESTAMP ELSE voting_starts END,
+        voting_ends = COALESCE(${vEnd}::timestamp, voting_ends),
+        execution_plan = CASE WHEN ${newPlan !== undefined} THEN ${newPlan ? JSON.stringify(newPlan) : null}::jsonb ELSE execution_plan END,
+        rationale_from_snapshot = CASE WHEN ${newRationale !== undefined} THEN ${newRationale?.from || null}::uuid ELSE rationale_from_snapshot END,
+        rationale_to_snapshot = CASE WHEN ${newRationale !== undefined} THEN ${newRationale?.to || null}::uuid ELSE rationale_to_snapshot END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+    `,
+    ...(newOptions ? replaceOptionsQueries(sql, id, newOptions) : [])
+  ]);
+  if (!results) return jsonResponse({ error: 'Proposal changed, please reload' }, 409);
+  
+  if (newStatus) {
+    await logActivity(user.id, 'proposal_status_changed', 'proposal', id, { from: current, to: newStatus });
+  }
+  if (revised) {
+    return jsonResponse({ success: true, ...await recordRevision(sql, proposal, revised, results, changes) });
+  }
+  
+  if (!newStatus) {
+    await logActivity(user.id, 'proposal_updated', 'proposal', id);
+  }
   
   return jsonResponse({ success: true });
 }
@@ -159,9 +336,8 @@ async function deleteProposal(sql, id, user) {
   
   const proposals = await sql`SELECT author_id FROM proposals WHERE id = ${id}`;
   if (proposals.length === 0) return jsonResponse({ error: 'Proposal not found' }, 404);
-  if (proposals[0].author_id !== user.id && user.role !== 'admin') {
-    return jsonResponse({ error: 'Not authorized' }, 403);
-  }
+  const denied = await requirePermission(sql, user, 'proposal.delete', { ownerId: proposals[0].author_id });
+  if (denied) return denied;
   
   await sql`DELETE FROM proposals WHERE id = ${id}`;
   await logActivity(user.id, 'proposal_deleted', 'proposal', id);
@@ -169,15 +345,299 @@ async function deleteProposal(sql, id, user) {
   return jsonResponse({ success: true });
 }
 
+// ============================================
+// Execution
+// ============================================
+
+async function runExecution(sql, body, user) {
+  const { id } = body;
+  if (!id) return jsonResponse({ error: 'Proposal ID is required' }, 400);
+  
+  const denied = await requirePermission(sql, user, 'proposal.execute');
+  if (denied) return denied;
+  
+  const run = await executeProposal(sql, id, { userId: user.id });
+  if (!run) return jsonResponse({ error: 'This proposal has no execution plan' }, 400);
+  if (run.error) {
+    return jsonResponse({ error: run.error, execution: run.execution ? formatExecution(run.execution) : undefined }, run.status);
+  }
+  return jsonResponse({ success: true, execution: formatExecution(run.execution) }, 201);
+}
+
+async function revertProposalExecution(sql, body, user) {
+  const { executionId, force = false } = body;
+  if (!executionId) return jsonResponse({ error: 'Execution ID is required' }, 400);
+  
+  const denied = await requirePermission(sql, user, 'proposal.revert_execution');
+  if (denied) return denied;
+  
+  const result = await revertExecution(sql, executionId, { userId: user.id, force: !!force });
+  if (result.error) return jsonResponse({ error: result.error, conflicts: result.conflicts }, result.status);
+  return jsonResponse({ success: true, execution: formatExecution(result.execution) });
+}
+
+// ============================================
+// Revisions and amendments
+// ============================================
+
+async function listRevisions(sql, id) {
+  const revisions = await sql`
+    SELECT r.revision, r.title, r.summary, r.amendment_id, r.created_at, r.changed_by, u.display_name as changed_by_name
+    FROM proposal_revisions r LEFT JOIN users u ON r.changed_by = u.id
+    WHERE r.proposal_id = ${id} ORDER BY r.revision DESC
+  `;
+  return jsonResponse({
+    revisions: revisions.map(r => ({
+      revision: r.revision, title: r.title, summary: r.summary, amendmentId: r.amendment_id,
+      changedBy: { id: r.changed_by, name: r.changed_by_name },
+      createdAt: r.created_at
+    }))
+  });
+}
+
+/**
+ * Line diff of the title and text between two revisions (default: previous -> latest)
+ */
+async function diffRevisions(sql, id, params) {
+  const proposals = await sql`SELECT revision FROM proposals WHERE id = ${id}`;
+  if (proposals.length === 0) return jsonResponse({ error: 'Proposal not found' }, 404);
+  const to = parseInt(params.get('to') || proposals[0].revision);
+  const from = parseInt(params.get('from') || to - 1);
+  
+  const revisions = await sql`
+    SELECT revision, title, content FROM proposal_revisions
+    WHERE proposal_id = ${id} AND revision IN (${from}, ${to})
+  `;
+  const before = revisions.find(r => r.revision === from);
+  const after = revisions.find(r => r.revision === to);
+  if (!before || !after) return jsonResponse({ error: 'Revision not found' }, 404);
+  
+  const lines = diffLines(before.content, after.content);
+  return jsonResponse({
+    from, to,
+    title: before.title === after.title ? null : { before: before.title, after: after.title },
+    lines,
+    stats: diffStats(lines)
+  });
+}
+
+async function listAmendments(sql, id) {
+  const amendments = await sql`
+    SELECT a.*, u.display_name as author_name, d.display_name as decided_by_name
+    FROM proposal_amendments a
+    LEFT JOIN users u ON a.author_id = u.id
+    LEFT JOIN users d ON a.decided_by = d.id
+    WHERE a.proposal_id = ${id}
+    ORDER BY a.created_at DESC
+  `;
+  return jsonResponse({ amendments: amendments.map(formatAmendment) });
+}
+
+async function submitAmendment(sql, body, user) {
+  const { proposalId, title, content, rationale } = body;
+  
+  const denied = await requirePermission(sql, user, 'proposal.amend');
+  if (denied) return denied;
+  
+  if (!proposalId || !content) return jsonResponse({ error: 'Proposal ID and amended content are required' }, 400);
+  
+  const proposals = await sql`SELECT status, revision, title, content FROM proposals WHERE id = ${proposalId}`;
+  if (proposals.length === 0) return jsonResponse({ error: 'Proposal not found' }, 404);
+  const proposal = proposals[0];
+  if (!['draft', 'open'].includes(proposal.status)) {
+    return jsonResponse({ error: `A ${proposal.status} proposal can no longer be amended` }, 409);
+  }
+  if (content === proposal.content && (!title || title === proposal.title)) {
+    return jsonResponse({ error: 'The amendment does not change the proposal' }, 400);
+  }
+  
+  const id = uuidv4();
+  await sql`
+    INSERT INTO proposal_amendments (id, proposal_id, author_id, title, content, rationale, base_revision)
+    VALUES (${id}, ${proposalId}, ${user.id}, ${title || null}, ${content}, ${rationale || null}, ${proposal.revision})
+  `;
+  
+  await logActivity(user.id, 'amendment_submitted', 'proposal', proposalId, { amendmentId: id, title: proposal.title });
+  
+  return jsonResponse({ success: true, id }, 201);
+}
+
+/**
+ * The proposal author accepts or rejects an amendment; its author can withdraw it.
+ * Accepting applies it as a new revision, so it must be based on the current one.
+ */
+async function decideAmendment(sql, body, user) {
+  const { id, decision, note } = body;
+  if (!id || !['accept', 'reject', 'withdraw'].includes(decision)) {
+    return jsonResponse({ error: 'Amendment ID and a decision (accept, reject or withdraw) are required' }, 400);
+  }
+  
+  const amendments = await sql`
+    SELECT a.*, p.author_id as proposal_author_id, p.status as proposal_status, p.revision as proposal_revision,
+           p.proposal_type, p.title as proposal_title
+    FROM proposal_amendments a JOIN proposals p ON a.proposal_id = p.id
+    WHERE a.id = ${id}
+  `;
+  if (amendments.length === 0) return jsonResponse({ error: 'Amendment not found' }, 404);
+  const a = amendments[0];
+  if (a.status !== 'pending') return jsonResponse({ error: `Amendment is already ${a.status}` }, 409);
+  
+  if (decision === 'withdraw') {
+    if (a.author_id !== user.id) return jsonResponse({ error: 'Only the author of an amendment can withdraw it' }, 403);
+  } else {
+    const denied = await requirePermission(sql, user, 'proposal.edit', { ownerId: a.proposal_author_id });
+    if (denied) return denied;
+  }
+  
+  let revised = null;
+  if (decision === 'accept') {
+    if (!['draft', 'open'].includes(a.proposal_status)) {
+      return jsonResponse({ error: `A ${a.proposal_status} proposal can no longer be amended` }, 409);
+    }
+    if (a.base_revision !== a.proposal_revision) {
+      return jsonResponse({
+        error: `This amendment was written against revision ${a.base_revision}; the proposal is now at revision ${a.proposal_revision}`
+      }, 409);
+    }
+    revised = await reviseProposal(sql, {
+      id: a.proposal_id, proposal_type: a.proposal_type, status: a.proposal_status, revision: a.proposal_revision
+    }, {
+      title: a.title || a.proposal_title,
+      content: a.content,
+      summary: a.rationale || 'Accepted amendment',
+      userId: user.id,
+      amendmentId: id
+    });
+    if (!revised) return jsonResponse({ error: 'Proposal changed, please reload' }, 409);
+  }
+  
+  const status = { accept: 'accepted', reject: 'rejected', withdraw: 'withdrawn' }[decision];
+  const updated = await sql`
+    UPDATE proposal_amendments SET status = ${status}, decided_by = ${user.id},
+      decided_at = CURRENT_TIMESTAMP, decision_note = ${note || null}
+    WHERE id = ${id} AND status = 'pending'
+    RETURNING id
+  `;
+  if (updated.length === 0) return jsonResponse({ error: 'Amendment was decided concurrently' }, 409);
+  
+  await logActivity(user.id, `amendment_${status}`, 'proposal', a.proposal_id, { amendmentId: id, title: a.proposal_title });
+  
+  return jsonResponse({ success: true, status, ...(revised || {}) });
+}
+
+function formatAmendment(a) {
+  return {
+    id: a.id, proposalId: a.proposal_id,
+    author: { id: a.author_id, name: a.author_name },
+    title: a.title, content: a.content, rationale: a.rationale,
+    baseRevision: a.base_revision, status: a.status,
+    decidedBy: a.decided_by ? { id: a.decided_by, name: a.decided_by_name } : null,
+    decidedAt: a.decided_at, decisionNote: a.decision_note,
+    createdAt: a.created_at
+  };
+}
+
+function checkVotingConfig(mode, votingConfig = {}) {
+  if (mode !== 'score') return { config: {} };
+  const max = votingConfig?.maxScore ?? maxScore(votingConfig);
+  if (!Number.isInteger(max) || max < 1 || max > 100) {
+    return { error: 'maxScore must be a whole number from 1 to 100' };
+  }
+  return { config: { maxScore: max } };
+}
+
+// ============================================
+// Governance rules
+// ============================================
+
+async function listRules(sql) {
+  const rules = await sql`SELECT * FROM proposal_rules ORDER BY proposal_type = 'default', label`;
+  return jsonResponse({ rules: rules.map(formatRule) });
+}
+
+async function updateRule(sql, body, user) {
+  const denied = await requirePermission(sql, user, 'proposal.manage_rules');
+  if (denied) return denied;
+  
+  const {
+    proposalType, label, quorumType, quorumValue, threshold, thresholdStrict, abstainCountsTowardQuorum, revisionVotePolicy
+  } = body;
+  if (!proposalType || !/^[a-z][a-z0-9_]{0,49}$/.test(proposalType)) {
+    return jsonResponse({ error: 'proposalType must be a lowercase identifier' }, 400);
+  }
+  
+  const existing = await sql`SELECT * FROM proposal_rules WHERE proposal_type = ${proposalType}`;
+  const current = existing[0];
+  if (!current && !label) return jsonResponse({ error: 'Label is required for a new proposal type' }, 400);
+  
+  const qType = quorumType ?? current?.quorum_type ?? 'none';
+  const qValue = quorumValue !== undefined ? Number(quorumValue) : qType === current?.quorum_type ? parseFloat(current.quorum_value) : 0;
+  const t = threshold !== undefined ? Number(threshold) : parseFloat(current?.threshold ?? 0.5);
+  
+  if (!['none', 'count', 'fraction'].includes(qType)) {
+    return jsonResponse({ error: 'Invalid quorum type', available: ['none', 'count', 'fraction'] }, 400);
+  }
+  if (!Number.isFinite(qValue) || qValue < 0 ||
+      (qType === 'count' && !Number.isInteger(qValue)) || (qType === 'fraction' && qValue > 1)) {
+    return jsonResponse({ error: 'quorumValue must be a whole number of voters or a fraction between 0 and 1' }, 400);
+  }
+  if (!Number.isFinite(t) || t <= 0 || t > 1) {
+    return jsonResponse({ error: 'threshold must be greater than 0 and at most 1' }, 400);
+  }
+  const policy = revisionVotePolicy ?? current?.revision_vote_policy ?? 'flag';
+  if (!REVISION_VOTE_POLICIES.includes(policy)) {
+    return jsonResponse({ error: 'Invalid revision vote policy', available: REVISION_VOTE_POLICIES }, 400);
+  }
+  
+  const rows = await sql`
+    INSERT INTO proposal_rules (proposal_type, label, quorum_type, quorum_value, threshold,
+      threshold_strict, abstain_counts_toward_quorum, revision_vote_policy, updated_by)
+    VALUES (${proposalType}, ${label || current?.label}, ${qType}, ${qType === 'none' ? 0 : qValue}, ${t},
+      ${thresholdStrict ?? current?.threshold_strict ?? true},
+      ${abstainCountsTowardQuorum ?? current?.abstain_counts_toward_quorum ?? true}, ${policy}, ${user.id})
+    ON CONFLICT (proposal_type) DO UPDATE SET
+      label = EXCLUDED.label, quorum_type = EXCLUDED.quorum_type, quorum_value = EXCLUDED.quorum_value,
+      threshold = EXCLUDED.threshold, threshold_strict = EXCLUDED.threshold_strict,
+      abstain_counts_toward_quorum = EXCLUDED.abstain_counts_toward_quorum,
+      revision_vote_policy = EXCLUDED.revision_vote_policy,
+      updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+  
+  await logActivity(user.id, current ? 'proposal_rule_updated' : 'proposal_rule_created', 'proposal_rule', null, {
+    proposalType, rule: formatRule(rows[0])
+  });
+  
+  return jsonResponse({ success: true, rule: formatRule(rows[0]) });
+}
+
+/**
+ * A rationale compares two points in time: { from, to }, each a snapshot
+ * id, a date or "current" (to defaults to "current"). "current" is stored
+ * as a snapshot so the diff voters see cannot drift. null clears it.
+ */
+async function pinRationale(sql, rationale, userId) {
+  if (!rationale) return { from: null, to: null };
+  const from = await pinPoint(sql, rationale.from, userId);
+  if (from.error) return from;
+  const to = await pinPoint(sql, rationale.to || 'current', userId);
+  if (to.error) return to;
+  return { from: from.id, to: to.id };
+}
+
 function formatProposal(p) {
   return {
     id: p.id, title: p.title, content: p.content,
     proposalType: p.proposal_type, status: p.status,
+    votingMode: p.voting_mode || 'binary', votingConfig: p.voting_config || {},
     author: { id: p.author_id, name: p.author_name, avatar: p.author_avatar },
     element: p.element_id ? { id: p.element_id, title: p.element_title, code: p.element_code } : null,
     votes: { approve: parseInt(p.approve_count || 0), reject: parseInt(p.reject_count || 0) },
     commentCount: parseInt(p.comment_count || 0),
     votingStarts: p.voting_starts, votingEnds: p.voting_ends,
+    closedAt: p.closed_at, tally: p.tally || null, revision: p.revision || 1,
+    executionPlan: p.execution_plan || null,
+    rationaleSnapshots: p.rationale_from_snapshot ? { from: p.rationale_from_snapshot, to: p.rationale_to_snapshot } : null,
     createdAt: p.created_at, updatedAt: p.updated_at
   };
 }
@@ -6,6 +6,7 @@
 // GET  /api/seed — returns knowledge base metadata
 
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { can } from './lib/permissions.mjs';
 
 export default async function handler(req) {
   try {
@@ -65,9 +66,6 @@ export default async function handler(req) {
         VALUES (${id}, 'admin@ple.org', 'PLE Admin', 'admin', ${hash})
         ON CONFLICT (email) DO NOTHING
       `;
-      // Fix schema gaps
-      await sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS featured_at TIMESTAMP`.catch(()=>{});
-      await sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'`.catch(()=>{});
       return json(200, { status: 'initialized', admin_email: 'admin@ple.org', admin_id: id });
     }
 
@@ -79,18 +77,20 @@ export default async function handler(req) {
     const user = await getCurrentUser(req);
     if (!user) return json(401, { error: 'Invalid or expired session' });
     
-    // Bootstrap: if action=bootstrap, promote user to admin and fix schema
-    // (safe: only works if user is already authenticated)
+    // Bootstrap: if action=bootstrap, promote user to admin
+    // (only while no admin exists; afterwards promotion goes through user.manage_roles)
     if (action === 'bootstrap') {
+      const admins = await sql`SELECT id FROM users WHERE role = 'admin' LIMIT 1`;
+      if (admins.length > 0 && !await can(sql, user, 'user.manage_roles')) {
+        return json(403, { error: 'An admin already exists', permission: 'user.manage_roles' });
+      }
       await sql`UPDATE users SET role = 'admin' WHERE id = ${user.id}`;
-      // Fix schema gaps
-      await sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS featured_at TIMESTAMP`.catch(()=>{});
-      await sql`ALTER TABLE content_items ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'`.catch(()=>{});
-      return json(200, { message: 'Bootstrapped! You are now admin. Schema updated.', user_id: user.id });
+      return json(200, { message: 'Bootstrapped! You are now admin.', user_id: user.id });
     }
 
-    if (user.role !== 'admin' && user.role !== 'editor') {
-      return json(403, { error: 'Admin or editor role required. Use action=bootstrap first if no admin exists.' });
+    // Seeding the knowledge-base articles is an ingestion task, not a fixture run
+    if (!await can(sql, user, 'system.ingest')) {
+      return json(403, { error: 'Not authorized', permission: 'system.ingest' });
     }
 
     // ACTION: preview — show what would be inserted
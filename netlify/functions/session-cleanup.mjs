@@ -0,0 +1,25 @@
+/**
+ * PLE Platform - Session Cleanup
+ * Scheduled hourly: removes expired sessions, spent password-reset /
+ * verification tokens and stale rate-limit counters so the tables only hold
+ * rows that can still be used.
+ */
+
+import { getDb } from './lib/db.mjs';
+import { cleanupExpiredSessions } from './lib/sessions.mjs';
+import { pruneRateLimits } from './lib/rate-limit.mjs';
+
+export default async (req, context) => {
+  try {
+    const sql = await getDb();
+    const removed = await cleanupExpiredSessions(sql);
+    console.log(`🧹 Removed ${removed.sessions} expired session(s) and ${removed.authTokens} account token(s)`);
+
+    const pruned = await pruneRateLimits(sql);
+    console.log(`🧹 Pruned ${pruned.buckets} rate-limit bucket(s) and ${pruned.loginFailures} login failure record(s)`);
+  } catch (error) {
+    console.error('Session cleanup error:', error);
+  }
+};
+
+export const config = { schedule: '@hourly' };
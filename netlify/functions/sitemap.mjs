@@ -32,7 +32,7 @@ export default async (req) => {
     projects.forEach(p => pages.push({ loc: `/project-view?id=${p.slug || p.id}`, priority: '0.6', freq: 'weekly', lastmod: p.updated_at }));
 
     // Dynamic: open proposals
-    const props = await sql`SELECT id, updated_at FROM proposals WHERE status IN ('open','accepted','implemented') ORDER BY updated_at DESC`;
+    const props = await sql`SELECT id, updated_at FROM proposals WHERE status IN ('open','passed') ORDER BY updated_at DESC`;
     props.forEach(p => pages.push({ loc: `/proposal-view?id=${p.id}`, priority: '0.5', freq: 'weekly', lastmod: p.updated_at }));
 
     const xml = `<?xml version="1.0" encoding="UTF-8"?>
@@ -0,0 +1,24 @@
+/**
+ * PLE Platform - Task Recurrence
+ * Scheduled daily: creates the next instance of each scheduled recurring
+ * task once it falls within its lead time.
+ */
+
+import { getDb } from './lib/db.mjs';
+import { spawnScheduled } from './lib/recurrence.mjs';
+
+export default async (req, context) => {
+  try {
+    const sql = await getDb();
+    const spawned = await spawnScheduled(sql);
+    for (const s of spawned) {
+      console.log(s.taskId
+        ? `🔁 Recurrence ${s.recurrenceId}: created task ${s.taskId} due ${s.dueOn}`
+        : `🔁 Recurrence ${s.recurrenceId} has ended`);
+    }
+  } catch (error) {
+    console.error('Task recurrence error:', error);
+  }
+};
+
+export const config = { schedule: '@daily' };
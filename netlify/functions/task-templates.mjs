@@ -0,0 +1,185 @@
+/**
+ * PLE Platform - Task Templates API
+ * Reusable task lists, kept per project or shared by every project, and
+ * applied to a project or milestone in one call
+ */
+
+import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { validateTemplateTasks, formatTemplate, listTemplates, buildTemplateTasks } from './lib/task-templates.mjs';
+import { recomputeProjectProgress } from './lib/progress.mjs';
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+  const action = url.searchParams.get('action');
+
+  try {
+    const sql = await getDb();
+    const user = await getCurrentUser(req);
+
+    if (req.method === 'GET') {
+      const id = url.searchParams.get('id');
+      return id ? await getTemplate(sql, id, user) : await projectTemplates(sql, url.searchParams.get('projectId'), user);
+    }
+
+    if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+    if (req.method === 'POST') {
+      if (action === 'apply') return await applyTemplate(sql, await req.json(), user);
+      return await createTemplate(sql, await req.json(), user);
+    }
+    if (req.method === 'PUT') {
+      return await updateTemplate(sql, await req.json(), user);
+    }
+    if (req.method === 'DELETE') {
+      return await deleteTemplate(sql, url.searchParams.get('id'), user);
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('Task templates API error:', error);
+    return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+  }
+};
+
+async function findTemplate(sql, id) {
+  const rows = await sql`
+    SELECT tt.*, u.display_name as created_by_name, p.visibility as project_visibility
+    FROM task_templates tt
+    LEFT JOIN users u ON tt.created_by = u.id
+    LEFT JOIN projects p ON tt.project_id = p.id
+    WHERE tt.id = ${id}
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * Shared templates need template.manage; a project's own need project.edit
+ */
+function canManage(sql, user, projectId) {
+  return projectId
+    ? requirePermission(sql, user, 'project.edit', { projectId })
+    : requirePermission(sql, user, 'template.manage');
+}
+
+async function projectTemplates(sql, projectId, user) {
+  if (!projectId) return jsonResponse({ error: 'Project ID is required' }, 400);
+
+  const projects = await sql`SELECT id, visibility FROM projects WHERE id = ${projectId}`;
+  if (projects.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
+  if (projects[0].visibility !== 'public' && !user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+  const templates = await listTemplates(sql, projectId);
+  return jsonResponse({ templates: templates.map(formatTemplate) });
+}
+
+async function getTemplate(sql, id, user) {
+  const template = await findTemplate(sql, id);
+  if (!template) return jsonResponse({ error: 'Template not found' }, 404);
+  if (template.project_id && template.project_visibility !== 'public' && !user) {
+    return jsonResponse({ error: 'Authentication required' }, 401);
+  }
+  return jsonResponse({ template: formatTemplate(template) });
+}
+
+async function createTemplate(sql, body, user) {
+  const { projectId = null, name, description } = body;
+  if (!name || !String(name).trim()) return jsonResponse({ error: 'Name is required' }, 400);
+
+  if (projectId) {
+    const projects = await sql`SELECT id FROM projects WHERE id = ${projectId}`;
+    if (projects.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
+  }
+  const denied = await canManage(sql, user, projectId);
+  if (denied) return denied;
+
+  const result = validateTemplateTasks(body.tasks);
+  if (result.error) return jsonResponse({ error: result.error }, 400);
+
+  const templateName = String(name).trim().slice(0, 200);
+  const rows = await sql`
+    INSERT INTO task_templates (project_id, name, description, tasks, created_by)
+    VALUES (${projectId}, ${templateName}, ${description || null}, ${JSON.stringify(result.tasks)}::jsonb, ${user.id})
+    RETURNING id
+  `;
+
+  await logActivity(user.id, 'task_template_saved', 'task_template', rows[0].id, { title: templateName, project_id: projectId });
+  return jsonResponse({ success: true, id: rows[0].id }, 201);
+}
+
+async function updateTemplate(sql, body, user) {
+  const { id, name, description } = body;
+  if (!id) return jsonResponse({ error: 'Template ID is required' }, 400);
+
+  const template = await findTemplate(sql, id);
+  if (!template) return jsonResponse({ error: 'Template not found' }, 404);
+
+  const denied = await canManage(sql, user, template.project_id);
+  if (denied) return denied;
+
+  let tasks = null;
+  if (body.tasks !== undefined) {
+    const result = validateTemplateTasks(body.tasks);
+    if (result.error) return jsonResponse({ error: result.error }, 400);
+    tasks = JSON.stringify(result.tasks);
+  }
+
+  const templateName = name ? String(name).trim().slice(0, 200) : null;
+  await sql`
+    UPDATE task_templates SET name = COALESCE(${templateName || null}, name),
+      description = COALESCE(${description || null}, description),
+      tasks = COALESCE(${tasks}::jsonb, tasks), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${id}
+  `;
+
+  await logActivity(user.id, 'task_template_saved', 'task_template', id, { title: templateName || template.name, project_id: template.project_id });
+  return jsonResponse({ success: true });
+}
+
+async function deleteTemplate(sql, id, user) {
+  if (!id) return jsonResponse({ error: 'Template ID is required' }, 400);
+
+  const template = await findTemplate(sql, id);
+  if (!template) return jsonResponse({ error: 'Template not found' }, 404);
+
+  const denied = await canManage(sql, user, template.project_id);
+  if (denied) return denied;
+
+  await sql`DELETE FROM task_templates WHERE id = ${id}`;
+  await logActivity(user.id, 'task_template_deleted', 'task_template', id, { title: template.name });
+  return jsonResponse({ success: true });
+}
+
+async function applyTemplate(sql, body, user) {
+  const { templateId, projectId, milestoneId = null, startDate } = body;
+  if (!templateId || !projectId) return jsonResponse({ error: 'templateId and projectId are required' }, 400);
+
+  const template = await findTemplate(sql, templateId);
+  if (!template) return jsonResponse({ error: 'Template not found' }, 404);
+  if (template.project_id && template.project_id !== projectId) {
+    return jsonResponse({ error: 'This template belongs to another project' }, 400);
+  }
+
+  const projects = await sql`SELECT id, title FROM projects WHERE id = ${projectId}`;
+  if (projects.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
+
+  const denied = await requirePermission(sql, user, 'task.create', { projectId });
+  if (denied) return denied;
+
+  if (milestoneId) {
+    const milestones = await sql`SELECT id FROM milestones WHERE id = ${milestoneId} AND project_id = ${projectId}`;
+    if (milestones.length === 0) return jsonResponse({ error: 'Milestone not found in this project' }, 404);
+  }
+
+  const result = await buildTemplateTasks(sql, { template, projectId, milestoneId, startDate, userId: user.id });
+  if (result.error) return jsonResponse({ error: result.error }, 400);
+  await sql.transaction(result.queries);
+
+  await logActivity(user.id, 'task_template_applied', 'project', projectId, {
+    title: projects[0].title, template: template.name, count: result.rows.length, milestone_id: milestoneId
+  });
+  await recomputeProjectProgress(sql, projectId);
+  return jsonResponse({ success: true, created: result.rows.length, taskIds: result.rows.map(r => r.id) }, 201);
+}
+
+export const config = { path: '/api/task-templates' };
@@ -1,11 +1,22 @@
 /**
  * PLE Platform - Tasks API
- * Task management with Kanban workflow, assignments, and subtasks
+ * Task management with per-project Kanban workflows, assignments, subtasks,
+ * dependencies and recurring tasks
  */
 
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { addDependency, listDependencies, formatDependency, unmetBlockers, projectSchedule } from './lib/dependencies.mjs';
+import { recomputeProjectProgress } from './lib/progress.mjs';
+import { validateRecurrence, createRecurrence, onTaskCompleted, listRecurrences, formatRecurrence } from './lib/recurrence.mjs';
+import { DEFAULT_WORKFLOW, getWorkflow, startedStates, checkMove, checkMoves, buildBoard } from './lib/workflows.mjs';
+import { columnTasks, resequence, placeInColumn, rankAtEnd } from './lib/ordering.mjs';
+import { TASK_PRIORITIES } from './lib/task-templates.mjs';
 import { v4 as uuidv4 } from 'uuid';
 
+const BOARD_LIMIT = 1000;
+const BULK_LIMIT = 200;
+
 export default async (req, context) => {
   const url = new URL(req.url);
   
@@ -14,6 +25,15 @@ export default async (req, context) => {
     const user = await getCurrentUser(req);
 
     if (req.method === 'GET') {
+      if (url.searchParams.get('action') === 'critical-path') {
+        return await getCriticalPath(sql, url.searchParams.get('projectId'), user);
+      }
+      if (url.searchParams.get('action') === 'recurrences') {
+        return await getRecurrences(sql, url.searchParams.get('projectId'), user);
+      }
+      if (url.searchParams.get('action') === 'board') {
+        return await getBoard(sql, url.searchParams.get('projectId'), user);
+      }
       const id = url.searchParams.get('id');
       return id ? await getTask(sql, id) : await listTasks(sql, url.searchParams, user);
     }
@@ -23,12 +43,22 @@ export default async (req, context) => {
     if (req.method === 'POST') {
       const action = url.searchParams.get('action');
       if (action === 'move') return await moveTask(sql, await req.json(), user);
+      if (action === 'reorder') return await reorderColumn(sql, await req.json(), user);
+      if (action === 'bulk') return await bulkUpdateTasks(sql, await req.json(), user);
+      if (action === 'dependency') return await addTaskDependency(sql, await req.json(), user);
+      if (action === 'recurrence') return await setTaskRecurrence(sql, await req.json(), user);
       return await createTask(sql, await req.json(), user);
     }
     if (req.method === 'PUT') {
       return await updateTask(sql, await req.json(), user);
     }
     if (req.method === 'DELETE') {
+      if (url.searchParams.get('action') === 'dependency') {
+        return await removeTaskDependency(sql, url.searchParams.get('id'), user);
+      }
+      if (url.searchParams.get('action') === 'recurrence') {
+        return await stopTaskRecurrence(sql, url.searchParams.get('id'), user);
+      }
       return await deleteTask(sql, url.searchParams.get('id'), user);
     }
 
@@ -53,12 +83,38 @@ async function listTasks(sql, params, user) {
   if (assignee === 'me' && user) assigneeFilter = user.id;
   else if (assignee && assignee !== 'unassigned') assigneeFilter = assignee;
 
-  const tasks = await sql`
+  const tasks = await selectTasks(sql, { projectId, milestoneId, status, assignee, assigneeFilter, parentId, limit, offset });
+
+  if (view === 'kanban') {
+    // Columns follow the project's workflow; tasks in any other state get a column of their own
+    const workflow = (projectId && await getWorkflow(sql, projectId)) || DEFAULT_WORKFLOW;
+    const columns = Object.fromEntries(workflow.states.map(s => [s.key, []]));
+    for (const t of tasks) (columns[t.status] ||= []).push(formatTask(t));
+    return jsonResponse({ view: 'kanban', columns });
+  }
+
+  return jsonResponse({ tasks: tasks.map(formatTask), view, limit, offset });
+}
+
+/**
+ * Tasks with their project, people, milestone, subtask counts and open
+ * blockers. Start-to-start blockers are met once the blocking task reaches a
+ * started state of its project's workflow.
+ */
+async function selectTasks(sql, { projectId = null, milestoneId = null, status = null, assignee = null,
+  assigneeFilter = null, parentId = null, limit, offset = 0 }) {
+  return sql`
     SELECT t.*, p.title as project_title, p.slug as project_slug,
            u.display_name as assignee_name, u.avatar_url as assignee_avatar,
            creator.display_name as creator_name, m.title as milestone_title,
            (SELECT COUNT(*) FROM tasks st WHERE st.parent_task_id = t.id) as subtask_count,
-           (SELECT COUNT(*) FROM tasks st WHERE st.parent_task_id = t.id AND st.status = 'done') as completed_subtasks
+           (SELECT COUNT(*) FROM tasks st WHERE st.parent_task_id = t.id AND st.status = 'done') as completed_subtasks,
+           (SELECT COUNT(*) FROM task_dependencies d JOIN tasks dep ON d.depends_on_id = dep.id
+            WHERE d.task_id = t.id
+              AND (d.dependency_type = 'finish_to_start' AND dep.status != 'done'
+                OR d.dependency_type = 'start_to_start' AND dep.status NOT IN (
+                  SELECT s->>'key' FROM jsonb_array_elements(COALESCE(p.workflow, ${JSON.stringify(DEFAULT_WORKFLOW)}::jsonb)->'states') s
+                  WHERE (s->>'started')::boolean))) as open_blockers
     FROM tasks t
     LEFT JOIN projects p ON t.project_id = p.id
     LEFT JOIN users u ON t.assigned_to = u.id
@@ -70,24 +126,29 @@ async function listTasks(sql, params, user) {
       AND (${milestoneId}::uuid IS NULL OR t.milestone_id = ${milestoneId}::uuid)
       AND (${status}::text IS NULL OR t.status = ${status})
       AND (${assigneeFilter}::uuid IS NULL OR t.assigned_to = ${assigneeFilter}::uuid)
-      AND (${assignee} != 'unassigned' OR t.assigned_to IS NULL)
+      AND (${assignee}::text IS NULL OR ${assignee} != 'unassigned' OR t.assigned_to IS NULL)
     ORDER BY t.order_index, t.created_at DESC
     LIMIT ${limit} OFFSET ${offset}
   `;
+}
 
-  if (view === 'kanban') {
-    const columns = {
-      backlog: tasks.filter(t => t.status === 'backlog').map(formatTask),
-      todo: tasks.filter(t => t.status === 'todo').map(formatTask),
-      in_progress: tasks.filter(t => t.status === 'in_progress').map(formatTask),
-      review: tasks.filter(t => t.status === 'review').map(formatTask),
-      done: tasks.filter(t => t.status === 'done').map(formatTask),
-      blocked: tasks.filter(t => t.status === 'blocked').map(formatTask)
-    };
-    return jsonResponse({ view: 'kanban', columns });
-  }
-
-  return jsonResponse({ tasks: tasks.map(formatTask), view, limit, offset });
+/**
+ * A project's board: its workflow's columns in order, each with its WIP
+ * limit, the states its tasks can move to and its top-level tasks by order
+ */
+async function getBoard(sql, projectId, user) {
+  if (!projectId) return jsonResponse({ error: 'Project ID is required' }, 400);
+
+  const projects = await sql`SELECT id, visibility, workflow FROM projects WHERE id = ${projectId}`;
+  if (projects.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
+  if (projects[0].visibility !== 'public' && !user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+  const workflow = projects[0].workflow || DEFAULT_WORKFLOW;
+  const tasks = await selectTasks(sql, { projectId, limit: BOARD_LIMIT });
+  const board = buildBoard(workflow, tasks.map(formatTask));
+  return jsonResponse({
+    projectId, custom: !!projects[0].workflow, transitions: workflow.transitions, ...board
+  });
 }
 
 async function getTask(sql, id) {
@@ -118,22 +179,46 @@ async function getTask(sql, id) {
     ORDER BY c.created_at
   `;
 
-  return jsonResponse({ task: formatTask(tasks[0]), subtasks: subtasks.map(formatTask), comments });
+  const dependencies = (await listDependencies(sql, id)).map(formatDependency);
+
+  return jsonResponse({
+    task: formatTask(tasks[0]), subtasks: subtasks.map(formatTask), comments,
+    blockedBy: dependencies.filter(d => d.task.id === id),
+    blocking: dependencies.filter(d => d.dependsOn.id === id)
+  });
 }
 
 async function createTask(sql, body, user) {
   const { project_id, milestone_id, title, description, status = 'backlog',
-    priority = 'medium', assigned_to, parent_task_id, due_date, estimated_hours } = body;
+    priority = 'medium', assigned_to, parent_task_id, due_date, estimated_hours, recurrence } = body;
 
   if (!project_id || !title) return jsonResponse({ error: 'Project ID and title are required' }, 400);
+  if (recurrence) {
+    const checked = validateRecurrence(recurrence);
+    if (checked.error) return jsonResponse({ error: checked.error }, 400);
+    if (parent_task_id) return jsonResponse({ error: 'Subtasks cannot repeat on their own; make the parent task repeat' }, 400);
+  }
 
-  const project = await sql`SELECT id FROM projects WHERE id = ${project_id}`;
+  const project = await sql`SELECT id, workflow FROM projects WHERE id = ${project_id}`;
   if (project.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
 
-  const maxOrder = await sql`
-    SELECT COALESCE(MAX(order_index), 0) + 1 as next_order FROM tasks 
-    WHERE project_id = ${project_id} AND status = ${status}
-  `;
+  let denied = await requirePermission(sql, user, 'task.create', { projectId: project_id });
+  if (denied) return denied;
+
+  const refused = await checkMove(sql, project[0].workflow || DEFAULT_WORKFLOW,
+    { id: null, project_id, parent_task_id: parent_task_id || null, status: null }, status);
+  if (refused) {
+    const { status: code, ...error } = refused;
+    return jsonResponse(error, code);
+  }
+
+  // Members may pick up work themselves; handing it to someone else is a project role
+  if (assigned_to && assigned_to !== user.id) {
+    denied = await requirePermission(sql, user, 'task.assign', { projectId: project_id });
+    if (denied) return denied;
+  }
+
+  const orderIndex = await rankAtEnd(sql, { projectId: project_id, status, parentId: parent_task_id || null });
 
   const id = uuidv4();
   await sql`
@@ -141,17 +226,24 @@ async function createTask(sql, body, user) {
       assigned_to, parent_task_id, due_date, estimated_hours, order_index, created_by)
     VALUES (${id}, ${project_id}, ${milestone_id || null}, ${title}, ${description || null}, 
       ${status}, ${priority}, ${assigned_to || null}, ${parent_task_id || null},
-      ${due_date || null}, ${estimated_hours || null}, ${maxOrder[0].next_order}, ${user.id})
+      ${due_date || null}, ${estimated_hours || null}, ${orderIndex}, ${user.id})
   `;
 
   await logActivity(user.id, 'task_created', 'task', id, { title, project_id });
   if (assigned_to) await logActivity(user.id, 'task_assigned', 'task', id, { assigned_to });
+  if (recurrence) {
+    const result = await createRecurrence(sql, { ...recurrence, task: { id, project_id, due_date: due_date || null }, userId: user.id });
+    if (result.recurrence) {
+      await logActivity(user.id, 'task_recurrence_set', 'task', id, { title, summary: formatRecurrence(result.recurrence).summary });
+    }
+  }
 
+  await recomputeProjectProgress(sql, project_id);
   return jsonResponse({ success: true, id }, 201);
 }
 
 async function updateTask(sql, body, user) {
-  const { id, title, description, status, priority, milestone_id, assigned_to, due_date } = body;
+  const { id, title, description, status, priority, milestone_id, assigned_to, due_date, estimated_hours } = body;
   if (!id) return jsonResponse({ error: 'Task ID is required' }, 400);
 
   const existing = await sql`SELECT * FROM tasks WHERE id = ${id}`;
@@ -159,6 +251,22 @@ async function updateTask(sql, body, user) {
   const task = existing[0];
   const oldStatus = task.status;
 
+  let denied = await requirePermission(sql, user, 'task.edit', { ownerId: task.created_by, projectId: task.project_id });
+  if (denied) return denied;
+
+  if (assigned_to && assigned_to !== user.id && assigned_to !== task.assigned_to) {
+    denied = await requirePermission(sql, user, 'task.assign', { projectId: task.project_id });
+    if (denied) return denied;
+  }
+
+  // A task that changes column goes to the end of its new one
+  let placed = null;
+  if (status && status !== oldStatus) {
+    const refused = await refuseStatusChange(sql, task, status);
+    if (refused) return refused;
+    placed = await placeInColumn(sql, { task, status });
+  }
+
   await sql`
     UPDATE tasks SET 
       title = COALESCE(${title || null}, title),
@@ -168,6 +276,8 @@ async function updateTask(sql, body, user) {
       milestone_id = COALESCE(${milestone_id || null}, milestone_id),
       assigned_to = COALESCE(${assigned_to || null}, assigned_to),
       due_date = COALESCE(${due_date || null}, due_date),
+      estimated_hours = COALESCE(${estimated_hours || null}, estimated_hours),
+      order_index = COALESCE(${placed ? placed.orderIndex : null}, order_index),
       updated_at = CURRENT_TIMESTAMP,
       completed_at = CASE WHEN ${status} = 'done' AND ${oldStatus} != 'done' THEN CURRENT_TIMESTAMP 
                          WHEN ${status} IS NOT NULL AND ${status} != 'done' THEN NULL 
@@ -177,67 +287,346 @@ async function updateTask(sql, body, user) {
 
   if (status && status !== oldStatus) {
     await logActivity(user.id, 'task_status_changed', 'task', id, { from: oldStatus, to: status });
+    if (status === 'done') await onTaskCompleted(sql, task, user.id);
   }
 
-  await updateProjectProgress(sql, task.project_id);
+  await recomputeProjectProgress(sql, task.project_id);
   return jsonResponse({ success: true });
 }
 
+/**
+ * Move a task to a column and a place in it: before beforeId, after afterId,
+ * or at the position order_index. Only the moved task's rank changes unless
+ * the column has to be resequenced to make room.
+ */
 async function moveTask(sql, body, user) {
-  const { id, status, order_index } = body;
+  const { id, status, order_index, beforeId, afterId } = body;
+  if (!id || !status) return jsonResponse({ error: 'Task ID and status are required' }, 400);
 
   const existing = await sql`SELECT * FROM tasks WHERE id = ${id}`;
   if (existing.length === 0) return jsonResponse({ error: 'Task not found' }, 404);
   const task = existing[0];
   const oldStatus = task.status;
 
-  await sql`
-    UPDATE tasks SET status = ${status}, order_index = ${order_index}, updated_at = CURRENT_TIMESTAMP,
-      completed_at = CASE WHEN ${status} = 'done' AND ${oldStatus} != 'done' THEN CURRENT_TIMESTAMP 
-                         WHEN ${status} != 'done' AND ${oldStatus} = 'done' THEN NULL ELSE completed_at END
-    WHERE id = ${id}
-  `;
+  const denied = await requirePermission(sql, user, 'task.edit', { ownerId: task.created_by, projectId: task.project_id });
+  if (denied) return denied;
+
+  if (status !== oldStatus) {
+    const refused = await refuseStatusChange(sql, task, status);
+    if (refused) return refused;
+  }
+
+  const placed = await placeInColumn(sql, { task, status, position: order_index, beforeId, afterId });
+  if (placed.error) return jsonResponse({ error: placed.error }, placed.status);
+
+  await sql.transaction([
+    sql`
+      UPDATE tasks SET status = ${status}, order_index = ${placed.orderIndex}, updated_at = CURRENT_TIMESTAMP,
+        completed_at = CASE WHEN ${status} = 'done' AND ${oldStatus} != 'done' THEN CURRENT_TIMESTAMP 
+                           WHEN ${status} != 'done' AND ${oldStatus} = 'done' THEN NULL ELSE completed_at END
+      WHERE id = ${id}
+    `,
+    ...placed.queries
+  ]);
 
   if (status !== oldStatus) {
     await logActivity(user.id, 'task_moved', 'task', id, { from: oldStatus, to: status });
+    if (status === 'done') await onTaskCompleted(sql, task, user.id);
   }
 
-  await updateProjectProgress(sql, task.project_id);
+  await recomputeProjectProgress(sql, task.project_id);
   return jsonResponse({ success: true });
 }
 
-async function deleteTask(sql, id, user) {
-  if (!id) return jsonResponse({ error: 'Task ID is required' }, 400);
+/**
+ * The response refusing a task's move to a new status, or null when the
+ * workflow allows it and no dependency blocks it
+ */
+async function refuseStatusChange(sql, task, status) {
+  const workflow = await getWorkflow(sql, task.project_id) || DEFAULT_WORKFLOW;
+  const refused = await checkMove(sql, workflow, task, status);
+  if (refused) {
+    const { status: code, ...error } = refused;
+    return jsonResponse(error, code);
+  }
+  const blockers = await unmetBlockers(sql, task.id, status, startedStates(workflow));
+  return blockers.length > 0 ? blockedResponse(blockers) : null;
+}
 
-  const existing = await sql`SELECT * FROM tasks WHERE id = ${id}`;
+function blockedResponse(blockers, task = null) {
+  const names = blockers.map(b => `"${b.title}"`).join(', ');
+  const subject = task ? `"${task.title}" is` : 'This task is';
+  return jsonResponse({ error: `${subject} blocked by ${names}`, blockers, taskId: task?.id }, 409);
+}
+
+/**
+ * Set the order of a whole column: a project's top-level tasks in one
+ * status, or a task's subtasks with parentId. taskIds must be exactly the
+ * column's tasks, so an order made from a stale board is refused rather
+ * than half applied.
+ */
+async function reorderColumn(sql, body, user) {
+  const { status, parentId = null, taskIds } = body;
+  let { projectId } = body;
+  if (!Array.isArray(taskIds) || !(parentId || (projectId && status))) {
+    return jsonResponse({ error: 'taskIds and either projectId and status, or parentId, are required' }, 400);
+  }
+
+  if (parentId) {
+    const parents = await sql`SELECT project_id FROM tasks WHERE id = ${parentId}`;
+    if (parents.length === 0) return jsonResponse({ error: 'Task not found' }, 404);
+    projectId = parents[0].project_id;
+  } else {
+    const projects = await sql`SELECT id FROM projects WHERE id = ${projectId}`;
+    if (projects.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
+  }
+
+  const denied = await requirePermission(sql, user, 'task.edit', { projectId });
+  if (denied) return denied;
+
+  const current = (await columnTasks(sql, { projectId, status, parentId })).map(t => t.id);
+  const inColumn = new Set(current);
+  if (taskIds.length !== current.length || new Set(taskIds).size !== taskIds.length || taskIds.some(id => !inColumn.has(id))) {
+    return jsonResponse({ error: 'The column has changed since it was loaded; reload it and try again', taskIds: current }, 409);
+  }
+
+  if (taskIds.length > 0) await resequence(sql, taskIds);
+  return jsonResponse({ success: true, taskIds });
+}
+
+/**
+ * Change the status, assignee, priority or milestone of many tasks in one
+ * project at once. Every task is checked before anything is written and the
+ * changes go in one transaction, so they all apply or none do. assigned_to
+ * and milestone_id can be null to clear them. Tasks that change status go to
+ * the end of their new column in the order given.
+ */
+async function bulkUpdateTasks(sql, body, user) {
+  const { ids } = body;
+  const changes = body.changes || {};
+  if (!Array.isArray(ids) || ids.length === 0) return jsonResponse({ error: 'ids must be a non-empty array of task IDs' }, 400);
+  if (ids.length > BULK_LIMIT) return jsonResponse({ error: `At most ${BULK_LIMIT} tasks can be changed at once` }, 400);
+
+  const { status, priority, assigned_to, milestone_id } = changes;
+  const setsAssignee = assigned_to !== undefined;
+  const setsMilestone = milestone_id !== undefined;
+  if (!status && !priority && !setsAssignee && !setsMilestone) {
+    return jsonResponse({ error: 'changes must set status, priority, assigned_to or milestone_id' }, 400);
+  }
+  if (priority && !TASK_PRIORITIES.includes(priority)) {
+    return jsonResponse({ error: `priority must be one of: ${TASK_PRIORITIES.join(', ')}` }, 400);
+  }
+
+  const taskIds = [...new Set(ids)];
+  const rows = await sql`SELECT * FROM tasks WHERE id = ANY(${taskIds})`;
+  if (rows.length !== taskIds.length) {
+    const found = new Set(rows.map(t => t.id));
+    return jsonResponse({ error: 'Some tasks were not found', missing: taskIds.filter(id => !found.has(id)) }, 404);
+  }
+  // Keep the caller's order, which is the order moved tasks land in
+  const byId = new Map(rows.map(t => [t.id, t]));
+  const tasks = taskIds.map(id => byId.get(id));
+
+  const projectId = tasks[0].project_id;
+  if (tasks.some(t => t.project_id !== projectId)) {
+    return jsonResponse({ error: 'Bulk changes must be to tasks in one project' }, 400);
+  }
+  const projects = await sql`SELECT id, title, workflow FROM projects WHERE id = ${projectId}`;
+
+  let denied;
+  for (const ownerId of new Set(tasks.map(t => t.created_by))) {
+    denied = await requirePermission(sql, user, 'task.edit', { ownerId, projectId });
+    if (denied) return denied;
+  }
+  if (assigned_to && assigned_to !== user.id && tasks.some(t => t.assigned_to !== assigned_to)) {
+    denied = await requirePermission(sql, user, 'task.assign', { projectId });
+    if (denied) return denied;
+  }
+  if (milestone_id) {
+    const milestones = await sql`SELECT id FROM milestones WHERE id = ${milestone_id} AND project_id = ${projectId}`;
+    if (milestones.length === 0) return jsonResponse({ error: 'Milestone not found in this project' }, 404);
+  }
+
+  const moving = status ? tasks.filter(t => t.status !== status) : [];
+  if (status) {
+    const workflow = projects[0].workflow || DEFAULT_WORKFLOW;
+    const refused = await checkMoves(sql, workflow, tasks, status);
+    if (refused) {
+      const { status: code, ...error } = refused;
+      return jsonResponse(error, code);
+    }
+    // A blocker moving in the same change is met once it gets there
+    const batch = new Set(taskIds);
+    const started = startedStates(workflow);
+    for (const task of moving) {
+      const blockers = (await unmetBlockers(sql, task.id, status, started))
+        .filter(b => !(batch.has(b.id) && (status === 'done' || b.type === 'start_to_start')));
+      if (blockers.length > 0) return blockedResponse(blockers, task);
+    }
+  }
+
+  const queries = [sql`
+    UPDATE tasks SET
+      priority = COALESCE(${priority || null}, priority),
+      assigned_to = CASE WHEN ${setsAssignee} THEN ${assigned_to || null}::uuid ELSE assigned_to END,
+      milestone_id = CASE WHEN ${setsMilestone} THEN ${milestone_id || null}::uuid ELSE milestone_id END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ANY(${taskIds})
+  `];
+  if (moving.length > 0) {
+    const movingIds = moving.map(t => t.id);
+    queries.push(sql`
+      UPDATE tasks SET status = ${status},
+        completed_at = CASE WHEN ${status} = 'done' AND status != 'done' THEN CURRENT_TIMESTAMP
+                            WHEN ${status} != 'done' THEN NULL ELSE completed_at END
+      WHERE id = ANY(${movingIds})
+    `);
+    const topLevel = moving.filter(t => !t.parent_task_id).map(t => t.id);
+    if (topLevel.length > 0) {
+      const column = await columnTasks(sql, { projectId, status });
+      const last = column.length > 0 ? column[column.length - 1].order_index : 0;
+      queries.push(resequence(sql, topLevel, last));
+    }
+  }
+  await sql.transaction(queries);
+
+  const changed = Object.keys(changes).filter(k => ['status', 'priority', 'assigned_to', 'milestone_id'].includes(k));
+  await logActivity(user.id, 'tasks_bulk_updated', 'project', projectId, {
+    title: projects[0].title, count: tasks.length, changes: changed, status: status || undefined
+  });
+  if (status === 'done') {
+    for (const task of moving) await onTaskCompleted(sql, task, user.id);
+  }
+
+  await recomputeProjectProgress(sql, projectId);
+  return jsonResponse({ success: true, updated: tasks.length, moved: moving.length });
+}
+
+async function addTaskDependency(sql, body, user) {
+  const { taskId, dependsOnId, type } = body;
+  if (!taskId || !dependsOnId) return jsonResponse({ error: 'taskId and dependsOnId are required' }, 400);
+
+  const existing = await sql`SELECT * FROM tasks WHERE id = ${taskId}`;
   if (existing.length === 0) return jsonResponse({ error: 'Task not found' }, 404);
   const task = existing[0];
 
-  const project = await sql`SELECT owner_id FROM projects WHERE id = ${task.project_id}`;
-  const isOwner = project.length > 0 && project[0].owner_id === user.id;
-  const isCreator = task.created_by === user.id;
+  const denied = await requirePermission(sql, user, 'task.edit', { ownerId: task.created_by, projectId: task.project_id });
+  if (denied) return denied;
 
-  if (!isOwner && !isCreator && user.role !== 'admin') {
-    return jsonResponse({ error: 'Not authorized' }, 403);
+  const result = await addDependency(sql, { taskId, dependsOnId, type, userId: user.id });
+  if (result.error) {
+    const { status, ...error } = result;
+    return jsonResponse(error, status);
   }
 
-  await sql`DELETE FROM tasks WHERE id = ${id}`;
-  await logActivity(user.id, 'task_deleted', 'task', id, { title: task.title });
-  await updateProjectProgress(sql, task.project_id);
+  await logActivity(user.id, 'task_dependency_added', 'task', taskId, {
+    title: task.title, dependsOn: result.blocker.title, type: result.dependency.dependency_type
+  });
+  return jsonResponse({ success: true, id: result.dependency.id }, 201);
+}
+
+async function removeTaskDependency(sql, id, user) {
+  if (!id) return jsonResponse({ error: 'Dependency ID is required' }, 400);
 
+  const existing = await sql`
+    SELECT d.*, t.title, t.created_by, t.project_id
+    FROM task_dependencies d JOIN tasks t ON d.task_id = t.id
+    WHERE d.id = ${id}
+  `;
+  if (existing.length === 0) return jsonResponse({ error: 'Dependency not found' }, 404);
+  const dependency = existing[0];
+
+  const denied = await requirePermission(sql, user, 'task.edit', { ownerId: dependency.created_by, projectId: dependency.project_id });
+  if (denied) return denied;
+
+  await sql`DELETE FROM task_dependencies WHERE id = ${id}`;
+  await logActivity(user.id, 'task_dependency_removed', 'task', dependency.task_id, { title: dependency.title });
   return jsonResponse({ success: true });
 }
 
-async function updateProjectProgress(sql, projectId) {
-  const stats = await sql`
-    SELECT COUNT(*) as total, COUNT(*) FILTER (WHERE status = 'done') as completed
-    FROM tasks WHERE project_id = ${projectId}
+async function getRecurrences(sql, projectId, user) {
+  if (!projectId) return jsonResponse({ error: 'Project ID is required' }, 400);
+
+  const projects = await sql`SELECT id, visibility FROM projects WHERE id = ${projectId}`;
+  if (projects.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
+  if (projects[0].visibility !== 'public' && !user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+  const recurrences = await listRecurrences(sql, projectId);
+  return jsonResponse({ recurrences: recurrences.map(formatRecurrence) });
+}
+
+async function setTaskRecurrence(sql, body, user) {
+  const { taskId, rule, mode, leadDays } = body;
+  if (!taskId) return jsonResponse({ error: 'taskId is required' }, 400);
+
+  const existing = await sql`
+    SELECT id, project_id, parent_task_id, recurrence_id, title, created_by, due_date::text as due_date
+    FROM tasks WHERE id = ${taskId}
   `;
-  const total = parseInt(stats[0].total) || 0;
-  const completed = parseInt(stats[0].completed) || 0;
-  const progress = total > 0 ? Math.round((completed / total) * 100) : 0;
+  if (existing.length === 0) return jsonResponse({ error: 'Task not found' }, 404);
+  const task = existing[0];
+
+  const denied = await requirePermission(sql, user, 'task.edit', { ownerId: task.created_by, projectId: task.project_id });
+  if (denied) return denied;
+
+  const result = await createRecurrence(sql, { task, rule, mode, leadDays, userId: user.id });
+  if (result.error) return jsonResponse({ error: result.error }, result.status);
+
+  const recurrence = formatRecurrence(result.recurrence);
+  await logActivity(user.id, 'task_recurrence_set', 'task', taskId, { title: task.title, summary: recurrence.summary });
+  return jsonResponse({ success: true, recurrence }, 201);
+}
+
+async function stopTaskRecurrence(sql, id, user) {
+  if (!id) return jsonResponse({ error: 'Recurrence ID is required' }, 400);
+
+  const existing = await sql`
+    SELECT r.id, r.project_id, r.created_by, latest.id as task_id, latest.title
+    FROM task_recurrences r
+    LEFT JOIN LATERAL (
+      SELECT t.id, t.title FROM tasks t WHERE t.recurrence_id = r.id ORDER BY t.created_at DESC LIMIT 1
+    ) latest ON true
+    WHERE r.id = ${id}
+  `;
+  if (existing.length === 0) return jsonResponse({ error: 'Recurrence not found' }, 404);
+  const recurrence = existing[0];
+
+  const denied = await requirePermission(sql, user, 'task.edit', { ownerId: recurrence.created_by, projectId: recurrence.project_id });
+  if (denied) return denied;
+
+  // Instances already created stay; no more are made
+  await sql`UPDATE task_recurrences SET active = false, next_on = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ${id}`;
+  await logActivity(user.id, 'task_recurrence_stopped', 'task', recurrence.task_id, { title: recurrence.title });
+  return jsonResponse({ success: true });
+}
 
-  await sql`UPDATE projects SET progress = ${progress}, updated_at = CURRENT_TIMESTAMP WHERE id = ${projectId}`;
+async function getCriticalPath(sql, projectId, user) {
+  if (!projectId) return jsonResponse({ error: 'Project ID is required' }, 400);
+
+  const projects = await sql`SELECT id, visibility FROM projects WHERE id = ${projectId}`;
+  if (projects.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
+  if (projects[0].visibility !== 'public' && !user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+  const schedule = await projectSchedule(sql, projectId);
+  if (schedule.error) return jsonResponse(schedule, 409);
+  return jsonResponse({ projectId, ...schedule });
+}
+
+async function deleteTask(sql, id, user) {
+  if (!id) return jsonResponse({ error: 'Task ID is required' }, 400);
+
+  const existing = await sql`SELECT * FROM tasks WHERE id = ${id}`;
+  if (existing.length === 0) return jsonResponse({ error: 'Task not found' }, 404);
+  const task = existing[0];
+
+  const denied = await requirePermission(sql, user, 'task.delete', { ownerId: task.created_by, projectId: task.project_id });
+  if (denied) return denied;
+
+  await sql`DELETE FROM tasks WHERE id = ${id}`;
+  await logActivity(user.id, 'task_deleted', 'task', id, { title: task.title });
+  await recomputeProjectProgress(sql, task.project_id);
+
+  return jsonResponse({ success: true });
 }
 
 function formatTask(t) {
@@ -252,6 +641,7 @@ function formatTask(t) {
     dueDate: t.due_date, estimatedHours: t.estimated_hours, actualHours: t.actual_hours,
     orderIndex: t.order_index,
     subtaskCount: parseInt(t.subtask_count || 0), completedSubtasks: parseInt(t.completed_subtasks || 0),
+    openBlockers: parseInt(t.open_blockers || 0), recurrenceId: t.recurrence_id || null,
     createdAt: t.created_at, updatedAt: t.updated_at, completedAt: t.completed_at
   };
 }
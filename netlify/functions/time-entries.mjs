@@ -0,0 +1,219 @@
+/**
+ * PLE Platform - Time Entries API
+ * Time logged on tasks with a start/stop timer or by hand, and weekly
+ * timesheets by member and project with CSV export for volunteer-hours
+ * reporting
+ */
+
+import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { can, requirePermission } from './lib/permissions.mjs';
+import {
+  formatEntry, getEntry, taskEntries, runningTimer, startTimer, stopTimer, rollupActualHours,
+  parseDuration, resolvePeriod, reportEntries, buildTimesheet,
+  SUMMARY_COLUMNS, ENTRY_COLUMNS, summaryCsvRows, entryCsvRows
+} from './lib/timesheets.mjs';
+import { toCsv, csvResponse } from './lib/csv.mjs';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+  const action = url.searchParams.get('action');
+
+  try {
+    const sql = await getDb();
+    const user = await getCurrentUser(req);
+
+    // Hours are personal, so even reading them needs a sign-in
+    if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+    if (req.method === 'GET') {
+      if (action === 'timer') {
+        const timer = await runningTimer(sql, user.id);
+        return jsonResponse({ timer: timer ? formatEntry(timer) : null });
+      }
+      if (action === 'timesheet') return await getTimesheet(sql, url.searchParams, user);
+      return await listTaskEntries(sql, url.searchParams.get('taskId'), user);
+    }
+
+    if (req.method === 'POST') {
+      if (action === 'start') return await startTaskTimer(sql, await req.json(), user);
+      if (action === 'stop') return await stopTaskTimer(sql, await req.json(), user);
+      return await logTime(sql, await req.json(), user);
+    }
+    if (req.method === 'PUT') {
+      return await updateEntry(sql, await req.json(), user);
+    }
+    if (req.method === 'DELETE') {
+      return await deleteEntry(sql, url.searchParams.get('id'), user);
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('Time entries API error:', error);
+    return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+  }
+};
+
+async function findTask(sql, taskId) {
+  const rows = await sql`SELECT id, title, project_id FROM tasks WHERE id = ${taskId}`;
+  return rows[0] || null;
+}
+
+/**
+ * As with timesheets, members see their own entries on a task; everyone's
+ * need time.report on the task's project
+ */
+async function listTaskEntries(sql, taskId, user) {
+  if (!taskId) return jsonResponse({ error: 'taskId is required' }, 400);
+  const task = await findTask(sql, taskId);
+  if (!task) return jsonResponse({ error: 'Task not found' }, 404);
+
+  const ownOnly = !(await can(sql, user, 'time.report', { projectId: task.project_id }));
+  const entries = (await taskEntries(sql, taskId, { userId: ownOnly ? user.id : null })).map(formatEntry);
+  const minutes = entries.reduce((sum, e) => sum + (e.minutes || 0), 0);
+  return jsonResponse({ entries, totalHours: Math.round((minutes / 60) * 100) / 100, ownOnly });
+}
+
+async function startTaskTimer(sql, body, user) {
+  const { taskId, note } = body;
+  if (!taskId) return jsonResponse({ error: 'taskId is required' }, 400);
+
+  const task = await findTask(sql, taskId);
+  if (!task) return jsonResponse({ error: 'Task not found' }, 404);
+
+  const denied = await requirePermission(sql, user, 'time.log', { projectId: task.project_id });
+  if (denied) return denied;
+
+  const result = await startTimer(sql, { taskId, userId: user.id, note: note || null });
+  if (result.error) return jsonResponse({ error: result.error }, result.status);
+
+  const { id, stopped } = result;
+  return jsonResponse({
+    success: true,
+    timer: formatEntry(await getEntry(sql, id)),
+    stopped: stopped ? formatEntry(await getEntry(sql, stopped.id)) : null
+  }, 201);
+}
+
+async function stopTaskTimer(sql, body, user) {
+  const stopped = await stopTimer(sql, user.id, body.note || null);
+  if (!stopped) return jsonResponse({ error: 'No timer is running' }, 404);
+
+  const entry = await getEntry(sql, stopped.id);
+  await logActivity(user.id, 'time_logged', 'task', entry.task_id, { title: entry.task_title, minutes: entry.minutes });
+  return jsonResponse({ success: true, entry: formatEntry(entry), capped: stopped.capped });
+}
+
+async function logTime(sql, body, user) {
+  const { taskId, workDate, note } = body;
+  if (!taskId) return jsonResponse({ error: 'taskId is required' }, 400);
+
+  const task = await findTask(sql, taskId);
+  if (!task) return jsonResponse({ error: 'Task not found' }, 404);
+
+  const denied = await requirePermission(sql, user, 'time.log', { projectId: task.project_id });
+  if (denied) return denied;
+
+  const duration = parseDuration(body);
+  if (duration.error) return jsonResponse({ error: duration.error }, 400);
+  if (workDate && !DATE_ONLY.test(workDate)) return jsonResponse({ error: 'workDate must be a date (YYYY-MM-DD)' }, 400);
+  const date = workDate || duration.startedAt?.slice(0, 10) || new Date().toISOString().slice(0, 10);
+
+  const rows = await sql`
+    INSERT INTO time_entries (task_id, user_id, work_date, started_at, ended_at, minutes, note)
+    VALUES (${taskId}, ${user.id}, ${date}, ${duration.startedAt}, ${duration.endedAt}, ${duration.minutes}, ${note || null})
+    RETURNING id
+  `;
+  await rollupActualHours(sql, taskId);
+
+  await logActivity(user.id, 'time_logged', 'task', taskId, { title: task.title, minutes: duration.minutes });
+  return jsonResponse({ success: true, entry: formatEntry(await getEntry(sql, rows[0].id)) }, 201);
+}
+
+async function updateEntry(sql, body, user) {
+  const { id, workDate, note } = body;
+  if (!id) return jsonResponse({ error: 'Entry ID is required' }, 400);
+
+  const entry = await getEntry(sql, id);
+  if (!entry) return jsonResponse({ error: 'Time entry not found' }, 404);
+
+  const denied = await requirePermission(sql, user, 'time.edit', { ownerId: entry.user_id });
+  if (denied) return denied;
+  if (entry.minutes === null) return jsonResponse({ error: 'Stop the timer before editing this entry' }, 409);
+
+  const changesDuration = ['minutes', 'hours', 'startedAt', 'endedAt'].some(k => body[k] !== undefined);
+  const duration = changesDuration ? parseDuration(body) : {};
+  if (duration.error) return jsonResponse({ error: duration.error }, 400);
+  if (workDate && !DATE_ONLY.test(workDate)) return jsonResponse({ error: 'workDate must be a date (YYYY-MM-DD)' }, 400);
+
+  await sql`
+    UPDATE time_entries SET
+      minutes = COALESCE(${duration.minutes || null}, minutes),
+      started_at = CASE WHEN ${changesDuration} THEN ${duration.startedAt || null}::timestamp ELSE started_at END,
+      ended_at = CASE WHEN ${changesDuration} THEN ${duration.endedAt || null}::timestamp ELSE ended_at END,
+      work_date = COALESCE(${workDate || null}::date, work_date),
+      note = CASE WHEN ${note !== undefined} THEN ${note || null} ELSE note END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${id}
+  `;
+  await rollupActualHours(sql, entry.task_id);
+  return jsonResponse({ success: true, entry: formatEntry(await getEntry(sql, id)) });
+}
+
+async function deleteEntry(sql, id, user) {
+  if (!id) return jsonResponse({ error: 'Entry ID is required' }, 400);
+
+  const entry = await getEntry(sql, id);
+  if (!entry) return jsonResponse({ error: 'Time entry not found' }, 404);
+
+  const denied = await requirePermission(sql, user, 'time.edit', { ownerId: entry.user_id });
+  if (denied) return denied;
+
+  await sql`DELETE FROM time_entries WHERE id = ${id}`;
+  await rollupActualHours(sql, entry.task_id);
+  return jsonResponse({ success: true });
+}
+
+/**
+ * A member's own hours are theirs to see. Another member's, or a whole
+ * project's, need time.report on the project, or site-wide without one.
+ */
+async function getTimesheet(sql, params, user) {
+  const period = resolvePeriod({ week: params.get('week'), from: params.get('from'), to: params.get('to') });
+  if (period.error) return jsonResponse({ error: period.error }, 400);
+
+  const projectId = params.get('projectId') || null;
+  const requested = params.get('userId');
+  const userId = requested === 'me' || (!requested && !projectId) ? user.id : requested || null;
+
+  let project = null;
+  if (projectId) {
+    const rows = await sql`SELECT id, title, slug FROM projects WHERE id = ${projectId}`;
+    if (rows.length === 0) return jsonResponse({ error: 'Project not found' }, 404);
+    project = rows[0];
+  }
+  if (userId !== user.id) {
+    const denied = await requirePermission(sql, user, 'time.report', { projectId });
+    if (denied) return denied;
+  }
+
+  const entries = await reportEntries(sql, { ...period, userId, projectId });
+  const timesheet = buildTimesheet(entries, period);
+
+  if (params.get('format') === 'csv') {
+    const name = `ple-hours-${project?.slug || (userId === user.id ? 'mine' : userId || 'all')}-${period.from}-to-${period.to}.csv`;
+    return params.get('detail') === 'entries'
+      ? csvResponse(toCsv(ENTRY_COLUMNS, entryCsvRows(entries)), name)
+      : csvResponse(toCsv(SUMMARY_COLUMNS, summaryCsvRows(timesheet)), name);
+  }
+
+  return jsonResponse({
+    project: project ? { id: project.id, title: project.title } : null,
+    userId,
+    ...timesheet,
+    entries: params.get('detail') === 'entries' ? entries.map(formatEntry) : undefined
+  });
+}
+
+export const config = { path: '/api/time-entries' };
@@ -0,0 +1,129 @@
+/**
+ * PLE Platform - Timeline API
+ * Project schedules for Gantt views, schedule baselines and iCalendar feeds
+ * of milestone and task due dates
+ */
+
+import { getDb, getCurrentUser, logActivity, jsonResponse, hashToken } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { loadTimelines, memberProjects, findProject, captureBaseline, calendarEvents, formatBaseline } from './lib/timeline.mjs';
+import { toIcs, icsResponse } from './lib/ical.mjs';
+import { v4 as uuidv4 } from 'uuid';
+
+const SITE_URL = process.env.URL || process.env.DEPLOY_URL || 'https://postlaboreconomics.netlify.app';
+
+export default async (req, context) => {
+  const url = new URL(req.url);
+  const action = url.searchParams.get('action');
+
+  try {
+    const sql = await getDb();
+    const user = await getCurrentUser(req);
+
+    if (req.method === 'GET') {
+      if (url.searchParams.get('format') === 'ics') return await calendarFeed(sql, url.searchParams, user);
+      const projectId = url.searchParams.get('projectId');
+      if (projectId) return await projectTimeline(sql, projectId, user);
+      if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+      return await myTimeline(sql, user);
+    }
+
+    if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+    if (req.method === 'POST') {
+      if (action === 'baseline') return await saveBaseline(sql, await req.json(), user);
+      if (action === 'feed-token') return await createFeedToken(sql, user);
+      return jsonResponse({ error: 'Unknown action' }, 400);
+    }
+    if (req.method === 'DELETE' && action === 'feed-token') {
+      await sql`UPDATE users SET calendar_token_hash = NULL WHERE id = ${user.id}`;
+      return jsonResponse({ success: true });
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('Timeline API error:', error);
+    return jsonResponse({ error: 'Internal server error', details: error.message }, 500);
+  }
+};
+
+async function projectTimeline(sql, ref, user) {
+  const project = await findProject(sql, ref);
+  if (!project) return jsonResponse({ error: 'Project not found' }, 404);
+  if (project.visibility !== 'public' && !user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+  const [timeline] = await loadTimelines(sql, [project]);
+  return jsonResponse({ generatedAt: new Date().toISOString(), project: timeline });
+}
+
+async function myTimeline(sql, user) {
+  const projects = await memberProjects(sql, user.id);
+  const timelines = await loadTimelines(sql, projects);
+  return jsonResponse({ generatedAt: new Date().toISOString(), projects: timelines });
+}
+
+async function saveBaseline(sql, body, user) {
+  const { projectId, label } = body;
+  if (!projectId) return jsonResponse({ error: 'Project ID is required' }, 400);
+
+  const project = await findProject(sql, projectId);
+  if (!project) return jsonResponse({ error: 'Project not found' }, 404);
+
+  const denied = await requirePermission(sql, user, 'project.edit', { projectId: project.id });
+  if (denied) return denied;
+
+  const [timeline] = await loadTimelines(sql, [project]);
+  const baselineLabel = label ? String(label).trim().slice(0, 200) : null;
+  const rows = await sql`
+    INSERT INTO schedule_baselines (project_id, label, dates, created_by)
+    VALUES (${project.id}, ${baselineLabel}, ${JSON.stringify(captureBaseline(timeline))}::jsonb, ${user.id})
+    RETURNING id, label, created_at
+  `;
+
+  await logActivity(user.id, 'schedule_baseline_saved', 'project', project.id, { title: project.title, label: baselineLabel });
+  return jsonResponse({ success: true, baseline: formatBaseline(rows[0]) }, 201);
+}
+
+/**
+ * Calendar apps cannot send a bearer token, so a member subscribes with a
+ * feed token instead. Creating a new one replaces the old.
+ */
+async function createFeedToken(sql, user) {
+  const token = uuidv4() + '-' + uuidv4();
+  await sql`UPDATE users SET calendar_token_hash = ${await hashToken(token)} WHERE id = ${user.id}`;
+  return jsonResponse({ success: true, url: `${SITE_URL}/api/timeline?format=ics&token=${token}` }, 201);
+}
+
+async function calendarFeed(sql, params, user) {
+  const token = params.get('token');
+  if (token) {
+    const rows = await sql`
+      SELECT id, display_name, role FROM users
+      WHERE calendar_token_hash = ${await hashToken(token)} AND is_active = true
+    `;
+    if (rows.length === 0) return jsonResponse({ error: 'Invalid calendar token' }, 401);
+    user = rows[0];
+  }
+
+  const projectId = params.get('projectId');
+  if (projectId) {
+    const project = await findProject(sql, projectId);
+    if (!project) return jsonResponse({ error: 'Project not found' }, 404);
+    if (project.visibility !== 'public' && !user) return jsonResponse({ error: 'Authentication required' }, 401);
+
+    const timelines = await loadTimelines(sql, [project]);
+    const body = toIcs({ name: project.title, events: calendarEvents(timelines, { siteUrl: SITE_URL }) });
+    return icsResponse(body, `${project.slug || project.id}.ics`);
+  }
+
+  // A member's own feed: milestones of their projects and the tasks assigned to them
+  if (!user) return jsonResponse({ error: 'Authentication required' }, 401);
+  const timelines = await loadTimelines(sql, await memberProjects(sql, user.id));
+  const body = toIcs({
+    name: `PLE - ${user.display_name}`,
+    events: calendarEvents(timelines, { siteUrl: SITE_URL, assigneeId: user.id })
+  });
+  return icsResponse(body, 'ple-schedule.ics');
+}
+
+export const config = { path: '/api/timeline' };
@@ -1,4 +1,8 @@
 import { getDb, getCurrentUser, logActivity, jsonResponse } from './lib/db.mjs';
+import { requirePermission } from './lib/permissions.mjs';
+import { votingClosedReason, tallyVotes } from './lib/proposals.mjs';
+import { isMultiOption, validateBallot, getOptions, formatOption, tallyProposalBallots } from './lib/voting.mjs';
+import { userDelegation } from './lib/delegation.mjs';
 import { v4 as uuidv4 } from 'uuid';
 
 export default async (req, context) => {
@@ -31,21 +35,29 @@ export default async (req, context) => {
 };
 
 async function getVotes(sql, proposalId, user) {
-  const counts = await sql`
-    SELECT 
-      COUNT(*) FILTER (WHERE vote_type = 'approve') as approve_count,
-      COUNT(*) FILTER (WHERE vote_type = 'reject') as reject_count,
-      COUNT(*) FILTER (WHERE vote_type = 'abstain') as abstain_count
-    FROM votes WHERE proposal_id = ${proposalId}
+  const proposals = await sql`
+    SELECT id, proposal_type, element_id, voting_mode, voting_config, revision FROM proposals WHERE id = ${proposalId}
   `;
+  if (proposals.length === 0) return jsonResponse({ error: 'Proposal not found' }, 404);
+  if (isMultiOption(proposals[0].voting_mode)) return getBallotResults(sql, proposals[0], user);
+  
+  // Counts include delegated weight; direct and delegated show where it came from
+  const tally = await tallyVotes(sql, proposals[0]);
+  const stale = await countStaleVotes(sql, proposals[0]);
   
   let userVote = null;
+  let delegation = null;
   if (user) {
     const votes = await sql`
-      SELECT vote_type, comment FROM votes WHERE proposal_id = ${proposalId} AND user_id = ${user.id}
+      SELECT vote_type, comment, revision FROM votes WHERE proposal_id = ${proposalId} AND user_id = ${user.id}
     `;
     if (votes.length > 0) {
-      userVote = { type: votes[0].vote_type, comment: votes[0].comment };
+      userVote = {
+        type: votes[0].vote_type, comment: votes[0].comment,
+        revision: votes[0].revision, stale: votes[0].revision < proposals[0].revision
+      };
+    } else {
+      delegation = await userDelegation(sql, proposals[0], user.id);
     }
   }
   
@@ -57,12 +69,14 @@ async function getVotes(sql, proposalId, user) {
   `;
   
   return jsonResponse({
-    counts: {
-      approve: parseInt(counts[0]?.approve_count || 0),
-      reject: parseInt(counts[0]?.reject_count || 0),
-      abstain: parseInt(counts[0]?.abstain_count || 0)
-    },
+    counts: { approve: tally.approve, reject: tally.reject, abstain: tally.abstain },
+    direct: tally.direct,
+    delegated: tally.delegated,
+    unresolvedDelegations: tally.unresolved,
+    revision: proposals[0].revision,
+    staleVotes: stale,
     userVote,
+    delegation,
     recentVotes: recentVotes.map(v => ({
       type: v.vote_type, comment: v.comment,
       user: { name: v.user_name, avatar: v.user_avatar },
@@ -71,31 +85,119 @@ async function getVotes(sql, proposalId, user) {
   });
 }
 
-async function castVote(sql, body, user) {
-  const { proposalId, voteType, comment } = body;
+/**
+ * Results for ranked, approval and score proposals, with every round of the count
+ */
+async function getBallotResults(sql, proposal, user) {
+  const [results, options, stale] = await Promise.all([
+    tallyProposalBallots(sql, proposal),
+    getOptions(sql, proposal.id),
+    countStaleVotes(sql, proposal)
+  ]);
   
-  if (!proposalId || !voteType) {
-    return jsonResponse({ error: 'Proposal ID and vote type required' }, 400);
+  let userVote = null;
+  let delegation = null;
+  if (user) {
+    const votes = await sql`
+      SELECT vote_type, ballot, comment, revision FROM votes WHERE proposal_id = ${proposal.id} AND user_id = ${user.id}
+    `;
+    if (votes.length > 0) {
+      userVote = {
+        type: votes[0].vote_type, ballot: votes[0].ballot, comment: votes[0].comment,
+        revision: votes[0].revision, stale: votes[0].revision < proposal.revision
+      };
+    } else {
+      delegation = await userDelegation(sql, proposal, user.id);
+    }
   }
   
-  if (!['approve', 'reject', 'abstain'].includes(voteType)) {
-    return jsonResponse({ error: 'Invalid vote type' }, 400);
-  }
+  return jsonResponse({
+    mode: proposal.voting_mode,
+    options: options.map(formatOption),
+    counts: { ballots: results.ballots, abstain: results.abstain },
+    direct: results.direct,
+    delegated: results.delegated,
+    unresolvedDelegations: results.unresolved,
+    revision: proposal.revision,
+    staleVotes: stale,
+    results,
+    userVote,
+    delegation
+  });
+}
+
+/**
+ * Votes cast on an earlier revision of the text (kept under the 'flag' policy)
+ */
+async function countStaleVotes(sql, proposal) {
+  const rows = await sql`
+    SELECT COUNT(*) as count FROM votes WHERE proposal_id = ${proposal.id} AND revision < ${proposal.revision}
+  `;
+  return parseInt(rows[0]?.count || 0);
+}
+
+async function castVote(sql, body, user) {
+  const { proposalId, comment } = body;
+  let { voteType, ballot } = body;
+  
+  const denied = await requirePermission(sql, user, 'vote.cast');
+  if (denied) return denied;
   
-  const proposals = await sql`SELECT id, status FROM proposals WHERE id = ${proposalId}`;
+  if (!proposalId) return jsonResponse({ error: 'Proposal ID required' }, 400);
+  
+  const proposals = await sql`
+    SELECT id, status, voting_starts, voting_ends, voting_mode, voting_config FROM proposals WHERE id = ${proposalId}
+  `;
   if (proposals.length === 0) return jsonResponse({ error: 'Proposal not found' }, 404);
+  const mode = proposals[0].voting_mode;
+  
+  // Ballots must match the proposal's mode: vote types for binary, a ballot (or abstain) otherwise
+  if (isMultiOption(mode)) {
+    if (voteType && voteType !== 'abstain') {
+      return jsonResponse({ error: `This proposal uses ${mode} voting; send a ballot or abstain` }, 400);
+    }
+    if (voteType === 'abstain') {
+      ballot = null;
+    } else {
+      const checked = validateBallot(mode, await getOptions(sql, proposalId), ballot, proposals[0].voting_config);
+      if (checked.error) return jsonResponse({ error: checked.error }, 400);
+      voteType = 'ballot';
+      ballot = checked.ballot;
+    }
+  } else {
+    if (ballot) return jsonResponse({ error: 'This proposal uses approve/reject voting' }, 400);
+    if (!voteType) return jsonResponse({ error: 'Proposal ID and vote type required' }, 400);
+    if (!['approve', 'reject', 'abstain'].includes(voteType)) {
+      return jsonResponse({ error: 'Invalid vote type' }, 400);
+    }
+  }
+  
+  const closedReason = votingClosedReason(proposals[0]);
+  if (closedReason) return jsonResponse({ error: closedReason }, 409);
   
   const id = uuidv4();
   const commentVal = comment || null;
+  const ballotJson = ballot ? JSON.stringify(ballot) : null;
   
-  await sql`
-    INSERT INTO votes (id, proposal_id, user_id, vote_type, comment)
-    VALUES (${id}, ${proposalId}, ${user.id}, ${voteType}, ${commentVal})
+  // Re-check the window under a share lock so a vote cannot slip in after closing has started
+  const cast = await sql`
+    WITH open_proposal AS (
+      SELECT id, revision FROM proposals
+      WHERE id = ${proposalId} AND status = 'open'
+        AND (voting_starts IS NULL OR voting_starts <= CURRENT_TIMESTAMP)
+        AND (voting_ends IS NULL OR voting_ends > CURRENT_TIMESTAMP)
+      FOR SHARE
+    )
+    INSERT INTO votes (id, proposal_id, user_id, vote_type, ballot, comment, revision)
+    SELECT ${id}, id, ${user.id}, ${voteType}, ${ballotJson}::jsonb, ${commentVal}, revision FROM open_proposal
     ON CONFLICT (proposal_id, user_id) 
-    DO UPDATE SET vote_type = ${voteType}, comment = ${commentVal}, created_at = CURRENT_TIMESTAMP
+    DO UPDATE SET vote_type = ${voteType}, ballot = ${ballotJson}::jsonb, comment = ${commentVal},
+      revision = EXCLUDED.revision, created_at = CURRENT_TIMESTAMP
+    RETURNING id
   `;
+  if (cast.length === 0) return jsonResponse({ error: 'Voting has ended' }, 409);
   
-  await logActivity(user.id, 'vote_cast', 'proposal', proposalId, { voteType });
+  await logActivity(user.id, 'vote_cast', 'proposal', proposalId, { voteType, votingMode: mode });
   
   return getVotes(sql, proposalId, user);
 }
@@ -103,6 +205,13 @@ async function castVote(sql, body, user) {
 async function removeVote(sql, proposalId, user) {
   if (!proposalId) return jsonResponse({ error: 'Proposal ID required' }, 400);
   
+  const proposals = await sql`SELECT id, status, voting_starts, voting_ends FROM proposals WHERE id = ${proposalId}`;
+  if (proposals.length === 0) return jsonResponse({ error: 'Proposal not found' }, 404);
+  
+  // Once voting ends the ballot is part of the final tally
+  const closedReason = votingClosedReason(proposals[0]);
+  if (closedReason) return jsonResponse({ error: closedReason }, 409);
+  
   await sql`DELETE FROM votes WHERE proposal_id = ${proposalId} AND user_id = ${user.id}`;
   await logActivity(user.id, 'vote_removed', 'proposal', proposalId);
   
@@ -10,27 +10,97 @@ let authToken = localStorage.getItem('ple_token');
 // API Base
 const API_BASE = '/api';
 
+// ============================================
+// Session tokens
+// ============================================
+
+// The refresh token is exchanged for a new pair before the access token expires.
+// Other tabs pick up the rotated pair from localStorage.
+function storeSession(data) {
+  authToken = data.token;
+  localStorage.setItem('ple_token', data.token);
+  if (data.refreshToken) localStorage.setItem('ple_refresh_token', data.refreshToken);
+  if (data.expiresAt) localStorage.setItem('ple_token_expires', data.expiresAt);
+}
+
+function clearSession() {
+  authToken = null;
+  currentUser = null;
+  localStorage.removeItem('ple_token');
+  localStorage.removeItem('ple_refresh_token');
+  localStorage.removeItem('ple_token_expires');
+}
+
+let refreshInFlight = null;
+
+function refreshSession() {
+  const refreshToken = localStorage.getItem('ple_refresh_token');
+  if (!refreshToken) return Promise.resolve(false);
+  
+  // Concurrent requests share one refresh; a second one would present a spent token
+  if (!refreshInFlight) {
+    refreshInFlight = fetch(`${API_BASE}/auth?action=refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(async response => {
+        if (!response.ok) {
+          clearSession();
+          return false;
+        }
+        storeSession(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => { refreshInFlight = null; });
+  }
+  return refreshInFlight;
+}
+
+function accessTokenExpiring() {
+  const expires = localStorage.getItem('ple_token_expires');
+  return !!expires && new Date(expires).getTime() - Date.now() < 60 * 1000;
+}
+
 // ============================================
 // HTTP Client
 // ============================================
 
-async function apiRequest(endpoint, options = {}) {
-  const url = `${API_BASE}${endpoint}`;
+/**
+ * fetch() with the session's access token, for pages that read the response
+ * themselves. The token is refreshed when it is about to expire, and once
+ * more if the server rejects it.
+ */
+export async function apiFetch(url, options = {}, retried = false) {
   const headers = {
     'Content-Type': 'application/json',
     ...options.headers
   };
   
+  if (authToken && accessTokenExpiring()) {
+    await refreshSession();
+  }
+  
   if (authToken) {
     headers['Authorization'] = `Bearer ${authToken}`;
   }
   
+  const response = await fetch(url, {
+    ...options,
+    headers
+  });
+  
+  if (response.status === 401 && authToken && !retried && await refreshSession()) {
+    return apiFetch(url, options, true);
+  }
+  
+  return response;
+}
+
+async function apiRequest(endpoint, options = {}) {
   try {
-    const response = await fetch(url, {
-      ...options,
-      headers
-    });
-    
+    const response = await apiFetch(`${API_BASE}${endpoint}`, options);
     const data = await response.json();
     
     if (!response.ok) {
@@ -56,8 +126,7 @@ export const auth = {
     });
     
     if (data.token) {
-      authToken = data.token;
-      localStorage.setItem('ple_token', data.token);
+      storeSession(data);
       currentUser = data.user;
     }
     
@@ -71,8 +140,7 @@ export const auth = {
     });
     
     if (data.token) {
-      authToken = data.token;
-      localStorage.setItem('ple_token', data.token);
+      storeSession(data);
       currentUser = data.user;
     }
     
@@ -86,9 +154,7 @@ export const auth = {
       // Ignore errors on logout
     }
     
-    authToken = null;
-    currentUser = null;
-    localStorage.removeItem('ple_token');
+    clearSession();
   },
   
   async getCurrentUser() {
@@ -100,13 +166,58 @@ export const auth = {
       return data.user;
     } catch (e) {
       // Token invalid, clear it
-      authToken = null;
-      currentUser = null;
-      localStorage.removeItem('ple_token');
+      clearSession();
       return null;
     }
   },
   
+  async requestPasswordReset(email) {
+    return apiRequest('/auth?action=request-password-reset', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  },
+  
+  async resetPassword(token, password) {
+    return apiRequest('/auth?action=reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password })
+    });
+  },
+  
+  async changePassword(currentPassword, newPassword) {
+    return apiRequest('/auth?action=change-password', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+  },
+  
+  async requestVerification() {
+    return apiRequest('/auth?action=request-verification', { method: 'POST', body: '{}' });
+  },
+  
+  async verifyEmail(token) {
+    return apiRequest('/auth?action=verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+  },
+  
+  async listSessions() {
+    return apiRequest('/auth?action=sessions');
+  },
+  
+  async revokeSession(sessionId) {
+    return apiRequest('/auth?action=revoke-session', {
+      method: 'POST',
+      body: JSON.stringify({ sessionId })
+    });
+  },
+  
+  async revokeOtherSessions() {
+    return apiRequest('/auth?action=revoke-other-sessions', { method: 'POST', body: '{}' });
+  },
+  
   isLoggedIn() {
     return !!authToken;
   },
@@ -144,6 +255,49 @@ export const proposals = {
     });
   },
   
+  async revisions(id) {
+    return apiRequest(`/proposals?action=revisions&id=${id}`);
+  },
+  
+  async diff(id, from = null, to = null) {
+    const query = new URLSearchParams({ action: 'diff', id, ...(from && { from }), ...(to && { to }) });
+    return apiRequest(`/proposals?${query}`);
+  },
+  
+  async amendments(id) {
+    return apiRequest(`/proposals?action=amendments&id=${id}`);
+  },
+  
+  async amend(proposalId, data) {
+    return apiRequest('/proposals?action=amend', {
+      method: 'POST',
+      body: JSON.stringify({ proposalId, ...data })
+    });
+  },
+  
+  // decision: 'accept' or 'reject' (proposal author), 'withdraw' (amendment author)
+  async decideAmendment(id, decision, note = null) {
+    return apiRequest('/proposals?action=amendment', {
+      method: 'PUT',
+      body: JSON.stringify({ id, decision, note })
+    });
+  },
+  
+  // Run a passed proposal's execution plan again, e.g. after a failure
+  async execute(id) {
+    return apiRequest('/proposals?action=execute', {
+      method: 'POST',
+      body: JSON.stringify({ id })
+    });
+  },
+  
+  async revertExecution(executionId, force = false) {
+    return apiRequest('/proposals?action=revert', {
+      method: 'POST',
+      body: JSON.stringify({ executionId, force })
+    });
+  },
+  
   async delete(id) {
     return apiRequest(`/proposals?id=${id}`, { method: 'DELETE' });
   }
@@ -165,6 +319,318 @@ export const architecture = {
   
   async getByCode(code) {
     return apiRequest(`/architecture?code=${code}`);
+  },
+  
+  async history(id) {
+    return apiRequest(`/architecture?action=history&id=${id}`);
+  },
+  
+  // Graph queries; elements can be given by id or code
+  async graph(action = 'graph', params = {}) {
+    const query = new URLSearchParams({ action, ...params }).toString();
+    return apiRequest(`/architecture?${query}`);
+  },
+  
+  async impact(id) {
+    return apiRequest(`/architecture?action=impact&id=${id}`);
+  },
+  
+  async path(from, to, params = {}) {
+    return this.graph('path', { from, to, ...params });
+  },
+  
+  // data: { elementType, code?, title, description, parentId, status, metadata }
+  async create(data) {
+    return apiRequest('/architecture', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  },
+  
+  async update(id, data) {
+    return apiRequest('/architecture', {
+      method: 'PUT',
+      body: JSON.stringify({ id, ...data })
+    });
+  },
+  
+  async retire(id, reason = '') {
+    return apiRequest(`/architecture?id=${id}&reason=${encodeURIComponent(reason)}`, { method: 'DELETE' });
+  },
+  
+  // format: archimate, jsonld or graphml; a download link rather than a request
+  exportUrl(format) {
+    return `${API_BASE}/architecture?action=export&format=${format}`;
+  },
+  
+  // Previews the merge unless apply is true; data is the file text
+  async importModel(format, data, apply = false) {
+    return apiRequest('/architecture?action=import', {
+      method: 'POST',
+      body: JSON.stringify({ format, data, apply })
+    });
+  }
+};
+
+// ============================================
+// Architecture Snapshots API
+// ============================================
+
+export const snapshots = {
+  async list(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return apiRequest(`/architecture/snapshots${query ? '?' + query : ''}`);
+  },
+  
+  async get(id) {
+    return apiRequest(`/architecture/snapshots?id=${id}`);
+  },
+  
+  // The model as of a date: the last snapshot taken on or before it
+  async asOf(date) {
+    return apiRequest(`/architecture/snapshots?asOf=${encodeURIComponent(date)}`);
+  },
+  
+  // from and to are snapshot ids, dates or 'current'
+  async diff(from, to = 'current') {
+    const query = new URLSearchParams({ action: 'diff', from, to }).toString();
+    return apiRequest(`/architecture/snapshots?${query}`);
+  },
+  
+  async take(label) {
+    return apiRequest('/architecture/snapshots', {
+      method: 'POST',
+      body: JSON.stringify({ label })
+    });
+  }
+};
+
+// ============================================
+// Timeline API
+// ============================================
+
+export const timeline = {
+  // Planned, baseline and estimated dates for a project's milestones and tasks
+  async forProject(projectId) {
+    return apiRequest(`/timeline?projectId=${encodeURIComponent(projectId)}`);
+  },
+  
+  // Every project the current user owns, works on or has tasks in
+  async mine() {
+    return apiRequest('/timeline');
+  },
+  
+  async saveBaseline(projectId, label = null) {
+    return apiRequest('/timeline?action=baseline', {
+      method: 'POST',
+      body: JSON.stringify({ projectId, label })
+    });
+  },
+  
+  // A private feed URL for calendar apps; creating a new one replaces the old
+  async createFeed() {
+    return apiRequest('/timeline?action=feed-token', { method: 'POST', body: '{}' });
+  },
+  
+  async revokeFeed() {
+    return apiRequest('/timeline?action=feed-token', { method: 'DELETE' });
+  },
+  
+  projectCalendarUrl(projectId) {
+    return `${API_BASE}/timeline?format=ics&projectId=${encodeURIComponent(projectId)}`;
+  }
+};
+
+// ============================================
+// Boards API
+// ============================================
+
+export const boards = {
+  // Columns in workflow order with WIP limits, allowed moves and their tasks
+  async get(projectId) {
+    return apiRequest(`/tasks?action=board&projectId=${encodeURIComponent(projectId)}`);
+  },
+  
+  // Lands before beforeId, after afterId, at position, or at the end of the column.
+  // Refused with 409 when the workflow does not allow the move or the column is full
+  async move(taskId, status, { beforeId = null, afterId = null, position = null } = {}) {
+    return apiRequest('/tasks?action=move', {
+      method: 'POST',
+      body: JSON.stringify({ id: taskId, status, beforeId, afterId, order_index: position })
+    });
+  },
+  
+  // taskIds must be every task in the column, in the new order
+  async reorder(projectId, status, taskIds) {
+    return apiRequest('/tasks?action=reorder', {
+      method: 'POST',
+      body: JSON.stringify({ projectId, status, taskIds })
+    });
+  },
+  
+  // changes takes status, priority, assigned_to and milestone_id; all tasks change or none do
+  async bulkUpdate(ids, changes) {
+    return apiRequest('/tasks?action=bulk', {
+      method: 'POST',
+      body: JSON.stringify({ ids, changes })
+    });
+  },
+  
+  // workflow is { states: [{ key, label, wipLimit, started }], transitions }; null restores the default
+  async setWorkflow(projectId, workflow) {
+    return apiRequest('/projects', {
+      method: 'PUT',
+      body: JSON.stringify({ id: projectId, workflow })
+    });
+  }
+};
+
+// ============================================
+// Recurring Tasks API
+// ============================================
+
+export const recurringTasks = {
+  async list(projectId) {
+    return apiRequest(`/tasks?action=recurrences&projectId=${encodeURIComponent(projectId)}`);
+  },
+  
+  // rule is RRULE-style, e.g. 'FREQ=WEEKLY;BYDAY=MO;COUNT=12'; mode is 'on_completion' or 'scheduled'
+  async set(taskId, { rule, mode = 'on_completion', leadDays = 0 }) {
+    return apiRequest('/tasks?action=recurrence', {
+      method: 'POST',
+      body: JSON.stringify({ taskId, rule, mode, leadDays })
+    });
+  },
+  
+  async stop(recurrenceId) {
+    return apiRequest(`/tasks?action=recurrence&id=${encodeURIComponent(recurrenceId)}`, { method: 'DELETE' });
+  }
+};
+
+// ============================================
+// Task Templates API
+// ============================================
+
+export const taskTemplates = {
+  // A project's own templates and the shared ones
+  async list(projectId) {
+    return apiRequest(`/task-templates?projectId=${encodeURIComponent(projectId)}`);
+  },
+  
+  async get(id) {
+    return apiRequest(`/task-templates?id=${encodeURIComponent(id)}`);
+  },
+  
+  // Without projectId the template is shared by every project
+  async create(data) {
+    return apiRequest('/task-templates', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  },
+  
+  async update(id, data) {
+    return apiRequest('/task-templates', {
+      method: 'PUT',
+      body: JSON.stringify({ id, ...data })
+    });
+  },
+  
+  async remove(id) {
+    return apiRequest(`/task-templates?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+  },
+  
+  async apply(templateId, projectId, { milestoneId = null, startDate = null } = {}) {
+    return apiRequest('/task-templates?action=apply', {
+      method: 'POST',
+      body: JSON.stringify({ templateId, projectId, milestoneId, startDate })
+    });
+  }
+};
+
+// ============================================
+// Time Entries API
+// ============================================
+
+const timesheetQuery = ({ userId, projectId, week, from, to } = {}) => new URLSearchParams(
+  Object.entries({ userId, projectId, week, from, to }).filter(([, v]) => v)
+).toString();
+
+export const timeEntries = {
+  // The signed-in member's running timer, or null
+  async timer() {
+    return apiRequest('/time-entries?action=timer');
+  },
+  
+  // Starting a timer stops any other the member has running
+  async start(taskId, note = null) {
+    return apiRequest('/time-entries?action=start', {
+      method: 'POST',
+      body: JSON.stringify({ taskId, note })
+    });
+  },
+  
+  async stop(note = null) {
+    return apiRequest('/time-entries?action=stop', {
+      method: 'POST',
+      body: JSON.stringify({ note })
+    });
+  },
+  
+  // data takes minutes, hours, or startedAt and endedAt, plus workDate and note
+  async log(taskId, data) {
+    return apiRequest('/time-entries', {
+      method: 'POST',
+      body: JSON.stringify({ taskId, ...data })
+    });
+  },
+  
+  async update(id, data) {
+    return apiRequest('/time-entries', {
+      method: 'PUT',
+      body: JSON.stringify({ id, ...data })
+    });
+  },
+  
+  async remove(id) {
+    return apiRequest(`/time-entries?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+  },
+  
+  async forTask(taskId) {
+    return apiRequest(`/time-entries?taskId=${encodeURIComponent(taskId)}`);
+  },
+  
+  // Weekly totals by member and project; with no userId or projectId, the member's own
+  async timesheet(params = {}) {
+    return apiRequest(`/time-entries?action=timesheet&${timesheetQuery(params)}`);
+  },
+  
+  // Needs the Authorization header, so fetch it rather than linking to it
+  timesheetCsvUrl(params = {}, { entries = false } = {}) {
+    return `${API_BASE}/time-entries?action=timesheet&format=csv${entries ? '&detail=entries' : ''}&${timesheetQuery(params)}`;
+  }
+};
+
+// ============================================
+// Alignment API
+// ============================================
+
+export const alignment = {
+  async forElement(idOrCode) {
+    return apiRequest(`/alignment?element=${encodeURIComponent(idOrCode)}`);
+  },
+  
+  async summary() {
+    return apiRequest('/alignment/summary');
+  },
+  
+  // Goal scores, goals without active work and capabilities without an owning group
+  async traceability() {
+    return apiRequest('/alignment/traceability');
+  },
+  
+  traceabilityCsvUrl() {
+    return `${API_BASE}/alignment/traceability?format=csv`;
   }
 };
 
@@ -184,11 +650,41 @@ export const votes = {
     });
   },
   
+  // Ranked: { ranking: [optionId] }, approval: { approved: [optionId] }, score: { scores: { optionId: n } }
+  async castBallot(proposalId, ballot, comment = null) {
+    return apiRequest('/votes', {
+      method: 'POST',
+      body: JSON.stringify({ proposalId, ballot, comment })
+    });
+  },
+  
   async remove(proposalId) {
     return apiRequest(`/votes?proposalId=${proposalId}`, { method: 'DELETE' });
   }
 };
 
+// ============================================
+// Delegations API
+// ============================================
+
+export const delegations = {
+  async list() {
+    return apiRequest('/delegations');
+  },
+  
+  // scope: 'global', 'proposal_type' (scopeValue = type) or 'element' (scopeValue = element id)
+  async set(delegateId, scope = 'global', scopeValue = null) {
+    return apiRequest('/delegations', {
+      method: 'POST',
+      body: JSON.stringify({ delegateId, scope, scopeValue })
+    });
+  },
+  
+  async remove(id) {
+    return apiRequest(`/delegations?id=${id}`, { method: 'DELETE' });
+  }
+};
+
 // ============================================
 // Discussions API
 // ============================================
@@ -522,6 +1018,7 @@ if (document.readyState === 'loading') {
 
 // Export everything as default for convenience
 export default {
+  apiFetch,
   auth,
   proposals,
   architecture,